@@ -102,6 +102,83 @@ interface ICERC20 {
      * @return uint 0=success, otherwise a failure (see ErrorReporter.sol for details)
      */
     function redeemUnderlying(uint redeemAmount) external returns (uint);
+
+    /**
+     * @notice Underlying asset for this CToken
+     */
+    function underlying() external view returns (address);
+
+    /**
+     * @notice Calculates the exchange rate from the underlying to the CToken
+     * @dev This function does not accrue interest before calculating the exchange rate
+     * @return Calculated exchange rate scaled by 1e18
+     */
+    function exchangeRateStored() external view returns (uint);
+}
+
+/**
+ * @dev Permit function of multi-collateral DAI. Single-collateral DAI does not have it
+ */
+interface IDAIPermit {
+    /**
+     * @notice Sets the allowance of `spender` over `holder`'s tokens to the maximum if `allowed`,
+     * or to zero otherwise, given `holder`'s EIP-712 signature
+     * @param holder Address whose tokens can be spent
+     * @param spender Address that can spend them
+     * @param nonce Holder's current nonce
+     * @param expiry Time after which the signature can no longer be used, zero for never
+     */
+    function permit(
+        address holder,
+        address spender,
+        uint256 nonce,
+        uint256 expiry,
+        bool allowed,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external;
+}
+
+/**
+ * @dev Adapter between an account and a yield source, such as Compound's cDAI market or a savings
+ * rate vault. Adapters have no storage. Accounts call the state-changing functions with
+ * `delegatecall`, so the adapter acts as the account and the position stays in the account. Each
+ * function takes the address of the market, i.e. the yield source's token contract
+ */
+interface IYieldStrategy {
+    /**
+     * @notice Prepares the account to use `_market`, e.g. by approving it to spend DAI. Delegatecalled
+     */
+    function enter(address _market) external;
+
+    /**
+     * @notice Supplies `_amount` DAI held by the account to `_market`. Delegatecalled
+     */
+    function supply(address _market, uint256 _amount) external;
+
+    /**
+     * @notice Redeems `_amount` DAI from `_market`, leaving it in the account. Delegatecalled
+     * @return Amount of market tokens burned
+     */
+    function redeem(address _market, uint256 _amount) external returns (uint256);
+
+    /**
+     * @notice Redeems the account's whole position in `_market`, leaving the DAI in the account.
+     * Delegatecalled
+     * @return Amount of market tokens burned
+     */
+    function redeemAll(address _market) external returns (uint256);
+
+    /**
+     * @notice Returns the token supplied to `_market`, which must be DAI for accounts to use it
+     */
+    function underlying(address _market) external view returns (address);
+
+    /**
+     * @notice Returns the amount of DAI `_account`'s position in `_market` can currently be redeemed for
+     */
+    function currentValue(address _market, address _account) external view returns (uint256);
 }
 
 // =================================================================================================
@@ -141,15 +218,31 @@ contract Ownable {
      * @dev Throws if called by any account other than the owner.
      */
     modifier onlyOwner() {
-        require(isOwner(), "Ownable: caller is not the owner");
+        requireOwner();
         _;
     }
 
+    /**
+     * @dev Check of `onlyOwner`, kept out of the modifier so it is not copied
+     * into every function that uses it.
+     */
+    function requireOwner() internal view {
+        require(isOwner(), "Ownable: caller is not the owner");
+    }
+
     /**
      * @dev Returns true if the caller is the current owner.
      */
     function isOwner() public view returns (bool) {
-        return msg.sender == _owner;
+        return _msgSender() == _owner;
+    }
+
+    /**
+     * @dev Returns the caller. Contracts that accept calls forwarded on behalf of
+     * another address can override this to return that address.
+     */
+    function _msgSender() internal view returns (address) {
+        return msg.sender;
     }
 
     /**
@@ -291,25 +384,280 @@ library SafeMath {
 
 
 
-contract FloatifyAccount is Ownable {
+/**
+ * @dev Collection of functions related to the address type
+ */
+library Address {
+    /**
+     * @dev Returns true if `account` is a contract.
+     *
+     * This test is non-exhaustive, and there may be false-negatives: during the
+     * execution of a contract's constructor, its address will be reported as
+     * not containing a contract.
+     *
+     * IMPORTANT: It is unsafe to assume that an address for which this
+     * function returns false is an externally-owned account (EOA) and not a
+     * contract.
+     */
+    function isContract(address account) internal view returns (bool) {
+        uint256 size;
+        // solium-disable-next-line security/no-inline-assembly
+        assembly { size := extcodesize(account) }
+        return size > 0;
+    }
+}
+
+
+/**
+ * @dev Stores the address of the logic contract behind a FloatifyAccountProxy. The address is kept
+ * in the slot defined by EIP-1967, keccak256("eip1967.proxy.implementation") - 1, so it cannot clash
+ * with FloatifyAccount's storage variables, which are laid out from slot 0
+ */
+contract ImplementationSlot {
+    bytes32 internal constant IMPLEMENTATION_SLOT = 0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc;
+
+    /**
+     * @dev Emitted when the implementation is set or changed
+     */
+    event Upgraded(address indexed implementation);
+
+    /**
+     * @dev Returns the address of the current implementation
+     */
+    function getImplementation() internal view returns (address _implementation) {
+        bytes32 _position = IMPLEMENTATION_SLOT;
+        // solium-disable-next-line security/no-inline-assembly
+        assembly { _implementation := sload(_position) }
+    }
+
+    /**
+     * @dev Sets the address of the implementation, throws error if it is not a contract
+     * @param _implementation Address of the new implementation
+     */
+    function setImplementation(address _implementation) internal {
+        uint256 _size;
+        // solium-disable-next-line security/no-inline-assembly
+        assembly { _size := extcodesize(_implementation) }
+        require(_size > 0, "Implementation must be a contract");
+
+        bytes32 _position = IMPLEMENTATION_SLOT;
+        // solium-disable-next-line security/no-inline-assembly
+        assembly { sstore(_position, _implementation) }
+        emit Upgraded(_implementation);
+    }
+}
+
+
+/**
+ * @dev Compound returns error codes instead of reverting, this turns them into revert reasons. Used
+ * by FloatifyAccountExtension for additional markets and by CompoundStrategy for the DAI market
+ */
+library CompoundErrors {
+    /**
+     * @dev Throws with `_message` followed by " (Compound error <code>)" if `_errorCode` is not zero,
+     * see `lib/errors.js` for what each code means
+     * @param _errorCode Value returned by a cToken's `mint`, `redeem` or `redeemUnderlying`
+     * @param _message Revert reason describing the call that failed
+     */
+    function requireSuccess(uint256 _errorCode, string memory _message) internal pure {
+        if (_errorCode != 0) {
+            revert(string(abi.encodePacked(_message, " (Compound error ", uintToString(_errorCode), ")")));
+        }
+    }
+
+    /**
+     * @dev Returns the decimal representation of `_value`
+     * @param _value Number to convert
+     */
+    function uintToString(uint256 _value) private pure returns (string memory) {
+        if (_value == 0) {
+            return "0";
+        }
+        uint256 _digits;
+        for (uint256 _remaining = _value; _remaining != 0; _remaining /= 10) {
+            _digits++;
+        }
+        bytes memory _buffer = new bytes(_digits);
+        uint256 _remaining = _value;
+        for (uint256 i = _digits; i > 0; i--) {
+            _buffer[i - 1] = byte(uint8(48 + _remaining % 10));
+            _remaining /= 10;
+        }
+        return string(_buffer);
+    }
+}
+
+
+/**
+ * @notice Storage, events, modifiers and shared internal functions of FloatifyAccount
+ * @dev FloatifyAccount and FloatifyAccountExtension both inherit this contract, so they have the
+ * same storage layout and the extension can run in an account's storage. Storage variables must
+ * only be declared here
+ */
+contract FloatifyAccountBase is Ownable, ImplementationSlot {
     using SafeMath for uint256;
+
     // =============================================================================================
     //                                    STORAGE VARIABLES
     // =============================================================================================
 
+    // Storage lives in each account's proxy and is kept across upgrades, so existing variables must
+    // never be removed, reordered or changed to another type. New variables go after the last one.
+    // `npm run storage-layout` checks this against config/storage-layout.json
+
     // Amount of DAI used to mint cDAI
     // If DAI was sent to the contract but not used to mint cDAI, it will not be counted here
     // Therefore, this value should be updated when the deposit function is called
     uint256 public totalDeposited;
 
-    // Amount of deposited DAI which was redeemed and withdrawn
-    // If DAI was sent to the contract and withdrawn without minting cDAI, it will not be counted here
-    // Therefore, this value should be updated when the redeemAndWithdraw functions are callled
+    // Amount of deposited DAI which was redeemed and withdrawn, i.e. principal plus realized interest
+    // If DAI was sent to the contract and withdrawn without minting cDAI, it will not be counted here,
+    // but in `totalStrayWithdrawn`. Therefore, this value should only be updated by `realizeRedemption`
     uint256 public totalWithdrawn;
 
     // DAI and CDAI interface variables
-    ICERC20 private daiContract; // interface to call functions from DAI contract
-    ICERC20 private cdaiContract; // interface to call functions from cDAI contract
+    ICERC20 internal daiContract; // interface to call functions from DAI contract
+    ICERC20 internal cdaiContract; // interface to call functions from cDAI contract
+
+    // Platform fee charged on earned interest, in basis points, and the address fees are sent to
+    uint256 public constant MAX_FEE_RATE = 2000; // fee rate can never be set above 20%
+    uint256 public feeRate;
+    address public treasury;
+
+    // Interest realized by redemptions. Redemptions realize interest before principal, so each one
+    // realizes the earnings returned by unrealizedEarnings() that are not counted here yet, up to the
+    // amount redeemed, and the rest is principal. A fee is charged once on each realized unit of
+    // interest, so this is only ever increased
+    uint256 public earningsRealized;
+
+    // Total amount of DAI sent to the treasury as fees
+    uint256 public totalFeesCharged;
+
+    // Address of our server, set to the deployer on deployment. The zero address means there is no operator
+    address public operator;
+
+    // Allowlist of addresses other than the user's own that the operator can withdraw to. Addresses
+    // added by the user are pending until `destinationDelay` has passed and they are activated, so
+    // the user has time to notice and cancel additions they did not make
+    uint256 public constant MAX_DESTINATION_DELAY = 30 days;
+    uint256 public constant DEFAULT_DESTINATION_DELAY = 2 days;
+    uint256 public destinationDelay;
+    mapping(address => bool) public allowedDestinations;
+    mapping(address => uint256) public pendingDestinations; // address => time it can be activated at
+
+    // When true, `deposit` is blocked so no more DAI is supplied to Compound. Withdrawals still work
+    bool public paused;
+
+    // EIP-712 signed authorizations let anyone submit deposits and redemptions signed by the user, so
+    // the user does not need ETH. solc 0.5.8 has no `chainid` opcode, so the chain ID is passed to
+    // `initialize`. Each authorization must use the current `nonce`, which is then incremented
+    bytes32 public constant DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+    );
+    bytes32 public constant DEPOSIT_TYPEHASH = keccak256("DepositAuthorization(uint256 nonce,uint256 expiry)");
+    bytes32 public constant REDEEM_MAX_TYPEHASH = keccak256(
+        "RedeemMaxAuthorization(address withdrawalAddress,uint256 nonce,uint256 expiry)"
+    );
+    bytes32 public constant REDEEM_PARTIAL_TYPEHASH = keccak256(
+        "RedeemPartialAuthorization(address withdrawalAddress,uint256 daiAmount,uint256 nonce,uint256 expiry)"
+    );
+    uint256 public chainId;
+    bytes32 public domainSeparator;
+    uint256 public nonce;
+
+    // Additional Compound markets, such as USDC/cUSDC. DAI is not one of them, it keeps using the DAI
+    // functions and accounting above. Amounts are in each underlying token's own units
+    address[] public assets; // underlying tokens of the additional markets, in the order they were added
+    mapping(address => address) public cTokens; // underlying token => cToken
+    mapping(address => uint256) public assetDeposited; // underlying token => amount used to mint cTokens
+    mapping(address => uint256) public assetWithdrawn; // underlying token => amount redeemed and withdrawn
+
+    // Set once `initialize` has run, so it can only run once
+    bool internal initialized;
+
+    // Contract the user trusts to forward calls made by other addresses, see `_msgSender`. The zero
+    // address means calls are not forwarded
+    address public batchExecutor;
+
+    // Standing orders let a beneficiary pull up to `amount` DAI each `period`, e.g. for rent, without
+    // the operator sending it. Periods start when the order is created and follow each other without
+    // gaps, and DAI not pulled in a period does not carry over
+    struct StandingOrder {
+        uint256 amount; // maximum amount of DAI that can be pulled each period
+        uint256 period; // length of a period in seconds
+        uint256 endTime; // time from which nothing can be pulled, zero if the order does not end
+        uint256 periodStart; // start of the period `pulled` is counted in
+        uint256 pulled; // amount of DAI pulled in that period
+    }
+    mapping(address => StandingOrder) public standingOrders; // beneficiary => standing order
+
+    // Savings goals lock an amount of DAI until a time or until the current value reaches a target.
+    // Locked DAI stays in Compound and keeps earning interest, but redemptions can only take the
+    // current value above `totalLocked`. The user can release a goal early for a penalty, which is
+    // a share of the goal's amount sent to the treasury
+    uint256 public constant MAX_EARLY_RELEASE_PENALTY = 1000; // penalty rate can never be set above 10%
+    struct SavingsGoal {
+        uint256 amount; // amount of DAI locked
+        uint256 unlockTime; // time the goal is reached at, zero if it has no unlock time
+        uint256 targetValue; // current value the goal is reached at, zero if it has no target
+        uint256 penaltyRate; // penalty for releasing the goal before it is reached, in basis points
+        bool released;
+    }
+    SavingsGoal[] public savingsGoals; // goal ID => savings goal
+    uint256 public totalLocked; // amount of DAI locked by goals that have not been released
+
+    // Amount of DAI that was held by this contract without being deposited, and was withdrawn with
+    // the redeemed DAI or by `withdraw`. It is not principal or interest, so it is kept out of
+    // `totalWithdrawn`
+    uint256 public totalStrayWithdrawn;
+
+    // Strategy deposits are supplied through, and its market, set by `migrateStrategy`. Until then
+    // both are zero and the account uses its implementation's Compound strategy with `cdaiContract`,
+    // see `strategy`
+    address internal yieldStrategy;
+    address internal yieldMarket;
+
+    // Slot of the implementation's own storage holding the address of its Compound strategy,
+    // keccak256("floatify.account.compound-strategy") - 1. Set by FloatifyAccount's constructor
+    bytes32 internal constant COMPOUND_STRATEGY_SLOT = 0x362462bf5d89c734dba102cf553d32935c6000a3f400ae4345f891093e71c002;
+
+    // Address `transferOwnership` nominated as the next owner, which becomes the owner once it calls
+    // `acceptOwnership`. Zero if no transfer is pending
+    address public pendingOwner;
+
+    // Guardians can recover the account to a new owner if the user loses their key. A recovery is
+    // started by one guardian, and can be executed by anyone once `guardianThreshold` guardians have
+    // approved it and `RECOVERY_DELAY` has passed since then. Until it is executed the user can cancel it
+    uint256 public constant RECOVERY_DELAY = 3 days;
+    mapping(address => bool) public guardians;
+    uint256 public guardianCount;
+    uint256 public guardianThreshold; // zero means recovery is disabled
+    struct Recovery {
+        address newOwner; // address the account is recovered to, zero if no recovery is in progress
+        uint256 approvals; // number of guardians that approved the recovery
+        uint256 executableAt; // time the recovery can be executed, zero until it has enough approvals
+    }
+    Recovery public recovery;
+    uint256 public recoveryId; // increases with each recovery, so approvals only count for one recovery
+    mapping(uint256 => mapping(address => bool)) public recoveryApprovals; // recovery ID => guardian => approved
+
+    // Limit on the DAI that callers other than the user, such as the operator, can withdraw within
+    // any `withdrawalWindow` seconds. Each limited withdrawal is logged, and leaves the window
+    // `withdrawalWindow` seconds after it was made
+    uint256 public constant MAX_WITHDRAWAL_WINDOW = 30 days;
+    uint256 public withdrawalLimit;
+    uint256 public withdrawalWindow; // zero means withdrawals are not limited
+    struct LimitedWithdrawal {
+        uint256 time;
+        uint256 amount;
+    }
+    LimitedWithdrawal[] internal limitedWithdrawals;
+    uint256 internal limitedWithdrawalsStart; // index of the oldest withdrawal that may still be in the window
+    uint256 internal limitedWithdrawalsTotal; // sum of the withdrawals from `limitedWithdrawalsStart` on
+
+    // Address that initialized the account, which can make the user the owner in one step with
+    // `handOverOwnership`, e.g. FloatifyAccountFactory. Zero once it has done so
+    address internal creator;
 
 
     // =============================================================================================
@@ -317,9 +665,10 @@ contract FloatifyAccount is Ownable {
     // =============================================================================================
 
     /**
-     * @dev Emitted when cDAI is successfully minted from DAI held by the contract
+     * @dev Emitted when cDAI is successfully minted from DAI held by the contract. `depositor` is the
+     * address the DAI was pulled from by `depositFrom`, or the zero address if it was already held
      */
-    event Deposit(uint256 indexed daiAmount);
+    event Deposit(uint256 indexed daiAmount, address indexed depositor);
 
     /**
      * @dev Emitted on withdrawal of DAI to an external account
@@ -327,117 +676,1392 @@ contract FloatifyAccount is Ownable {
     event Withdraw(address indexed destinationAddress, uint256 indexed daiAmount);
 
      /**
-      * @dev Emitted on redemption of cDAI for DAI by specifying cDAI amount
+      * @dev Emitted on redemption of the whole position for DAI. `cdaiAmount` is the amount of market
+      * tokens burned, which are cDAI for the Compound strategy. `daiAmount` is split into the
+      * `principalAmount` and `interestAmount` it realized
       */
-    event RedeemMax(uint256 indexed daiAmount, uint256 indexed cdaiAmount, address indexed withdrawalAddress);
+    event RedeemMax(
+        uint256 indexed daiAmount,
+        uint256 indexed cdaiAmount,
+        address indexed withdrawalAddress,
+        uint256 principalAmount,
+        uint256 interestAmount
+    );
 
     /**
-     * @dev Emitted on redemption of cDAI for DAI by specifying DAI amount
+     * @dev Emitted on redemption of a specified amount of DAI. `cdaiAmount` and the amounts are the
+     * same as in `RedeemMax`
      */
-    event RedeemPartial(uint256 indexed daiAmount, uint256 indexed cdaiAmount, address indexed withdrawalAddress);
+    event RedeemPartial(
+        uint256 indexed daiAmount,
+        uint256 indexed cdaiAmount,
+        address indexed withdrawalAddress,
+        uint256 principalAmount,
+        uint256 interestAmount
+    );
 
-    // =============================================================================================
-    //                                   MAIN OPERATION FUNCTIONS
-    // =============================================================================================
+    /**
+     * @dev Emitted when a fee on realized interest is sent to the treasury
+     */
+    event FeeCharged(address indexed treasury, uint256 daiAmount, uint256 interestAmount);
 
-    // CONSTRUCTOR FUNCTION AND HELPERS ============================================================
     /**
-     * @dev Approve cDAI contract upon deployment, throws error if fails
+     * @dev Emitted when the fee rate is changed
      */
-    constructor() public {
+    event FeeRateChanged(uint256 previousFeeRate, uint256 newFeeRate);
 
-        // Configure the ICERC20 state variables
-        address _daiAddress = 0x89d24A6b4CcB1B6fAA2625fE562bDD9a23260359; // mainnet DAI address
-        address _cdaiAddress = 0xF5DCe57282A584D2746FaF1593d3121Fcac444dC; // mainnet cDAI address
-        daiContract = ICERC20(_daiAddress);
-        cdaiContract = ICERC20(_cdaiAddress);
+    /**
+     * @dev Emitted when the treasury address is changed
+     */
+    event TreasuryChanged(address indexed previousTreasury, address indexed newTreasury);
 
-        // Approve the cDAI contract to spend our DAI balance
-        bool daiApprovalResult = daiContract.approve(_cdaiAddress, 2**256-1);
-        require(daiApprovalResult, "Failed to approve cDAI contract to spend DAI");
-    }
+    /**
+     * @dev Emitted when the operator is set, replaced or revoked
+     */
+    event OperatorChanged(address indexed previousOperator, address indexed newOperator);
+
+    /**
+     * @dev Emitted when the batch executor is set, replaced or removed
+     */
+    event BatchExecutorChanged(address indexed previousExecutor, address indexed newExecutor);
 
+    /**
+     * @dev Emitted when the user adds a destination to the allowlist, which can be activated at `activationTime`
+     */
+    event DestinationAdded(address indexed destination, uint256 activationTime);
 
-    // DEPOSIT FUNCTION ============================================================================
     /**
-     * @notice Deposits all DAI in this contract and mints cDAI to start earning interest
+     * @dev Emitted when a pending destination is activated and can be withdrawn to
+     */
+    event DestinationActivated(address indexed destination);
+
+    /**
+     * @dev Emitted when the user cancels a pending destination before it is activated
+     */
+    event DestinationCancelled(address indexed destination);
+
+    /**
+     * @dev Emitted when the user removes an active destination from the allowlist
+     */
+    event DestinationRemoved(address indexed destination);
+
+    /**
+     * @dev Emitted when the delay before new destinations can be activated is changed
+     */
+    event DestinationDelayChanged(uint256 previousDelay, uint256 newDelay);
+
+    /**
+     * @dev Emitted when deposits are paused by `account`
+     */
+    event Paused(address account);
+
+    /**
+     * @dev Emitted when deposits are unpaused by `account`
+     */
+    event Unpaused(address account);
+
+    /**
+     * @dev Emitted when a token other than DAI or cDAI is swept from the contract
+     */
+    event TokenRescued(address indexed token, address indexed destinationAddress, uint256 amount);
+
+    /**
+     * @dev Emitted when ETH is swept from the contract
+     */
+    event EtherRescued(address indexed destinationAddress, uint256 amount);
+
+    /**
+     * @dev Emitted when a signed authorization is used, by `relayer`
+     */
+    event AuthorizationUsed(uint256 indexed nonce, address indexed relayer);
+
+    /**
+     * @dev Emitted when an additional Compound market is added
+     */
+    event MarketAdded(address indexed asset, address indexed cToken);
+
+    /**
+     * @dev Emitted when cTokens are minted from an underlying token held by the contract
+     */
+    event AssetDeposit(address indexed asset, uint256 amount);
+
+    /**
+     * @dev Emitted on withdrawal of an underlying token to an external account
+     */
+    event AssetWithdraw(address indexed asset, address indexed destinationAddress, uint256 amount);
+
+    /**
+     * @dev Emitted on redemption of cTokens for an underlying token
+     */
+    event AssetRedeem(address indexed asset, uint256 amount, uint256 cTokenAmount, address indexed withdrawalAddress);
+
+    /**
+     * @dev Emitted when the user creates or replaces the standing order of `beneficiary`
+     */
+    event StandingOrderCreated(address indexed beneficiary, uint256 daiAmount, uint256 period, uint256 endTime);
+
+    /**
+     * @dev Emitted when the user revokes the standing order of `beneficiary`
+     */
+    event StandingOrderRevoked(address indexed beneficiary);
+
+    /**
+     * @dev Emitted when `beneficiary` pulls DAI with their standing order, in the period starting at `periodStart`
+     */
+    event StandingOrderExecuted(address indexed beneficiary, uint256 daiAmount, uint256 periodStart);
+
+    /**
+     * @dev Emitted when the user creates a savings goal
+     */
+    event SavingsGoalCreated(
+        uint256 indexed goalId,
+        uint256 daiAmount,
+        uint256 unlockTime,
+        uint256 targetValue,
+        uint256 penaltyRate
+    );
+
+    /**
+     * @dev Emitted when a savings goal is released, with the penalty paid if it was released early
+     */
+    event SavingsGoalReleased(uint256 indexed goalId, uint256 daiAmount, uint256 penalty);
+
+    /**
+     * @dev Emitted when the position is moved to another strategy or market
+     */
+    event StrategyMigrated(
+        address indexed previousStrategy,
+        address previousMarket,
+        address indexed newStrategy,
+        address newMarket,
+        uint256 daiAmount
+    );
+
+    /**
+     * @dev Emitted when the owner nominates a new owner, or clears the nomination with the zero address
+     */
+    event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner);
+
+    /**
+     * @dev Emitted when the user adds a guardian
      */
-    function deposit() external onlyOwner {
-        uint _daiBalance = daiContract.balanceOf(address(this));
-        totalDeposited = _daiBalance.add(totalDeposited);
-        emit Deposit(_daiBalance);
-        require(cdaiContract.mint(_daiBalance) == 0, "Call to mint function failed");
+    event GuardianAdded(address indexed guardian);
+
+    /**
+     * @dev Emitted when the user removes a guardian
+     */
+    event GuardianRemoved(address indexed guardian);
+
+    /**
+     * @dev Emitted when the number of guardian approvals a recovery needs is changed
+     */
+    event GuardianThresholdChanged(uint256 previousThreshold, uint256 newThreshold);
+
+    /**
+     * @dev Emitted when a guardian starts a recovery to `newOwner`
+     */
+    event RecoveryStarted(uint256 indexed recoveryId, address indexed guardian, address indexed newOwner);
+
+    /**
+     * @dev Emitted for each guardian approving a recovery. `executableAt` is zero until the
+     * recovery has enough approvals
+     */
+    event RecoveryApproved(uint256 indexed recoveryId, address indexed guardian, uint256 approvals, uint256 executableAt);
+
+    /**
+     * @dev Emitted when the user cancels a recovery
+     */
+    event RecoveryCancelled(uint256 indexed recoveryId, address indexed newOwner);
+
+    /**
+     * @dev Emitted when a recovery is executed, along with OwnershipTransferred
+     */
+    event RecoveryExecuted(uint256 indexed recoveryId, address indexed previousOwner, address indexed newOwner);
+
+    /**
+     * @dev Emitted when the user changes the withdrawal limit
+     */
+    event WithdrawalLimitChanged(uint256 daiAmount, uint256 window);
+
+
+    // =============================================================================================
+    //                                       MODIFIERS
+    // =============================================================================================
+
+    // Modifiers are inlined into every function that uses them, so their checks are in separate
+    // functions to keep the contracts under the code size limit
+
+    /**
+     * @dev Throws if called by any account other than the user or the operator
+     */
+    modifier onlyUserOrOperator() {
+        requireUserOrOperator();
+        _;
     }
 
-    // WITHDRAWAL PROCESS FUNCTIONS ================================================================
-    // There are two supported flows:
-    //        1. Redeem everything:
-    //                a. Specify address to withdraw to
-    //                b. Get the cDAI balance of this contract
-    //                c. Call redeem() with the balance from step 1b
-    //                d. Withdraw DAI to the address specified in step 1a
-    //        2. Redeem a specified amount of DAI
-    //                a. Specify address to withdraw to and an amount of DAI to withdraw
-    //                b. Call redeemUnderlying() with the amount of DAI specified in step 2a
-    //                c. Withdraw DAI to the address specified in step 2a
+    /**
+     * @dev Throws if the operator is withdrawing to an address that is not the user's and is not an
+     * active destination on the allowlist. The user can withdraw to any address
+     * @param _destination Address DAI will be sent to
+     */
+    modifier onlyAllowedDestination(address _destination) {
+        requireAllowedDestination(_destination);
+        _;
+    }
 
     /**
-     * @notice Withdraws all DAI from this contract to a specified address
-     * @dev We keep this as `public onlyOwner` in case there is ever a need to Withdraw DAI without
-     * depositing it in Compound first
-     * @param _withdrawalAddress Address to send DAI to
+     * @dev Check of `onlyUserOrOperator`
      */
-    function withdraw(address _withdrawalAddress) public onlyOwner {
-        require(_withdrawalAddress != address(0), "Cannot withdraw to the zero address");
-        uint256 _daiBalance = daiContract.balanceOf(address(this));
-        emit Withdraw(_withdrawalAddress, _daiBalance);
-        require(daiContract.transfer(_withdrawalAddress, _daiBalance), "Withrawal of DAI failed");
+    function requireUserOrOperator() internal view {
+        require(isOwner() || _msgSender() == operator, "Caller is not the user or operator");
     }
 
     /**
-     * @notice Redeems all cDAI held by this contract for DAI and sends it to a specified address
-     * @dev This corresponds to flow 1 above
-     * @param _withdrawalAddress Address to send DAI to
+     * @dev Check of `onlyAllowedDestination`
+     * @param _destination Address DAI will be sent to
      */
-    function redeemAndWithdrawMax(address _withdrawalAddress) external onlyOwner {
-        // 1a. Destination address specified as an input
-        require(_withdrawalAddress != address(0), "Cannot withdraw to the zero address");
-        // 1b. Get the cDAI balance of this contract
-        uint256 _cdaiBalance = cdaiContract.balanceOf(address(this));
-        // 1c. Call redeem() with the balance from step 1b
-        // EXTERNAL CONTRACT CALL -- state updates must happen after this call
-        //   This is bad practice, but because (1) this function is onlyOwner, and (2) we
-        //   trust the DAI and cDAI contracts to be secure, the risk is mitigated
-        require(cdaiContract.redeem(_cdaiBalance) == 0, "Redemption of all cDAI for DAI failed");
-        uint256 _daiBalance = daiContract.balanceOf(address(this));
-        emit RedeemMax(_daiBalance, _cdaiBalance, _withdrawalAddress);
-        totalWithdrawn = _daiBalance.add(totalWithdrawn); // right after this line we withdraw the full DAI balance
-        // 1d. Withdraw all DAI to the address specified in step 1a
-        withdraw(_withdrawalAddress);
+    function requireAllowedDestination(address _destination) internal view {
+        require(
+            isOwner() || _destination == owner() || allowedDestinations[_destination],
+            "Withdrawal address is not on the allowlist"
+        );
     }
 
+
+    // =============================================================================================
+    //                                   INTERNAL FUNCTIONS
+    // =============================================================================================
+
+    // HELPERS =====================================================================================
     /**
-     * @notice Takes an amount of DAI and redeems the equivalent amount of cDAI
-     * @dev This corresponds to flow 2 above
-     * @param _withdrawalAddress Address to send DAI to
-     * @param _daiAmount Amount of DAI to redeem
+     * @dev Returns true if `_account` is a contract, see `Address.isContract`
+     * @param _account Address to check
      */
-    function redeemAndWithdrawPartial(address _withdrawalAddress, uint256 _daiAmount) external onlyOwner {
-        // 2a. Address to withdraw to and amount of DAI to withdraw specified as inputs
-        require(_withdrawalAddress != address(0), "Cannot withdraw to the zero address");
-        // 2b. Call redeemUnderlying() with the amount of DAI specified in step 2a
-        uint256 _initialCdaiBalance = cdaiContract.balanceOf(address(this));
-        require(cdaiContract.redeemUnderlying(_daiAmount) == 0, "Redemption of some cDAI for DAI failed");
-        uint256 _finalCdaiBalance = cdaiContract.balanceOf(address(this));
-        // EXTERNAL CONTRACT CALL -- state updates must happen after this call
-        //   This is bad practice, but because (1) this function is onlyOwner, and (2) we
-        //   trust the DAI and cDAI contracts to be secure, the risk is mitigated
-        uint256 _daiBalance = daiContract.balanceOf(address(this));
-        uint256 _cdaiBalance = _initialCdaiBalance.sub(_finalCdaiBalance);
-        emit RedeemPartial(_daiAmount, _cdaiBalance, _withdrawalAddress);
-        totalWithdrawn = _daiBalance.add(totalWithdrawn); // right after this line we withdraw the full DAI balance
-        // 2c. Withdraw all DAI to the address specified in step 2a
-        withdraw(_withdrawalAddress);
+    function isContract(address _account) internal view returns (bool) {
+        return Address.isContract(_account);
     }
 
+    /**
+     * @dev Returns the caller, or for calls forwarded by the batch executor, the address that called
+     * the executor, which it appends to the call data. All access control uses this
+     */
+    function _msgSender() internal view returns (address _sender) {
+        if (msg.sender != batchExecutor || msg.data.length < 24) {
+            return msg.sender;
+        }
+        // solium-disable-next-line security/no-inline-assembly
+        assembly { _sender := shr(96, calldataload(sub(calldatasize(), 20))) }
+    }
+
+    // STRATEGY HELPERS ============================================================================
+    /**
+     * @dev Delegates a call to a strategy and returns the number it returns, if any. Throws with
+     * the strategy's revert reason if it fails
+     * @param _strategy Address of the IYieldStrategy
+     * @param _data Encoded call
+     */
+    function delegateToStrategy(address _strategy, bytes memory _data) internal returns (uint256 _result) {
+        // solium-disable-next-line security/no-low-level-calls
+        (bool _success, bytes memory _returnData) = _strategy.delegatecall(_data);
+        if (!_success) {
+            // solium-disable-next-line security/no-inline-assembly
+            assembly { revert(add(_returnData, 32), mload(_returnData)) }
+        }
+        if (_returnData.length > 0) {
+            _result = abi.decode(_returnData, (uint256));
+        }
+    }
+
+    /**
+     * @dev Prepares this contract to use the current strategy
+     */
+    function enterStrategy() internal {
+        (address _strategy, address _market) = strategy();
+        delegateToStrategy(_strategy, abi.encodeWithSelector(IYieldStrategy(_strategy).enter.selector, _market));
+    }
+
+    /**
+     * @dev Supplies DAI held by this contract to the current strategy
+     * @param _daiAmount Amount of DAI to supply
+     */
+    function supplyToStrategy(uint256 _daiAmount) internal {
+        (address _strategy, address _market) = strategy();
+        delegateToStrategy(
+            _strategy,
+            abi.encodeWithSelector(IYieldStrategy(_strategy).supply.selector, _market, _daiAmount)
+        );
+    }
+
+    /**
+     * @dev Redeems DAI from the current strategy, leaving it in this contract
+     * @param _daiAmount Amount of DAI to redeem
+     * @return Amount of market tokens burned
+     */
+    function redeemFromStrategy(uint256 _daiAmount) internal returns (uint256) {
+        (address _strategy, address _market) = strategy();
+        return delegateToStrategy(
+            _strategy,
+            abi.encodeWithSelector(IYieldStrategy(_strategy).redeem.selector, _market, _daiAmount)
+        );
+    }
+
+    /**
+     * @dev Redeems the whole position in the current strategy, leaving the DAI in this contract
+     * @return Amount of market tokens burned
+     */
+    function redeemAllFromStrategy() internal returns (uint256) {
+        (address _strategy, address _market) = strategy();
+        return delegateToStrategy(_strategy, abi.encodeWithSelector(IYieldStrategy(_strategy).redeemAll.selector, _market));
+    }
+
+
+    // VIEW FUNCTIONS ==============================================================================
+    /**
+     * @notice Returns the amount of DAI the position in the current strategy can be redeemed for
+     * @dev For Compound this uses cDAI's stored exchange rate, which only includes interest up to the
+     * last block the cDAI market was interacted with. DAI held by this contract that was not
+     * deposited is not included
+     */
+    function currentValue() public view returns (uint256) {
+        (address _strategy, address _market) = strategy();
+        return IYieldStrategy(_strategy).currentValue(_market, address(this));
+    }
+
+    /**
+     * @notice Returns the IYieldStrategy deposits are supplied through and the market it supplies to
+     * @dev Accounts use the Compound strategy of their implementation with the cDAI market until
+     * `migrateStrategy` is called
+     */
+    function strategy() public view returns (address _strategy, address _market) {
+        if (yieldStrategy == address(0)) {
+            return (compoundStrategy(), address(cdaiContract));
+        }
+        return (yieldStrategy, yieldMarket);
+    }
+
+    /**
+     * @notice Returns the address of the Compound IYieldStrategy of this implementation
+     */
+    function compoundStrategy() public view returns (address) {
+        // Accounts read the strategy from their implementation's storage
+        return implementationAddress(COMPOUND_STRATEGY_SLOT);
+    }
+
+    /**
+     * @notice Returns the interest earned on deposits, i.e. current value plus withdrawn minus deposited
+     * @dev Minting cDAI rounds down, so right after a deposit the current value can be slightly less
+     * than the amount deposited. In that case this returns zero rather than reverting
+     */
+    function unrealizedEarnings() public view returns (uint256) {
+        uint256 _grossValue = currentValue().add(totalWithdrawn);
+        if (_grossValue < totalDeposited) {
+            return 0;
+        }
+        return _grossValue.sub(totalDeposited);
+    }
+
+    /**
+     * @notice Returns the amount of deposited DAI that has not been redeemed yet
+     * @dev DAI lost to rounding by Compound stays in this amount after everything is redeemed
+     */
+    function outstandingPrincipal() public view returns (uint256) {
+        uint256 _principalWithdrawn = totalWithdrawn.sub(earningsRealized);
+        return totalDeposited > _principalWithdrawn ? totalDeposited.sub(_principalWithdrawn) : 0;
+    }
+
+    /**
+     * @notice Returns the amount of DAI that can be redeemed, i.e. the current value that is not
+     * locked by savings goals
+     */
+    function availableBalance() public view returns (uint256) {
+        uint256 _currentValue = currentValue();
+        return _currentValue > totalLocked ? _currentValue.sub(totalLocked) : 0;
+    }
+
+    /**
+     * @notice Returns the amount of DAI `_beneficiary` can still pull in the current period
+     * @param _beneficiary Address the standing order was created for
+     */
+    function standingOrderAvailable(address _beneficiary) external view returns (uint256) {
+        StandingOrder storage _order = standingOrders[_beneficiary];
+        // solium-disable-next-line security/no-block-members
+        if (_order.period == 0 || (_order.endTime != 0 && now >= _order.endTime)) {
+            return 0;
+        }
+        if (currentPeriodStart(_order) != _order.periodStart) {
+            return _order.amount;
+        }
+        return _order.amount.sub(_order.pulled);
+    }
+
+    /**
+     * @dev Returns the start of the period that contains the current time
+     * @param _order Standing order whose periods to use
+     */
+    function currentPeriodStart(StandingOrder storage _order) internal view returns (uint256) {
+        // solium-disable-next-line security/no-block-members
+        uint256 _elapsedPeriods = now.sub(_order.periodStart).div(_order.period);
+        return _order.periodStart.add(_elapsedPeriods.mul(_order.period));
+    }
+
+    /**
+     * @notice Returns the number of savings goals that were created, including released ones
+     */
+    function savingsGoalCount() external view returns (uint256) {
+        return savingsGoals.length;
+    }
+
+    /**
+     * @notice Returns true if a savings goal's unlock time has passed or its target has been reached
+     * @param _goalId ID of the savings goal
+     */
+    function savingsGoalReached(uint256 _goalId) public view returns (bool) {
+        require(_goalId < savingsGoals.length, "Savings goal does not exist");
+        SavingsGoal storage _goal = savingsGoals[_goalId];
+        // solium-disable-next-line security/no-block-members
+        return (_goal.unlockTime != 0 && now >= _goal.unlockTime) ||
+            (_goal.targetValue != 0 && currentValue() >= _goal.targetValue);
+    }
+
+    /**
+     * @notice Returns the number of additional markets, i.e. the length of `assets`
+     */
+    function assetCount() external view returns (uint256) {
+        return assets.length;
+    }
+
+    /**
+     * @notice Returns the amount of `_asset` the cTokens held by this contract can currently be redeemed for
+     * @param _asset Underlying token of the market
+     */
+    function assetCurrentValue(address _asset) external view returns (uint256) {
+        ICERC20 _cToken = getCToken(_asset);
+        return _cToken.balanceOf(address(this)).mul(_cToken.exchangeRateStored()).div(1e18);
+    }
+
+    /**
+     * @dev Returns the cToken of a market, throws if the market has not been added
+     */
+    function getCToken(address _asset) internal view returns (ICERC20) {
+        address _cToken = cTokens[_asset];
+        require(_cToken != address(0), "Market has not been added");
+        return ICERC20(_cToken);
+    }
+
+    /**
+     * @notice Returns the address stored at `_position` of this contract's own storage
+     * @dev Accounts call this on their implementation to read the addresses its constructor stored
+     * @param _position Storage slot to read
+     */
+    function storedAddress(bytes32 _position) external view returns (address _value) {
+        // solium-disable-next-line security/no-inline-assembly
+        assembly { _value := sload(_position) }
+    }
+
+    /**
+     * @dev Returns the address stored at `_position` of the implementation's storage, or of this
+     * contract's storage when it is the implementation itself. Only one level is followed, so what
+     * accounts delegate to cannot be changed through the implementation's own EIP-1967 slot
+     * @param _position Storage slot to read
+     */
+    function implementationAddress(bytes32 _position) internal view returns (address _value) {
+        address _implementation = getImplementation();
+        if (_implementation != address(0)) {
+            return FloatifyAccountBase(_implementation).storedAddress(_position);
+        }
+        // solium-disable-next-line security/no-inline-assembly
+        assembly { _value := sload(_position) }
+    }
+
+
+    // WITHDRAWAL PROCESS FUNCTIONS ================================================================
+    // There are two supported flows:
+    //        1. Redeem everything:
+    //                a. Specify address to withdraw to
+    //                b. Redeem the whole position through the strategy, e.g. call cDAI's redeem()
+    //                   with the cDAI balance of this contract
+    //                c. Withdraw DAI to the address specified in step 1a
+    //        2. Redeem a specified amount of DAI
+    //                a. Specify address to withdraw to and an amount of DAI to withdraw
+    //                b. Redeem the amount of DAI specified in step 2a through the strategy, e.g.
+    //                   call cDAI's redeemUnderlying()
+    //                c. Withdraw DAI to the address specified in step 2a
+    // In both flows, a fee on any interest realized by the redemption is sent to the treasury before
+    // the withdrawal, so the withdrawal address receives the redeemed DAI minus the fee. DAI held
+    // before the redemption is withdrawn with it, and counted in `totalStrayWithdrawn`
+
+    /**
+     * @dev Sends all DAI in this contract to `_withdrawalAddress`. Callers must check access
+     * @return Amount of DAI sent
+     */
+    function executeWithdraw(address _withdrawalAddress) internal returns (uint256 _daiBalance) {
+        require(_withdrawalAddress != address(0), "Cannot withdraw to the zero address");
+        _daiBalance = daiContract.balanceOf(address(this));
+        emit Withdraw(_withdrawalAddress, _daiBalance);
+        require(daiContract.transfer(_withdrawalAddress, _daiBalance), "Withrawal of DAI failed");
+    }
+
+    /**
+     * @dev Flow 1 above. Callers must check access
+     * @return Amount of DAI sent
+     */
+    function executeRedeemMax(address _withdrawalAddress) internal returns (uint256) {
+        // 1a. Destination address specified as an input
+        require(_withdrawalAddress != address(0), "Cannot withdraw to the zero address");
+        // 1b.
+        redeemMax(_withdrawalAddress);
+        // 1c. Withdraw all DAI to the address specified in step 1a
+        return executeWithdraw(_withdrawalAddress);
+    }
+
+    /**
+     * @dev Flow 2 above. Callers must check access
+     * @return Amount of DAI sent
+     */
+    function executeRedeemPartial(address _withdrawalAddress, uint256 _daiAmount) internal returns (uint256) {
+        // 2a. Address to withdraw to and amount of DAI to withdraw specified as inputs
+        require(_withdrawalAddress != address(0), "Cannot withdraw to the zero address");
+        // 2b.
+        redeemPartial(_daiAmount, _withdrawalAddress);
+        // 2c. Withdraw all DAI to the address specified in step 2a
+        return executeWithdraw(_withdrawalAddress);
+    }
+
+    /**
+     * @dev Step 1b, and the fee. Leaves the redeemed DAI in this contract
+     * @param _withdrawalAddress Address the DAI will be sent to, only used in the event
+     */
+    function redeemMax(address _withdrawalAddress) internal {
+        uint256 _strayDai = recordStrayDai();
+        uint256 _marketAmount;
+        uint256 _daiAmount;
+        // 1b. Redeem the whole position
+        // EXTERNAL CONTRACT CALL -- state updates must happen after this call
+        //   This is bad practice, but because (1) only the user, the operator or a user-signed
+        //   authorization can trigger this, and (2) we trust the DAI contract and the strategy's
+        //   market to be secure, the risk is mitigated
+        if (totalLocked > 0) {
+            // While savings goals lock part of the value, only the rest can be redeemed
+            _daiAmount = availableBalance();
+            _marketAmount = redeemFromStrategy(_daiAmount);
+        } else {
+            _marketAmount = redeemAllFromStrategy();
+            _daiAmount = daiContract.balanceOf(address(this)).sub(_strayDai);
+        }
+        (uint256 _principalAmount, uint256 _interestAmount) = realizeRedemption(_daiAmount);
+        emit RedeemMax(_daiAmount, _marketAmount, _withdrawalAddress, _principalAmount, _interestAmount);
+        chargeFee(_interestAmount);
+    }
+
+    /**
+     * @dev Step 2b, and the fee. Leaves the redeemed DAI in this contract
+     * @param _daiAmount Amount of DAI to redeem
+     * @param _withdrawalAddress Address the DAI will be sent to, only used in the event
+     */
+    function redeemPartial(uint256 _daiAmount, address _withdrawalAddress) internal {
+        require(totalLocked == 0 || _daiAmount <= availableBalance(), "Amount exceeds the unlocked balance");
+        recordStrayDai();
+        // 2b. Redeem the amount of DAI specified in step 2a
+        // EXTERNAL CONTRACT CALL -- state updates must happen after this call, see `redeemMax`
+        uint256 _marketAmount = redeemFromStrategy(_daiAmount);
+        (uint256 _principalAmount, uint256 _interestAmount) = realizeRedemption(_daiAmount);
+        emit RedeemPartial(_daiAmount, _marketAmount, _withdrawalAddress, _principalAmount, _interestAmount);
+        chargeFee(_interestAmount);
+    }
+
+    /**
+     * @dev Counts the DAI this contract holds before a redemption in `totalStrayWithdrawn`. Callers
+     * must withdraw all DAI held afterwards
+     * @return Amount of DAI held
+     */
+    function recordStrayDai() internal returns (uint256 _strayDai) {
+        _strayDai = daiContract.balanceOf(address(this));
+        totalStrayWithdrawn = _strayDai.add(totalStrayWithdrawn);
+    }
+
+    /**
+     * @dev Adds a redemption to `totalWithdrawn` and splits it into principal and interest. Interest
+     * is realized first, so a redemption realizes all earnings not yet realized, up to the amount
+     * redeemed, and the rest is principal. Must be called after the cDAI is redeemed
+     * @param _daiAmount Amount of DAI redeemed
+     */
+    function realizeRedemption(uint256 _daiAmount)
+        internal
+        returns (uint256 _principalAmount, uint256 _interestAmount)
+    {
+        totalWithdrawn = _daiAmount.add(totalWithdrawn);
+        uint256 _earnings = unrealizedEarnings();
+        if (_earnings > earningsRealized) {
+            _interestAmount = _earnings.sub(earningsRealized);
+            if (_interestAmount > _daiAmount) {
+                _interestAmount = _daiAmount;
+            }
+            earningsRealized = earningsRealized.add(_interestAmount);
+        }
+        _principalAmount = _daiAmount.sub(_interestAmount);
+    }
+
+    /**
+     * @dev Sends the fee on interest realized by a redemption to the treasury. Principal is never
+     * charged a fee
+     * @param _interestAmount Interest realized by the redemption, from `realizeRedemption`
+     * @return Amount of DAI sent to the treasury
+     */
+    function chargeFee(uint256 _interestAmount) internal returns (uint256 _fee) {
+        _fee = _interestAmount.mul(feeRate).div(10000);
+        if (_fee == 0) {
+            return 0;
+        }
+        totalFeesCharged = totalFeesCharged.add(_fee);
+        emit FeeCharged(treasury, _fee, _interestAmount);
+        require(daiContract.transfer(treasury, _fee), "Transfer of fee to treasury failed");
+    }
+
+    // WITHDRAWAL LIMIT HELPERS ====================================================================
+    /**
+     * @dev Counts DAI withdrawn by a caller other than the user against the withdrawal limit. Throws
+     * if it is more than what is left of the limit, which reverts the whole withdrawal
+     * @param _daiAmount Amount of DAI withdrawn
+     */
+    function useWithdrawalLimit(uint256 _daiAmount) internal {
+        if (withdrawalWindow == 0 || isOwner() || _daiAmount == 0) {
+            return;
+        }
+        (uint256 _start, uint256 _withdrawn) = limitedWithdrawalsInWindow();
+        for (uint256 i = limitedWithdrawalsStart; i < _start; i++) {
+            delete limitedWithdrawals[i];
+        }
+        _withdrawn = _withdrawn.add(_daiAmount);
+        require(_withdrawn <= withdrawalLimit, "Amount exceeds the withdrawal limit");
+        // solium-disable-next-line security/no-block-members
+        limitedWithdrawals.push(LimitedWithdrawal(now, _daiAmount));
+        limitedWithdrawalsStart = _start;
+        limitedWithdrawalsTotal = _withdrawn;
+    }
+
+    /**
+     * @dev Returns the index of the oldest limited withdrawal still in the window, and the sum of the
+     * withdrawals from there on
+     */
+    function limitedWithdrawalsInWindow() internal view returns (uint256 _start, uint256 _withdrawn) {
+        _start = limitedWithdrawalsStart;
+        _withdrawn = limitedWithdrawalsTotal;
+        // solium-disable-next-line security/no-block-members
+        while (_start < limitedWithdrawals.length && limitedWithdrawals[_start].time.add(withdrawalWindow) <= now) {
+            _withdrawn = _withdrawn.sub(limitedWithdrawals[_start].amount);
+            _start++;
+        }
+    }
+}
+
+
+/**
+ * @notice Interest-earning account for one user
+ * @dev There are two roles. The owner is the user, who can always withdraw everything, manage the
+ * allowlist of withdrawal destinations and revoke or replace the operator. The operator is our
+ * server, which can deposit and can only withdraw to the user or to allowed destinations.
+ *
+ * Accounts are FloatifyAccountProxy contracts that delegate to a shared deployment of this contract,
+ * and only the user can upgrade their account to a new one
+ *
+ * Functions that do not fit in this contract's code size are in FloatifyAccountExtension. This
+ * contract declares them so they are part of its ABI, and delegates them to the extension
+ */
+contract FloatifyAccount is FloatifyAccountBase {
+    // Slot of this contract's own storage holding the FloatifyAccountExtension address,
+    // keccak256("floatify.account.extension") - 1. The address is set by the constructor, so accounts
+    // read it from their implementation and every implementation can have its own extension
+    bytes32 internal constant EXTENSION_SLOT = 0x314bc19e0039ce5adf537f39e1809a37c4505e720277c569c983d01eab561bae;
+
+
+    // =============================================================================================
+    //                                   MAIN OPERATION FUNCTIONS
+    // =============================================================================================
+
+    // INITIALIZATION FUNCTIONS AND HELPERS =========================================================
+    /**
+     * @dev This contract is only used through proxies, so its own storage is never initialized. It
+     * is left without an owner, so nobody can upgrade it or call its other `onlyOwner` functions
+     * @param _extension Address of the FloatifyAccountExtension functions are delegated to
+     * @param _compoundStrategy Address of the CompoundStrategy accounts use until they migrate
+     */
+    constructor(address _extension, address _compoundStrategy) public {
+        require(isContract(_extension), "Extension must be a contract");
+        require(isContract(_compoundStrategy), "Strategy must be a contract");
+        initialized = true;
+        Ownable.renounceOwnership();
+        bytes32 _position = EXTENSION_SLOT;
+        // solium-disable-next-line security/no-inline-assembly
+        assembly { sstore(_position, _extension) }
+        _position = COMPOUND_STRATEGY_SLOT;
+        // solium-disable-next-line security/no-inline-assembly
+        assembly { sstore(_position, _compoundStrategy) }
+    }
+
+    /**
+     * @notice Sets up an account, called by its proxy on deployment. Can only be called once
+     * @dev Validate token addresses and enter the cDAI market through the Compound strategy, throws
+     * error if fails. The caller becomes the owner and the operator
+     * @param _daiAddress Address of the DAI contract
+     * @param _cdaiAddress Address of the cDAI contract, whose underlying token must be `_daiAddress`
+     * @param _chainId ID of the chain this contract is deployed to, used in signed authorizations
+     */
+    function initialize(address _daiAddress, address _cdaiAddress, uint256 _chainId) external {
+        require(!initialized, "Account has already been initialized");
+        initialized = true;
+
+        // Validate token addresses. Calls to an address with no code would revert without a reason
+        // string, so we check for that first
+        require(_daiAddress != address(0), "DAI address cannot be the zero address");
+        require(_cdaiAddress != address(0), "cDAI address cannot be the zero address");
+        require(isContract(_daiAddress), "DAI address must be a contract");
+        require(isContract(_cdaiAddress), "cDAI address must be a contract");
+        require(ICERC20(_cdaiAddress).underlying() == _daiAddress, "cDAI underlying token must be DAI");
+
+        // Configure the ICERC20 state variables
+        daiContract = ICERC20(_daiAddress);
+        cdaiContract = ICERC20(_cdaiAddress);
+
+        // Enter the cDAI market, which approves the cDAI contract to spend our DAI balance
+        enterStrategy();
+
+        // The deployer is the owner, and the operator until it is replaced or revoked
+        _transferOwnership(msg.sender);
+        creator = msg.sender;
+        operator = msg.sender;
+        emit OperatorChanged(address(0), msg.sender);
+        destinationDelay = DEFAULT_DESTINATION_DELAY;
+
+        chainId = _chainId;
+        domainSeparator = keccak256(
+            abi.encode(DOMAIN_TYPEHASH, keccak256("FloatifyAccount"), keccak256("1"), _chainId, address(this))
+        );
+    }
+
+
+    /**
+     * @dev Returns true if `_token` is DAI, the market of the current strategy, or the underlying token
+     * or cToken of an additional market
+     * @param _token Address to check
+     */
+    function isMarketToken(address _token) private view returns (bool) {
+        (, address _market) = strategy();
+        if (_token == address(daiContract) || _token == _market || cTokens[_token] != address(0)) {
+            return true;
+        }
+        for (uint256 i = 0; i < assets.length; i++) {
+            if (cTokens[assets[i]] == _token) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+
+    // FEE CONFIGURATION FUNCTIONS =================================================================
+    /**
+     * @notice Sets the fee charged on realized interest
+     * @dev Fees only apply to interest realized after this is called
+     * @param _feeRate New fee rate in basis points, at most MAX_FEE_RATE
+     */
+    function setFeeRate(uint256 _feeRate) external onlyOwner {
+        require(_feeRate <= MAX_FEE_RATE, "Fee rate cannot exceed the maximum");
+        require(_feeRate == 0 || treasury != address(0), "Treasury must be set before charging a fee");
+        emit FeeRateChanged(feeRate, _feeRate);
+        feeRate = _feeRate;
+    }
+
+    /**
+     * @notice Sets the address fees are sent to
+     * @param _treasury New treasury address
+     */
+    function setTreasury(address _treasury) external onlyOwner {
+        require(_treasury != address(0), "Treasury cannot be the zero address");
+        emit TreasuryChanged(treasury, _treasury);
+        treasury = _treasury;
+    }
+
+
+    // OWNERSHIP FUNCTIONS =========================================================================
+    /**
+     * @notice Nominates `newOwner` as the next owner, which only takes effect once they call
+     * `acceptOwnership`, so the account cannot be handed to an address nobody controls. The zero
+     * address clears the nomination
+     * @dev Overrides Ownable's immediate transfer
+     * @param newOwner Address that can accept ownership
+     */
+    function transferOwnership(address newOwner) public onlyOwner {
+        emit OwnershipTransferStarted(owner(), newOwner);
+        pendingOwner = newOwner;
+    }
+
+    /**
+     * @notice Makes `_newOwner` the owner right away, without `acceptOwnership`. Only the address
+     * that initialized the account can do this, once and while it is still the owner, so
+     * FloatifyAccountFactory can hand a new account to its user in the transaction that creates it
+     * @param _newOwner Address of the user
+     */
+    function handOverOwnership(address _newOwner) external onlyOwner {
+        require(_msgSender() == creator, "Caller is not the creator of the account");
+        creator = address(0);
+        pendingOwner = address(0);
+        _transferOwnership(_newOwner);
+    }
+
+    /**
+     * @notice Makes the caller the owner, if they were nominated with `transferOwnership`
+     */
+    function acceptOwnership() external {
+        address _newOwner = _msgSender();
+        require(_newOwner == pendingOwner, "Caller is not the pending owner");
+        pendingOwner = address(0);
+        _transferOwnership(_newOwner);
+    }
+
+    /**
+     * @notice Leaves the account without an owner. Not possible while the account holds any DAI or
+     * market tokens, since only the owner could withdraw them to any address
+     */
+    function renounceOwnership() public onlyOwner {
+        require(!holdsFunds(), "Cannot renounce ownership while holding funds");
+        pendingOwner = address(0);
+        super.renounceOwnership();
+    }
+
+    /**
+     * @dev Returns true if this contract has a position in its strategy, holds DAI, or holds the
+     * underlying token or cToken of an additional market
+     */
+    function holdsFunds() private view returns (bool) {
+        if (currentValue() > 0 || daiContract.balanceOf(address(this)) > 0) {
+            return true;
+        }
+        for (uint256 i = 0; i < assets.length; i++) {
+            address _asset = assets[i];
+            if (ICERC20(_asset).balanceOf(address(this)) > 0 || ICERC20(cTokens[_asset]).balanceOf(address(this)) > 0) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+
+    // ROLE CONFIGURATION FUNCTIONS ================================================================
+    /**
+     * @notice Replaces the operator, or revokes it by setting the zero address
+     * @param _operator New operator address
+     */
+    function setOperator(address _operator) external onlyOwner {
+        emit OperatorChanged(operator, _operator);
+        operator = _operator;
+    }
+
+    /**
+     * @notice Sets the batch executor, or removes it by setting the zero address
+     * @dev The executor can act as any address that calls it, including the user, so only set a
+     * FloatifyAccountBatcher, which forwards its own caller
+     * @param _batchExecutor Address of the FloatifyAccountBatcher contract
+     */
+    function setBatchExecutor(address _batchExecutor) external onlyOwner {
+        require(_batchExecutor == address(0) || isContract(_batchExecutor), "Batch executor must be a contract");
+        emit BatchExecutorChanged(batchExecutor, _batchExecutor);
+        batchExecutor = _batchExecutor;
+    }
+
+
+    // UPGRADE FUNCTIONS ===========================================================================
+    /**
+     * @notice Upgrades this account to a new implementation, keeping its storage and balances
+     * @dev Only the user can upgrade, the operator cannot. The new implementation must keep the
+     * storage layout of this one and must itself have `upgradeTo`, or the account cannot be upgraded again
+     * @param _implementation Address of the new FloatifyAccount logic contract
+     */
+    function upgradeTo(address _implementation) external onlyOwner {
+        setImplementation(_implementation);
+    }
+
+    /**
+     * @notice Returns the address of the logic contract this account delegates to
+     */
+    function implementation() external view returns (address) {
+        return getImplementation();
+    }
+
+
+    // ALLOWLIST FUNCTIONS =========================================================================
+    /**
+     * @notice Adds an address to the allowlist. It can be activated once `destinationDelay` has passed
+     * @param _destination Withdrawal address to add
+     */
+    function addDestination(address _destination) external onlyOwner {
+        require(_destination != address(0), "Destination cannot be the zero address");
+        require(!allowedDestinations[_destination], "Destination is already on the allowlist");
+        require(pendingDestinations[_destination] == 0, "Destination is already pending");
+        // solium-disable-next-line security/no-block-members
+        uint256 _activationTime = now.add(destinationDelay);
+        pendingDestinations[_destination] = _activationTime;
+        emit DestinationAdded(_destination, _activationTime);
+    }
+
+    /**
+     * @notice Activates a pending destination once its delay has passed
+     * @param _destination Pending withdrawal address
+     */
+    function activateDestination(address _destination) external onlyUserOrOperator {
+        uint256 _activationTime = pendingDestinations[_destination];
+        require(_activationTime != 0, "Destination is not pending");
+        // solium-disable-next-line security/no-block-members
+        require(now >= _activationTime, "Destination delay has not passed");
+        delete pendingDestinations[_destination];
+        allowedDestinations[_destination] = true;
+        emit DestinationActivated(_destination);
+    }
+
+    /**
+     * @notice Cancels a pending destination
+     * @param _destination Pending withdrawal address
+     */
+    function cancelDestination(address _destination) external onlyOwner {
+        require(pendingDestinations[_destination] != 0, "Destination is not pending");
+        delete pendingDestinations[_destination];
+        emit DestinationCancelled(_destination);
+    }
+
+    /**
+     * @notice Removes an active destination from the allowlist
+     * @param _destination Withdrawal address to remove
+     */
+    function removeDestination(address _destination) external onlyOwner {
+        require(allowedDestinations[_destination], "Destination is not on the allowlist");
+        allowedDestinations[_destination] = false;
+        emit DestinationRemoved(_destination);
+    }
+
+    /**
+     * @notice Sets the delay before destinations added from now on can be activated
+     * @dev Does not change the activation time of pending destinations
+     * @param _delay New delay in seconds, at most MAX_DESTINATION_DELAY
+     */
+    function setDestinationDelay(uint256 _delay) external onlyOwner {
+        require(_delay <= MAX_DESTINATION_DELAY, "Destination delay cannot exceed the maximum");
+        emit DestinationDelayChanged(destinationDelay, _delay);
+        destinationDelay = _delay;
+    }
+
+
+    // WITHDRAWAL LIMIT FUNCTIONS ==================================================================
+    /**
+     * @notice Limits the DAI that callers other than the user can withdraw with `withdraw`,
+     * `redeemAndWithdrawMax`, `redeemAndWithdrawPartial` and `redeemAndWithdrawSplit` within any
+     * `_window` seconds. Withdrawals above the limit revert, the user can always withdraw
+     * @dev Withdrawals already made keep counting until they leave the new window. The limit is on
+     * the DAI sent, after the fee and including DAI held without being deposited
+     * @param _daiAmount Amount of DAI that can be withdrawn within the window
+     * @param _window Length of the window in seconds, at most MAX_WITHDRAWAL_WINDOW, or zero to remove the limit
+     */
+    function setWithdrawalLimit(uint256 _daiAmount, uint256 _window) external onlyOwner {
+        require(_window <= MAX_WITHDRAWAL_WINDOW, "Withdrawal window cannot exceed the maximum");
+        withdrawalLimit = _daiAmount;
+        withdrawalWindow = _window;
+        emit WithdrawalLimitChanged(_daiAmount, _window);
+    }
+
+    /**
+     * @notice Returns the amount of DAI callers other than the user can still withdraw now, or
+     * 2**256-1 if withdrawals are not limited
+     */
+    function withdrawalLimitAvailable() external view returns (uint256) {
+        if (withdrawalWindow == 0) {
+            return uint256(-1);
+        }
+        (, uint256 _withdrawn) = limitedWithdrawalsInWindow();
+        return withdrawalLimit > _withdrawn ? withdrawalLimit.sub(_withdrawn) : 0;
+    }
+
+
+    // PAUSE FUNCTIONS =============================================================================
+    /**
+     * @notice Blocks deposits, e.g. while Compound has an incident. Withdrawals are not affected
+     */
+    function pause() external onlyUserOrOperator {
+        require(!paused, "Deposits are already paused");
+        paused = true;
+        emit Paused(_msgSender());
+    }
+
+    /**
+     * @notice Allows deposits again
+     */
+    function unpause() external onlyUserOrOperator {
+        require(paused, "Deposits are not paused");
+        paused = false;
+        emit Unpaused(_msgSender());
+    }
+
+
+    // RESCUE FUNCTIONS ============================================================================
+    /**
+     * @notice Sends this contract's full balance of a token that is not part of a market to an address
+     * @dev Market tokens cannot be rescued, because that would bypass `totalWithdrawn` and
+     * `assetWithdrawn`. cDAI sent to this contract directly is redeemed by `redeemAndWithdrawMax`
+     * like any other cDAI. Uses a low level call so tokens that do not return a value from
+     * `transfer` can be rescued too
+     * @param _token Address of the token contract
+     * @param _destinationAddress Address to send the tokens to
+     */
+    function rescueToken(address _token, address _destinationAddress) external onlyOwner {
+        require(_destinationAddress != address(0), "Cannot rescue to the zero address");
+        require(!isMarketToken(_token), "Use the withdrawal functions for market tokens");
+        require(isContract(_token), "Token address must be a contract");
+        uint256 _balance = ICERC20(_token).balanceOf(address(this));
+        emit TokenRescued(_token, _destinationAddress, _balance);
+        // solium-disable-next-line security/no-low-level-calls
+        (bool _success, bytes memory _data) = _token.call(
+            abi.encodeWithSelector(ICERC20(_token).transfer.selector, _destinationAddress, _balance)
+        );
+        require(_success && (_data.length == 0 || abi.decode(_data, (bool))), "Rescue of token failed");
+    }
+
+    /**
+     * @notice Sends all ETH held by this contract to an address
+     * @dev This contract does not accept ETH, but it can still receive it from `selfdestruct` or as
+     * a mining reward
+     * @param _destinationAddress Address to send the ETH to
+     */
+    function rescueEther(address payable _destinationAddress) external onlyOwner {
+        require(_destinationAddress != address(0), "Cannot rescue to the zero address");
+        uint256 _balance = address(this).balance;
+        emit EtherRescued(_destinationAddress, _balance);
+        // solium-disable-next-line security/no-call-value
+        (bool _success, ) = _destinationAddress.call.value(_balance)("");
+        require(_success, "Rescue of ETH failed");
+    }
+
+
+    // DEPOSIT FUNCTIONS ===========================================================================
+    /**
+     * @notice Deposits all DAI in this contract and mints cDAI to start earning interest
+     */
+    function deposit() external onlyUserOrOperator {
+        executeDeposit(daiContract.balanceOf(address(this)), address(0));
+    }
+
+    /**
+     * @notice Pulls `_daiAmount` DAI from `_depositor`, who must have approved this account to
+     * spend it, and deposits it. DAI already in this contract is not deposited
+     * @dev Can be called by the depositor, the user or the operator
+     * @param _depositor Address to pull DAI from
+     * @param _daiAmount Amount of DAI to deposit
+     */
+    function depositFrom(address _depositor, uint256 _daiAmount) external {
+        executeDepositFrom(_depositor, _daiAmount);
+    }
+
+    /**
+     * @notice Approves this account to spend `_depositor`'s DAI with their permit signature, then
+     * pulls `_daiAmount` DAI from them and deposits it like `depositFrom`
+     * @dev Only works with DAI tokens that have `permit`. The permit sets an unlimited allowance,
+     * so later deposits from the same address can use `depositFrom`
+     * @param _depositor Address to pull DAI from, who signed the permit
+     * @param _daiAmount Amount of DAI to deposit
+     * @param _nonce Depositor's nonce on the DAI contract the permit was signed with
+     * @param _expiry Time after which the permit can no longer be used, zero for never
+     * @param _v Recovery ID of the signature
+     * @param _r First 32 bytes of the signature
+     * @param _s Second 32 bytes of the signature
+     */
+    function depositFromWithPermit(
+        address _depositor,
+        uint256 _daiAmount,
+        uint256 _nonce,
+        uint256 _expiry,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) external {
+        IDAIPermit(address(daiContract)).permit(_depositor, address(this), _nonce, _expiry, true, _v, _r, _s);
+        executeDepositFrom(_depositor, _daiAmount);
+    }
+
+    /**
+     * @dev Pulls DAI from `_depositor` and mints cDAI with it. Only the depositor, the user or the
+     * operator can pull DAI from an address
+     */
+    function executeDepositFrom(address _depositor, uint256 _daiAmount) private {
+        require(
+            _msgSender() == _depositor || isOwner() || _msgSender() == operator,
+            "Caller is not the depositor, user or operator"
+        );
+        require(
+            daiContract.transferFrom(_depositor, address(this), _daiAmount),
+            "Transfer of DAI from depositor failed"
+        );
+        executeDeposit(_daiAmount, _depositor);
+    }
+
+    /**
+     * @dev Mints cDAI with DAI in this contract. Callers must check access
+     * @param _daiAmount Amount of DAI to mint cDAI with
+     * @param _depositor Address the DAI came from, or the zero address if it was already held
+     */
+    function executeDeposit(uint256 _daiAmount, address _depositor) private {
+        require(!paused, "Deposits are paused");
+        totalDeposited = _daiAmount.add(totalDeposited);
+        emit Deposit(_daiAmount, _depositor);
+        supplyToStrategy(_daiAmount);
+    }
+
+
+    // WITHDRAWAL FUNCTIONS ========================================================================
+    // These follow the withdrawal flows described in FloatifyAccountBase
+
+    /**
+     * @notice Withdraws all DAI from this contract to a specified address
+     * @dev We keep this as `public` in case there is ever a need to Withdraw DAI without depositing
+     * it in Compound first
+     * @param _withdrawalAddress Address to send DAI to
+     */
+    function withdraw(address _withdrawalAddress)
+        external
+        onlyUserOrOperator
+        onlyAllowedDestination(_withdrawalAddress)
+    {
+        recordStrayDai();
+        useWithdrawalLimit(executeWithdraw(_withdrawalAddress));
+    }
+
+    /**
+     * @notice Redeems all cDAI held by this contract for DAI and sends it to a specified address
+     * @dev This corresponds to flow 1
+     * @param _withdrawalAddress Address to send DAI to
+     */
+    function redeemAndWithdrawMax(address _withdrawalAddress)
+        external
+        onlyUserOrOperator
+        onlyAllowedDestination(_withdrawalAddress)
+    {
+        useWithdrawalLimit(executeRedeemMax(_withdrawalAddress));
+    }
+
+    /**
+     * @notice Takes an amount of DAI and redeems the equivalent amount of cDAI
+     * @dev This corresponds to flow 2
+     * @param _withdrawalAddress Address to send DAI to
+     * @param _daiAmount Amount of DAI to redeem
+     */
+    function redeemAndWithdrawPartial(address _withdrawalAddress, uint256 _daiAmount)
+        external
+        onlyUserOrOperator
+        onlyAllowedDestination(_withdrawalAddress)
+    {
+        useWithdrawalLimit(executeRedeemPartial(_withdrawalAddress, _daiAmount));
+    }
+
+
+    // SIGNED AUTHORIZATION FUNCTIONS ==============================================================
+    // These can be called by anyone with an EIP-712 signature from the user, see `lib/authorizations.js`.
+    // As the user signed them, they are not limited to the allowlist
+
+    /**
+     * @notice Deposits all DAI in this contract, authorized by the user's signature
+     * @param _nonce Nonce the authorization was signed with, must equal `nonce`
+     * @param _expiry Time after which the signature can no longer be used
+     * @param _v Recovery ID of the signature
+     * @param _r First 32 bytes of the signature
+     * @param _s Second 32 bytes of the signature
+     */
+    function depositWithSignature(uint256 _nonce, uint256 _expiry, uint8 _v, bytes32 _r, bytes32 _s) external {
+        bytes32 _structHash = keccak256(abi.encode(DEPOSIT_TYPEHASH, _nonce, _expiry));
+        useAuthorization(_structHash, _nonce, _expiry, _v, _r, _s);
+        executeDeposit(daiContract.balanceOf(address(this)), address(0));
+    }
+
+    /**
+     * @notice Redeems all cDAI and withdraws the DAI, authorized by the user's signature
+     * @param _withdrawalAddress Address to send DAI to
+     * @param _nonce Nonce the authorization was signed with, must equal `nonce`
+     * @param _expiry Time after which the signature can no longer be used
+     * @param _v Recovery ID of the signature
+     * @param _r First 32 bytes of the signature
+     * @param _s Second 32 bytes of the signature
+     */
+    function redeemAndWithdrawMaxWithSignature(
+        address _withdrawalAddress,
+        uint256 _nonce,
+        uint256 _expiry,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) external {
+        bytes32 _structHash = keccak256(abi.encode(REDEEM_MAX_TYPEHASH, _withdrawalAddress, _nonce, _expiry));
+        useAuthorization(_structHash, _nonce, _expiry, _v, _r, _s);
+        executeRedeemMax(_withdrawalAddress);
+    }
+
+    /**
+     * @notice Redeems cDAI for an amount of DAI and withdraws it, authorized by the user's signature
+     * @param _withdrawalAddress Address to send DAI to
+     * @param _daiAmount Amount of DAI to redeem
+     * @param _nonce Nonce the authorization was signed with, must equal `nonce`
+     * @param _expiry Time after which the signature can no longer be used
+     * @param _v Recovery ID of the signature
+     * @param _r First 32 bytes of the signature
+     * @param _s Second 32 bytes of the signature
+     */
+    function redeemAndWithdrawPartialWithSignature(
+        address _withdrawalAddress,
+        uint256 _daiAmount,
+        uint256 _nonce,
+        uint256 _expiry,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) external {
+        bytes32 _structHash = keccak256(
+            abi.encode(REDEEM_PARTIAL_TYPEHASH, _withdrawalAddress, _daiAmount, _nonce, _expiry)
+        );
+        useAuthorization(_structHash, _nonce, _expiry, _v, _r, _s);
+        executeRedeemPartial(_withdrawalAddress, _daiAmount);
+    }
+
+    /**
+     * @dev Checks that an authorization was signed by the user, uses the current nonce and has not
+     * expired, then increments the nonce so it cannot be used again
+     * @param _structHash EIP-712 hash of the authorization
+     * @param _nonce Nonce the authorization was signed with
+     * @param _expiry Time after which the signature can no longer be used
+     * @param _v Recovery ID of the signature
+     * @param _r First 32 bytes of the signature
+     * @param _s Second 32 bytes of the signature
+     */
+    function useAuthorization(
+        bytes32 _structHash,
+        uint256 _nonce,
+        uint256 _expiry,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) private {
+        require(_nonce == nonce, "Invalid authorization nonce");
+        // solium-disable-next-line security/no-block-members
+        require(now <= _expiry, "Signature has expired");
+        bytes32 _digest = keccak256(abi.encodePacked("\x19\x01", domainSeparator, _structHash));
+        address _signer = ecrecover(_digest, _v, _r, _s);
+        require(_signer != address(0) && _signer == owner(), "Signature is not from the owner");
+        emit AuthorizationUsed(nonce, msg.sender);
+        nonce = nonce.add(1);
+    }
+
+
+
+    // EXTENSION FUNCTIONS =========================================================================
+    // Implemented by FloatifyAccountExtension, see its documentation. Parameters are not named since
+    // the call data is passed on unchanged
+
+    /**
+     * @notice Returns the address of the FloatifyAccountExtension this implementation delegates to
+     */
+    function extension() public view returns (address) {
+        // Accounts read the extension from their implementation's storage
+        return implementationAddress(EXTENSION_SLOT);
+    }
+
+    function createStandingOrder(address, uint256, uint256, uint256) external {
+        delegateToExtension();
+    }
+
+    function revokeStandingOrder(address) external {
+        delegateToExtension();
+    }
+
+    function executeStandingOrder(uint256) external {
+        delegateToExtension();
+    }
+
+    function createSavingsGoal(uint256, uint256, uint256, uint256) external returns (uint256) {
+        delegateToExtension();
+    }
+
+    function releaseSavingsGoal(uint256) external {
+        delegateToExtension();
+    }
+
+    function releaseSavingsGoalEarly(uint256) external {
+        delegateToExtension();
+    }
+
+    function addMarket(address) external {
+        delegateToExtension();
+    }
+
+    function depositAsset(address) external {
+        delegateToExtension();
+    }
+
+    function withdrawAsset(address, address) external {
+        delegateToExtension();
+    }
+
+    function redeemAndWithdrawMaxAsset(address, address) external {
+        delegateToExtension();
+    }
+
+    function redeemAndWithdrawPartialAsset(address, address, uint256) external {
+        delegateToExtension();
+    }
+
+    function redeemAndWithdrawSplit(uint256, address[] calldata, uint256[] calldata, uint256[] calldata, uint256)
+        external
+    {
+        delegateToExtension();
+    }
+
+    function migrateStrategy(address, address) external {
+        delegateToExtension();
+    }
+
+    function addGuardian(address) external {
+        delegateToExtension();
+    }
+
+    function removeGuardian(address) external {
+        delegateToExtension();
+    }
+
+    function setGuardianThreshold(uint256) external {
+        delegateToExtension();
+    }
+
+    function startRecovery(address) external {
+        delegateToExtension();
+    }
+
+    function approveRecovery(uint256) external {
+        delegateToExtension();
+    }
+
+    function cancelRecovery() external {
+        delegateToExtension();
+    }
+
+    function executeRecovery() external {
+        delegateToExtension();
+    }
+
+    /**
+     * @dev Delegates the current call to the extension and returns its result or revert reason, like
+     * FloatifyAccountProxy does for the implementation. Does not return to the caller
+     */
+    function delegateToExtension() private {
+        address _extension = extension();
+        // solium-disable-next-line security/no-inline-assembly
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let _result := delegatecall(gas(), _extension, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch _result
+            case 0 { revert(0, returndatasize()) }
+            default { return(0, returndatasize()) }
+        }
+    }
 }
@@ -0,0 +1,131 @@
+pragma solidity 0.5.8;
+
+import "./FloatifyAccount.sol";
+
+/**
+ * @notice Runs deposits and redemptions on many FloatifyAccounts in one transaction
+ * @dev Anyone can call this contract, it has no privileges of its own. Each call to an account has
+ * the caller's address appended, and accounts that set this contract as their `batchExecutor` check
+ * their usual access control against that address. Accounts that did not set it see this contract
+ * as the caller, so their calls fail with "Caller is not the user or operator"
+ */
+contract FloatifyAccountBatcher {
+    // =============================================================================================
+    //                                    STORAGE VARIABLES
+    // =============================================================================================
+
+    // Actions a batch item can run
+    uint8 public constant ACTION_DEPOSIT = 0; // `deposit()`, the destination and amount are ignored
+    uint8 public constant ACTION_REDEEM_PARTIAL = 1; // `redeemAndWithdrawPartial(destination, amount)`
+    uint8 public constant ACTION_REDEEM_MAX = 2; // `redeemAndWithdrawMax(destination)`, the amount is ignored
+
+
+    // =============================================================================================
+    //                                        EVENTS
+    // =============================================================================================
+
+    /**
+     * @dev Emitted for every item of a batch. If the item failed, `returnData` holds the revert data,
+     * which is ABI-encoded `Error(string)` for revert reasons
+     */
+    event BatchItemExecuted(
+        uint256 indexed index,
+        address indexed account,
+        uint8 action,
+        bool success,
+        bytes returnData
+    );
+
+
+    // =============================================================================================
+    //                                   MAIN OPERATION FUNCTIONS
+    // =============================================================================================
+
+    /**
+     * @notice Runs one action on each account. Item `i` runs `_actions[i]` on `_accounts[i]` with
+     * `_destinations[i]` and `_amounts[i]`
+     * @dev Results are reported by a BatchItemExecuted event for each item
+     * @param _accounts Addresses of the FloatifyAccounts
+     * @param _actions ACTION_DEPOSIT, ACTION_REDEEM_PARTIAL or ACTION_REDEEM_MAX
+     * @param _destinations Addresses DAI is withdrawn to
+     * @param _amounts Amounts of DAI to redeem, for ACTION_REDEEM_PARTIAL
+     * @param _atomic If true, the whole batch reverts with the reason of the first item that fails.
+     * Otherwise failed items are reported and the others still run
+     * @return Whether each item succeeded
+     */
+    function executeBatch(
+        address[] calldata _accounts,
+        uint8[] calldata _actions,
+        address[] calldata _destinations,
+        uint256[] calldata _amounts,
+        bool _atomic
+    ) external returns (bool[] memory) {
+        uint256 _count = _accounts.length;
+        require(
+            _actions.length == _count && _destinations.length == _count && _amounts.length == _count,
+            "Batch arrays must have the same length"
+        );
+
+        bool[] memory _results = new bool[](_count);
+        for (uint256 i = 0; i < _count; i++) {
+            (bool _success, bytes memory _returnData) = executeItem(
+                _accounts[i], _actions[i], _destinations[i], _amounts[i]
+            );
+            if (!_success && _atomic) {
+                // Revert with the item's revert data, so the reason is kept
+                // solium-disable-next-line security/no-inline-assembly
+                assembly { revert(add(_returnData, 0x20), mload(_returnData)) }
+            }
+            _results[i] = _success;
+            emit BatchItemExecuted(i, _accounts[i], _actions[i], _success, _returnData);
+        }
+        return _results;
+    }
+
+    /**
+     * @dev Calls an account on behalf of the caller, without reverting if the call fails
+     * @param _account Address of the FloatifyAccount
+     * @param _action Action to run
+     * @param _destination Address DAI is withdrawn to
+     * @param _amount Amount of DAI to redeem
+     * @return Whether the call succeeded, and its return or revert data
+     */
+    function executeItem(
+        address _account,
+        uint8 _action,
+        address _destination,
+        uint256 _amount
+    ) private returns (bool, bytes memory) {
+        if (!isContract(_account)) {
+            return (false, abi.encodeWithSignature("Error(string)", "Account is not a contract"));
+        }
+
+        bytes memory _call;
+        if (_action == ACTION_DEPOSIT) {
+            _call = abi.encodeWithSelector(FloatifyAccount(_account).deposit.selector);
+        } else if (_action == ACTION_REDEEM_PARTIAL) {
+            _call = abi.encodeWithSelector(
+                FloatifyAccount(_account).redeemAndWithdrawPartial.selector, _destination, _amount
+            );
+        } else if (_action == ACTION_REDEEM_MAX) {
+            _call = abi.encodeWithSelector(FloatifyAccount(_account).redeemAndWithdrawMax.selector, _destination);
+        } else {
+            return (false, abi.encodeWithSignature("Error(string)", "Invalid batch action"));
+        }
+
+        // Append the caller, which the account reads in `_msgSender`
+        // solium-disable-next-line security/no-low-level-calls
+        return _account.call(abi.encodePacked(_call, msg.sender));
+    }
+
+    /**
+     * @dev Returns true if `_account` is a contract. Based on OpenZeppelin's `Address.isContract`
+     * @param _account Address to check
+     */
+    function isContract(address _account) private view returns (bool) {
+        uint256 _size;
+        // solium-disable-next-line security/no-inline-assembly
+        assembly { _size := extcodesize(_account) }
+        return _size > 0;
+    }
+}
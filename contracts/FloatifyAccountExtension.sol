@@ -0,0 +1,506 @@
+pragma solidity 0.5.8;
+
+import "./FloatifyAccount.sol";
+
+/**
+ * @notice Functions of FloatifyAccount that do not fit in its code size
+ * @dev FloatifyAccount delegates these functions to this contract, so they run in the account's
+ * storage with the account's caller. Like FloatifyAccount, this contract is only used through
+ * accounts and its own storage is never used. It must not declare storage variables
+ */
+contract FloatifyAccountExtension is FloatifyAccountBase {
+    // =============================================================================================
+    //                                   MAIN OPERATION FUNCTIONS
+    // =============================================================================================
+
+    // SPLIT PAYOUT FUNCTIONS ======================================================================
+    /**
+     * @notice Redeems DAI once and splits it between several recipients, e.g. an off-ramp and a
+     * personal wallet. Each recipient is paid its fixed amount, then the rest is split by shares
+     * @dev Follows flow 1 or 2 of the withdrawal functions, except that the DAI held after the fee
+     * is split instead of being sent to one address. The redemption event has the zero address as
+     * its withdrawal address, and a Withdraw event is emitted for each recipient
+     * @param _daiAmount Amount of DAI to redeem, or zero to redeem everything like `redeemAndWithdrawMax`
+     * @param _recipients Addresses to send DAI to, each must be allowed by `onlyAllowedDestination`
+     * @param _amounts Fixed amount of DAI for each recipient, paid first
+     * @param _shares Share of the rest of the DAI for each recipient, in basis points. Shares must add
+     * up to 10000, or to zero to send the rest to the dust recipient
+     * @param _dustIndex Index of the recipient that gets the DAI left over from rounding the shares
+     */
+    function redeemAndWithdrawSplit(
+        uint256 _daiAmount,
+        address[] calldata _recipients,
+        uint256[] calldata _amounts,
+        uint256[] calldata _shares,
+        uint256 _dustIndex
+    ) external onlyUserOrOperator {
+        uint256 _count = _recipients.length;
+        require(_count > 0 && _amounts.length == _count && _shares.length == _count, "Invalid split arrays");
+        for (uint256 i = 0; i < _count; i++) {
+            require(_recipients[i] != address(0), "Cannot withdraw to the zero address");
+            requireAllowedDestination(_recipients[i]);
+        }
+
+        if (_daiAmount == 0) {
+            redeemMax(address(0));
+        } else {
+            redeemPartial(_daiAmount, address(0));
+        }
+
+        uint256 _daiBalance = daiContract.balanceOf(address(this));
+        useWithdrawalLimit(_daiBalance);
+        uint256[] memory _payouts = splitPayouts(_daiBalance, _amounts, _shares, _dustIndex);
+        for (uint256 i = 0; i < _count; i++) {
+            emit Withdraw(_recipients[i], _payouts[i]);
+            require(daiContract.transfer(_recipients[i], _payouts[i]), "Withrawal of DAI failed");
+        }
+    }
+
+    /**
+     * @dev Returns the amount of DAI each recipient of a split payout gets, see `redeemAndWithdrawSplit`.
+     * The payouts add up to exactly `_daiBalance`
+     * @param _daiBalance Amount of DAI to split
+     */
+    function splitPayouts(
+        uint256 _daiBalance,
+        uint256[] memory _amounts,
+        uint256[] memory _shares,
+        uint256 _dustIndex
+    ) private pure returns (uint256[] memory _payouts) {
+        require(_dustIndex < _amounts.length, "Dust recipient is not a recipient");
+        uint256 _rest = _daiBalance;
+        uint256 _totalShares;
+        for (uint256 i = 0; i < _amounts.length; i++) {
+            require(_amounts[i] <= _rest, "Split amounts exceed the redeemed DAI");
+            _rest = _rest.sub(_amounts[i]);
+            _totalShares = _totalShares.add(_shares[i]);
+        }
+        require(_totalShares == 10000 || _totalShares == 0, "Split shares must add up to 10000 or zero");
+
+        // Whatever the shares leave from rounding, or all of the rest if there are no shares, is dust
+        uint256 _dust = _rest;
+        _payouts = new uint256[](_amounts.length);
+        for (uint256 i = 0; i < _amounts.length; i++) {
+            uint256 _share = _rest.mul(_shares[i]).div(10000);
+            _dust = _dust.sub(_share);
+            _payouts[i] = _amounts[i].add(_share);
+        }
+        _payouts[_dustIndex] = _payouts[_dustIndex].add(_dust);
+    }
+
+    // STANDING ORDER FUNCTIONS ====================================================================
+    /**
+     * @notice Lets `_beneficiary` pull up to `_daiAmount` DAI each period, replacing any standing
+     * order they already have. The first period starts now
+     * @param _beneficiary Address that can pull DAI, and that it is sent to
+     * @param _daiAmount Maximum amount of DAI that can be pulled each period
+     * @param _period Length of a period in seconds
+     * @param _endTime Time from which nothing can be pulled, zero if the order does not end
+     */
+    function createStandingOrder(address _beneficiary, uint256 _daiAmount, uint256 _period, uint256 _endTime)
+        external
+        onlyOwner
+    {
+        require(_beneficiary != address(0), "Beneficiary cannot be the zero address");
+        require(_daiAmount > 0, "Standing order amount must be positive");
+        require(_period > 0, "Standing order period must be positive");
+        // solium-disable-next-line security/no-block-members
+        require(_endTime == 0 || _endTime > now, "Standing order end time must be in the future");
+        // solium-disable-next-line security/no-block-members
+        standingOrders[_beneficiary] = StandingOrder(_daiAmount, _period, _endTime, now, 0);
+        emit StandingOrderCreated(_beneficiary, _daiAmount, _period, _endTime);
+    }
+
+    /**
+     * @notice Revokes the standing order of `_beneficiary`
+     * @param _beneficiary Address the standing order was created for
+     */
+    function revokeStandingOrder(address _beneficiary) external onlyOwner {
+        require(standingOrders[_beneficiary].period != 0, "No standing order for beneficiary");
+        delete standingOrders[_beneficiary];
+        emit StandingOrderRevoked(_beneficiary);
+    }
+
+    /**
+     * @notice Redeems `_daiAmount` DAI and sends it to the caller, up to what is left of their
+     * standing order in the current period
+     * @dev Follows flow 2 of the withdrawal functions, so the amount is counted in `totalWithdrawn`
+     * and the fee on realized interest is taken from it. Unlike flow 2, only the redeemed DAI minus
+     * the fee is sent, and DAI the account held before stays in it
+     * @param _daiAmount Amount of DAI to redeem
+     */
+    function executeStandingOrder(uint256 _daiAmount) external {
+        address _beneficiary = _msgSender();
+        StandingOrder storage _order = standingOrders[_beneficiary];
+        require(_order.period != 0, "No standing order for beneficiary");
+        // solium-disable-next-line security/no-block-members
+        require(_order.endTime == 0 || now < _order.endTime, "Standing order has ended");
+
+        uint256 _periodStart = currentPeriodStart(_order);
+        if (_periodStart != _order.periodStart) {
+            _order.periodStart = _periodStart;
+            _order.pulled = 0;
+        }
+        require(_order.pulled.add(_daiAmount) <= _order.amount, "Amount exceeds the standing order limit");
+        _order.pulled = _order.pulled.add(_daiAmount);
+        emit StandingOrderExecuted(_beneficiary, _daiAmount, _periodStart);
+
+        require(totalLocked == 0 || _daiAmount <= availableBalance(), "Amount exceeds the unlocked balance");
+        // EXTERNAL CONTRACT CALL -- state updates must happen after this call, see `redeemMax`
+        uint256 _marketAmount = redeemFromStrategy(_daiAmount);
+        (uint256 _principalAmount, uint256 _interestAmount) = realizeRedemption(_daiAmount);
+        emit RedeemPartial(_daiAmount, _marketAmount, _beneficiary, _principalAmount, _interestAmount);
+        uint256 _payout = _daiAmount.sub(chargeFee(_interestAmount));
+        emit Withdraw(_beneficiary, _payout);
+        require(daiContract.transfer(_beneficiary, _payout), "Withrawal of DAI failed");
+    }
+
+    // SAVINGS GOAL FUNCTIONS ======================================================================
+    /**
+     * @notice Locks `_daiAmount` of the current value until `_unlockTime` or until the current value
+     * reaches `_targetValue`, whichever comes first
+     * @param _daiAmount Amount of DAI to lock, at most `availableBalance()`
+     * @param _unlockTime Time the goal is reached at, zero for no unlock time
+     * @param _targetValue Current value the goal is reached at, zero for no target
+     * @param _penaltyRate Share of `_daiAmount` sent to the treasury if the goal is released before
+     * it is reached, in basis points, at most MAX_EARLY_RELEASE_PENALTY
+     * @return ID of the savings goal
+     */
+    function createSavingsGoal(uint256 _daiAmount, uint256 _unlockTime, uint256 _targetValue, uint256 _penaltyRate)
+        external
+        onlyOwner
+        returns (uint256)
+    {
+        require(_daiAmount > 0, "Savings goal amount must be positive");
+        require(_unlockTime != 0 || _targetValue != 0, "Savings goal needs an unlock time or target");
+        // solium-disable-next-line security/no-block-members
+        require(_unlockTime == 0 || _unlockTime > now, "Unlock time must be in the future");
+        require(_penaltyRate <= MAX_EARLY_RELEASE_PENALTY, "Penalty rate cannot exceed the maximum");
+        require(_penaltyRate == 0 || treasury != address(0), "Treasury must be set to charge a penalty");
+        require(_daiAmount <= availableBalance(), "Amount exceeds the unlocked balance");
+
+        totalLocked = totalLocked.add(_daiAmount);
+        uint256 _goalId = savingsGoals.push(SavingsGoal(_daiAmount, _unlockTime, _targetValue, _penaltyRate, false)) - 1;
+        emit SavingsGoalCreated(_goalId, _daiAmount, _unlockTime, _targetValue, _penaltyRate);
+        return _goalId;
+    }
+
+    /**
+     * @notice Releases a savings goal that has been reached, so its DAI can be redeemed
+     * @param _goalId ID of the savings goal
+     */
+    function releaseSavingsGoal(uint256 _goalId) external onlyUserOrOperator {
+        require(savingsGoalReached(_goalId), "Savings goal has not been reached");
+        executeReleaseSavingsGoal(_goalId, 0);
+    }
+
+    /**
+     * @notice Releases a savings goal before it is reached. The penalty is redeemed and sent to the
+     * treasury, and is counted in `totalWithdrawn`. There is no penalty if the goal has been reached.
+     * No fee is charged on interest the penalty realizes, since it all goes to the treasury
+     * @param _goalId ID of the savings goal
+     */
+    function releaseSavingsGoalEarly(uint256 _goalId) external onlyOwner {
+        require(_goalId < savingsGoals.length, "Savings goal does not exist");
+        SavingsGoal storage _goal = savingsGoals[_goalId];
+        uint256 _penalty = savingsGoalReached(_goalId) ? 0 : _goal.amount.mul(_goal.penaltyRate).div(10000);
+        executeReleaseSavingsGoal(_goalId, _penalty);
+        if (_penalty == 0) {
+            return;
+        }
+        // Only the penalty is sent, unlike flow 2 of the withdrawal functions which sends all DAI held
+        uint256 _cdaiAmount = redeemFromStrategy(_penalty);
+        (uint256 _principalAmount, uint256 _interestAmount) = realizeRedemption(_penalty);
+        emit RedeemPartial(_penalty, _cdaiAmount, treasury, _principalAmount, _interestAmount);
+        emit Withdraw(treasury, _penalty);
+        require(daiContract.transfer(treasury, _penalty), "Transfer of penalty to treasury failed");
+    }
+
+    /**
+     * @dev Marks a savings goal as released and unlocks its DAI
+     * @param _goalId ID of the savings goal
+     * @param _penalty Penalty paid for releasing it, only used in the event
+     */
+    function executeReleaseSavingsGoal(uint256 _goalId, uint256 _penalty) private {
+        SavingsGoal storage _goal = savingsGoals[_goalId];
+        require(!_goal.released, "Savings goal has already been released");
+        _goal.released = true;
+        totalLocked = totalLocked.sub(_goal.amount);
+        emit SavingsGoalReleased(_goalId, _goal.amount, _penalty);
+    }
+
+    // STRATEGY FUNCTIONS ==========================================================================
+    /**
+     * @notice Moves the whole position to another strategy or market in one transaction, e.g. when
+     * the cDAI market is deprecated. Only the user can do this, since strategies run with the
+     * account's storage and balances
+     * @dev Nothing is counted as deposited or withdrawn, so the accounting carries over. DAI lost to
+     * rounding by either market lowers the current value like any other loss, and DAI held before
+     * the migration is not supplied. The account's DAI token does not change, so this cannot move an
+     * account from single-collateral DAI to a market for multi-collateral DAI
+     * @param _strategy Address of the IYieldStrategy to use
+     * @param _market Market the strategy supplies to, whose underlying token must be DAI
+     */
+    function migrateStrategy(address _strategy, address _market) external onlyOwner {
+        require(isContract(_strategy), "Strategy must be a contract");
+        require(isContract(_market), "Strategy market must be a contract");
+        require(IYieldStrategy(_strategy).underlying(_market) == address(daiContract), "Strategy market is not for DAI");
+        (address _previousStrategy, address _previousMarket) = strategy();
+        require(_strategy != _previousStrategy || _market != _previousMarket, "Strategy is already in use");
+
+        uint256 _strayDai = daiContract.balanceOf(address(this));
+        if (currentValue() > 0) {
+            // EXTERNAL CONTRACT CALL -- state updates must happen after this call, see `redeemMax`
+            redeemAllFromStrategy();
+        }
+        uint256 _daiAmount = daiContract.balanceOf(address(this)).sub(_strayDai);
+        yieldStrategy = _strategy;
+        yieldMarket = _market;
+        emit StrategyMigrated(_previousStrategy, _previousMarket, _strategy, _market, _daiAmount);
+
+        enterStrategy();
+        if (_daiAmount > 0) {
+            supplyToStrategy(_daiAmount);
+        }
+    }
+
+    // RECOVERY FUNCTIONS ==========================================================================
+    /**
+     * @notice Adds a guardian, who can start and approve recoveries of this account
+     * @param _guardian Address of the guardian, e.g. a friend's wallet or a recovery service
+     */
+    function addGuardian(address _guardian) external onlyOwner {
+        require(_guardian != address(0), "Guardian cannot be the zero address");
+        require(_guardian != owner(), "Owner cannot be a guardian");
+        require(!guardians[_guardian], "Address is already a guardian");
+        guardians[_guardian] = true;
+        guardianCount = guardianCount.add(1);
+        emit GuardianAdded(_guardian);
+    }
+
+    /**
+     * @notice Removes a guardian. If they approved the recovery in progress, their approval no
+     * longer counts, and the recovery's delay starts again once it has enough approvals
+     * @param _guardian Address of the guardian
+     */
+    function removeGuardian(address _guardian) external onlyOwner {
+        require(guardians[_guardian], "Address is not a guardian");
+        require(guardianCount > guardianThreshold, "Threshold cannot exceed the guardian count");
+        guardians[_guardian] = false;
+        guardianCount = guardianCount.sub(1);
+        emit GuardianRemoved(_guardian);
+
+        if (recovery.newOwner != address(0) && recoveryApprovals[recoveryId][_guardian]) {
+            recoveryApprovals[recoveryId][_guardian] = false;
+            recovery.approvals = recovery.approvals.sub(1);
+            if (recovery.approvals < guardianThreshold) {
+                recovery.executableAt = 0;
+            }
+        }
+    }
+
+    /**
+     * @notice Sets the number of guardians that must approve a recovery, or disables recovery with zero
+     * @param _threshold Number of approvals, at most the number of guardians
+     */
+    function setGuardianThreshold(uint256 _threshold) external onlyOwner {
+        require(_threshold <= guardianCount, "Threshold cannot exceed the guardian count");
+        emit GuardianThresholdChanged(guardianThreshold, _threshold);
+        guardianThreshold = _threshold;
+    }
+
+    /**
+     * @notice Starts a recovery of this account to `_newOwner`, approved by the calling guardian
+     * @dev Only one recovery can be in progress. The user cancels it with `cancelRecovery` if they
+     * still have their key
+     * @param _newOwner Address that becomes the owner when the recovery is executed
+     */
+    function startRecovery(address _newOwner) external {
+        requireGuardian();
+        require(guardianThreshold > 0, "Recovery is disabled");
+        require(_newOwner != address(0), "New owner cannot be the zero address");
+        require(recovery.newOwner == address(0), "Recovery is already in progress");
+        recoveryId = recoveryId.add(1);
+        recovery = Recovery(_newOwner, 0, 0);
+        emit RecoveryStarted(recoveryId, _msgSender(), _newOwner);
+        executeApproveRecovery();
+    }
+
+    /**
+     * @notice Approves the recovery in progress. Once it has `guardianThreshold` approvals it can be
+     * executed after `RECOVERY_DELAY`
+     * @param _recoveryId ID of the recovery, so an approval cannot count for a recovery started after
+     * the one the guardian meant to approve
+     */
+    function approveRecovery(uint256 _recoveryId) external {
+        requireGuardian();
+        require(_recoveryId == recoveryId && recovery.newOwner != address(0), "Recovery is not in progress");
+        require(!recoveryApprovals[_recoveryId][_msgSender()], "Guardian has already approved");
+        executeApproveRecovery();
+    }
+
+    /**
+     * @notice Cancels the recovery in progress
+     */
+    function cancelRecovery() external onlyOwner {
+        require(recovery.newOwner != address(0), "Recovery is not in progress");
+        emit RecoveryCancelled(recoveryId, recovery.newOwner);
+        delete recovery;
+    }
+
+    /**
+     * @notice Makes the new owner of the recovery in progress the owner, once it has enough approvals
+     * and its delay has passed. Anyone can call this
+     * @dev Also clears any pending ownership transfer and the batch executor, which could otherwise
+     * act as the new owner if whoever holds the lost key had replaced it. The operator, allowlist and
+     * standing orders are kept, so the new owner should review them
+     */
+    function executeRecovery() external {
+        address _newOwner = recovery.newOwner;
+        require(_newOwner != address(0), "Recovery is not in progress");
+        require(
+            guardianThreshold > 0 && recovery.approvals >= guardianThreshold,
+            "Recovery does not have enough approvals"
+        );
+        // solium-disable-next-line security/no-block-members
+        require(recovery.executableAt != 0 && now >= recovery.executableAt, "Recovery delay has not passed");
+
+        emit RecoveryExecuted(recoveryId, owner(), _newOwner);
+        delete recovery;
+        pendingOwner = address(0);
+        if (batchExecutor != address(0)) {
+            emit BatchExecutorChanged(batchExecutor, address(0));
+            batchExecutor = address(0);
+        }
+        _transferOwnership(_newOwner);
+    }
+
+    /**
+     * @dev Records the caller's approval of the current recovery, and sets the time it can be
+     * executed at once it has enough approvals
+     */
+    function executeApproveRecovery() private {
+        address _guardian = _msgSender();
+        recoveryApprovals[recoveryId][_guardian] = true;
+        recovery.approvals = recovery.approvals.add(1);
+        if (recovery.executableAt == 0 && recovery.approvals >= guardianThreshold) {
+            // solium-disable-next-line security/no-block-members
+            recovery.executableAt = now.add(RECOVERY_DELAY);
+        }
+        emit RecoveryApproved(recoveryId, _guardian, recovery.approvals, recovery.executableAt);
+    }
+
+    /**
+     * @dev Throws if called by any account other than a guardian
+     */
+    function requireGuardian() private view {
+        require(guardians[_msgSender()], "Caller is not a guardian");
+    }
+
+    // ADDITIONAL MARKET FUNCTIONS =================================================================
+    // These follow the same flows as the DAI withdrawal functions, for the market of `_asset`. No fee is
+    // charged on interest from additional markets
+
+    /**
+     * @notice Adds a Compound market, so its underlying token can be deposited. Only the user can
+     * do this, since the cToken is approved to spend all of the underlying token held
+     * @param _cToken Address of the cToken, e.g. cUSDC
+     */
+    function addMarket(address _cToken) external onlyOwner {
+        require(isContract(_cToken), "cToken address must be a contract");
+        address _asset = ICERC20(_cToken).underlying();
+        require(_asset != address(daiContract), "DAI market is always available");
+        require(cTokens[_asset] == address(0), "Market has already been added");
+        require(isContract(_asset), "Underlying token must be a contract");
+
+        cTokens[_asset] = _cToken;
+        assets.push(_asset);
+        emit MarketAdded(_asset, _cToken);
+        require(ICERC20(_asset).approve(_cToken, 2**256-1), "Failed to approve cToken contract");
+    }
+
+    /**
+     * @notice Deposits all of `_asset` in this contract and mints cTokens
+     * @param _asset Underlying token of the market
+     */
+    function depositAsset(address _asset) external onlyUserOrOperator {
+        require(!paused, "Deposits are paused");
+        ICERC20 _cToken = getCToken(_asset);
+        uint256 _balance = ICERC20(_asset).balanceOf(address(this));
+        assetDeposited[_asset] = _balance.add(assetDeposited[_asset]);
+        emit AssetDeposit(_asset, _balance);
+        CompoundErrors.requireSuccess(_cToken.mint(_balance), "Call to mint function failed");
+    }
+
+    /**
+     * @notice Withdraws all of `_asset` from this contract to a specified address
+     * @param _asset Underlying token of the market
+     * @param _withdrawalAddress Address to send the tokens to
+     */
+    function withdrawAsset(address _asset, address _withdrawalAddress)
+        external
+        onlyUserOrOperator
+        onlyAllowedDestination(_withdrawalAddress)
+    {
+        getCToken(_asset);
+        executeWithdrawAsset(_asset, _withdrawalAddress);
+    }
+
+    /**
+     * @notice Redeems all cTokens of a market and sends the underlying tokens to a specified address
+     * @param _asset Underlying token of the market
+     * @param _withdrawalAddress Address to send the tokens to
+     */
+    function redeemAndWithdrawMaxAsset(address _asset, address _withdrawalAddress)
+        external
+        onlyUserOrOperator
+        onlyAllowedDestination(_withdrawalAddress)
+    {
+        require(_withdrawalAddress != address(0), "Cannot withdraw to the zero address");
+        ICERC20 _cToken = getCToken(_asset);
+        uint256 _cTokenBalance = _cToken.balanceOf(address(this));
+        // EXTERNAL CONTRACT CALL -- state updates must happen after this call, see `executeRedeemMax`
+        CompoundErrors.requireSuccess(_cToken.redeem(_cTokenBalance), "Redemption of all cTokens failed");
+        finishAssetRedemption(_asset, _cTokenBalance, _withdrawalAddress);
+    }
+
+    /**
+     * @notice Redeems cTokens of a market for an amount of the underlying token and sends it to a
+     * specified address
+     * @param _asset Underlying token of the market
+     * @param _withdrawalAddress Address to send the tokens to
+     * @param _amount Amount of the underlying token to redeem
+     */
+    function redeemAndWithdrawPartialAsset(address _asset, address _withdrawalAddress, uint256 _amount)
+        external
+        onlyUserOrOperator
+        onlyAllowedDestination(_withdrawalAddress)
+    {
+        require(_withdrawalAddress != address(0), "Cannot withdraw to the zero address");
+        ICERC20 _cToken = getCToken(_asset);
+        uint256 _initialCTokenBalance = _cToken.balanceOf(address(this));
+        // EXTERNAL CONTRACT CALL -- state updates must happen after this call, see `executeRedeemMax`
+        CompoundErrors.requireSuccess(_cToken.redeemUnderlying(_amount), "Redemption of some cTokens failed");
+        finishAssetRedemption(_asset, _initialCTokenBalance.sub(_cToken.balanceOf(address(this))), _withdrawalAddress);
+    }
+
+    /**
+     * @dev Records a redemption and withdraws the full balance of `_asset`
+     */
+    function finishAssetRedemption(address _asset, uint256 _cTokenAmount, address _withdrawalAddress) private {
+        uint256 _balance = ICERC20(_asset).balanceOf(address(this));
+        emit AssetRedeem(_asset, _balance, _cTokenAmount, _withdrawalAddress);
+        assetWithdrawn[_asset] = _balance.add(assetWithdrawn[_asset]);
+        executeWithdrawAsset(_asset, _withdrawalAddress);
+    }
+
+    /**
+     * @dev Sends all of `_asset` in this contract to `_withdrawalAddress`. Callers must check access
+     */
+    function executeWithdrawAsset(address _asset, address _withdrawalAddress) private {
+        require(_withdrawalAddress != address(0), "Cannot withdraw to the zero address");
+        uint256 _balance = ICERC20(_asset).balanceOf(address(this));
+        emit AssetWithdraw(_asset, _withdrawalAddress, _balance);
+        require(ICERC20(_asset).transfer(_withdrawalAddress, _balance), "Withdrawal of token failed");
+    }
+}
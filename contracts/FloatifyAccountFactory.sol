@@ -0,0 +1,187 @@
+pragma solidity 0.5.8;
+
+import "./FloatifyAccountProxy.sol";
+
+/**
+ * @notice Deploys one FloatifyAccount per user at an address that can be computed in advance
+ * @dev Accounts are FloatifyAccountProxy contracts deployed with CREATE2 using the user ID as the
+ * salt. Every account uses the same init code, so its address only depends on this contract's
+ * address and the user ID. This lets us give a user's deposit address to Wyre before the account
+ * is deployed. The init code always points to `accountImplementation`, new accounts are then
+ * upgraded to `latestImplementation` so releasing an implementation does not change addresses.
+ *
+ * User IDs are the keccak256 hash of our server's user ID string, see `lib/factory.js`
+ */
+contract FloatifyAccountFactory is Ownable {
+    // =============================================================================================
+    //                                    STORAGE VARIABLES
+    // =============================================================================================
+
+    // Token addresses and chain ID every account is initialized with
+    address public daiAddress;
+    address public cdaiAddress;
+    uint256 public chainId;
+
+    // FloatifyAccount logic contract used in the init code of every account, and the most recent
+    // one released, which new accounts are upgraded to
+    address public accountImplementation;
+    address public latestImplementation;
+
+    // Hash of the init code used to deploy every account, needed to compute account addresses
+    bytes32 public accountInitCodeHash;
+
+    // Registry of deployed accounts, mapping user ID => account address
+    mapping(bytes32 => address) public accounts;
+
+    // Fee settings applied to every new account, see FloatifyAccount's `setFeeRate` and `setTreasury`
+    uint256 public feeRate;
+    address public treasury;
+
+    // Batch executor users of new accounts can opt in to with FloatifyAccount's `setBatchExecutor`.
+    // It is not set on accounts, since it can act as the user of every account that trusts it
+    address public batchExecutor;
+
+
+    // =============================================================================================
+    //                                        EVENTS
+    // =============================================================================================
+
+    /**
+     * @dev Emitted when an account is deployed for a user
+     */
+    event AccountCreated(bytes32 indexed user, address indexed account);
+
+    /**
+     * @dev Emitted when the fee settings for new accounts are changed
+     */
+    event FeeSettingsChanged(address indexed treasury, uint256 feeRate);
+
+    /**
+     * @dev Emitted when a new FloatifyAccount implementation is released for new accounts
+     */
+    event ImplementationReleased(address indexed implementation);
+
+    /**
+     * @dev Emitted when the batch executor offered to new accounts is changed
+     */
+    event BatchExecutorChanged(address indexed batchExecutor);
+
+
+    // =============================================================================================
+    //                                   MAIN OPERATION FUNCTIONS
+    // =============================================================================================
+
+    /**
+     * @param _daiAddress Address of the DAI contract used by all accounts
+     * @param _cdaiAddress Address of the cDAI contract used by all accounts
+     * @param _chainId ID of the chain, used by accounts for signed authorizations
+     * @param _accountImplementation Address of the FloatifyAccount logic contract used by accounts
+     */
+    constructor(
+        address _daiAddress,
+        address _cdaiAddress,
+        uint256 _chainId,
+        address _accountImplementation
+    ) public {
+        require(_accountImplementation != address(0), "Implementation cannot be the zero address");
+        daiAddress = _daiAddress;
+        cdaiAddress = _cdaiAddress;
+        chainId = _chainId;
+        accountImplementation = _accountImplementation;
+        latestImplementation = _accountImplementation;
+        accountInitCodeHash = keccak256(accountInitCode());
+    }
+
+    /**
+     * @notice Deploys an account for a user and makes `_owner` its owner
+     * @dev The address of the account is given by `computeAccountAddress(_user)`. The owner of this
+     * factory becomes the account's operator. This factory is only the account's owner until the end
+     * of this call, it hands the account over with `handOverOwnership`
+     * @param _user User ID, used as the CREATE2 salt
+     * @param _owner Address that becomes the owner of the new account
+     * @return Address of the new account
+     */
+    function createAccount(bytes32 _user, address _owner) external onlyOwner returns (address) {
+        require(accounts[_user] == address(0), "Account already exists for this user");
+        require(_owner != address(0), "Account owner cannot be the zero address");
+
+        bytes memory _initCode = accountInitCode();
+        address _account;
+        // solium-disable-next-line security/no-inline-assembly
+        assembly { _account := create2(0, add(_initCode, 0x20), mload(_initCode), _user) }
+        require(_account != address(0), "Account deployment failed");
+
+        accounts[_user] = _account;
+        emit AccountCreated(_user, _account);
+        if (treasury != address(0)) {
+            FloatifyAccount(_account).setTreasury(treasury);
+            FloatifyAccount(_account).setFeeRate(feeRate);
+        }
+        if (latestImplementation != accountImplementation) {
+            FloatifyAccount(_account).upgradeTo(latestImplementation);
+        }
+        FloatifyAccount(_account).setOperator(owner());
+        FloatifyAccount(_account).handOverOwnership(_owner);
+        return _account;
+    }
+
+    /**
+     * @notice Sets the fee settings applied to accounts created from now on
+     * @dev Does not change existing accounts. Use the zero address as the treasury to create
+     * accounts without a fee
+     * @param _treasury Address fees are sent to
+     * @param _feeRate Fee rate in basis points, at most FloatifyAccount's MAX_FEE_RATE
+     */
+    function setFeeSettings(address _treasury, uint256 _feeRate) external onlyOwner {
+        require(_treasury != address(0) || _feeRate == 0, "Treasury must be set to charge a fee");
+        treasury = _treasury;
+        feeRate = _feeRate;
+        emit FeeSettingsChanged(_treasury, _feeRate);
+    }
+
+    /**
+     * @notice Sets the implementation new accounts are upgraded to
+     * @dev Existing accounts are not changed, each user can upgrade their own account to it
+     * @param _implementation Address of the new FloatifyAccount logic contract
+     */
+    function setLatestImplementation(address _implementation) external onlyOwner {
+        require(_implementation != address(0), "Implementation cannot be the zero address");
+        latestImplementation = _implementation;
+        emit ImplementationReleased(_implementation);
+    }
+
+    /**
+     * @notice Sets the batch executor offered to users of new accounts
+     * @dev Does not change any account, each user opts in by calling `setBatchExecutor` on their
+     * account. Use the zero address to offer none
+     * @param _batchExecutor Address of the FloatifyAccountBatcher contract
+     */
+    function setBatchExecutor(address _batchExecutor) external onlyOwner {
+        require(
+            _batchExecutor == address(0) || Address.isContract(_batchExecutor), "Batch executor must be a contract"
+        );
+        batchExecutor = _batchExecutor;
+        emit BatchExecutorChanged(_batchExecutor);
+    }
+
+    /**
+     * @notice Returns the address a user's account is or will be deployed at
+     * @param _user User ID
+     */
+    function computeAccountAddress(bytes32 _user) public view returns (address) {
+        bytes32 _hash = keccak256(abi.encodePacked(bytes1(0xff), address(this), _user, accountInitCodeHash));
+        return address(uint160(uint256(_hash)));
+    }
+
+    /**
+     * @dev Returns the creation code of FloatifyAccountProxy followed by its constructor arguments
+     */
+    function accountInitCode() internal view returns (bytes memory) {
+        bytes memory _initializeCall = abi.encodeWithSelector(
+            FloatifyAccount(0).initialize.selector, daiAddress, cdaiAddress, chainId
+        );
+        return abi.encodePacked(
+            type(FloatifyAccountProxy).creationCode, abi.encode(accountImplementation, _initializeCall)
+        );
+    }
+}
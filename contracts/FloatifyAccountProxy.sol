@@ -0,0 +1,49 @@
+pragma solidity 0.5.8;
+
+import "./FloatifyAccount.sol";
+
+/**
+ * @notice A user's FloatifyAccount, which delegates every call to a shared FloatifyAccount contract
+ * @dev Storage and balances live in this contract and the implementation only provides the logic.
+ * The implementation address is kept in the EIP-1967 slot, see `ImplementationSlot`. It can only be
+ * changed by the account's user, with FloatifyAccount's `upgradeTo`
+ */
+contract FloatifyAccountProxy is ImplementationSlot {
+    /**
+     * @dev Sets the implementation and initializes the account in the same transaction, so nobody
+     * else can initialize it first
+     * @param _implementation Address of the FloatifyAccount logic contract
+     * @param _data Encoded call to FloatifyAccount's `initialize`
+     */
+    constructor(address _implementation, bytes memory _data) public {
+        setImplementation(_implementation);
+
+        // solium-disable-next-line security/no-low-level-calls
+        (bool _success, ) = _implementation.delegatecall(_data);
+        if (!_success) {
+            // Revert with the reason from `initialize`
+            // solium-disable-next-line security/no-inline-assembly
+            assembly {
+                returndatacopy(0, 0, returndatasize())
+                revert(0, returndatasize())
+            }
+        }
+    }
+
+    /**
+     * @dev Delegates the call to the implementation and returns its result or revert reason. Not
+     * payable, since accounts do not accept ETH
+     */
+    function () external {
+        address _implementation = getImplementation();
+        // solium-disable-next-line security/no-inline-assembly
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let _result := delegatecall(gas(), _implementation, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch _result
+            case 0 { revert(0, returndatasize()) }
+            default { return(0, returndatasize()) }
+        }
+    }
+}
@@ -0,0 +1,275 @@
+pragma solidity 0.5.8;
+
+import "./FloatifyAccount.sol";
+
+/**
+ * @notice Shared account for households and small teams. Members deposit DAI into one cDAI position
+ * and receive transferable ERC20 shares of it, which anyone holding them can redeem for DAI
+ * @dev Shares are minted in proportion to the cDAI a deposit adds to the pool, and redeemed for the
+ * same proportion of the pool's cDAI. The DAI value of a share therefore follows cDAI's exchange
+ * rate, and a member who joins at a higher rate gets fewer shares for the same DAI, so interest
+ * earned before they joined stays with the members who earned it. The first deposit mints one
+ * share per DAI. The owner decides who can deposit. No fee is charged
+ */
+contract FloatifyPool is Ownable {
+    using SafeMath for uint256;
+
+    // =============================================================================================
+    //                                    STORAGE VARIABLES
+    // =============================================================================================
+
+    // ERC20 shares of the pool
+    string public constant name = "Floatify Pool Share";
+    string public constant symbol = "FPS";
+    uint8 public constant decimals = 18;
+    uint256 public totalSupply;
+    mapping(address => uint256) public balanceOf;
+    mapping(address => mapping(address => uint256)) public allowance;
+
+    ICERC20 public daiContract;
+    ICERC20 public cdaiContract;
+
+    // Addresses that can deposit
+    mapping(address => bool) public members;
+
+    // Accounting of each share holder, in DAI. `costBasis` is the DAI paid for the shares they hold:
+    // deposits add to it, and it moves with shares that are redeemed or transferred. Redemptions for
+    // more than the cost basis of the redeemed shares add the difference to `earningsRealized`
+    mapping(address => uint256) public deposited;
+    mapping(address => uint256) public withdrawn;
+    mapping(address => uint256) public costBasis;
+    mapping(address => uint256) public earningsRealized;
+
+
+    // =============================================================================================
+    //                                        EVENTS
+    // =============================================================================================
+
+    event Transfer(address indexed from, address indexed to, uint256 value);
+    event Approval(address indexed owner, address indexed spender, uint256 value);
+
+    /**
+     * @dev Emitted when the owner lets an address deposit
+     */
+    event MemberAdded(address indexed member);
+
+    /**
+     * @dev Emitted when the owner stops an address depositing. It keeps its shares
+     */
+    event MemberRemoved(address indexed member);
+
+    /**
+     * @dev Emitted when a member deposits DAI, with the cDAI it minted and the shares they received
+     */
+    event Deposit(address indexed member, uint256 daiAmount, uint256 cdaiAmount, uint256 shares);
+
+    /**
+     * @dev Emitted when shares are redeemed, with the cDAI redeemed for them and the DAI sent
+     */
+    event Redeem(
+        address indexed holder,
+        address indexed withdrawalAddress,
+        uint256 daiAmount,
+        uint256 cdaiAmount,
+        uint256 shares
+    );
+
+
+    // =============================================================================================
+    //                                   MAIN OPERATION FUNCTIONS
+    // =============================================================================================
+
+    /**
+     * @notice Deploys a pool, with the deployer as its owner and first member
+     * @param _daiAddress Address of the DAI contract
+     * @param _cdaiAddress Address of the cDAI contract, whose underlying token must be `_daiAddress`
+     */
+    constructor(address _daiAddress, address _cdaiAddress) public {
+        require(_daiAddress != address(0), "DAI address cannot be the zero address");
+        require(_cdaiAddress != address(0), "cDAI address cannot be the zero address");
+        require(isContract(_daiAddress), "DAI address must be a contract");
+        require(isContract(_cdaiAddress), "cDAI address must be a contract");
+        require(ICERC20(_cdaiAddress).underlying() == _daiAddress, "cDAI underlying token must be DAI");
+
+        daiContract = ICERC20(_daiAddress);
+        cdaiContract = ICERC20(_cdaiAddress);
+        require(daiContract.approve(_cdaiAddress, uint256(-1)), "Failed to approve cDAI contract to spend DAI");
+
+        members[msg.sender] = true;
+        emit MemberAdded(msg.sender);
+    }
+
+    // MEMBER FUNCTIONS ============================================================================
+    /**
+     * @notice Lets an address deposit
+     * @param _member Address to add
+     */
+    function addMember(address _member) external onlyOwner {
+        require(_member != address(0), "Member cannot be the zero address");
+        require(!members[_member], "Address is already a member");
+        members[_member] = true;
+        emit MemberAdded(_member);
+    }
+
+    /**
+     * @notice Stops an address depositing. It keeps its shares and can still redeem them
+     * @param _member Address to remove
+     */
+    function removeMember(address _member) external onlyOwner {
+        require(members[_member], "Address is not a member");
+        members[_member] = false;
+        emit MemberRemoved(_member);
+    }
+
+    // DEPOSIT AND REDEMPTION FUNCTIONS ============================================================
+    /**
+     * @notice Pulls `_daiAmount` DAI from the caller, who must have approved this contract, supplies
+     * it to Compound and mints shares for the cDAI it added to the pool
+     * @param _daiAmount Amount of DAI to deposit
+     * @return Number of shares minted
+     */
+    function deposit(uint256 _daiAmount) external returns (uint256 _shares) {
+        require(members[msg.sender], "Caller is not a member");
+        require(daiContract.transferFrom(msg.sender, address(this), _daiAmount), "Transfer of DAI from depositor failed");
+
+        // EXTERNAL CONTRACT CALL -- the shares depend on the cDAI minted, so they can only be
+        // computed after this call. We trust the cDAI contract, see FloatifyAccountBase's `redeemMax`
+        uint256 _cdaiBalance = cdaiContract.balanceOf(address(this));
+        CompoundErrors.requireSuccess(cdaiContract.mint(_daiAmount), "Call to mint function failed");
+        uint256 _cdaiAmount = cdaiContract.balanceOf(address(this)).sub(_cdaiBalance);
+
+        if (totalSupply == 0 || _cdaiBalance == 0) {
+            _shares = _daiAmount;
+        } else {
+            _shares = _cdaiAmount.mul(totalSupply).div(_cdaiBalance);
+        }
+        require(_shares > 0, "Deposit is too small");
+
+        deposited[msg.sender] = deposited[msg.sender].add(_daiAmount);
+        costBasis[msg.sender] = costBasis[msg.sender].add(_daiAmount);
+        totalSupply = totalSupply.add(_shares);
+        balanceOf[msg.sender] = balanceOf[msg.sender].add(_shares);
+        emit Transfer(address(0), msg.sender, _shares);
+        emit Deposit(msg.sender, _daiAmount, _cdaiAmount, _shares);
+    }
+
+    /**
+     * @notice Burns `_shares` of the caller's shares, redeems their share of the pool's cDAI and
+     * sends the DAI to `_withdrawalAddress`
+     * @dev The cDAI amount is rounded down, so rounding never takes value from the other holders
+     * @param _shares Number of shares to redeem
+     * @param _withdrawalAddress Address to send DAI to
+     * @return Amount of DAI sent
+     */
+    function redeem(uint256 _shares, address _withdrawalAddress) external returns (uint256 _daiAmount) {
+        require(_withdrawalAddress != address(0), "Cannot withdraw to the zero address");
+        require(_shares > 0 && _shares <= balanceOf[msg.sender], "Amount exceeds the share balance");
+
+        uint256 _cdaiAmount = _shares.mul(cdaiContract.balanceOf(address(this))).div(totalSupply);
+        uint256 _costBasis = costBasis[msg.sender].mul(_shares).div(balanceOf[msg.sender]);
+        costBasis[msg.sender] = costBasis[msg.sender].sub(_costBasis);
+        balanceOf[msg.sender] = balanceOf[msg.sender].sub(_shares);
+        totalSupply = totalSupply.sub(_shares);
+        emit Transfer(msg.sender, address(0), _shares);
+
+        // EXTERNAL CONTRACT CALL -- the DAI received is only known after this call, see `deposit`
+        uint256 _daiBalance = daiContract.balanceOf(address(this));
+        CompoundErrors.requireSuccess(cdaiContract.redeem(_cdaiAmount), "Redemption of some cDAI for DAI failed");
+        _daiAmount = daiContract.balanceOf(address(this)).sub(_daiBalance);
+
+        withdrawn[msg.sender] = withdrawn[msg.sender].add(_daiAmount);
+        if (_daiAmount > _costBasis) {
+            earningsRealized[msg.sender] = earningsRealized[msg.sender].add(_daiAmount.sub(_costBasis));
+        }
+        emit Redeem(msg.sender, _withdrawalAddress, _daiAmount, _cdaiAmount, _shares);
+        require(daiContract.transfer(_withdrawalAddress, _daiAmount), "Withrawal of DAI failed");
+    }
+
+    // ERC20 FUNCTIONS =============================================================================
+    /**
+     * @notice Transfers shares, along with their cost basis
+     */
+    function transfer(address _to, uint256 _amount) external returns (bool) {
+        transferShares(msg.sender, _to, _amount);
+        return true;
+    }
+
+    function transferFrom(address _from, address _to, uint256 _amount) external returns (bool) {
+        allowance[_from][msg.sender] = allowance[_from][msg.sender].sub(_amount);
+        transferShares(_from, _to, _amount);
+        return true;
+    }
+
+    function approve(address _spender, uint256 _amount) external returns (bool) {
+        require(_spender != address(0), "ERC20: approve to the zero address");
+        allowance[msg.sender][_spender] = _amount;
+        emit Approval(msg.sender, _spender, _amount);
+        return true;
+    }
+
+
+    // =============================================================================================
+    //                                     VIEW FUNCTIONS
+    // =============================================================================================
+
+    /**
+     * @notice Returns the amount of DAI the pool's cDAI can be redeemed for
+     * @dev Uses cDAI's stored exchange rate, see FloatifyAccountBase's `currentValue`
+     */
+    function currentValue() public view returns (uint256) {
+        return cdaiContract.balanceOf(address(this)).mul(cdaiContract.exchangeRateStored()).div(1e18);
+    }
+
+    /**
+     * @notice Returns the amount of DAI the shares of `_holder` can currently be redeemed for
+     * @param _holder Address holding shares
+     */
+    function holderValue(address _holder) public view returns (uint256) {
+        if (totalSupply == 0) {
+            return 0;
+        }
+        return balanceOf[_holder].mul(currentValue()).div(totalSupply);
+    }
+
+    /**
+     * @notice Returns the interest `_holder` has earned: realized by their redemptions, plus the
+     * value of their shares above their cost basis
+     * @param _holder Address holding shares
+     */
+    function earned(address _holder) external view returns (uint256) {
+        uint256 _value = holderValue(_holder);
+        uint256 _unrealized = _value > costBasis[_holder] ? _value.sub(costBasis[_holder]) : 0;
+        return earningsRealized[_holder].add(_unrealized);
+    }
+
+
+    // =============================================================================================
+    //                                   INTERNAL FUNCTIONS
+    // =============================================================================================
+
+    /**
+     * @dev Moves shares and the matching part of the sender's cost basis
+     */
+    function transferShares(address _from, address _to, uint256 _amount) private {
+        require(_to != address(0), "ERC20: transfer to the zero address");
+        require(_amount <= balanceOf[_from], "ERC20: transfer amount exceeds balance");
+        if (_amount > 0) {
+            uint256 _costBasis = costBasis[_from].mul(_amount).div(balanceOf[_from]);
+            costBasis[_from] = costBasis[_from].sub(_costBasis);
+            costBasis[_to] = costBasis[_to].add(_costBasis);
+        }
+        balanceOf[_from] = balanceOf[_from].sub(_amount);
+        balanceOf[_to] = balanceOf[_to].add(_amount);
+        emit Transfer(_from, _to, _amount);
+    }
+
+    /**
+     * @dev Returns true if `_account` is a contract, see FloatifyAccountBase's `isContract`
+     */
+    function isContract(address _account) private view returns (bool) {
+        uint256 _size;
+        // solium-disable-next-line security/no-inline-assembly
+        assembly { _size := extcodesize(_account) }
+        return _size > 0;
+    }
+}
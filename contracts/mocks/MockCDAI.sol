@@ -0,0 +1,249 @@
+pragma solidity 0.5.8;
+
+import "../FloatifyAccount.sol";
+
+/**
+ * @notice Local stand-in for Compound's cDAI market, used so tests can run without a mainnet fork
+ * @dev Follows the CToken conventions that FloatifyAccount relies on: 8 decimals, an exchange
+ * rate scaled by 1e18 that starts at 0.02 DAI per cDAI, interest accrued per block, and
+ * `mint`/`redeem`/`redeemUnderlying` return an error code instead of reverting. Interest is paid
+ * out of this contract's DAI balance, so tests must seed it with DAI to act as borrower liquidity.
+ * It also stands in for other markets, such as cUSDC, when deployed with another underlying token
+ * and given a matching exchange rate with `setExchangeRate()`.
+ * The exchange rate, supply rate and failure codes can be changed by anyone, so this must never
+ * be deployed to a public network
+ */
+contract MockCDAI {
+    using SafeMath for uint256;
+
+    // =============================================================================================
+    //                                    STORAGE VARIABLES
+    // =============================================================================================
+
+    string public constant name = "Compound Dai";
+    string public constant symbol = "cDAI";
+    uint8 public constant decimals = 8;
+
+    // Error codes, matching the `Error` enum in Compound's ErrorReporter.sol
+    uint256 public constant NO_ERROR = 0;
+    uint256 public constant COMPTROLLER_REJECTION = 3;
+    uint256 public constant MATH_ERROR = 9;
+    uint256 public constant TOKEN_INSUFFICIENT_ALLOWANCE = 12;
+    uint256 public constant TOKEN_INSUFFICIENT_BALANCE = 13;
+    uint256 public constant TOKEN_INSUFFICIENT_CASH = 14;
+
+    uint256 public totalSupply;
+    mapping(address => uint256) public balanceOf;
+    mapping(address => mapping(address => uint256)) public allowance;
+
+    ICERC20 public underlying; // the DAI token this market holds
+
+    // Exchange rate of cDAI to DAI, scaled by 1e18. Because cDAI has 8 decimals and DAI has 18,
+    // an exchange rate of 0.02 is stored as 0.02 * 1e18 * 1e10 = 2e26
+    uint256 public exchangeRateStored = 2e26;
+    uint256 public supplyRatePerBlock; // interest accrued per block, scaled by 1e18
+    uint256 public accrualBlockNumber; // block number interest was last accrued at
+
+    // When non-zero, the next calls to the corresponding function return this error code
+    uint256 public mintFailure;
+    uint256 public redeemFailure;
+    uint256 public redeemUnderlyingFailure;
+
+
+    // =============================================================================================
+    //                                        EVENTS
+    // =============================================================================================
+
+    event Transfer(address indexed from, address indexed to, uint256 amount);
+    event Approval(address indexed owner, address indexed spender, uint256 amount);
+    event Mint(address minter, uint256 mintAmount, uint256 mintTokens);
+    event Redeem(address redeemer, uint256 redeemAmount, uint256 redeemTokens);
+    event Failure(uint256 error, uint256 info, uint256 detail);
+
+
+    // =============================================================================================
+    //                                   MAIN OPERATION FUNCTIONS
+    // =============================================================================================
+
+    /**
+     * @param _underlying Address of the DAI token
+     * @param _supplyRatePerBlock Initial interest rate per block, scaled by 1e18
+     */
+    constructor(address _underlying, uint256 _supplyRatePerBlock) public {
+        underlying = ICERC20(_underlying);
+        supplyRatePerBlock = _supplyRatePerBlock;
+        accrualBlockNumber = block.number;
+    }
+
+    // ERC20 FUNCTIONS =============================================================================
+    function transfer(address _to, uint256 _amount) external returns (bool) {
+        return _transferTokens(msg.sender, _to, _amount);
+    }
+
+    function transferFrom(address _from, address _to, uint256 _amount) external returns (bool) {
+        require(allowance[_from][msg.sender] >= _amount, "MockCDAI: insufficient allowance");
+        if (allowance[_from][msg.sender] != uint256(-1)) {
+            allowance[_from][msg.sender] = allowance[_from][msg.sender].sub(_amount);
+        }
+        return _transferTokens(_from, _to, _amount);
+    }
+
+    function approve(address _spender, uint256 _amount) external returns (bool) {
+        allowance[msg.sender][_spender] = _amount;
+        emit Approval(msg.sender, _spender, _amount);
+        return true;
+    }
+
+    // CTOKEN FUNCTIONS ============================================================================
+    /**
+     * @notice Returns the amount of DAI held by this market
+     */
+    function getCash() public view returns (uint256) {
+        return underlying.balanceOf(address(this));
+    }
+
+    /**
+     * @notice Accrues interest and returns the updated exchange rate
+     */
+    function exchangeRateCurrent() external returns (uint256) {
+        accrueInterest();
+        return exchangeRateStored;
+    }
+
+    /**
+     * @notice Accrues interest and returns the DAI value of `_owner`'s cDAI
+     */
+    function balanceOfUnderlying(address _owner) external returns (uint256) {
+        accrueInterest();
+        return balanceOf[_owner].mul(exchangeRateStored).div(1e18);
+    }
+
+    /**
+     * @notice Applies simple interest at `supplyRatePerBlock` for every block since the last accrual
+     */
+    function accrueInterest() public returns (uint256) {
+        uint256 _blockDelta = block.number.sub(accrualBlockNumber);
+        if (_blockDelta > 0) {
+            uint256 _interestFactor = supplyRatePerBlock.mul(_blockDelta);
+            exchangeRateStored = exchangeRateStored.add(exchangeRateStored.mul(_interestFactor).div(1e18));
+            accrualBlockNumber = block.number;
+        }
+        return NO_ERROR;
+    }
+
+    /**
+     * @notice Transfers `_mintAmount` DAI from the sender and mints cDAI at the current exchange rate
+     * @return uint 0=success, otherwise a Compound error code
+     */
+    function mint(uint256 _mintAmount) external returns (uint256) {
+        accrueInterest();
+        if (mintFailure != NO_ERROR) {
+            return _fail(mintFailure);
+        }
+        if (underlying.allowance(msg.sender, address(this)) < _mintAmount) {
+            return _fail(TOKEN_INSUFFICIENT_ALLOWANCE);
+        }
+        if (underlying.balanceOf(msg.sender) < _mintAmount) {
+            return _fail(TOKEN_INSUFFICIENT_BALANCE);
+        }
+
+        uint256 _mintTokens = _mintAmount.mul(1e18).div(exchangeRateStored);
+        require(underlying.transferFrom(msg.sender, address(this), _mintAmount), "MockCDAI: transfer in failed");
+        totalSupply = totalSupply.add(_mintTokens);
+        balanceOf[msg.sender] = balanceOf[msg.sender].add(_mintTokens);
+        emit Mint(msg.sender, _mintAmount, _mintTokens);
+        emit Transfer(address(this), msg.sender, _mintTokens);
+        return NO_ERROR;
+    }
+
+    /**
+     * @notice Redeems `_redeemTokens` cDAI for DAI at the current exchange rate
+     * @return uint 0=success, otherwise a Compound error code
+     */
+    function redeem(uint256 _redeemTokens) external returns (uint256) {
+        accrueInterest();
+        if (redeemFailure != NO_ERROR) {
+            return _fail(redeemFailure);
+        }
+        uint256 _redeemAmount = _redeemTokens.mul(exchangeRateStored).div(1e18);
+        return _redeemFresh(_redeemTokens, _redeemAmount);
+    }
+
+    /**
+     * @notice Redeems as much cDAI as needed to receive `_redeemAmount` DAI
+     * @return uint 0=success, otherwise a Compound error code
+     */
+    function redeemUnderlying(uint256 _redeemAmount) external returns (uint256) {
+        accrueInterest();
+        if (redeemUnderlyingFailure != NO_ERROR) {
+            return _fail(redeemUnderlyingFailure);
+        }
+        uint256 _redeemTokens = _redeemAmount.mul(1e18).div(exchangeRateStored);
+        return _redeemFresh(_redeemTokens, _redeemAmount);
+    }
+
+
+    // =============================================================================================
+    //                                     TESTING FUNCTIONS
+    // =============================================================================================
+
+    /**
+     * @notice Overrides the exchange rate, e.g. to simulate a large amount of accrued interest
+     */
+    function setExchangeRate(uint256 _exchangeRate) external {
+        accrueInterest();
+        exchangeRateStored = _exchangeRate;
+    }
+
+    /**
+     * @notice Changes the interest rate per block, scaled by 1e18
+     */
+    function setSupplyRatePerBlock(uint256 _supplyRatePerBlock) external {
+        accrueInterest();
+        supplyRatePerBlock = _supplyRatePerBlock;
+    }
+
+    /**
+     * @notice Sets the error codes returned by `mint`, `redeem` and `redeemUnderlying`. Use 0 to
+     * restore normal behavior
+     */
+    function setFailureCodes(uint256 _mint, uint256 _redeem, uint256 _redeemUnderlying) external {
+        mintFailure = _mint;
+        redeemFailure = _redeem;
+        redeemUnderlyingFailure = _redeemUnderlying;
+    }
+
+
+    // =============================================================================================
+    //                                     INTERNAL FUNCTIONS
+    // =============================================================================================
+
+    function _transferTokens(address _from, address _to, uint256 _amount) internal returns (bool) {
+        require(balanceOf[_from] >= _amount, "MockCDAI: insufficient balance");
+        balanceOf[_from] = balanceOf[_from].sub(_amount);
+        balanceOf[_to] = balanceOf[_to].add(_amount);
+        emit Transfer(_from, _to, _amount);
+        return true;
+    }
+
+    function _redeemFresh(uint256 _redeemTokens, uint256 _redeemAmount) internal returns (uint256) {
+        if (balanceOf[msg.sender] < _redeemTokens) {
+            return _fail(MATH_ERROR);
+        }
+        if (getCash() < _redeemAmount) {
+            return _fail(TOKEN_INSUFFICIENT_CASH);
+        }
+
+        totalSupply = totalSupply.sub(_redeemTokens);
+        balanceOf[msg.sender] = balanceOf[msg.sender].sub(_redeemTokens);
+        require(underlying.transfer(msg.sender, _redeemAmount), "MockCDAI: transfer out failed");
+        emit Transfer(msg.sender, address(this), _redeemTokens);
+        emit Redeem(msg.sender, _redeemAmount, _redeemTokens);
+        return NO_ERROR;
+    }
+
+    function _fail(uint256 _error) internal returns (uint256) {
+        emit Failure(_error, 0, 0);
+        return _error;
+    }
+}
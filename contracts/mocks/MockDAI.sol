@@ -0,0 +1,118 @@
+pragma solidity 0.5.8;
+
+import "../FloatifyAccount.sol";
+
+/**
+ * @notice Local stand-in for the DAI token, used so tests can run without a mainnet fork
+ * @dev Mirrors the behavior of the single-collateral DAI token (a DSToken): transfers to the
+ * zero address are allowed and an allowance of 2**256-1 is never decremented. It also has the
+ * `permit` function of multi-collateral DAI. Anyone can mint tokens with `allocateTo()`, so this
+ * must never be deployed to a public network
+ */
+contract MockDAI {
+    using SafeMath for uint256;
+
+    // =============================================================================================
+    //                                    STORAGE VARIABLES
+    // =============================================================================================
+
+    string public constant name = "Dai Stablecoin v1.0";
+    string public constant symbol = "DAI";
+    uint8 public constant decimals = 18;
+
+    uint256 public totalSupply;
+    mapping(address => uint256) public balanceOf;
+    mapping(address => mapping(address => uint256)) public allowance;
+
+    // EIP-712 permits, with the same domain and typehash as multi-collateral DAI
+    bytes32 public constant PERMIT_TYPEHASH = keccak256(
+        "Permit(address holder,address spender,uint256 nonce,uint256 expiry,bool allowed)"
+    );
+    bytes32 public DOMAIN_SEPARATOR;
+    mapping(address => uint256) public nonces;
+
+
+    // =============================================================================================
+    //                                        EVENTS
+    // =============================================================================================
+
+    event Transfer(address indexed from, address indexed to, uint256 value);
+    event Approval(address indexed owner, address indexed spender, uint256 value);
+
+
+    // =============================================================================================
+    //                                     ERC20 FUNCTIONS
+    // =============================================================================================
+
+    /**
+     * @param _chainId ID of the chain, used in the permit domain
+     */
+    constructor(uint256 _chainId) public {
+        bytes32 _domainTypehash = keccak256(
+            "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+        );
+        DOMAIN_SEPARATOR = keccak256(
+            abi.encode(_domainTypehash, keccak256("Dai Stablecoin"), keccak256("1"), _chainId, address(this))
+        );
+    }
+
+    function transfer(address _to, uint256 _amount) external returns (bool) {
+        return transferFrom(msg.sender, _to, _amount);
+    }
+
+    function transferFrom(address _from, address _to, uint256 _amount) public returns (bool) {
+        if (_from != msg.sender && allowance[_from][msg.sender] != uint256(-1)) {
+            require(allowance[_from][msg.sender] >= _amount, "ds-token-insufficient-approval");
+            allowance[_from][msg.sender] = allowance[_from][msg.sender].sub(_amount);
+        }
+        require(balanceOf[_from] >= _amount, "ds-token-insufficient-balance");
+        balanceOf[_from] = balanceOf[_from].sub(_amount);
+        balanceOf[_to] = balanceOf[_to].add(_amount);
+        emit Transfer(_from, _to, _amount);
+        return true;
+    }
+
+    function approve(address _spender, uint256 _amount) external returns (bool) {
+        allowance[msg.sender][_spender] = _amount;
+        emit Approval(msg.sender, _spender, _amount);
+        return true;
+    }
+
+    function permit(
+        address _holder,
+        address _spender,
+        uint256 _nonce,
+        uint256 _expiry,
+        bool _allowed,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) external {
+        bytes32 _structHash = keccak256(abi.encode(PERMIT_TYPEHASH, _holder, _spender, _nonce, _expiry, _allowed));
+        bytes32 _digest = keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR, _structHash));
+        require(_holder != address(0), "Dai/invalid-address-0");
+        require(_holder == ecrecover(_digest, _v, _r, _s), "Dai/invalid-permit");
+        // solium-disable-next-line security/no-block-members
+        require(_expiry == 0 || now <= _expiry, "Dai/permit-expired");
+        require(_nonce == nonces[_holder], "Dai/invalid-nonce");
+        nonces[_holder] = _nonce.add(1);
+        uint256 _amount = _allowed ? uint256(-1) : 0;
+        allowance[_holder][_spender] = _amount;
+        emit Approval(_holder, _spender, _amount);
+    }
+
+
+    // =============================================================================================
+    //                                     TESTING FUNCTIONS
+    // =============================================================================================
+
+    /**
+     * @notice Mints `_amount` new tokens to `_recipient`, with no access control
+     * @dev Same name as the faucet function on Compound's test tokens
+     */
+    function allocateTo(address _recipient, uint256 _amount) external {
+        totalSupply = totalSupply.add(_amount);
+        balanceOf[_recipient] = balanceOf[_recipient].add(_amount);
+        emit Transfer(address(0), _recipient, _amount);
+    }
+}
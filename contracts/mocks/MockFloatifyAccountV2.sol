@@ -0,0 +1,34 @@
+pragma solidity 0.5.8;
+
+import "../FloatifyAccount.sol";
+
+/**
+ * @notice New FloatifyAccount implementation for testing upgrades, which appends a storage variable
+ */
+contract MockFloatifyAccountV2 is FloatifyAccount {
+    uint256 public upgradeNote;
+
+    /**
+     * @param _extension Address of the FloatifyAccountExtension functions are delegated to
+     * @param _compoundStrategy Address of the CompoundStrategy accounts use until they migrate
+     */
+    constructor(address _extension, address _compoundStrategy)
+        public
+        FloatifyAccount(_extension, _compoundStrategy)
+    {} // solium-disable-line no-empty-blocks
+
+    /**
+     * @notice Returns the version of this implementation
+     */
+    function version() external pure returns (uint256) {
+        return 2;
+    }
+
+    /**
+     * @notice Sets the new storage variable
+     * @param _note Value to store
+     */
+    function setUpgradeNote(uint256 _note) external onlyOwner {
+        upgradeNote = _note;
+    }
+}
@@ -0,0 +1,14 @@
+pragma solidity 0.5.8;
+
+/**
+ * @notice Sends ETH to a contract that does not accept it, for testing ETH rescue
+ */
+contract MockForceSend {
+    /**
+     * @notice Destroys this contract and sends the ETH sent with this call to `_recipient`
+     * @param _recipient Address to send ETH to
+     */
+    function forceSend(address payable _recipient) external payable {
+        selfdestruct(_recipient);
+    }
+}
@@ -0,0 +1,77 @@
+pragma solidity 0.5.8;
+
+import "../FloatifyAccount.sol";
+
+/**
+ * @notice Local stand-in for the USDC token, used to test markets other than DAI
+ * @dev A plain ERC20 token with 6 decimals. Anyone can mint tokens with `allocateTo()`, so this must
+ * never be deployed to a public network
+ */
+contract MockUSDC {
+    using SafeMath for uint256;
+
+    // =============================================================================================
+    //                                    STORAGE VARIABLES
+    // =============================================================================================
+
+    string public constant name = "USD//C";
+    string public constant symbol = "USDC";
+    uint8 public constant decimals = 6;
+
+    uint256 public totalSupply;
+    mapping(address => uint256) public balanceOf;
+    mapping(address => mapping(address => uint256)) public allowance;
+
+
+    // =============================================================================================
+    //                                        EVENTS
+    // =============================================================================================
+
+    event Transfer(address indexed from, address indexed to, uint256 value);
+    event Approval(address indexed owner, address indexed spender, uint256 value);
+
+
+    // =============================================================================================
+    //                                     ERC20 FUNCTIONS
+    // =============================================================================================
+
+    function transfer(address _to, uint256 _amount) external returns (bool) {
+        return transferTokens(msg.sender, _to, _amount);
+    }
+
+    function transferFrom(address _from, address _to, uint256 _amount) external returns (bool) {
+        require(allowance[_from][msg.sender] >= _amount, "ERC20: transfer amount exceeds allowance");
+        allowance[_from][msg.sender] = allowance[_from][msg.sender].sub(_amount);
+        return transferTokens(_from, _to, _amount);
+    }
+
+    function approve(address _spender, uint256 _amount) external returns (bool) {
+        allowance[msg.sender][_spender] = _amount;
+        emit Approval(msg.sender, _spender, _amount);
+        return true;
+    }
+
+    function transferTokens(address _from, address _to, uint256 _amount) internal returns (bool) {
+        require(_to != address(0), "ERC20: transfer to the zero address");
+        require(balanceOf[_from] >= _amount, "ERC20: transfer amount exceeds balance");
+        balanceOf[_from] = balanceOf[_from].sub(_amount);
+        balanceOf[_to] = balanceOf[_to].add(_amount);
+        emit Transfer(_from, _to, _amount);
+        return true;
+    }
+
+
+    // =============================================================================================
+    //                                     TESTING FUNCTIONS
+    // =============================================================================================
+
+    /**
+     * @notice Mints `_amount` new tokens to `_recipient`, with no access control
+     * @dev Same name as the faucet function on Compound's test tokens
+     */
+    function allocateTo(address _recipient, uint256 _amount) external {
+        totalSupply = totalSupply.add(_amount);
+        balanceOf[_recipient] = balanceOf[_recipient].add(_amount);
+        emit Transfer(address(0), _recipient, _amount);
+    }
+}
@@ -0,0 +1,184 @@
+pragma solidity 0.5.8;
+
+import "../FloatifyAccount.sol";
+
+/**
+ * @notice Local stand-in for a savings rate vault such as Savings DAI, used to test VaultStrategy
+ * @dev Follows the parts of ERC-4626 that VaultStrategy uses. Like the DSR, each share is worth
+ * `chi` DAI, scaled by 1e18, which grows by `ratePerSecond` every second. Unlike the DSR the
+ * interest is simple, not compounded, and it is paid out of this contract's DAI balance, so tests
+ * must seed it with DAI. The rate and `chi` can be changed by anyone, so this must never be
+ * deployed to a public network
+ */
+contract MockVault {
+    using SafeMath for uint256;
+
+    // =============================================================================================
+    //                                    STORAGE VARIABLES
+    // =============================================================================================
+
+    string public constant name = "Savings Dai";
+    string public constant symbol = "sDAI";
+    uint8 public constant decimals = 18;
+
+    uint256 public totalSupply;
+    mapping(address => uint256) public balanceOf;
+    mapping(address => mapping(address => uint256)) public allowance;
+
+    address public asset; // the DAI token this vault holds
+
+    uint256 public chi = 1e18; // DAI per share as of `rho`, scaled by 1e18
+    uint256 public rho; // time `chi` was last updated
+    uint256 public ratePerSecond; // interest per second, scaled by 1e18
+
+
+    // =============================================================================================
+    //                                        EVENTS
+    // =============================================================================================
+
+    event Transfer(address indexed from, address indexed to, uint256 value);
+    event Approval(address indexed owner, address indexed spender, uint256 value);
+    event Deposit(address indexed sender, address indexed owner, uint256 assets, uint256 shares);
+    event Withdraw(
+        address indexed sender,
+        address indexed receiver,
+        address indexed owner,
+        uint256 assets,
+        uint256 shares
+    );
+
+
+    // =============================================================================================
+    //                                   MAIN OPERATION FUNCTIONS
+    // =============================================================================================
+
+    /**
+     * @param _asset Address of the DAI token
+     * @param _ratePerSecond Initial interest rate per second, scaled by 1e18
+     */
+    constructor(address _asset, uint256 _ratePerSecond) public {
+        asset = _asset;
+        ratePerSecond = _ratePerSecond;
+        // solium-disable-next-line security/no-block-members
+        rho = now;
+    }
+
+    // ERC20 FUNCTIONS =============================================================================
+    function transfer(address _to, uint256 _amount) external returns (bool) {
+        transferShares(msg.sender, _to, _amount);
+        return true;
+    }
+
+    function approve(address _spender, uint256 _amount) external returns (bool) {
+        allowance[msg.sender][_spender] = _amount;
+        emit Approval(msg.sender, _spender, _amount);
+        return true;
+    }
+
+    // ERC-4626 FUNCTIONS ==========================================================================
+    /**
+     * @notice Returns the current DAI value of a share, scaled by 1e18
+     */
+    function currentChi() public view returns (uint256) {
+        // solium-disable-next-line security/no-block-members
+        uint256 _interestFactor = ratePerSecond.mul(now.sub(rho));
+        return chi.add(chi.mul(_interestFactor).div(1e18));
+    }
+
+    /**
+     * @notice Returns the amount of DAI `_shares` can currently be redeemed for
+     */
+    function convertToAssets(uint256 _shares) external view returns (uint256) {
+        return _shares.mul(currentChi()).div(1e18);
+    }
+
+    /**
+     * @notice Transfers `_assets` DAI from the caller and mints shares to `_receiver`, rounding down
+     * @return Amount of shares minted
+     */
+    function deposit(uint256 _assets, address _receiver) external returns (uint256 _shares) {
+        drip();
+        _shares = _assets.mul(1e18).div(chi);
+        require(ICERC20(asset).transferFrom(msg.sender, address(this), _assets), "MockVault: transfer in failed");
+        totalSupply = totalSupply.add(_shares);
+        balanceOf[_receiver] = balanceOf[_receiver].add(_shares);
+        emit Transfer(address(0), _receiver, _shares);
+        emit Deposit(msg.sender, _receiver, _assets, _shares);
+    }
+
+    /**
+     * @notice Burns as many of `_owner`'s shares as needed, rounding up, to send `_assets` DAI to
+     * `_receiver`
+     * @return Amount of shares burned
+     */
+    function withdraw(uint256 _assets, address _receiver, address _owner) external returns (uint256 _shares) {
+        drip();
+        _shares = _assets.mul(1e18).add(chi).sub(1).div(chi);
+        burnShares(_owner, _receiver, _assets, _shares);
+    }
+
+    /**
+     * @notice Burns `_shares` of `_owner` and sends the DAI they are worth to `_receiver`
+     * @return Amount of DAI sent
+     */
+    function redeem(uint256 _shares, address _receiver, address _owner) external returns (uint256 _assets) {
+        drip();
+        _assets = _shares.mul(chi).div(1e18);
+        burnShares(_owner, _receiver, _assets, _shares);
+    }
+
+    /**
+     * @notice Stores the current value of a share
+     */
+    function drip() public {
+        chi = currentChi();
+        // solium-disable-next-line security/no-block-members
+        rho = now;
+    }
+
+
+    // =============================================================================================
+    //                                     TESTING FUNCTIONS
+    // =============================================================================================
+
+    /**
+     * @notice Overrides the value of a share, e.g. to simulate a large amount of accrued interest
+     */
+    function setChi(uint256 _chi) external {
+        drip();
+        chi = _chi;
+    }
+
+    /**
+     * @notice Changes the interest rate per second, scaled by 1e18
+     */
+    function setRatePerSecond(uint256 _ratePerSecond) external {
+        drip();
+        ratePerSecond = _ratePerSecond;
+    }
+
+
+    // =============================================================================================
+    //                                     INTERNAL FUNCTIONS
+    // =============================================================================================
+
+    function transferShares(address _from, address _to, uint256 _amount) internal {
+        require(balanceOf[_from] >= _amount, "MockVault: insufficient balance");
+        balanceOf[_from] = balanceOf[_from].sub(_amount);
+        balanceOf[_to] = balanceOf[_to].add(_amount);
+        emit Transfer(_from, _to, _amount);
+    }
+
+    function burnShares(address _owner, address _receiver, uint256 _assets, uint256 _shares) internal {
+        if (msg.sender != _owner) {
+            require(allowance[_owner][msg.sender] >= _shares, "MockVault: insufficient allowance");
+            allowance[_owner][msg.sender] = allowance[_owner][msg.sender].sub(_shares);
+        }
+        require(balanceOf[_owner] >= _shares, "MockVault: insufficient balance");
+        totalSupply = totalSupply.sub(_shares);
+        balanceOf[_owner] = balanceOf[_owner].sub(_shares);
+        emit Transfer(_owner, address(0), _shares);
+        emit Withdraw(msg.sender, _receiver, _owner, _assets, _shares);
+        require(ICERC20(asset).transfer(_receiver, _assets), "MockVault: transfer out failed");
+    }
+}
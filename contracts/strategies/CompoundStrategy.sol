@@ -0,0 +1,74 @@
+pragma solidity 0.5.8;
+
+import "../FloatifyAccount.sol";
+
+/**
+ * @notice IYieldStrategy for a Compound market such as cDAI, which accounts use by default
+ * @dev Has no storage, accounts call it with `delegatecall` so the cTokens are held by the account.
+ * Compound's error codes are turned into revert reasons with `CompoundErrors`
+ */
+contract CompoundStrategy is IYieldStrategy {
+    using SafeMath for uint256;
+
+    /**
+     * @notice Approves the cToken to spend the account's DAI
+     * @param _market Address of the cToken
+     */
+    function enter(address _market) external {
+        bool _approved = ICERC20(ICERC20(_market).underlying()).approve(_market, 2**256-1);
+        require(_approved, "Failed to approve cDAI contract to spend DAI");
+    }
+
+    /**
+     * @notice Mints cTokens with `_amount` DAI
+     * @param _market Address of the cToken
+     * @param _amount Amount of DAI to supply
+     */
+    function supply(address _market, uint256 _amount) external {
+        CompoundErrors.requireSuccess(ICERC20(_market).mint(_amount), "Call to mint function failed");
+    }
+
+    /**
+     * @notice Redeems as many cTokens as needed to receive `_amount` DAI
+     * @param _market Address of the cToken
+     * @param _amount Amount of DAI to redeem
+     * @return Amount of cTokens burned
+     */
+    function redeem(address _market, uint256 _amount) external returns (uint256) {
+        ICERC20 _cToken = ICERC20(_market);
+        uint256 _initialBalance = _cToken.balanceOf(address(this));
+        CompoundErrors.requireSuccess(_cToken.redeemUnderlying(_amount), "Redemption of some cDAI for DAI failed");
+        return _initialBalance.sub(_cToken.balanceOf(address(this)));
+    }
+
+    /**
+     * @notice Redeems all cTokens held by the account
+     * @param _market Address of the cToken
+     * @return Amount of cTokens burned
+     */
+    function redeemAll(address _market) external returns (uint256) {
+        ICERC20 _cToken = ICERC20(_market);
+        uint256 _balance = _cToken.balanceOf(address(this));
+        CompoundErrors.requireSuccess(_cToken.redeem(_balance), "Redemption of all cDAI for DAI failed");
+        return _balance;
+    }
+
+    /**
+     * @notice Returns the cToken's underlying token
+     * @param _market Address of the cToken
+     */
+    function underlying(address _market) external view returns (address) {
+        return ICERC20(_market).underlying();
+    }
+
+    /**
+     * @notice Returns the amount of DAI `_account`'s cTokens can be redeemed for, using the stored
+     * exchange rate
+     * @param _market Address of the cToken
+     * @param _account Address holding the cTokens
+     */
+    function currentValue(address _market, address _account) external view returns (uint256) {
+        ICERC20 _cToken = ICERC20(_market);
+        return _cToken.balanceOf(_account).mul(_cToken.exchangeRateStored()).div(1e18);
+    }
+}
@@ -0,0 +1,107 @@
+pragma solidity 0.5.8;
+
+import "../FloatifyAccount.sol";
+
+/**
+ * @dev The parts of the ERC-4626 tokenized vault standard used by VaultStrategy
+ */
+interface IERC4626 {
+    /**
+     * @notice Returns the token the vault holds
+     */
+    function asset() external view returns (address);
+
+    /**
+     * @notice Returns the number of shares held by `owner`
+     */
+    function balanceOf(address owner) external view returns (uint256);
+
+    /**
+     * @notice Returns the amount of assets `shares` can currently be redeemed for
+     */
+    function convertToAssets(uint256 shares) external view returns (uint256);
+
+    /**
+     * @notice Transfers `assets` from the caller and mints shares to `receiver`
+     * @return Amount of shares minted
+     */
+    function deposit(uint256 assets, address receiver) external returns (uint256);
+
+    /**
+     * @notice Burns `owner`'s shares and sends exactly `assets` to `receiver`
+     * @return Amount of shares burned
+     */
+    function withdraw(uint256 assets, address receiver, address owner) external returns (uint256);
+
+    /**
+     * @notice Burns `shares` of `owner` and sends the assets they are worth to `receiver`
+     * @return Amount of assets sent
+     */
+    function redeem(uint256 shares, address receiver, address owner) external returns (uint256);
+}
+
+
+/**
+ * @notice IYieldStrategy for a savings rate vault that follows ERC-4626, such as Savings DAI
+ * @dev Has no storage, accounts call it with `delegatecall` so the vault shares are held by the
+ * account. Vaults revert on failure, so their revert reasons are passed on
+ */
+contract VaultStrategy is IYieldStrategy {
+    /**
+     * @notice Approves the vault to spend the account's DAI
+     * @param _market Address of the vault
+     */
+    function enter(address _market) external {
+        bool _approved = ICERC20(IERC4626(_market).asset()).approve(_market, 2**256-1);
+        require(_approved, "Failed to approve vault to spend DAI");
+    }
+
+    /**
+     * @notice Deposits `_amount` DAI in the vault
+     * @param _market Address of the vault
+     * @param _amount Amount of DAI to supply
+     */
+    function supply(address _market, uint256 _amount) external {
+        IERC4626(_market).deposit(_amount, address(this));
+    }
+
+    /**
+     * @notice Withdraws `_amount` DAI from the vault
+     * @param _market Address of the vault
+     * @param _amount Amount of DAI to redeem
+     * @return Amount of shares burned
+     */
+    function redeem(address _market, uint256 _amount) external returns (uint256) {
+        return IERC4626(_market).withdraw(_amount, address(this), address(this));
+    }
+
+    /**
+     * @notice Redeems all vault shares held by the account
+     * @param _market Address of the vault
+     * @return Amount of shares burned
+     */
+    function redeemAll(address _market) external returns (uint256) {
+        IERC4626 _vault = IERC4626(_market);
+        uint256 _shares = _vault.balanceOf(address(this));
+        _vault.redeem(_shares, address(this), address(this));
+        return _shares;
+    }
+
+    /**
+     * @notice Returns the vault's asset
+     * @param _market Address of the vault
+     */
+    function underlying(address _market) external view returns (address) {
+        return IERC4626(_market).asset();
+    }
+
+    /**
+     * @notice Returns the amount of DAI `_account`'s shares can be redeemed for
+     * @param _market Address of the vault
+     * @param _account Address holding the shares
+     */
+    function currentValue(address _market, address _account) external view returns (uint256) {
+        IERC4626 _vault = IERC4626(_market);
+        return _vault.convertToAssets(_vault.balanceOf(_account));
+    }
+}
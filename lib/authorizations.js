@@ -0,0 +1,192 @@
+// =================================================================================================
+//                                     SIGNED AUTHORIZATIONS
+// =================================================================================================
+const Web3 = require('web3');
+const { humanToMachine } = require('./units');
+
+const accountABI = require('../externalAbis/FloatifyAccount.json').abi; // the ABI of FloatifyAccount contract
+
+// EIP-712 types, matching the typehashes in FloatifyAccount
+const authorizationTypes = {
+  EIP712Domain: [
+    { name: 'name', type: 'string' },
+    { name: 'version', type: 'string' },
+    { name: 'chainId', type: 'uint256' },
+    { name: 'verifyingContract', type: 'address' },
+  ],
+  DepositAuthorization: [
+    { name: 'nonce', type: 'uint256' },
+    { name: 'expiry', type: 'uint256' },
+  ],
+  RedeemMaxAuthorization: [
+    { name: 'withdrawalAddress', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'expiry', type: 'uint256' },
+  ],
+  RedeemPartialAuthorization: [
+    { name: 'withdrawalAddress', type: 'address' },
+    { name: 'daiAmount', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'expiry', type: 'uint256' },
+  ],
+};
+
+// EIP-712 type of multi-collateral DAI's permit, and the ABI of the function returning permit nonces
+const permitType = [
+  { name: 'holder', type: 'address' },
+  { name: 'spender', type: 'address' },
+  { name: 'nonce', type: 'uint256' },
+  { name: 'expiry', type: 'uint256' },
+  { name: 'allowed', type: 'bool' },
+];
+const noncesAbi = [{
+  constant: true,
+  inputs: [{ name: '', type: 'address' }],
+  name: 'nonces',
+  outputs: [{ name: '', type: 'uint256' }],
+  payable: false,
+  stateMutability: 'view',
+  type: 'function',
+}];
+
+// Actions a user can authorize, with their EIP-712 type and the FloatifyAccount method that executes them
+const actions = {
+  deposit: { primaryType: 'DepositAuthorization', method: 'depositWithSignature' },
+  redeemAndWithdrawMax: { primaryType: 'RedeemMaxAuthorization', method: 'redeemAndWithdrawMaxWithSignature' },
+  redeemAndWithdrawPartial: {
+    primaryType: 'RedeemPartialAuthorization',
+    method: 'redeemAndWithdrawPartialWithSignature',
+  },
+};
+
+
+/**
+ * @notice Get the details of an action that can be authorized
+ * @param {string} action 'deposit', 'redeemAndWithdrawMax' or 'redeemAndWithdrawPartial'
+ * @returns {object} EIP-712 primary type and FloatifyAccount method of the action
+ */
+function getAction(action) {
+  if (!Object.prototype.hasOwnProperty.call(actions, action)) throw Error(`Invalid action '${action}'`);
+  return actions[action];
+}
+
+
+/**
+ * @notice Build the EIP-712 typed data a user signs to authorize an action, e.g. with MetaMask's
+ * `eth_signTypedData_v4`. The account's chain ID and current nonce are read from the contract
+ * @param {object} provider web3 provider, or a JSON-RPC URL
+ * @param {string} accountAddress Address of the FloatifyAccount contract
+ * @param {string} action 'deposit', 'redeemAndWithdrawMax' or 'redeemAndWithdrawPartial'
+ * @param {object} params
+ * @param {number} params.expiry Time in seconds after which the authorization can no longer be used
+ * @param {string} [params.withdrawalAddress] Address to send DAI to, for redemptions
+ * @param {number, string, BigNumber} [params.daiAmount] Amount of DAI to redeem, for partial redemptions
+ * @param {object} [options]
+ * @param {Array} [options.abi] ABI of FloatifyAccount, defaults to the one in externalAbis
+ * @returns {object} typed data with `types`, `domain`, `primaryType` and `message`
+ */
+async function getAuthorizationTypedData(provider, accountAddress, action, params, options = {}) {
+  const { primaryType } = getAction(action);
+  const web3 = new Web3(provider);
+  const account = new web3.eth.Contract(options.abi || accountABI, accountAddress);
+  const [chainId, nonce] = await Promise.all([account.methods.chainId().call(), account.methods.nonce().call()]);
+
+  const message = { nonce, expiry: String(params.expiry) };
+  if (action !== 'deposit') message.withdrawalAddress = params.withdrawalAddress;
+  if (action === 'redeemAndWithdrawPartial') message.daiAmount = humanToMachine('dai', params.daiAmount);
+
+  return {
+    types: { EIP712Domain: authorizationTypes.EIP712Domain, [primaryType]: authorizationTypes[primaryType] },
+    domain: {
+      name: 'FloatifyAccount', version: '1', chainId: Number(chainId), verifyingContract: accountAddress,
+    },
+    primaryType,
+    message,
+  };
+}
+
+
+/**
+ * @notice Build the EIP-712 typed data a depositor signs to let an account pull their DAI with
+ * `depositFromWithPermit`. Only DAI tokens with `permit`, i.e. multi-collateral DAI, support this.
+ * The depositor's current nonce is read from the DAI contract
+ * @param {object} provider web3 provider, or a JSON-RPC URL
+ * @param {object} networkConfig Network configuration with `daiAddress` and `chainId`, as returned
+ * by `getNetworkConfig()`. For networks that use mock tokens, pass the mock DAI address
+ * @param {string} accountAddress Address of the FloatifyAccount that will pull the DAI
+ * @param {string} holder Address of the depositor
+ * @param {object} params
+ * @param {number} params.expiry Time in seconds after which the permit can no longer be used, 0 for never
+ * @returns {object} typed data with `types`, `domain`, `primaryType` and `message`
+ */
+async function getPermitTypedData(provider, networkConfig, accountAddress, holder, params) {
+  const web3 = new Web3(provider);
+  const dai = new web3.eth.Contract(noncesAbi, networkConfig.daiAddress);
+  const nonce = await dai.methods.nonces(holder).call();
+  return {
+    types: { EIP712Domain: authorizationTypes.EIP712Domain, Permit: permitType },
+    domain: {
+      name: 'Dai Stablecoin',
+      version: '1',
+      chainId: Number(networkConfig.chainId),
+      verifyingContract: networkConfig.daiAddress,
+    },
+    primaryType: 'Permit',
+    message: {
+      holder, spender: accountAddress, nonce, expiry: String(params.expiry), allowed: true,
+    },
+  };
+}
+
+
+/**
+ * @notice Split a 65 byte signature into the `v`, `r` and `s` values taken by the contract
+ * @param {string} signature Signature as a hex string
+ * @returns {object} `v`, `r` and `s`
+ */
+function splitSignature(signature) {
+  if (!/^0x[0-9a-fA-F]{130}$/.test(signature)) throw Error('Signature must be 65 bytes as a hex string');
+  const v = parseInt(signature.slice(130, 132), 16);
+  return {
+    r: `0x${signature.slice(2, 66)}`,
+    s: `0x${signature.slice(66, 130)}`,
+    v: v < 27 ? v + 27 : v,
+  };
+}
+
+
+/**
+ * @notice Get the contract method call that executes a signed authorization
+ * @param {object} account web3 contract instance of the account
+ * @param {object} request
+ * @param {string} request.action 'deposit', 'redeemAndWithdrawMax' or 'redeemAndWithdrawPartial'
+ * @param {object} request.message The signed `message` from `getAuthorizationTypedData()`
+ * @param {string} request.signature The user's signature of the typed data
+ * @returns {object} web3 contract method
+ */
+function getAuthorizationMethod(account, { action, message, signature }) {
+  const { method } = getAction(action);
+  if (!message) throw Error('No authorization message specified');
+  const { v, r, s } = splitSignature(signature);
+  const {
+    withdrawalAddress, daiAmount, nonce, expiry,
+  } = message;
+
+  switch (action) {
+    case 'deposit':
+      return account.methods[method](nonce, expiry, v, r, s);
+    case 'redeemAndWithdrawMax':
+      return account.methods[method](withdrawalAddress, nonce, expiry, v, r, s);
+    default:
+      return account.methods[method](withdrawalAddress, daiAmount, nonce, expiry, v, r, s);
+  }
+}
+
+
+module.exports = {
+  authorizationTypes,
+  getAuthorizationTypedData,
+  getAuthorizationMethod,
+  getPermitTypedData,
+  splitSignature,
+};
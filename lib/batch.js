@@ -0,0 +1,89 @@
+// =================================================================================================
+//                                       BATCH EXECUTION
+// =================================================================================================
+const Web3 = require('web3');
+const { parseReceiptEvents } = require('./client');
+const { decodeRevertReason } = require('./errors');
+const { humanToMachine } = require('./units');
+
+const batcherABI = require('../externalAbis/FloatifyAccountBatcher.json').abi; // the ABI of the batcher contract
+
+// Actions a batch item can run, and their numbers in FloatifyAccountBatcher
+const batchActions = {
+  deposit: 0,
+  redeemAndWithdrawPartial: 1,
+  redeemAndWithdrawMax: 2,
+};
+
+const zeroAddress = '0x0000000000000000000000000000000000000000';
+
+
+/**
+ * @notice Convert batch items into the arrays taken by FloatifyAccountBatcher's `executeBatch`
+ * @param {Array<object>} items Batch items, each with:
+ *   - `account`: address of the FloatifyAccount
+ *   - `action`: 'deposit', 'redeemAndWithdrawPartial' or 'redeemAndWithdrawMax'
+ *   - `destination`: address DAI is withdrawn to, not needed for deposits
+ *   - `daiAmount`: human-readable amount of DAI to redeem, for 'redeemAndWithdrawPartial'
+ * @returns {object} `accounts`, `actions`, `destinations` and `amounts` arrays
+ */
+function encodeBatch(items) {
+  return items.reduce((batch, item) => {
+    if (batchActions[item.action] === undefined) throw Error(`Invalid action '${item.action}'`);
+    return {
+      accounts: batch.accounts.concat(item.account),
+      actions: batch.actions.concat(batchActions[item.action]),
+      destinations: batch.destinations.concat(item.destination || zeroAddress),
+      amounts: batch.amounts.concat(item.daiAmount === undefined ? '0' : humanToMachine('DAI', item.daiAmount)),
+    };
+  }, {
+    accounts: [], actions: [], destinations: [], amounts: [],
+  });
+}
+
+
+/**
+ * @notice Run actions on many FloatifyAccounts in one transaction
+ * @dev Gas is estimated first, so in atomic mode a failing item throws with its revert reason
+ * without sending a transaction
+ * @param {object} provider web3 provider, or a JSON-RPC URL
+ * @param {string} batcherAddress Address of the FloatifyAccountBatcher contract
+ * @param {Array<object>} items Batch items, see `encodeBatch()`
+ * @param {object} options
+ * @param {string} options.from Address to send the transaction from, usually the accounts' operator
+ * @param {boolean} [options.atomic] If true, the whole batch reverts if any item fails
+ * @param {Array} [options.abi] ABI of FloatifyAccountBatcher, defaults to the one in externalAbis
+ * @returns {object} transaction receipt, and for each item its account, action, whether it
+ * succeeded and the revert reason if it did not
+ */
+async function executeBatch(provider, batcherAddress, items, options = {}) {
+  const { from } = options;
+  if (!from) throw Error('No sender address specified, set `from` in the options');
+  const web3 = new Web3(provider);
+  const batcher = new web3.eth.Contract(options.abi || batcherABI, batcherAddress);
+
+  const {
+    accounts, actions, destinations, amounts,
+  } = encodeBatch(items);
+  const method = batcher.methods.executeBatch(accounts, actions, destinations, amounts, Boolean(options.atomic));
+  const gas = await method.estimateGas({ from });
+  const receipt = await method.send({ from, gas });
+
+  const results = parseReceiptEvents(receipt)
+    .filter((event) => event.event === 'BatchItemExecuted')
+    .map((event) => ({
+      index: Number(event.index),
+      account: event.account,
+      action: items[Number(event.index)].action,
+      success: event.success,
+      error: event.success ? undefined : decodeRevertReason(event.returnData),
+    }));
+  return { receipt, results };
+}
+
+
+module.exports = {
+  batchActions,
+  encodeBatch,
+  executeBatch,
+};
@@ -0,0 +1,780 @@
+// =================================================================================================
+//                                    FLOATIFY ACCOUNT CLIENT
+// =================================================================================================
+const Web3 = require('web3');
+const { humanToMachine, machineToHuman } = require('./units');
+
+const daiABI = require('../externalAbis/DAI.json').abi; // the ABI of DAI contract, also used for other ERC20 tokens
+const cdaiABI = require('../externalAbis/cDAI.json').abi; // the ABI of cDAI contract
+const accountABI = require('../externalAbis/FloatifyAccount.json').abi; // the ABI of FloatifyAccount contract
+
+// Event fields that hold token amounts, and the token each amount is denominated in. `market` is
+// the token of the strategy's market, cDAI unless the account migrated. Amounts of additional
+// markets, such as the `amount` of `AssetDeposit`, are left as machine values because their
+// decimals depend on the asset
+const amountFields = {
+  daiAmount: 'dai',
+  cdaiAmount: 'market',
+  principalAmount: 'dai',
+  interestAmount: 'dai',
+  targetValue: 'dai',
+  penalty: 'dai',
+};
+
+
+/**
+ * @notice Get the market each of an account's events was emitted in, to convert their market token amounts
+ * @dev Reads every StrategyMigrated event up to the latest block, so the market before the first
+ * event is known without an archive node. An account that never migrated uses its current market
+ * @param {object} account web3 contract instance of the account
+ * @param {Array<object>} events Events of the account, sorted by block and log index
+ * @returns {Array<string>} address of the market token at each event
+ */
+async function getEventMarkets(account, events) {
+  const migrations = await account.getPastEvents('StrategyMigrated', { fromBlock: 0, toBlock: 'latest' });
+  let market = migrations.length > 0
+    ? migrations[0].returnValues.previousMarket
+    : (await account.methods.strategy().call())[1];
+
+  let next = 0; // index of the next migration to apply
+  return events.map((event) => {
+    while (next < migrations.length && (migrations[next].blockNumber < event.blockNumber
+      || (migrations[next].blockNumber === event.blockNumber && migrations[next].logIndex <= event.logIndex))) {
+      market = migrations[next].returnValues.newMarket;
+      next += 1;
+    }
+    return market;
+  });
+}
+
+
+/**
+ * @notice Convert a web3 event object into a plain object with human-readable amounts
+ * @param {object} event Event from a transaction receipt or `getPastEvents()`
+ * @param {string, number} [marketToken] Name or number of decimals of the market token the event's
+ * `cdaiAmount` is in, defaults to 'cDAI'
+ * @returns {object} event name, block number, transaction hash and the event's named values
+ */
+function parseEvent(event, marketToken = 'cdai') {
+  const parsed = {
+    event: event.event,
+    blockNumber: event.blockNumber,
+    transactionHash: event.transactionHash,
+  };
+  Object.keys(event.returnValues)
+    .filter((key) => Number.isNaN(Number(key))) // skip the duplicate values keyed by position
+    .forEach((key) => {
+      const value = event.returnValues[key];
+      const token = amountFields[key] === 'market' ? marketToken : amountFields[key];
+      parsed[key] = token ? machineToHuman(token, value) : value;
+    });
+  return parsed;
+}
+
+
+/**
+ * @notice Get the FloatifyAccount events from a transaction receipt, in the order they were emitted
+ * @dev Logs emitted by other contracts, such as DAI transfers, are not decoded by web3 and are skipped
+ * @param {object} receipt Transaction receipt returned by web3
+ * @param {string, number} [marketToken] Market token of the account, see `parseEvent()`
+ * @returns {Array<object>} parsed events
+ */
+function parseReceiptEvents(receipt, marketToken) {
+  return Object.values(receipt.events || {})
+    .reduce((events, event) => events.concat(event), []) // events emitted more than once are arrays
+    .filter((event) => event.event)
+    .sort((a, b) => a.logIndex - b.logIndex)
+    .map((event) => parseEvent(event, marketToken));
+}
+
+
+/**
+ * @notice Wraps a deployed FloatifyAccount. All DAI and cDAI amounts taken and returned are
+ * human-readable numbers
+ */
+class FloatifyAccountClient {
+  /**
+   * @param {object} provider web3 provider, e.g. `new Web3.providers.HttpProvider(url)`
+   * @param {object} networkConfig Network configuration with `daiAddress` and `cdaiAddress`, as
+   * returned by `getNetworkConfig()`. For networks that use mock tokens, pass the mock addresses
+   * @param {string} accountAddress Address of the FloatifyAccount contract
+   * @param {object} [options]
+   * @param {string} [options.from] Default address to send transactions from
+   * @param {Array} [options.abi] ABI of FloatifyAccount, defaults to the one in externalAbis
+   */
+  constructor(provider, networkConfig, accountAddress, options = {}) {
+    this.web3 = new Web3(provider);
+    this.address = accountAddress;
+    this.from = options.from;
+    this.account = new this.web3.eth.Contract(options.abi || accountABI, accountAddress);
+    this.dai = new this.web3.eth.Contract(daiABI, networkConfig.daiAddress);
+    this.cdai = new this.web3.eth.Contract(cdaiABI, networkConfig.cdaiAddress);
+    this.assetDecimals = {}; // cache of decimals of additional market assets, by address
+  }
+
+
+  // TRANSACTIONS ==================================================================================
+  /**
+   * @notice Deposits all DAI in the account into Compound
+   * @param {object} [options] Transaction options, e.g. `from`
+   * @returns {object} transaction receipt and parsed events
+   */
+  async deposit(options) {
+    return this.send(this.account.methods.deposit(), options);
+  }
+
+
+  /**
+   * @notice Pulls DAI from a wallet that approved the account, and deposits it into Compound
+   * @param {string} depositor Address to pull DAI from
+   * @param {number, string, BigNumber} daiAmount Amount of DAI to deposit
+   * @param {object} [options] Transaction options, e.g. `from`
+   * @returns {object} transaction receipt and parsed events
+   */
+  async depositFrom(depositor, daiAmount, options) {
+    const daiAmountMachine = humanToMachine('dai', daiAmount);
+    return this.send(this.account.methods.depositFrom(depositor, daiAmountMachine), options);
+  }
+
+
+  /**
+   * @notice Approves the account with a DAI permit, then pulls DAI from the depositor and deposits it
+   * @param {string} depositor Address to pull DAI from, who signed the permit
+   * @param {number, string, BigNumber} daiAmount Amount of DAI to deposit
+   * @param {object} permit The signed `nonce` and `expiry` from `getPermitTypedData()`, and the
+   * signature's `v`, `r` and `s` from `splitSignature()`
+   * @param {object} [options] Transaction options, e.g. `from`
+   * @returns {object} transaction receipt and parsed events
+   */
+  async depositFromWithPermit(depositor, daiAmount, permit, options) {
+    const daiAmountMachine = humanToMachine('dai', daiAmount);
+    const {
+      nonce, expiry, v, r, s,
+    } = permit;
+    return this.send(
+      this.account.methods.depositFromWithPermit(depositor, daiAmountMachine, nonce, expiry, v, r, s),
+      options,
+    );
+  }
+
+
+  /**
+   * @notice Withdraws all DAI held by the account, without redeeming any cDAI
+   * @param {string} destination Address to send DAI to
+   * @param {object} [options] Transaction options, e.g. `from`
+   * @returns {object} transaction receipt and parsed events
+   */
+  async withdraw(destination, options) {
+    return this.send(this.account.methods.withdraw(destination), options);
+  }
+
+
+  /**
+   * @notice Redeems all cDAI and withdraws the resulting DAI
+   * @param {string} destination Address to send DAI to
+   * @param {object} [options] Transaction options, e.g. `from`
+   * @returns {object} transaction receipt and parsed events
+   */
+  async redeemAndWithdrawMax(destination, options) {
+    return this.send(this.account.methods.redeemAndWithdrawMax(destination), options);
+  }
+
+
+  /**
+   * @notice Redeems cDAI for the specified amount of DAI and withdraws it
+   * @param {string} destination Address to send DAI to
+   * @param {number, string, BigNumber} daiAmount Amount of DAI to withdraw
+   * @param {object} [options] Transaction options, e.g. `from`
+   * @returns {object} transaction receipt and parsed events
+   */
+  async redeemAndWithdrawPartial(destination, daiAmount, options) {
+    const daiAmountMachine = humanToMachine('dai', daiAmount);
+    return this.send(this.account.methods.redeemAndWithdrawPartial(destination, daiAmountMachine), options);
+  }
+
+
+  /**
+   * @notice Redeems DAI once and splits it between several destinations. Fixed amounts are paid
+   * first, and the rest is split by shares
+   * @param {number, string, BigNumber} daiAmount Amount of DAI to redeem, or 0 to redeem everything
+   * @param {Array<object>} payouts One per destination, with:
+   *   - `destination`: address to send DAI to
+   *   - `daiAmount`: fixed amount of DAI, defaults to 0
+   *   - `share`: share of the rest in basis points, defaults to 0. Shares must add up to 10000 or 0
+   *   - `dust`: true for the destination that gets what is left from rounding, defaults to the first
+   * @param {object} [options] Transaction options, e.g. `from`
+   * @returns {object} transaction receipt and parsed events
+   */
+  async redeemAndWithdrawSplit(daiAmount, payouts, options) {
+    const dustIndex = Math.max(payouts.findIndex((payout) => payout.dust), 0);
+    return this.send(this.account.methods.redeemAndWithdrawSplit(
+      humanToMachine('dai', daiAmount),
+      payouts.map((payout) => payout.destination),
+      payouts.map((payout) => humanToMachine('dai', payout.daiAmount || 0)),
+      payouts.map((payout) => String(payout.share || 0)),
+      dustIndex,
+    ), options);
+  }
+
+
+  /**
+   * @notice Moves the account's whole DAI position to another strategy and market. Must be sent by the user
+   * @param {string} strategy Address of the strategy contract, e.g. the deployed VaultStrategy
+   * @param {string} market Address of the market the strategy supplies to, e.g. a savings rate vault
+   * @param {object} [options] Transaction options, e.g. `from`
+   * @returns {object} transaction receipt and parsed events
+   */
+  async migrateStrategy(strategy, market, options) {
+    return this.send(this.account.methods.migrateStrategy(strategy, market), options);
+  }
+
+
+  /**
+   * @notice Limits the DAI that addresses other than the user, such as the operator, can withdraw
+   * within a rolling window. Must be sent by the user
+   * @param {number, string, BigNumber} daiAmount Amount of DAI that can be withdrawn within the window
+   * @param {number} window Length of the window in seconds, or zero to remove the limit
+   * @param {object} [options] Transaction options, e.g. `from`
+   * @returns {object} transaction receipt and parsed events
+   */
+  async setWithdrawalLimit(daiAmount, window, options) {
+    return this.send(this.account.methods.setWithdrawalLimit(humanToMachine('dai', daiAmount), window), options);
+  }
+
+
+  /**
+   * @notice Nominates a new owner, who must call `acceptOwnership()`. Must be sent by the user
+   * @param {string} newOwner Address that can accept ownership, or the zero address to clear the nomination
+   * @param {object} [options] Transaction options, e.g. `from`
+   * @returns {object} transaction receipt and parsed events
+   */
+  async transferOwnership(newOwner, options) {
+    return this.send(this.account.methods.transferOwnership(newOwner), options);
+  }
+
+
+  /**
+   * @notice Accepts ownership of the account. Must be sent by the nominated owner
+   * @param {object} [options] Transaction options, e.g. `from`
+   * @returns {object} transaction receipt and parsed events
+   */
+  async acceptOwnership(options) {
+    return this.send(this.account.methods.acceptOwnership(), options);
+  }
+
+
+  /**
+   * @notice Adds a guardian that can recover the account. Must be sent by the user
+   * @param {string} guardian Address of the guardian
+   * @param {object} [options] Transaction options, e.g. `from`
+   * @returns {object} transaction receipt and parsed events
+   */
+  async addGuardian(guardian, options) {
+    return this.send(this.account.methods.addGuardian(guardian), options);
+  }
+
+
+  /**
+   * @notice Removes a guardian. Must be sent by the user
+   * @param {string} guardian Address of the guardian
+   * @param {object} [options] Transaction options, e.g. `from`
+   * @returns {object} transaction receipt and parsed events
+   */
+  async removeGuardian(guardian, options) {
+    return this.send(this.account.methods.removeGuardian(guardian), options);
+  }
+
+
+  /**
+   * @notice Sets how many guardians must approve a recovery. Must be sent by the user
+   * @param {number} threshold Number of approvals, or zero to disable recovery
+   * @param {object} [options] Transaction options, e.g. `from`
+   * @returns {object} transaction receipt and parsed events
+   */
+  async setGuardianThreshold(threshold, options) {
+    return this.send(this.account.methods.setGuardianThreshold(threshold), options);
+  }
+
+
+  /**
+   * @notice Starts a recovery of the account to a new owner and approves it. Must be sent by a guardian
+   * @param {string} newOwner Address that becomes the owner when the recovery is executed
+   * @param {object} [options] Transaction options, e.g. `from`
+   * @returns {object} transaction receipt and parsed events
+   */
+  async startRecovery(newOwner, options) {
+    return this.send(this.account.methods.startRecovery(newOwner), options);
+  }
+
+
+  /**
+   * @notice Approves the recovery in progress. Must be sent by a guardian
+   * @param {number, string} recoveryId ID of the recovery, from `getRecovery()`
+   * @param {object} [options] Transaction options, e.g. `from`
+   * @returns {object} transaction receipt and parsed events
+   */
+  async approveRecovery(recoveryId, options) {
+    return this.send(this.account.methods.approveRecovery(recoveryId), options);
+  }
+
+
+  /**
+   * @notice Cancels the recovery in progress. Must be sent by the user
+   * @param {object} [options] Transaction options, e.g. `from`
+   * @returns {object} transaction receipt and parsed events
+   */
+  async cancelRecovery(options) {
+    return this.send(this.account.methods.cancelRecovery(), options);
+  }
+
+
+  /**
+   * @notice Executes the recovery in progress once it has enough approvals and its delay has passed
+   * @param {object} [options] Transaction options, e.g. `from`
+   * @returns {object} transaction receipt and parsed events
+   */
+  async executeRecovery(options) {
+    return this.send(this.account.methods.executeRecovery(), options);
+  }
+
+
+  /**
+   * @notice Adds a Compound market for an asset other than DAI
+   * @param {string} cTokenAddress Address of the market's cToken, e.g. cUSDC
+   * @param {object} [options] Transaction options, e.g. `from`
+   * @returns {object} transaction receipt and parsed events
+   */
+  async addMarket(cTokenAddress, options) {
+    return this.send(this.account.methods.addMarket(cTokenAddress), options);
+  }
+
+
+  /**
+   * @notice Deposits all of an asset in the account into its Compound market
+   * @param {string} asset Address of the underlying token, e.g. USDC
+   * @param {object} [options] Transaction options, e.g. `from`
+   * @returns {object} transaction receipt and parsed events
+   */
+  async depositAsset(asset, options) {
+    return this.send(this.account.methods.depositAsset(asset), options);
+  }
+
+
+  /**
+   * @notice Withdraws all of an asset held by the account, without redeeming any cTokens
+   * @param {string} asset Address of the underlying token
+   * @param {string} destination Address to send the asset to
+   * @param {object} [options] Transaction options, e.g. `from`
+   * @returns {object} transaction receipt and parsed events
+   */
+  async withdrawAsset(asset, destination, options) {
+    return this.send(this.account.methods.withdrawAsset(asset, destination), options);
+  }
+
+
+  /**
+   * @notice Redeems all cTokens of an asset's market and withdraws the asset
+   * @param {string} asset Address of the underlying token
+   * @param {string} destination Address to send the asset to
+   * @param {object} [options] Transaction options, e.g. `from`
+   * @returns {object} transaction receipt and parsed events
+   */
+  async redeemAndWithdrawMaxAsset(asset, destination, options) {
+    return this.send(this.account.methods.redeemAndWithdrawMaxAsset(asset, destination), options);
+  }
+
+
+  /**
+   * @notice Redeems cTokens for the specified amount of an asset and withdraws it
+   * @param {string} asset Address of the underlying token
+   * @param {string} destination Address to send the asset to
+   * @param {number, string, BigNumber} amount Amount of the asset to withdraw
+   * @param {object} [options] Transaction options, e.g. `from`
+   * @returns {object} transaction receipt and parsed events
+   */
+  async redeemAndWithdrawPartialAsset(asset, destination, amount, options) {
+    const amountMachine = humanToMachine(await this.getAssetDecimals(asset), amount);
+    return this.send(this.account.methods.redeemAndWithdrawPartialAsset(asset, destination, amountMachine), options);
+  }
+
+
+  /**
+   * @notice Lets a beneficiary pull up to an amount of DAI each period. Must be sent by the user
+   * @param {string} beneficiary Address that can pull DAI, and that it is sent to
+   * @param {number, string, BigNumber} daiAmount Maximum amount of DAI that can be pulled each period
+   * @param {number} period Length of a period in seconds
+   * @param {number} [endTime] Unix time from which nothing can be pulled, 0 if the order does not end
+   * @param {object} [options] Transaction options, e.g. `from`
+   * @returns {object} transaction receipt and parsed events
+   */
+  async createStandingOrder(beneficiary, daiAmount, period, endTime = 0, options) {
+    const daiAmountMachine = humanToMachine('dai', daiAmount);
+    return this.send(
+      this.account.methods.createStandingOrder(beneficiary, daiAmountMachine, period, endTime), options,
+    );
+  }
+
+
+  /**
+   * @notice Revokes the standing order of a beneficiary. Must be sent by the user
+   * @param {string} beneficiary Address the standing order was created for
+   * @param {object} [options] Transaction options, e.g. `from`
+   * @returns {object} transaction receipt and parsed events
+   */
+  async revokeStandingOrder(beneficiary, options) {
+    return this.send(this.account.methods.revokeStandingOrder(beneficiary), options);
+  }
+
+
+  /**
+   * @notice Redeems DAI and sends it to the beneficiary of a standing order. Must be sent by the
+   * beneficiary
+   * @param {number, string, BigNumber} daiAmount Amount of DAI to pull
+   * @param {object} [options] Transaction options, e.g. `from`
+   * @returns {object} transaction receipt and parsed events
+   */
+  async executeStandingOrder(daiAmount, options) {
+    return this.send(this.account.methods.executeStandingOrder(humanToMachine('dai', daiAmount)), options);
+  }
+
+
+  /**
+   * @notice Locks DAI until a time or until the account's current value reaches a target. Must be
+   * sent by the user
+   * @param {number, string, BigNumber} daiAmount Amount of DAI to lock
+   * @param {object} conditions At least one of:
+   *   - `unlockTime`: Unix time the goal is reached at
+   *   - `targetValue`: human-readable current value the goal is reached at
+   * @param {number} [penaltyRate] Share of the amount sent to the treasury if the goal is released
+   * early, in basis points
+   * @param {object} [options] Transaction options, e.g. `from`
+   * @returns {object} transaction receipt and parsed events
+   */
+  async createSavingsGoal(daiAmount, conditions, penaltyRate = 0, options) {
+    const { unlockTime = 0, targetValue = 0 } = conditions;
+    return this.send(this.account.methods.createSavingsGoal(
+      humanToMachine('dai', daiAmount), unlockTime, humanToMachine('dai', targetValue), penaltyRate,
+    ), options);
+  }
+
+
+  /**
+   * @notice Releases a savings goal that has been reached
+   * @param {number} goalId ID of the savings goal
+   * @param {object} [options] Transaction options, e.g. `from`
+   * @returns {object} transaction receipt and parsed events
+   */
+  async releaseSavingsGoal(goalId, options) {
+    return this.send(this.account.methods.releaseSavingsGoal(goalId), options);
+  }
+
+
+  /**
+   * @notice Releases a savings goal before it is reached, paying its penalty. Must be sent by the user
+   * @param {number} goalId ID of the savings goal
+   * @param {object} [options] Transaction options, e.g. `from`
+   * @returns {object} transaction receipt and parsed events
+   */
+  async releaseSavingsGoalEarly(goalId, options) {
+    return this.send(this.account.methods.releaseSavingsGoalEarly(goalId), options);
+  }
+
+
+  /**
+   * @notice Estimates gas for and sends a transaction
+   * @dev Market token amounts in the events are converted with the decimals of the account's market
+   * after the transaction
+   * @param {object} method web3 contract method to send
+   * @param {object} [options] Transaction options, `from` defaults to the client's `from` option
+   * @returns {object} transaction receipt and parsed events
+   */
+  async send(method, options = {}) {
+    const from = options.from || this.from;
+    if (!from) throw Error('No sender specified, set `from` in the client or transaction options');
+    const gas = await method.estimateGas({ from });
+    const receipt = await method.send({ ...options, from, gas });
+    const { market } = await this.getStrategy();
+    return { receipt, events: parseReceiptEvents(receipt, await this.getAssetDecimals(market)) };
+  }
+
+
+  // QUERIES =======================================================================================
+  /**
+   * @notice Get DAI or cDAI balance of an address
+   * @param {string} token 'DAI' or 'cDAI'
+   * @param {string} [address] Address to get balance of, defaults to the account
+   * @returns {number} human-readable balance
+   */
+  async getTokenBalance(token, address = this.address) {
+    let balance;
+    switch (token.toLowerCase()) {
+      case 'dai':
+        balance = await this.dai.methods.balanceOf(address).call();
+        return machineToHuman(token, balance);
+      case 'cdai':
+        balance = await this.cdai.methods.balanceOf(address).call();
+        return machineToHuman(token, balance);
+      default:
+        throw Error('Invalid token specified');
+    }
+  }
+
+
+  /**
+   * @notice Get the amount of DAI the account has used to mint cDAI
+   * @returns {number} human-readable amount of DAI
+   */
+  async getTotalDeposited() {
+    return machineToHuman('dai', await this.account.methods.totalDeposited().call());
+  }
+
+
+  /**
+   * @notice Get the amount of deposited DAI the account has redeemed and withdrawn
+   * @returns {number} human-readable amount of DAI
+   */
+  async getTotalWithdrawn() {
+    return machineToHuman('dai', await this.account.methods.totalWithdrawn().call());
+  }
+
+
+  /**
+   * @notice Get the amount of deposited DAI the account has not redeemed yet
+   * @returns {number} human-readable amount of DAI
+   */
+  async getOutstandingPrincipal() {
+    return machineToHuman('dai', await this.account.methods.outstandingPrincipal().call());
+  }
+
+
+  /**
+   * @notice Get the interest the account's redemptions have realized
+   * @returns {number} human-readable amount of DAI
+   */
+  async getRealizedInterest() {
+    return machineToHuman('dai', await this.account.methods.earningsRealized().call());
+  }
+
+
+  /**
+   * @notice Get the amount of DAI the account withdrew without it being deposited, e.g. DAI sent to
+   * the account and withdrawn with a redemption
+   * @returns {number} human-readable amount of DAI
+   */
+  async getTotalStrayWithdrawn() {
+    return machineToHuman('dai', await this.account.methods.totalStrayWithdrawn().call());
+  }
+
+
+  /**
+   * @notice Get the strategy the account's DAI is supplied through
+   * @returns {object} addresses of the `strategy` contract and of the `market` it supplies to
+   */
+  async getStrategy() {
+    const { 0: strategy, 1: market } = await this.account.methods.strategy().call();
+    return { strategy, market };
+  }
+
+
+  /**
+   * @notice Get the amount of DAI the account's position, e.g. its cDAI, can currently be redeemed for
+   * @returns {number} human-readable amount of DAI
+   */
+  async getCurrentValue() {
+    return machineToHuman('dai', await this.account.methods.currentValue().call());
+  }
+
+
+  /**
+   * @notice Get the interest earned by the account, i.e. current value plus withdrawn minus deposited
+   * @returns {number} human-readable amount of DAI
+   */
+  async getUnrealizedEarnings() {
+    return machineToHuman('dai', await this.account.methods.unrealizedEarnings().call());
+  }
+
+
+  /**
+   * @notice Get the account's value and totals at a block, for use with `getAnnualizedYield()`
+   * @param {number, string} [blockNumber] Block to take the snapshot at, defaults to the latest block
+   * @returns {object} block number, timestamp in seconds, and human-readable `currentValue`,
+   * `totalDeposited` and `totalWithdrawn`
+   */
+  async getSnapshot(blockNumber = 'latest') {
+    const block = await this.web3.eth.getBlock(blockNumber);
+    const { methods } = this.account;
+    const [currentValue, totalDeposited, totalWithdrawn] = await Promise.all([
+      methods.currentValue().call({}, block.number),
+      methods.totalDeposited().call({}, block.number),
+      methods.totalWithdrawn().call({}, block.number),
+    ]);
+    return {
+      blockNumber: block.number,
+      timestamp: Number(block.timestamp),
+      currentValue: machineToHuman('dai', currentValue),
+      totalDeposited: machineToHuman('dai', totalDeposited),
+      totalWithdrawn: machineToHuman('dai', totalWithdrawn),
+    };
+  }
+
+
+  /**
+   * @notice Get the number of decimals of an asset from its token contract
+   * @param {string} asset Address of the token
+   * @returns {number} decimal places
+   */
+  async getAssetDecimals(asset) {
+    if (this.assetDecimals[asset] === undefined) {
+      const token = new this.web3.eth.Contract(daiABI, asset);
+      this.assetDecimals[asset] = Number(await token.methods.decimals().call());
+    }
+    return this.assetDecimals[asset];
+  }
+
+
+  /**
+   * @notice Get the accounting of an additional market
+   * @param {string} asset Address of the underlying token
+   * @returns {object} human-readable `deposited`, `withdrawn` and `currentValue` amounts of the asset
+   */
+  async getAssetTotals(asset) {
+    const { methods } = this.account;
+    const [decimals, deposited, withdrawn, currentValue] = await Promise.all([
+      this.getAssetDecimals(asset),
+      methods.assetDeposited(asset).call(),
+      methods.assetWithdrawn(asset).call(),
+      methods.assetCurrentValue(asset).call(),
+    ]);
+    return {
+      deposited: machineToHuman(decimals, deposited),
+      withdrawn: machineToHuman(decimals, withdrawn),
+      currentValue: machineToHuman(decimals, currentValue),
+    };
+  }
+
+
+  /**
+   * @notice Get the standing order of a beneficiary
+   * @param {string} beneficiary Address the standing order was created for
+   * @returns {object} human-readable `daiAmount` per period and `available` in the current period,
+   * `period` in seconds and `endTime`, all zero if there is no standing order
+   */
+  async getStandingOrder(beneficiary) {
+    const { methods } = this.account;
+    const [order, available] = await Promise.all([
+      methods.standingOrders(beneficiary).call(),
+      methods.standingOrderAvailable(beneficiary).call(),
+    ]);
+    return {
+      daiAmount: machineToHuman('dai', order.amount),
+      period: Number(order.period),
+      endTime: Number(order.endTime),
+      available: machineToHuman('dai', available),
+    };
+  }
+
+
+  /**
+   * @notice Get the savings goals of the account, including released ones
+   * @returns {Array<object>} for each goal its `goalId`, human-readable `daiAmount` and
+   * `targetValue`, `unlockTime`, `penaltyRate`, and whether it was `reached` and `released`
+   */
+  async getSavingsGoals() {
+    const { methods } = this.account;
+    const count = Number(await methods.savingsGoalCount().call());
+    return Promise.all([...Array(count).keys()].map(async (goalId) => {
+      const [goal, reached] = await Promise.all([
+        methods.savingsGoals(goalId).call(),
+        methods.savingsGoalReached(goalId).call(),
+      ]);
+      return {
+        goalId,
+        daiAmount: machineToHuman('dai', goal.amount),
+        unlockTime: Number(goal.unlockTime),
+        targetValue: machineToHuman('dai', goal.targetValue),
+        penaltyRate: Number(goal.penaltyRate),
+        reached,
+        released: goal.released,
+      };
+    }));
+  }
+
+
+  /**
+   * @notice Get how much of the account's current value is locked by savings goals
+   * @returns {object} human-readable `locked` and `available` amounts of DAI
+   */
+  async getLockedBalance() {
+    const { methods } = this.account;
+    const [locked, available] = await Promise.all([
+      methods.totalLocked().call(),
+      methods.availableBalance().call(),
+    ]);
+    return { locked: machineToHuman('dai', locked), available: machineToHuman('dai', available) };
+  }
+
+
+  /**
+   * @notice Get the withdrawal limit of addresses other than the user
+   * @returns {object} human-readable `daiAmount` per `window` (in seconds) and amount of DAI
+   * `available` now, which is Infinity if withdrawals are not limited
+   */
+  async getWithdrawalLimit() {
+    const { methods } = this.account;
+    const [daiAmount, window, available] = await Promise.all([
+      methods.withdrawalLimit().call(),
+      methods.withdrawalWindow().call(),
+      methods.withdrawalLimitAvailable().call(),
+    ]);
+    return {
+      daiAmount: machineToHuman('dai', daiAmount),
+      window: Number(window),
+      available: Number(window) === 0 ? Infinity : machineToHuman('dai', available),
+    };
+  }
+
+
+  /**
+   * @notice Get the latest recovery of the account and the number of approvals recoveries need
+   * @returns {object} `recoveryId`, `newOwner` (the zero address if no recovery is in progress),
+   * `approvals`, `threshold` and `executableAt` (zero until the recovery has enough approvals)
+   */
+  async getRecovery() {
+    const { methods } = this.account;
+    const [recovery, recoveryId, threshold] = await Promise.all([
+      methods.recovery().call(),
+      methods.recoveryId().call(),
+      methods.guardianThreshold().call(),
+    ]);
+    return {
+      recoveryId: Number(recoveryId),
+      newOwner: recovery.newOwner,
+      approvals: Number(recovery.approvals),
+      threshold: Number(threshold),
+      executableAt: Number(recovery.executableAt),
+    };
+  }
+
+
+  /**
+   * @notice Get events emitted by the account
+   * @dev Market token amounts are converted with the decimals of the market each event was emitted in
+   * @param {object} [options] Options for web3's `getPastEvents()`, e.g. `fromBlock` and `toBlock`
+   * @returns {Array<object>} parsed events
+   */
+  async getEvents(options = {}) {
+    const events = await this.account.getPastEvents('allEvents', { fromBlock: 0, toBlock: 'latest', ...options });
+    const markets = await getEventMarkets(this.account, events);
+    // Fill the decimals cache once per market
+    await Promise.all([...new Set(markets)].map((market) => this.getAssetDecimals(market)));
+    return events.map((event, index) => parseEvent(event, this.assetDecimals[markets[index]]));
+  }
+}
+
+
+module.exports = {
+  FloatifyAccountClient,
+  getEventMarkets,
+  parseEvent,
+  parseReceiptEvents,
+};
@@ -0,0 +1,194 @@
+// =================================================================================================
+//                                        ERROR DECODING
+// =================================================================================================
+const Web3 = require('web3');
+
+const errorSelector = '0x08c379a0'; // selector of `Error(string)`, used by Solidity for revert reasons
+
+// Error codes returned by Compound's cToken functions, from TokenErrorReporter in Compound's
+// ErrorReporter.sol. FloatifyAccount reverts with these as "<reason> (Compound error <code>)"
+const compoundErrors = {
+  0: { name: 'NO_ERROR', description: 'No error' },
+  1: { name: 'UNAUTHORIZED', description: 'Compound did not authorize the call' },
+  2: { name: 'BAD_INPUT', description: 'Compound rejected the input' },
+  3: { name: 'COMPTROLLER_REJECTION', description: 'The Compound comptroller rejected the operation' },
+  4: { name: 'COMPTROLLER_CALCULATION_ERROR', description: 'The Compound comptroller failed a calculation' },
+  5: { name: 'INTEREST_RATE_MODEL_ERROR', description: 'The Compound interest rate model failed' },
+  6: { name: 'INVALID_ACCOUNT_PAIR', description: 'Invalid pair of accounts' },
+  7: { name: 'INVALID_CLOSE_AMOUNT_REQUESTED', description: 'Invalid close amount requested' },
+  8: { name: 'INVALID_COLLATERAL_FACTOR', description: 'Invalid collateral factor' },
+  9: { name: 'MATH_ERROR', description: 'Compound failed a calculation, e.g. the amount is too large' },
+  10: { name: 'MARKET_NOT_FRESH', description: 'Interest has not been accrued in this block' },
+  11: { name: 'MARKET_NOT_LISTED', description: 'The market is not listed on Compound' },
+  12: { name: 'TOKEN_INSUFFICIENT_ALLOWANCE', description: 'The cToken is not allowed to spend enough tokens' },
+  13: { name: 'TOKEN_INSUFFICIENT_BALANCE', description: 'The account does not hold enough tokens' },
+  14: { name: 'TOKEN_INSUFFICIENT_CASH', description: 'The Compound market does not have enough liquidity' },
+  15: { name: 'TOKEN_TRANSFER_IN_FAILED', description: 'Transferring tokens to Compound failed' },
+  16: { name: 'TOKEN_TRANSFER_OUT_FAILED', description: 'Transferring tokens from Compound failed' },
+};
+
+// Readable explanations of FloatifyAccount's revert reasons, for support
+const accountErrors = {
+  'Caller is not the user or operator': 'Only the user or the operator can do this',
+  'Ownable: caller is not the owner': 'Only the user can do this',
+  'Ownable: new owner is the zero address': 'The new owner cannot be the zero address',
+  'Withdrawal address is not on the allowlist': 'The operator can only withdraw to the user or to allowed destinations',
+  'Cannot withdraw to the zero address': 'The withdrawal address cannot be the zero address',
+  'Deposits are paused': 'Deposits are paused on this account',
+  'Deposits are already paused': 'Deposits are already paused on this account',
+  'Deposits are not paused': 'Deposits are not paused on this account',
+  'Call to mint function failed': 'Compound did not accept the deposit',
+  'Caller is not the depositor, user or operator': 'Only the depositor, the user or the operator can pull the DAI',
+  'Transfer of DAI from depositor failed': 'The depositor has not approved enough DAI or does not hold enough',
+  'Redemption of all cDAI for DAI failed': 'Compound did not redeem the account\'s cDAI',
+  'Redemption of some cDAI for DAI failed': 'Compound did not redeem the requested amount of DAI',
+  'Redemption of all cTokens failed': 'Compound did not redeem the account\'s cTokens',
+  'Redemption of some cTokens failed': 'Compound did not redeem the requested amount',
+  'Withrawal of DAI failed': 'The DAI transfer to the withdrawal address failed',
+  'Withdrawal of token failed': 'The token transfer to the withdrawal address failed',
+  'Transfer of fee to treasury failed': 'The fee transfer to the treasury failed',
+  'Fee rate cannot exceed the maximum': 'The fee rate is above the maximum',
+  'Treasury must be set before charging a fee': 'A treasury must be set before charging a fee',
+  'Treasury cannot be the zero address': 'The treasury cannot be the zero address',
+  'Treasury must be set to charge a fee': 'A treasury must be set before charging a fee',
+  'Destination cannot be the zero address': 'The destination cannot be the zero address',
+  'Destination is already on the allowlist': 'The destination is already allowed',
+  'Destination is already pending': 'The destination is already waiting to be activated',
+  'Destination is not pending': 'The destination is not waiting to be activated',
+  'Destination delay has not passed': 'The destination cannot be activated yet',
+  'Destination is not on the allowlist': 'The destination is not allowed',
+  'Destination delay cannot exceed the maximum': 'The destination delay is above the maximum',
+  'Invalid authorization nonce': 'The signed authorization was already used or is out of order',
+  'Signature has expired': 'The signed authorization has expired',
+  'Signature is not from the owner': 'The authorization was not signed by the user',
+  'Market has already been added': 'The market was already added to this account',
+  'Market has not been added': 'The market has not been added to this account',
+  'DAI market is always available': 'The DAI market cannot be added, it is always available',
+  'cToken address must be a contract': 'The cToken address is not a contract',
+  'Underlying token must be a contract': 'The market\'s underlying token is not a contract',
+  'Failed to approve cDAI contract to spend DAI': 'cDAI could not be approved to spend the account\'s DAI',
+  'Failed to approve cToken contract': 'The cToken could not be approved to spend the account\'s tokens',
+  'Use the withdrawal functions for market tokens': 'Market tokens cannot be rescued, withdraw them instead',
+  'Cannot rescue to the zero address': 'Tokens cannot be rescued to the zero address',
+  'Token address must be a contract': 'The token address is not a contract',
+  'Rescue of token failed': 'The token transfer failed',
+  'Rescue of ETH failed': 'The ETH transfer failed',
+  'Implementation cannot be the zero address': 'The new implementation cannot be the zero address',
+  'Implementation must be a contract': 'The new implementation is not a contract',
+  'Batch executor must be a contract': 'The batch executor is not a contract',
+  'Account has already been initialized': 'The account was already set up',
+  'Beneficiary cannot be the zero address': 'The beneficiary cannot be the zero address',
+  'Standing order amount must be positive': 'The standing order amount must be more than zero',
+  'Standing order period must be positive': 'The standing order period must be more than zero',
+  'Standing order end time must be in the future': 'The standing order end time has already passed',
+  'No standing order for beneficiary': 'There is no standing order for this beneficiary',
+  'Standing order has ended': 'The standing order has ended',
+  'Amount exceeds the standing order limit': 'The beneficiary has already pulled too much this period',
+  'Savings goal amount must be positive': 'The savings goal amount must be more than zero',
+  'Savings goal needs an unlock time or target': 'A savings goal needs an unlock time, a target value or both',
+  'Unlock time must be in the future': 'The unlock time has already passed',
+  'Penalty rate cannot exceed the maximum': 'The early release penalty is above the maximum',
+  'Treasury must be set to charge a penalty': 'A treasury must be set before using an early release penalty',
+  'Amount exceeds the unlocked balance': 'Part of the balance is locked by savings goals',
+  'Savings goal has not been reached': 'The savings goal has not been reached, it can only be released early',
+  'Savings goal has already been released': 'The savings goal was already released',
+  'Savings goal does not exist': 'There is no savings goal with this ID',
+  'Transfer of penalty to treasury failed': 'The penalty transfer to the treasury failed',
+  'Invalid split arrays': 'A split payout needs at least one recipient, and an amount and share for each',
+  'Dust recipient is not a recipient': 'The recipient chosen for rounding dust is not in the split',
+  'Split amounts exceed the redeemed DAI': 'The fixed amounts of the split add up to more than was redeemed',
+  'Split shares must add up to 10000 or zero': 'The shares of the split must add up to 100%, or be all zero',
+  'Extension must be a contract': 'The extension is not a contract',
+  'Strategy must be a contract': 'The strategy is not a contract',
+  'Strategy market must be a contract': 'The strategy\'s market is not a contract',
+  'Strategy market is not for DAI': 'The strategy\'s market does not hold DAI',
+  'Strategy is already in use': 'The account already uses this strategy and market',
+  'Failed to approve vault to spend DAI': 'The vault could not be approved to spend the account\'s DAI',
+  'Caller is not the pending owner': 'Only the address the account was transferred to can accept it',
+  'Caller is not the creator of the account': 'Only the address that created the account can hand it over',
+  'Cannot renounce ownership while holding funds': 'The account must be emptied before it can be left without an owner',
+  'Guardian cannot be the zero address': 'The guardian cannot be the zero address',
+  'Owner cannot be a guardian': 'The user cannot be their own guardian',
+  'Address is already a guardian': 'The address is already a guardian',
+  'Address is not a guardian': 'The address is not a guardian',
+  'Threshold cannot exceed the guardian count': 'A recovery cannot need more approvals than there are guardians',
+  'Caller is not a guardian': 'Only a guardian can do this',
+  'Recovery is disabled': 'The user has not set how many guardians must approve a recovery',
+  'New owner cannot be the zero address': 'The account cannot be recovered to the zero address',
+  'Recovery is already in progress': 'A recovery is already in progress, it must be executed or cancelled first',
+  'Recovery is not in progress': 'There is no recovery in progress with this ID',
+  'Guardian has already approved': 'The guardian already approved this recovery',
+  'Recovery does not have enough approvals': 'Not enough guardians have approved the recovery',
+  'Recovery delay has not passed': 'The recovery cannot be executed yet',
+  'Amount exceeds the withdrawal limit': 'Only the user can withdraw more than the withdrawal limit right now',
+  'Withdrawal window cannot exceed the maximum': 'The withdrawal limit window is longer than 30 days',
+  'Caller is not a member': 'Only members of the pool can deposit',
+  'Member cannot be the zero address': 'The member cannot be the zero address',
+  'Address is already a member': 'The address is already a member of the pool',
+  'Address is not a member': 'The address is not a member of the pool',
+  'Deposit is too small': 'The deposit is worth less than one unit of a pool share',
+  'Amount exceeds the share balance': 'The share amount must be more than zero and at most the shares held',
+  'Account is not a contract': 'There is no account at this address',
+  'Invalid batch action': 'The batch action is not supported',
+  'Batch arrays must have the same length': 'Every batch item needs an account, action, destination and amount',
+};
+
+
+/**
+ * @notice Decode the revert reason from the revert data of a failed call
+ * @param {string} returnData Revert data, as a hex string
+ * @returns {string} revert reason, an empty string if there is none, or the data itself if it is
+ * not a revert reason
+ */
+function decodeRevertReason(returnData) {
+  if (!returnData || returnData === '0x') return '';
+  if (!returnData.startsWith(errorSelector)) return returnData;
+  return new Web3().eth.abi.decodeParameter('string', `0x${returnData.slice(errorSelector.length)}`);
+}
+
+
+/**
+ * @notice Look up a Compound error code
+ * @param {number, string} code Error code returned by a cToken function
+ * @returns {object} code, name and description of the error
+ */
+function decodeCompoundError(code) {
+  const error = compoundErrors[Number(code)];
+  if (!error) return { code: Number(code), name: 'UNKNOWN', description: `Unknown Compound error ${code}` };
+  return { code: Number(code), ...error };
+}
+
+
+/**
+ * @notice Explain why a FloatifyAccount call failed
+ * @dev Accepts the error thrown by web3 or Truffle, whose message contains "revert <reason>" and
+ * which Truffle also sets as `reason`, a revert reason, or revert data from a BatchItemExecuted event
+ * @param {Error, string} error Error, revert reason or revert data
+ * @returns {object} `reason` reverted with, readable `description`, and `compoundError` from
+ * `decodeCompoundError()` if Compound returned an error code
+ */
+function decodeAccountError(error) {
+  const message = typeof error === 'string' ? error : error.reason || error.message;
+  let reason = message.startsWith('0x') ? decodeRevertReason(message) : message;
+  const revertMatch = reason.match(/revert (.*)$/);
+  if (revertMatch) [, reason] = revertMatch;
+
+  const compoundMatch = reason.match(/^(.*) \(Compound error (\d+)\)$/);
+  if (compoundMatch) {
+    const compoundError = decodeCompoundError(compoundMatch[2]);
+    return {
+      reason,
+      description: `${accountErrors[compoundMatch[1]] || compoundMatch[1]}: ${compoundError.description}`,
+      compoundError,
+    };
+  }
+  return { reason, description: accountErrors[reason] || reason };
+}
+
+
+module.exports = {
+  compoundErrors,
+  decodeRevertReason,
+  decodeCompoundError,
+  decodeAccountError,
+};
@@ -0,0 +1,72 @@
+// =================================================================================================
+//                                  FLOATIFY ACCOUNT FACTORY HELPERS
+// =================================================================================================
+const Web3 = require('web3');
+const { numberToHex, soliditySha3, toChecksumAddress } = require('web3-utils');
+
+const { abi } = new Web3().eth;
+
+// ABI of FloatifyAccount's `initialize`, which the factory's accounts are deployed with
+const initializeAbi = {
+  name: 'initialize',
+  type: 'function',
+  inputs: [
+    { name: '_daiAddress', type: 'address' },
+    { name: '_cdaiAddress', type: 'address' },
+    { name: '_chainId', type: 'uint256' },
+  ],
+};
+
+
+/**
+ * @notice Convert our server's user ID into the bytes32 user ID used by FloatifyAccountFactory
+ * @param {string} userId User ID from our server
+ * @returns {string} keccak256 hash of the user ID, as a hex string
+ */
+function userIdToBytes32(userId) {
+  return soliditySha3({ t: 'string', v: userId });
+}
+
+
+/**
+ * @notice Compute the hash of the init code the factory uses to deploy accounts. This is the same
+ * value as the factory's `accountInitCodeHash()`
+ * @param {string} proxyBytecode Creation bytecode of FloatifyAccountProxy, from its Truffle artifact
+ * @param {string} accountImplementation Value of the factory's `accountImplementation()`
+ * @param {string} daiAddress Address of the DAI contract the factory was deployed with
+ * @param {string} cdaiAddress Address of the cDAI contract the factory was deployed with
+ * @param {number, string} chainId Chain ID the factory was deployed with
+ * @returns {string} keccak256 hash of the init code
+ */
+function getAccountInitCodeHash(proxyBytecode, accountImplementation, daiAddress, cdaiAddress, chainId) {
+  const initializeCall = abi.encodeFunctionCall(
+    initializeAbi, [daiAddress, cdaiAddress, numberToHex(chainId)],
+  );
+  const constructorArgs = abi.encodeParameters(['address', 'bytes'], [accountImplementation, initializeCall]);
+  return soliditySha3({ t: 'bytes', v: `${proxyBytecode}${constructorArgs.slice(2)}` });
+}
+
+
+/**
+ * @notice Predict the address of a user's account, whether or not it has been deployed yet
+ * @param {string} factoryAddress Address of the FloatifyAccountFactory contract
+ * @param {string} userId User ID from our server
+ * @param {string} accountInitCodeHash Value of the factory's `accountInitCodeHash()`
+ * @returns {string} checksummed address of the user's account
+ */
+function predictAccountAddress(factoryAddress, userId, accountInitCodeHash) {
+  const hash = soliditySha3(
+    { t: 'bytes1', v: '0xff' },
+    { t: 'address', v: factoryAddress },
+    { t: 'bytes32', v: userIdToBytes32(userId) },
+    { t: 'bytes32', v: accountInitCodeHash },
+  );
+  return toChecksumAddress(`0x${hash.slice(-40)}`);
+}
+
+
+module.exports = {
+  userIdToBytes32,
+  getAccountInitCodeHash,
+  predictAccountAddress,
+};
@@ -0,0 +1,44 @@
+const { getAuthorizationTypedData, getPermitTypedData, splitSignature } = require('./authorizations');
+const { encodeBatch, executeBatch } = require('./batch');
+const { FloatifyAccountClient, parseEvent, parseReceiptEvents } = require('./client');
+const { decodeAccountError, decodeCompoundError, decodeRevertReason } = require('./errors');
+const { userIdToBytes32, getAccountInitCodeHash, predictAccountAddress } = require('./factory');
+const { DepositKeeper } = require('./keeper');
+const { getNetworkConfig } = require('./networks');
+const { FloatifyPoolClient } = require('./pool');
+const { relayAuthorization, createRelayServer } = require('./relayer');
+const { getAccountStatement, getAccountStatements, statementsToCsv } = require('./statement');
+const { getStorageLayout, checkStorageLayout } = require('./storageLayout');
+const { getDecimals, humanToMachine, machineToHuman } = require('./units');
+const { getAnnualizedYield } = require('./yield');
+
+module.exports = {
+  FloatifyAccountClient,
+  parseEvent,
+  parseReceiptEvents,
+  userIdToBytes32,
+  getAccountInitCodeHash,
+  predictAccountAddress,
+  DepositKeeper,
+  getNetworkConfig,
+  FloatifyPoolClient,
+  getAuthorizationTypedData,
+  getPermitTypedData,
+  splitSignature,
+  relayAuthorization,
+  createRelayServer,
+  encodeBatch,
+  executeBatch,
+  decodeRevertReason,
+  decodeAccountError,
+  decodeCompoundError,
+  getAccountStatement,
+  getAccountStatements,
+  statementsToCsv,
+  getStorageLayout,
+  checkStorageLayout,
+  getDecimals,
+  humanToMachine,
+  machineToHuman,
+  getAnnualizedYield,
+};
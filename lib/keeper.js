@@ -0,0 +1,287 @@
+// =================================================================================================
+//                                      AUTO-DEPOSIT KEEPER
+// =================================================================================================
+const BigNumber = require('bignumber.js'); // easier to work with than web3's big number library
+const Web3 = require('web3');
+const { parseReceiptEvents } = require('./client');
+const { humanToMachine, machineToHuman } = require('./units');
+
+const daiABI = require('../externalAbis/DAI.json').abi; // the ABI of DAI contract
+const accountABI = require('../externalAbis/FloatifyAccount.json').abi; // the ABI of FloatifyAccount contract
+
+// Topic of the ERC20 `Transfer(from, to, value)` event, whose `to` is the third topic
+const transferTopic = Web3.utils.sha3('Transfer(address,address,uint256)');
+
+
+/**
+ * @notice Send a transaction and resolve as soon as it has a hash, without waiting for it to be mined
+ * @param {object} method web3 contract method to send
+ * @param {object} options Transaction options
+ * @returns {object} transaction hash, and a promise of the receipt
+ */
+function submitTransaction(method, options) {
+  return new Promise((resolve, reject) => {
+    const promiEvent = method.send(options);
+    promiEvent.once('transactionHash', (transactionHash) => resolve({ transactionHash, receipt: promiEvent }));
+    promiEvent.catch(reject);
+  });
+}
+
+
+/**
+ * @notice Watches DAI transfers to a list of FloatifyAccounts and calls `deposit()` on each account
+ * whose DAI balance reaches a threshold, so DAI starts earning interest as soon as it arrives
+ * @dev Transfers are found by polling for logs, which works with HTTP and WebSocket providers.
+ * Deposits are sent in batches with nonces managed here, so a batch does not wait for each
+ * transaction to be mined. Every action is passed to `options.log`
+ */
+class DepositKeeper {
+  /**
+   * @param {object} provider web3 provider, or a JSON-RPC URL
+   * @param {object} networkConfig Network configuration with `daiAddress`, as returned by
+   * `getNetworkConfig()`. For networks that use mock tokens, pass the mock address
+   * @param {Array<string>} accountAddresses Addresses of the FloatifyAccount contracts to watch
+   * @param {object} options
+   * @param {string} options.from Address of the keeper, which must be unlocked on the node and be
+   * the operator of every account
+   * @param {number, string} [options.threshold] Minimum DAI balance to deposit, as a human-readable
+   * amount, defaults to 1
+   * @param {number} [options.batchSize] Maximum number of deposits sent at once, defaults to 10
+   * @param {number} [options.maxRetries] Times a deposit is retried if sending it fails, defaults to 3
+   * @param {number} [options.pollInterval] Time between polls in milliseconds, defaults to 15 seconds
+   * @param {number} [options.fromBlock] First block to look for transfers in, defaults to the
+   * latest block when polling starts
+   * @param {function} [options.log] Called with an object describing each action, defaults to
+   * writing it to the console as JSON
+   * @param {Array} [options.abi] ABI of FloatifyAccount, defaults to the one in externalAbis
+   */
+  constructor(provider, networkConfig, accountAddresses, options = {}) {
+    if (!options.from) throw Error('No keeper address specified, set `from` in the options');
+    this.web3 = new Web3(provider);
+    this.from = options.from;
+    this.accountAddresses = accountAddresses.map((address) => this.web3.utils.toChecksumAddress(address));
+    this.abi = options.abi || accountABI;
+    this.dai = new this.web3.eth.Contract(daiABI, networkConfig.daiAddress);
+    this.threshold = new BigNumber(humanToMachine('DAI', options.threshold === undefined ? 1 : options.threshold));
+    this.batchSize = options.batchSize || 10;
+    this.maxRetries = options.maxRetries === undefined ? 3 : options.maxRetries;
+    this.pollInterval = options.pollInterval || 15000;
+    this.log = options.log || ((entry) => console.log(JSON.stringify(entry)));
+    this.nextBlock = options.fromBlock; // first block the next poll looks at
+    this.retryAccounts = []; // accounts whose deposit failed, checked again by the next poll
+    this.nonce = undefined; // nonce of the next transaction, read from the node when undefined
+    this.running = false;
+    this.timer = undefined;
+  }
+
+
+  // POLLING =======================================================================================
+  /**
+   * @notice Checks every account once, to deposit DAI that arrived while the keeper was not
+   * running, then polls for new transfers until `stop()` is called
+   */
+  async start() {
+    if (this.nextBlock === undefined) this.nextBlock = await this.web3.eth.getBlockNumber();
+    this.logAction('start', { accounts: this.accountAddresses.length, fromBlock: this.nextBlock });
+    const results = await this.checkAccounts(this.accountAddresses);
+    this.retryAccounts = results.filter((result) => result.error).map((result) => result.account);
+
+    this.running = true;
+    const loop = async () => {
+      try {
+        await this.poll();
+      } catch (err) {
+        this.logAction('error', { error: err.message });
+      }
+      if (this.running) this.timer = setTimeout(loop, this.pollInterval);
+    };
+    this.timer = setTimeout(loop, this.pollInterval);
+  }
+
+
+  /**
+   * @notice Stops polling. Deposits that were already sent are not affected
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.logAction('stop', {});
+  }
+
+
+  /**
+   * @notice Looks for DAI transfers to the accounts since the last poll, and deposits the DAI of
+   * accounts that received any
+   * @dev Accounts whose deposit failed, or that were not checked because a poll threw, are checked
+   * again by the next poll even if they received no new transfers
+   * @returns {Array<object>} result of each deposit, see `depositBatch()`
+   */
+  async poll() {
+    const toBlock = await this.web3.eth.getBlockNumber();
+    const fromBlock = this.nextBlock === undefined ? toBlock : this.nextBlock;
+    const logs = fromBlock > toBlock ? [] : await this.web3.eth.getPastLogs({
+      address: this.dai.options.address,
+      fromBlock,
+      toBlock,
+      topics: [
+        transferTopic,
+        null,
+        this.accountAddresses.map((address) => this.web3.utils.padLeft(address.toLowerCase(), 64)),
+      ],
+    });
+
+    const accounts = [...this.retryAccounts];
+    logs.forEach((log) => {
+      const account = this.web3.utils.toChecksumAddress(`0x${log.topics[2].slice(26)}`);
+      this.logAction('transfer', {
+        account,
+        from: this.web3.utils.toChecksumAddress(`0x${log.topics[1].slice(26)}`),
+        daiAmount: machineToHuman('DAI', this.web3.utils.hexToNumberString(log.data)),
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash,
+      });
+      if (!accounts.includes(account)) accounts.push(account);
+    });
+    this.retryAccounts = accounts;
+    this.nextBlock = Math.max(fromBlock, toBlock + 1);
+
+    const results = await this.checkAccounts(accounts);
+    this.retryAccounts = results.filter((result) => result.error).map((result) => result.account);
+    return results;
+  }
+
+
+  // DEPOSITS ======================================================================================
+  /**
+   * @notice Deposits the DAI of each account whose balance is at least the threshold
+   * @param {Array<string>} accountAddresses Addresses of the accounts to check
+   * @returns {Array<object>} result of each deposit, see `depositBatch()`
+   */
+  async checkAccounts(accountAddresses) {
+    const balances = await Promise.all(
+      accountAddresses.map((address) => this.dai.methods.balanceOf(address).call()),
+    );
+    const due = accountAddresses.filter((account, i) => {
+      const balance = new BigNumber(balances[i]);
+      if (balance.isGreaterThan(0) && balance.isLessThan(this.threshold)) {
+        this.logAction('skip', { account, daiBalance: machineToHuman('DAI', balance) });
+      }
+      return balance.isGreaterThan(0) && balance.isGreaterThanOrEqualTo(this.threshold);
+    });
+
+    const batches = [];
+    for (let i = 0; i < due.length; i += this.batchSize) batches.push(due.slice(i, i + this.batchSize));
+    return batches.reduce(
+      async (results, batch) => (await results).concat(await this.depositBatch(batch)),
+      Promise.resolve([]),
+    );
+  }
+
+
+  /**
+   * @notice Sends a deposit for each account, then waits for all of them to be mined
+   * @dev Gas is estimated first, so deposits that would revert, e.g. on a paused account, are
+   * logged and skipped without using a nonce
+   * @param {Array<string>} accountAddresses Addresses of the accounts to deposit for
+   * @returns {Array<object>} for each deposit that was sent, the account and either its
+   * transaction hash and deposited amount, or an error message
+   */
+  async depositBatch(accountAddresses) {
+    const gasPrice = await this.web3.eth.getGasPrice();
+    const estimates = await Promise.all(accountAddresses.map((account) => this.estimateDeposit(account)));
+
+    // Submit in nonce order, without waiting for each transaction to be mined
+    const submitted = await estimates.filter(Boolean).reduce(
+      async (previous, { account, gas }) => (await previous).concat(await this.submitDeposit(account, gas, gasPrice)),
+      Promise.resolve([]),
+    );
+
+    return Promise.all(submitted.map(async (deposit) => {
+      const { account, transactionHash, error } = deposit;
+      if (error) return { account, error };
+      try {
+        const depositEvent = parseReceiptEvents(await deposit.receipt).find((event) => event.event === 'Deposit');
+        const daiAmount = depositEvent ? depositEvent.daiAmount : 0;
+        this.logAction('confirmed', { account, transactionHash, daiAmount });
+        return { account, transactionHash, daiAmount };
+      } catch (err) {
+        this.logAction('error', { account, transactionHash, error: err.message });
+        return { account, transactionHash, error: err.message };
+      }
+    }));
+  }
+
+
+  /**
+   * @notice Estimates the gas of a deposit, logging the error if it would revert
+   * @param {string} account Address of the account
+   * @returns {object} account and gas limit, or null if the deposit would revert
+   */
+  async estimateDeposit(account) {
+    try {
+      const gas = await this.depositMethod(account).estimateGas({ from: this.from });
+      return { account, gas };
+    } catch (err) {
+      this.logAction('error', { account, error: err.message });
+      return null;
+    }
+  }
+
+
+  /**
+   * @notice Sends a deposit with the next nonce. If sending fails, the nonce is read from the node
+   * again and the deposit is estimated and sent again, up to `maxRetries` times
+   * @param {string} account Address of the account
+   * @param {number} gas Gas limit
+   * @param {string} gasPrice Gas price in wei
+   * @param {number} [attempt] Number of times this deposit was already retried
+   * @returns {object} account, transaction hash and a promise of the receipt, or an error message
+   */
+  async submitDeposit(account, gas, gasPrice, attempt = 0) {
+    if (this.nonce === undefined) this.nonce = await this.web3.eth.getTransactionCount(this.from, 'pending');
+    const { nonce } = this;
+    try {
+      const { transactionHash, receipt } = await submitTransaction(this.depositMethod(account), {
+        from: this.from, gas, gasPrice, nonce,
+      });
+      this.nonce = nonce + 1;
+      this.logAction('deposit', { account, nonce, transactionHash });
+      return { account, transactionHash, receipt };
+    } catch (err) {
+      this.nonce = undefined; // the node may have a different nonce for us, e.g. if we sent another transaction
+      if (attempt >= this.maxRetries) {
+        this.logAction('error', { account, error: err.message });
+        return { account, error: err.message };
+      }
+      this.logAction('retry', { account, attempt: attempt + 1, error: err.message });
+      const estimate = await this.estimateDeposit(account);
+      if (!estimate) return { account, error: err.message };
+      return this.submitDeposit(account, estimate.gas, gasPrice, attempt + 1);
+    }
+  }
+
+
+  // HELPERS =======================================================================================
+  /**
+   * @notice Returns the `deposit()` method of an account
+   * @param {string} account Address of the account
+   */
+  depositMethod(account) {
+    return new this.web3.eth.Contract(this.abi, account).methods.deposit();
+  }
+
+
+  /**
+   * @notice Passes an action to the log function, with the current time
+   * @param {string} action 'start', 'stop', 'transfer', 'skip', 'deposit', 'confirmed', 'retry' or 'error'
+   * @param {object} details Details of the action
+   */
+  logAction(action, details) {
+    this.log({ time: new Date().toISOString(), action, ...details });
+  }
+}
+
+
+module.exports = {
+  DepositKeeper,
+};
@@ -0,0 +1,26 @@
+// =================================================================================================
+//                                      NETWORK CONFIGURATION
+// =================================================================================================
+const networks = require('../config/networks.json');
+
+
+/**
+ * @notice Get the configuration for a network from config/networks.json
+ * @dev Truffle runs a dry run on a network called `<name>-fork` before migrating to public
+ * networks, so that suffix is ignored
+ * @param {string} network Name of the network, as used by Truffle
+ * @returns {object} network configuration, with `daiAddress` and `cdaiAddress` or `useMockTokens`,
+ * and the `chainId` used by signed authorizations
+ */
+function getNetworkConfig(network) {
+  const networkConfig = networks[network.replace(/-fork$/, '')];
+  if (!networkConfig) {
+    throw Error(`No DAI and cDAI addresses configured for network '${network}' in config/networks.json`);
+  }
+  return networkConfig;
+}
+
+
+module.exports = {
+  getNetworkConfig,
+};
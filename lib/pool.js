@@ -0,0 +1,121 @@
+// =================================================================================================
+//                                     FLOATIFY POOL CLIENT
+// =================================================================================================
+const Web3 = require('web3');
+const { parseReceiptEvents } = require('./client');
+const { humanToMachine, machineToHuman } = require('./units');
+
+const daiABI = require('../externalAbis/DAI.json').abi; // the ABI of DAI contract
+const poolABI = require('../externalAbis/FloatifyPool.json').abi; // the ABI of FloatifyPool contract
+
+
+/**
+ * @notice Wraps a deployed FloatifyPool. Shares have 18 decimals like DAI, and all DAI and share
+ * amounts taken and returned are human-readable numbers
+ */
+class FloatifyPoolClient {
+  /**
+   * @param {object} provider web3 provider, e.g. `new Web3.providers.HttpProvider(url)`
+   * @param {object} networkConfig Network configuration with `daiAddress`, as returned by `getNetworkConfig()`
+   * @param {string} poolAddress Address of the FloatifyPool contract
+   * @param {object} [options]
+   * @param {string} [options.from] Default address to send transactions from
+   * @param {Array} [options.abi] ABI of FloatifyPool, defaults to the one in externalAbis
+   */
+  constructor(provider, networkConfig, poolAddress, options = {}) {
+    this.web3 = new Web3(provider);
+    this.address = poolAddress;
+    this.from = options.from;
+    this.pool = new this.web3.eth.Contract(options.abi || poolABI, poolAddress);
+    this.dai = new this.web3.eth.Contract(daiABI, networkConfig.daiAddress);
+  }
+
+
+  // TRANSACTIONS ==================================================================================
+  /**
+   * @notice Deposits DAI from a member's wallet, approving the pool first if its allowance is too low
+   * @param {number, string, BigNumber} daiAmount Amount of DAI to deposit
+   * @param {object} [options] Transaction options, `from` must be a member
+   * @returns {object} receipt and parsed events of the deposit
+   */
+  async deposit(daiAmount, options = {}) {
+    const from = options.from || this.from;
+    const daiAmountMachine = humanToMachine('dai', daiAmount);
+    const allowance = await this.dai.methods.allowance(from, this.address).call();
+    if (this.web3.utils.toBN(allowance).lt(this.web3.utils.toBN(daiAmountMachine))) {
+      await this.send(this.dai.methods.approve(this.address, daiAmountMachine), { ...options, from });
+    }
+    return this.send(this.pool.methods.deposit(daiAmountMachine), { ...options, from });
+  }
+
+
+  /**
+   * @notice Redeems shares for DAI
+   * @param {number, string, BigNumber} shares Number of shares to redeem
+   * @param {string} destination Address to send DAI to
+   * @param {object} [options] Transaction options, e.g. `from`
+   * @returns {object} transaction receipt and parsed events
+   */
+  async redeem(shares, destination, options) {
+    return this.send(this.pool.methods.redeem(humanToMachine('dai', shares), destination), options);
+  }
+
+
+  /**
+   * @notice Estimates gas for and sends a transaction
+   * @param {object} method web3 contract method to send
+   * @param {object} [options] Transaction options, `from` defaults to the client's `from` option
+   * @returns {object} transaction receipt and parsed events
+   */
+  async send(method, options = {}) {
+    const from = options.from || this.from;
+    if (!from) throw Error('No sender specified, set `from` in the client or transaction options');
+    const gas = await method.estimateGas({ from });
+    const receipt = await method.send({ ...options, from, gas });
+    return { receipt, events: parseReceiptEvents(receipt) };
+  }
+
+
+  // QUERIES =======================================================================================
+  /**
+   * @notice Get the shares and accounting of a share holder
+   * @param {string} holder Address of the member or other share holder
+   * @returns {object} whether they are a `member`, and human-readable `shares`, current `value` of
+   * the shares, DAI `deposited` and `withdrawn`, and interest `earned`
+   */
+  async getHolder(holder) {
+    const { methods } = this.pool;
+    const [member, shares, value, deposited, withdrawn, earned] = await Promise.all([
+      methods.members(holder).call(),
+      methods.balanceOf(holder).call(),
+      methods.holderValue(holder).call(),
+      methods.deposited(holder).call(),
+      methods.withdrawn(holder).call(),
+      methods.earned(holder).call(),
+    ]);
+    return {
+      member,
+      shares: machineToHuman('dai', shares),
+      value: machineToHuman('dai', value),
+      deposited: machineToHuman('dai', deposited),
+      withdrawn: machineToHuman('dai', withdrawn),
+      earned: machineToHuman('dai', earned),
+    };
+  }
+
+
+  /**
+   * @notice Get the pool's total shares and the DAI value of its cDAI
+   * @returns {object} human-readable `totalShares` and `value`
+   */
+  async getPool() {
+    const { methods } = this.pool;
+    const [totalShares, value] = await Promise.all([methods.totalSupply().call(), methods.currentValue().call()]);
+    return { totalShares: machineToHuman('dai', totalShares), value: machineToHuman('dai', value) };
+  }
+}
+
+
+module.exports = {
+  FloatifyPoolClient,
+};
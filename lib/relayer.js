@@ -0,0 +1,84 @@
+// =================================================================================================
+//                                  SIGNED AUTHORIZATION RELAYER
+// =================================================================================================
+const http = require('http');
+const Web3 = require('web3');
+const { getAuthorizationMethod } = require('./authorizations');
+const { parseReceiptEvents } = require('./client');
+
+const accountABI = require('../externalAbis/FloatifyAccount.json').abi; // the ABI of FloatifyAccount contract
+
+const maxRequestSize = 10000; // bytes, a relay request is well under 1 KB
+
+
+/**
+ * @notice Submit a user's signed authorization to their account. The relayer pays for gas
+ * @dev Gas is estimated first, so invalid or expired signatures fail with the contract's revert
+ * reason without sending a transaction
+ * @param {object} provider web3 provider, or a JSON-RPC URL
+ * @param {object} request
+ * @param {string} request.account Address of the FloatifyAccount contract
+ * @param {string} request.action 'deposit', 'redeemAndWithdrawMax' or 'redeemAndWithdrawPartial'
+ * @param {object} request.message The signed `message` from `getAuthorizationTypedData()`
+ * @param {string} request.signature The user's signature of the typed data
+ * @param {object} options
+ * @param {string} options.from Address of the relayer, which must be unlocked on the node
+ * @param {Array} [options.abi] ABI of FloatifyAccount, defaults to the one in externalAbis
+ * @returns {object} transaction receipt and parsed events
+ */
+async function relayAuthorization(provider, request, options = {}) {
+  const { from } = options;
+  if (!from) throw Error('No relayer address specified, set `from` in the options');
+  const web3 = new Web3(provider);
+  if (!web3.utils.isAddress(request.account)) throw Error('Invalid account address');
+
+  const account = new web3.eth.Contract(options.abi || accountABI, request.account);
+  const method = getAuthorizationMethod(account, request);
+  const gas = await method.estimateGas({ from });
+  const receipt = await method.send({ from, gas });
+  return { receipt, events: parseReceiptEvents(receipt) };
+}
+
+
+/**
+ * @notice Create an HTTP server that relays signed authorizations POSTed as JSON to `/relay`
+ * @dev Responds with the transaction hash and parsed events, or with status 400 and an error message
+ * @param {object} provider web3 provider, or a JSON-RPC URL
+ * @param {object} options Same options as `relayAuthorization()`
+ * @returns {http.Server} server, which must still be started with `listen()`
+ */
+function createRelayServer(provider, options = {}) {
+  return http.createServer((req, res) => {
+    const respond = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+    if (req.method !== 'POST' || req.url !== '/relay') {
+      respond(404, { error: 'Not found, POST authorizations to /relay' });
+      return;
+    }
+
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > maxRequestSize) {
+        respond(413, { error: 'Request too large' });
+        req.destroy();
+      }
+    });
+    req.on('end', async () => {
+      try {
+        const { receipt, events } = await relayAuthorization(provider, JSON.parse(body), options);
+        respond(200, { transactionHash: receipt.transactionHash, events });
+      } catch (err) {
+        respond(400, { error: err.message });
+      }
+    });
+  });
+}
+
+
+module.exports = {
+  relayAuthorization,
+  createRelayServer,
+};
@@ -0,0 +1,192 @@
+// =================================================================================================
+//                                  ACCOUNT STATEMENT EXPORTER
+// =================================================================================================
+const BigNumber = require('bignumber.js'); // easier to work with than web3's big number library
+const Web3 = require('web3');
+const { getEventMarkets } = require('./client');
+
+const erc20ABI = require('../externalAbis/DAI.json').abi; // the ABI of DAI contract, used for other ERC20 tokens
+const accountABI = require('../externalAbis/FloatifyAccount.json').abi; // the ABI of FloatifyAccount contract
+
+// Events that make up a statement. FeeCharged is not listed, fees are shown on their redemption
+const statementEvents = ['Deposit', 'Withdraw', 'RedeemMax', 'RedeemPartial'];
+
+// Columns of the CSV output, in order
+const csvColumns = [
+  'account', 'blockNumber', 'timestamp', 'transactionHash', 'event', 'daiAmount', 'cdaiAmount', 'address',
+  'fee', 'interestEarned', 'principal', 'totalDeposited', 'totalWithdrawn',
+];
+
+
+/**
+ * @notice Format a DAI amount with 18 decimals as a human-readable decimal string, without losing
+ * precision like `machineToHuman()` does
+ * @param {BigNumber} value Amount of DAI, as a machine value
+ * @returns {string} human-readable amount
+ */
+function formatDai(value) {
+  return new BigNumber(value).dividedBy('1e18').toFixed();
+}
+
+
+/**
+ * @notice Compare the totals from an account's events with the totals stored by the contract
+ * @dev If the statement does not start at block 0, the stored totals from the block before it are
+ * subtracted. That needs an archive node, so the result is 'unavailable' if the query fails
+ * @param {object} account web3 contract instance of the account
+ * @param {number} fromBlock First block of the statement
+ * @param {number} toBlock Last block of the statement
+ * @param {object} totals Sums of `deposited` and `withdrawn` from the events, as machine values
+ * @returns {object} reconciliation status and the stored and event totals as human-readable strings
+ */
+async function reconcile(account, fromBlock, toBlock, totals) {
+  const getStoredTotals = async (blockNumber) => ({
+    deposited: new BigNumber(await account.methods.totalDeposited().call({}, blockNumber)),
+    withdrawn: new BigNumber(await account.methods.totalWithdrawn().call({}, blockNumber)),
+  });
+
+  let stored;
+  try {
+    stored = await getStoredTotals(toBlock);
+    if (fromBlock > 0) {
+      const previous = await getStoredTotals(fromBlock - 1);
+      stored = {
+        deposited: stored.deposited.minus(previous.deposited),
+        withdrawn: stored.withdrawn.minus(previous.withdrawn),
+      };
+    }
+  } catch (err) {
+    return { status: 'unavailable', error: err.message };
+  }
+
+  const mismatches = ['deposited', 'withdrawn'].filter((key) => !stored[key].isEqualTo(totals[key]));
+  return {
+    status: mismatches.length > 0 ? 'mismatch' : 'ok',
+    mismatches,
+    storedDeposited: formatDai(stored.deposited),
+    storedWithdrawn: formatDai(stored.withdrawn),
+    eventDeposited: formatDai(totals.deposited),
+    eventWithdrawn: formatDai(totals.withdrawn),
+  };
+}
+
+
+/**
+ * @notice Build a statement for one FloatifyAccount from its event logs
+ * @dev Interest earned and principal redeemed are taken from the redemption events, which split
+ * each redemption interest-first like the contract's fees. Withdraw events do not change the running
+ * totals, and any DAI they send beyond what was redeemed was never deposited
+ * @param {object} provider web3 provider, or a JSON-RPC URL
+ * @param {string} accountAddress Address of the FloatifyAccount contract
+ * @param {object} [options]
+ * @param {number} [options.fromBlock] First block to read events from, defaults to 0
+ * @param {number} [options.toBlock] Last block to read events from, defaults to the latest block
+ * @param {Array} [options.abi] ABI of FloatifyAccount, defaults to the one in externalAbis
+ * @returns {object} account address, statement entries and reconciliation result
+ */
+async function getAccountStatement(provider, accountAddress, options = {}) {
+  const web3 = new Web3(provider);
+  const account = new web3.eth.Contract(options.abi || accountABI, accountAddress);
+  const fromBlock = options.fromBlock || 0;
+  const toBlock = options.toBlock === undefined ? await web3.eth.getBlockNumber() : options.toBlock;
+
+  const events = (await account.getPastEvents('allEvents', { fromBlock, toBlock }))
+    .sort((a, b) => (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex));
+
+  // `cdaiAmount` is in the market token of the strategy used at the time, e.g. vault shares with 18 decimals
+  const eventMarkets = await getEventMarkets(account, events);
+  const markets = new Map(events.map((event, index) => [event, eventMarkets[index]]));
+  const decimals = {};
+  await Promise.all([...new Set(markets.values())].map(async (market) => {
+    decimals[market] = Number(await new web3.eth.Contract(erc20ABI, market).methods.decimals().call());
+  }));
+
+  // Fees are emitted in the same transaction as the redemption they were charged on
+  const fees = {};
+  events.filter((event) => event.event === 'FeeCharged').forEach((event) => {
+    fees[event.transactionHash] = new BigNumber(event.returnValues.daiAmount);
+  });
+
+  // Get each block's timestamp once, since a redemption and its withdrawal share a block
+  const blockNumbers = [...new Set(events.map((event) => event.blockNumber))];
+  const blocks = await Promise.all(blockNumbers.map((blockNumber) => web3.eth.getBlock(blockNumber)));
+  const timestamps = {};
+  blocks.forEach((block) => { timestamps[block.number] = Number(block.timestamp); });
+
+  const totals = { deposited: new BigNumber(0), withdrawn: new BigNumber(0) };
+  let principal = new BigNumber(0);
+  const entries = events.filter((event) => statementEvents.includes(event.event)).map((event) => {
+    const { returnValues } = event;
+    const daiAmount = new BigNumber(returnValues.daiAmount);
+    let interestEarned = new BigNumber(0);
+
+    if (event.event === 'Deposit') {
+      totals.deposited = totals.deposited.plus(daiAmount);
+      principal = principal.plus(daiAmount);
+    } else if (event.event === 'RedeemMax' || event.event === 'RedeemPartial') {
+      totals.withdrawn = totals.withdrawn.plus(daiAmount);
+      interestEarned = new BigNumber(returnValues.interestAmount);
+      principal = principal.minus(returnValues.principalAmount);
+    }
+
+    return {
+      account: accountAddress,
+      blockNumber: event.blockNumber,
+      timestamp: new Date(timestamps[event.blockNumber] * 1000).toISOString(),
+      transactionHash: event.transactionHash,
+      event: event.event,
+      daiAmount: formatDai(daiAmount),
+      cdaiAmount: returnValues.cdaiAmount
+        ? new BigNumber(returnValues.cdaiAmount).shiftedBy(-decimals[markets.get(event)]).toFixed() : '',
+      address: returnValues.withdrawalAddress || returnValues.destinationAddress || '',
+      fee: event.event === 'Withdraw' ? '' : formatDai(fees[event.transactionHash] || 0),
+      interestEarned: formatDai(interestEarned),
+      principal: formatDai(principal),
+      totalDeposited: formatDai(totals.deposited),
+      totalWithdrawn: formatDai(totals.withdrawn),
+    };
+  });
+
+  return {
+    account: accountAddress,
+    fromBlock,
+    toBlock,
+    entries,
+    reconciliation: await reconcile(account, fromBlock, toBlock, totals),
+  };
+}
+
+
+/**
+ * @notice Build statements for several FloatifyAccounts over the same block range
+ * @param {object} provider web3 provider, or a JSON-RPC URL
+ * @param {Array<string>} accountAddresses Addresses of the FloatifyAccount contracts
+ * @param {object} [options] Same options as `getAccountStatement()`
+ * @returns {Array<object>} one statement per account
+ */
+async function getAccountStatements(provider, accountAddresses, options = {}) {
+  const toBlock = options.toBlock === undefined ? await new Web3(provider).eth.getBlockNumber() : options.toBlock;
+  return Promise.all(accountAddresses.map(
+    (address) => getAccountStatement(provider, address, { ...options, toBlock }),
+  ));
+}
+
+
+/**
+ * @notice Convert statements to CSV, with one row per entry
+ * @param {Array<object>} statements Statements from `getAccountStatements()`
+ * @returns {string} CSV with a header row
+ */
+function statementsToCsv(statements) {
+  const rows = statements
+    .reduce((entries, statement) => entries.concat(statement.entries), [])
+    .map((entry) => csvColumns.map((column) => entry[column]).join(','));
+  return [csvColumns.join(','), ...rows].join('\n');
+}
+
+
+module.exports = {
+  getAccountStatement,
+  getAccountStatements,
+  statementsToCsv,
+};
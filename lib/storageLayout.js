@@ -0,0 +1,79 @@
+// =================================================================================================
+//                                    STORAGE LAYOUT CHECKS
+// =================================================================================================
+// FloatifyAccount storage lives in each account's proxy, so an upgrade must keep the storage layout
+// of the previous implementation. These helpers read the layout from compiled artifacts and check
+// that a new layout only appends variables to an old one
+
+
+/**
+ * @notice Get the state variables of a contract in storage order, including inherited ones
+ * @dev Constants are skipped since they are not stored. Variables with the same types in the same
+ * order are packed into the same slots, so comparing names and types is enough to compare layouts
+ * @param {string} contractName Name of the contract
+ * @param {Array<object>} artifacts Truffle artifacts or contract abstractions from the same
+ * compilation, which must include the contract and the source files of all its base contracts
+ * @returns {Array<object>} one `{ contract, name, type }` entry per variable
+ */
+function getStorageLayout(contractName, artifacts) {
+  // AST node IDs are unique across the source files of one compilation
+  const definitions = {};
+  artifacts.forEach((artifact) => {
+    artifact.ast.nodes
+      .filter((node) => node.nodeType === 'ContractDefinition')
+      .forEach((node) => { definitions[node.id] = node; });
+  });
+
+  const contract = Object.values(definitions).find((node) => node.name === contractName);
+  if (!contract) throw Error(`Contract '${contractName}' not found in artifacts`);
+
+  // Base contracts are listed from most derived to most base, and storage starts with the most base
+  return contract.linearizedBaseContracts.slice().reverse().reduce((layout, id) => {
+    if (!definitions[id]) throw Error(`Base contract of '${contractName}' not found in artifacts`);
+    const variables = definitions[id].nodes
+      .filter((node) => node.nodeType === 'VariableDeclaration' && node.stateVariable && !node.constant)
+      .map((node) => ({ contract: definitions[id].name, name: node.name, type: node.typeDescriptions.typeString }));
+    return layout.concat(variables);
+  }, []);
+}
+
+
+/**
+ * @notice Remove the contract names from struct and enum types, e.g. `struct FloatifyAccount.Goal`
+ * becomes `struct Goal`, so moving a definition to a base contract does not change the type
+ * @param {string} type Type string of a variable
+ * @returns {string} type without contract names
+ */
+function withoutContractNames(type) {
+  return type.replace(/(struct|enum) \w+\./g, '$1 ');
+}
+
+
+/**
+ * @notice Check that a new storage layout is compatible with a previous one
+ * @dev Every previous variable must still be at the same position with the same name and type.
+ * New variables may only be added after them. Struct and enum types are compared by name
+ * @param {Array<object>} previousLayout Layout of the current implementation, from `getStorageLayout()`
+ * @param {Array<object>} newLayout Layout of the new implementation, from `getStorageLayout()`
+ * @returns {Array<string>} description of each incompatibility, empty if the layouts are compatible
+ */
+function checkStorageLayout(previousLayout, newLayout) {
+  return previousLayout.reduce((errors, previous, index) => {
+    const current = newLayout[index];
+    if (!current) {
+      return errors.concat(`Variable ${index} '${previous.name}' was removed`);
+    }
+    if (current.name !== previous.name || withoutContractNames(current.type) !== withoutContractNames(previous.type)) {
+      return errors.concat(
+        `Variable ${index} was '${previous.type} ${previous.name}', found '${current.type} ${current.name}'`,
+      );
+    }
+    return errors;
+  }, []);
+}
+
+
+module.exports = {
+  getStorageLayout,
+  checkStorageLayout,
+};
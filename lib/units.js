@@ -0,0 +1,55 @@
+// =================================================================================================
+//                                        UNIT CONVERSIONS
+// =================================================================================================
+const BigNumber = require('bignumber.js'); // easier to work with than web3's big number library
+
+// Decimal places of the tokens we know about. Other tokens are converted by passing their number
+// of decimals, as returned by the token's `decimals()`, instead of a token name
+const tokenDecimals = {
+  dai: 18,
+  cdai: 8,
+  usdc: 6,
+  cusdc: 8,
+};
+
+
+/**
+ * @notice Get the number of decimal places of a token
+ * @param {string, number} token Name of a known token, e.g. 'DAI', or the token's number of decimals
+ * @returns {number} decimal places
+ */
+function getDecimals(token) {
+  if (Number.isInteger(token) && token >= 0) return token;
+  const decimals = tokenDecimals[String(token).toLowerCase()];
+  if (decimals === undefined) throw Error('Invalid token specified');
+  return decimals;
+}
+
+
+/**
+ * @notice Convert human-readable values into values required for Solidity calls
+ * @param {string, number} token Name of a known token, e.g. 'DAI', or the token's number of decimals
+ * @param {number, string, BigNumber} value Number to convert
+ * @returns {string} output value to use in Solidity calls
+ */
+function humanToMachine(token, value) {
+  return new BigNumber(value).shiftedBy(getDecimals(token)).toFixed();
+}
+
+
+/**
+ * @notice Convert machine values from Solidity into human-readable values
+ * @param {string, number} token Name of a known token, e.g. 'DAI', or the token's number of decimals
+ * @param {number, string, BigNumber} value Number to convert
+ * @returns {number} human-readable value
+ */
+function machineToHuman(token, value) {
+  return new BigNumber(value).shiftedBy(-getDecimals(token)).toNumber();
+}
+
+
+module.exports = {
+  getDecimals,
+  humanToMachine,
+  machineToHuman,
+};
@@ -0,0 +1,35 @@
+// =================================================================================================
+//                                        YIELD CALCULATIONS
+// =================================================================================================
+const BigNumber = require('bignumber.js'); // easier to work with than web3's big number library
+
+const secondsPerYear = 365 * 24 * 60 * 60;
+
+
+/**
+ * @notice Calculate the annualized yield of an account between two snapshots
+ * @dev Uses the Modified Dietz method, which assumes deposits and withdrawals made between the
+ * snapshots happened halfway through the period. The period return is annualized without
+ * compounding, the same way Compound reports its supply rate
+ * @param {object} start Earlier snapshot, as returned by `FloatifyAccountClient.getSnapshot()`
+ * @param {object} end Later snapshot, as returned by `FloatifyAccountClient.getSnapshot()`
+ * @returns {number} annualized yield, e.g. 0.05 for 5%
+ */
+function getAnnualizedYield(start, end) {
+  const elapsedSeconds = end.timestamp - start.timestamp;
+  if (elapsedSeconds <= 0) throw Error('End snapshot must be later than start snapshot');
+
+  // Net amount of DAI that was deposited between the two snapshots
+  const netDeposits = new BigNumber(end.totalDeposited).minus(start.totalDeposited)
+    .minus(new BigNumber(end.totalWithdrawn).minus(start.totalWithdrawn));
+  const earnings = new BigNumber(end.currentValue).minus(start.currentValue).minus(netDeposits);
+  const averageCapital = new BigNumber(start.currentValue).plus(netDeposits.dividedBy(2));
+  if (averageCapital.isLessThanOrEqualTo(0)) return 0;
+
+  return earnings.dividedBy(averageCapital).multipliedBy(secondsPerYear).dividedBy(elapsedSeconds).toNumber();
+}
+
+
+module.exports = {
+  getAnnualizedYield,
+};
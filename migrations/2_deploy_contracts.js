@@ -1,9 +1,56 @@
 const FloatifyAccount = artifacts.require('FloatifyAccount');
+const FloatifyAccountExtension = artifacts.require('FloatifyAccountExtension');
+const FloatifyAccountProxy = artifacts.require('FloatifyAccountProxy');
+const CompoundStrategy = artifacts.require('CompoundStrategy');
+const VaultStrategy = artifacts.require('VaultStrategy');
+const MockDAI = artifacts.require('MockDAI');
+const MockCDAI = artifacts.require('MockCDAI');
+const MockVault = artifacts.require('MockVault');
+
+const { getNetworkConfig } = require('../lib/networks');
+
+// Settings for the mock tokens, only used on networks configured with `useMockTokens`
+const mockSupplyRatePerBlock = '23782343987'; // about 5% APR with 2,102,400 blocks per year
+const mockCdaiLiquidity = '1000000000000000000000000'; // 1,000,000 DAI that cDAI can pay interest from
+const mockVaultRatePerSecond = '1585489599'; // about 5% APR
+const mockVaultLiquidity = '1000000000000000000000000'; // 1,000,000 DAI that the vault can pay interest from
+
+
+/**
+ * @notice Deploy the FloatifyAccount logic contract, with its extension and strategies, and an account
+ * that uses it
+ * @dev The logic contract is shared by every account, including those created by the factory. The
+ * strategies have no storage, so one deployment of each serves every account and market
+ */
+async function deployAccount(deployer, daiAddress, cdaiAddress, chainId) {
+  await deployer.deploy(FloatifyAccountExtension);
+  await deployer.deploy(CompoundStrategy);
+  await deployer.deploy(VaultStrategy);
+  await deployer.deploy(FloatifyAccount, FloatifyAccountExtension.address, CompoundStrategy.address);
+  const logic = await FloatifyAccount.deployed();
+  const initializeCall = logic.contract.methods.initialize(daiAddress, cdaiAddress, chainId).encodeABI();
+  await deployer.deploy(FloatifyAccountProxy, logic.address, initializeCall);
+}
+
 
 // eslint-disable-next-line func-names
-module.exports = function (deployer) {
+module.exports = async function (deployer, network) {
   // These commented out lines are left for reference
   // deployer.deploy(ConvertLib);
   // deployer.link(ConvertLib, FloatifyAccount);
-  deployer.deploy(FloatifyAccount);
+  const networkConfig = getNetworkConfig(network);
+  if (!networkConfig.useMockTokens) {
+    await deployAccount(deployer, networkConfig.daiAddress, networkConfig.cdaiAddress, networkConfig.chainId);
+    return;
+  }
+
+  // Deploy local DAI and cDAI contracts so we can run without forking mainnet
+  await deployer.deploy(MockDAI, networkConfig.chainId);
+  const dai = await MockDAI.deployed();
+  await deployer.deploy(MockCDAI, dai.address, mockSupplyRatePerBlock);
+  const cdai = await MockCDAI.deployed();
+  await dai.allocateTo(cdai.address, mockCdaiLiquidity);
+  await deployer.deploy(MockVault, dai.address, mockVaultRatePerSecond);
+  await dai.allocateTo(MockVault.address, mockVaultLiquidity);
+  await deployAccount(deployer, dai.address, cdai.address, networkConfig.chainId);
 };
@@ -0,0 +1,17 @@
+const FloatifyAccount = artifacts.require('FloatifyAccount');
+const FloatifyAccountFactory = artifacts.require('FloatifyAccountFactory');
+const MockDAI = artifacts.require('MockDAI');
+const MockCDAI = artifacts.require('MockCDAI');
+
+const { getNetworkConfig } = require('../lib/networks');
+
+// eslint-disable-next-line func-names
+module.exports = async function (deployer, network) {
+  // Any mock tokens and the FloatifyAccount logic contract were deployed by the previous migration
+  const networkConfig = getNetworkConfig(network);
+  const daiAddress = networkConfig.useMockTokens ? MockDAI.address : networkConfig.daiAddress;
+  const cdaiAddress = networkConfig.useMockTokens ? MockCDAI.address : networkConfig.cdaiAddress;
+  await deployer.deploy(
+    FloatifyAccountFactory, daiAddress, cdaiAddress, networkConfig.chainId, FloatifyAccount.address,
+  );
+};
@@ -0,0 +1,10 @@
+const FloatifyAccountBatcher = artifacts.require('FloatifyAccountBatcher');
+const FloatifyAccountFactory = artifacts.require('FloatifyAccountFactory');
+
+// eslint-disable-next-line func-names
+module.exports = async function (deployer) {
+  // The factory offers the batcher to new accounts, whose users opt in with `setBatchExecutor`
+  await deployer.deploy(FloatifyAccountBatcher);
+  const factory = await FloatifyAccountFactory.deployed();
+  await factory.setBatchExecutor(FloatifyAccountBatcher.address);
+};
@@ -0,0 +1,51 @@
+// =================================================================================================
+//                                        ABI EXPORT CLI
+// =================================================================================================
+// Copies the ABIs the JavaScript library needs from the compiled artifacts to externalAbis, which
+// is published with the library, unlike build. Run `truffle compile` first, and commit the result
+// whenever a contract's interface changes
+//
+// Usage:
+//   node scripts/export-abis.js [options]
+//
+// Options:
+//   --build <dir>  Directory of compiled artifacts (default: build/contracts)
+const fs = require('fs');
+const path = require('path');
+
+const usage = 'Usage: node scripts/export-abis.js [--build <dir>]';
+const abiDir = path.join(__dirname, '..', 'externalAbis');
+
+// Contracts whose ABIs the library loads by default
+const contractNames = ['FloatifyAccount', 'FloatifyAccountBatcher', 'FloatifyPool'];
+
+
+/**
+ * @notice Parse command line arguments
+ * @param {Array<string>} args Arguments after the script name
+ * @returns {object} options
+ */
+function parseArgs(args) {
+  const options = { build: path.join(__dirname, '..', 'build', 'contracts') };
+  for (let i = 0; i < args.length; i += 1) {
+    switch (args[i]) {
+      case '--build': i += 1; options.build = args[i]; break;
+      default: throw Error(`Unknown argument '${args[i]}'\n${usage}`);
+    }
+  }
+  return options;
+}
+
+
+try {
+  const options = parseArgs(process.argv.slice(2));
+  contractNames.forEach((contractName) => {
+    const artifact = JSON.parse(fs.readFileSync(path.join(options.build, `${contractName}.json`), 'utf8'));
+    const abiPath = path.join(abiDir, `${contractName}.json`);
+    fs.writeFileSync(abiPath, `${JSON.stringify({ abi: artifact.abi }, null, 2)}\n`);
+    console.log(`ABI of ${contractName} written to ${abiPath}`);
+  });
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+}
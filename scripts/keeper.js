@@ -0,0 +1,67 @@
+// =================================================================================================
+//                                          KEEPER CLI
+// =================================================================================================
+// Watches DAI transfers to FloatifyAccounts and deposits their DAI into Compound once it reaches a
+// threshold, see `DepositKeeper` in lib/keeper.js. Each action is logged to stdout as a JSON line.
+//
+// Usage:
+//   node scripts/keeper.js --from <address> [options] <account> [<account> ...]
+//
+// Options:
+//   --rpc <url>         JSON-RPC endpoint to send transactions with (default: http://127.0.0.1:8545)
+//   --from <address>    Keeper address that pays for gas, must be unlocked on the node and be the
+//                       operator of every account
+//   --network <name>    Network in config/networks.json to read the DAI address from (default: mainnet)
+//   --dai <address>     DAI address, overrides the network's, e.g. for mock tokens on ganache
+//   --threshold <dai>   Minimum DAI balance to deposit (default: 1)
+//   --batch-size <n>    Maximum number of deposits sent at once (default: 10)
+//   --interval <sec>    Seconds between polls (default: 15)
+const { DepositKeeper } = require('../lib/keeper');
+const { getNetworkConfig } = require('../lib/networks');
+
+const usage = 'Usage: node scripts/keeper.js --from <address> [--rpc <url>] [--network <name>] [--dai <address>] '
+  + '[--threshold <dai>] [--batch-size <n>] [--interval <sec>] <account> [<account> ...]';
+
+
+/**
+ * @notice Parse command line arguments
+ * @param {Array<string>} args Arguments after the script name
+ * @returns {object} options and account addresses
+ */
+function parseArgs(args) {
+  const options = {
+    rpc: 'http://127.0.0.1:8545', from: undefined, network: 'mainnet', dai: undefined, accounts: [],
+  };
+  for (let i = 0; i < args.length; i += 1) {
+    switch (args[i]) {
+      case '--rpc': i += 1; options.rpc = args[i]; break;
+      case '--from': i += 1; options.from = args[i]; break;
+      case '--network': i += 1; options.network = args[i]; break;
+      case '--dai': i += 1; options.dai = args[i]; break;
+      case '--threshold': i += 1; options.threshold = args[i]; break;
+      case '--batch-size': i += 1; options.batchSize = Number(args[i]); break;
+      case '--interval': i += 1; options.pollInterval = Number(args[i]) * 1000; break;
+      default: options.accounts.push(args[i]);
+    }
+  }
+  if (!options.from || options.accounts.length === 0) throw Error(usage);
+  return options;
+}
+
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const daiAddress = options.dai || getNetworkConfig(options.network).daiAddress;
+  if (!daiAddress) throw Error(`No DAI address for network '${options.network}', use --dai`);
+
+  const keeper = new DepositKeeper(options.rpc, { daiAddress }, options.accounts, options);
+  process.on('SIGINT', () => keeper.stop());
+  process.on('SIGTERM', () => keeper.stop());
+  await keeper.start();
+}
+
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
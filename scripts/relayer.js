@@ -0,0 +1,47 @@
+// =================================================================================================
+//                                          RELAYER CLI
+// =================================================================================================
+// Runs an HTTP server that submits users' signed authorizations to their FloatifyAccount, so users
+// do not need ETH. Requests are POSTed as JSON to /relay, see `relayAuthorization()` in lib/relayer.js
+//
+// Usage:
+//   node scripts/relayer.js --from <address> [options]
+//
+// Options:
+//   --rpc <url>       JSON-RPC endpoint to send transactions with (default: http://127.0.0.1:8545)
+//   --from <address>  Relayer address that pays for gas, must be unlocked on the node
+//   --port <n>        Port to listen on (default: 8080)
+const { createRelayServer } = require('../lib/relayer');
+
+const usage = 'Usage: node scripts/relayer.js --from <address> [--rpc <url>] [--port <n>]';
+
+
+/**
+ * @notice Parse command line arguments
+ * @param {Array<string>} args Arguments after the script name
+ * @returns {object} options
+ */
+function parseArgs(args) {
+  const options = { rpc: 'http://127.0.0.1:8545', from: undefined, port: 8080 };
+  for (let i = 0; i < args.length; i += 1) {
+    switch (args[i]) {
+      case '--rpc': i += 1; options.rpc = args[i]; break;
+      case '--from': i += 1; options.from = args[i]; break;
+      case '--port': i += 1; options.port = Number(args[i]); break;
+      default: throw Error(`Unknown argument '${args[i]}'\n${usage}`);
+    }
+  }
+  if (!options.from) throw Error(usage);
+  return options;
+}
+
+
+try {
+  const options = parseArgs(process.argv.slice(2));
+  createRelayServer(options.rpc, { from: options.from }).listen(options.port, () => {
+    console.log(`Relaying authorizations from ${options.from} on port ${options.port}`);
+  });
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+}
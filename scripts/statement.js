@@ -0,0 +1,74 @@
+// =================================================================================================
+//                                     ACCOUNT STATEMENT CLI
+// =================================================================================================
+// Exports a statement of one or more FloatifyAccounts from their event logs, and checks the totals
+// against the ones stored by each contract. Exits with code 1 if any totals do not match.
+//
+// Usage:
+//   node scripts/statement.js [options] <account> [<account> ...]
+//
+// Options:
+//   --rpc <url>          JSON-RPC endpoint to read from (default: http://127.0.0.1:8545)
+//   --from-block <n>     First block to read events from (default: 0)
+//   --to-block <n>       Last block to read events from (default: latest block)
+//   --format <csv|json>  Output format (default: csv)
+//   --out <file>         File to write the statement to (default: stdout)
+const fs = require('fs');
+const { getAccountStatements, statementsToCsv } = require('../lib/statement');
+
+const usage = 'Usage: node scripts/statement.js [--rpc <url>] [--from-block <n>] [--to-block <n>] '
+  + '[--format <csv|json>] [--out <file>] <account> [<account> ...]';
+
+
+/**
+ * @notice Parse command line arguments
+ * @param {Array<string>} args Arguments after the script name
+ * @returns {object} options and account addresses
+ */
+function parseArgs(args) {
+  const options = {
+    rpc: 'http://127.0.0.1:8545', fromBlock: 0, toBlock: undefined, format: 'csv', out: undefined, accounts: [],
+  };
+  for (let i = 0; i < args.length; i += 1) {
+    switch (args[i]) {
+      case '--rpc': i += 1; options.rpc = args[i]; break;
+      case '--from-block': i += 1; options.fromBlock = Number(args[i]); break;
+      case '--to-block': i += 1; options.toBlock = Number(args[i]); break;
+      case '--format': i += 1; options.format = args[i]; break;
+      case '--out': i += 1; options.out = args[i]; break;
+      default: options.accounts.push(args[i]);
+    }
+  }
+  if (options.accounts.length === 0) throw Error(usage);
+  if (!['csv', 'json'].includes(options.format)) throw Error(`Invalid format '${options.format}'\n${usage}`);
+  return options;
+}
+
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const statements = await getAccountStatements(options.rpc, options.accounts, options);
+
+  const output = options.format === 'csv' ? statementsToCsv(statements) : JSON.stringify(statements, null, 2);
+  if (options.out) fs.writeFileSync(options.out, `${output}\n`);
+  else console.log(output);
+
+  // Reconciliation results go to stderr, so they never end up in the exported file
+  statements.forEach(({ account, reconciliation }) => {
+    if (reconciliation.status === 'ok') return;
+    if (reconciliation.status === 'unavailable') {
+      console.error(`${account}: could not reconcile totals: ${reconciliation.error}`);
+      return;
+    }
+    console.error(`${account}: totals do not match for ${reconciliation.mismatches.join(', ')}`);
+    console.error(`  deposited: events ${reconciliation.eventDeposited}, contract ${reconciliation.storedDeposited}`);
+    console.error(`  withdrawn: events ${reconciliation.eventWithdrawn}, contract ${reconciliation.storedWithdrawn}`);
+    process.exitCode = 1;
+  });
+}
+
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
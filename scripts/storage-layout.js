@@ -0,0 +1,66 @@
+// =================================================================================================
+//                                    STORAGE LAYOUT CHECK CLI
+// =================================================================================================
+// Checks that the compiled FloatifyAccount keeps the storage layout recorded in
+// config/storage-layout.json, so existing accounts can be upgraded to it. Run `truffle compile`
+// first. Exits with code 1 if the layout is not compatible
+//
+// Usage:
+//   node scripts/storage-layout.js [options]
+//
+// Options:
+//   --build <dir>  Directory of compiled artifacts (default: build/contracts)
+//   --update       Record the compiled layout, once it is compatible with the recorded one
+const fs = require('fs');
+const path = require('path');
+const { getStorageLayout, checkStorageLayout } = require('../lib/storageLayout');
+
+const usage = 'Usage: node scripts/storage-layout.js [--build <dir>] [--update]';
+const layoutPath = path.join(__dirname, '..', 'config', 'storage-layout.json');
+
+
+/**
+ * @notice Parse command line arguments
+ * @param {Array<string>} args Arguments after the script name
+ * @returns {object} options
+ */
+function parseArgs(args) {
+  const options = { build: path.join(__dirname, '..', 'build', 'contracts'), update: false };
+  for (let i = 0; i < args.length; i += 1) {
+    switch (args[i]) {
+      case '--build': i += 1; options.build = args[i]; break;
+      case '--update': options.update = true; break;
+      default: throw Error(`Unknown argument '${args[i]}'\n${usage}`);
+    }
+  }
+  return options;
+}
+
+
+try {
+  const options = parseArgs(process.argv.slice(2));
+  const artifacts = fs.readdirSync(options.build)
+    .filter((file) => file.endsWith('.json'))
+    .map((file) => JSON.parse(fs.readFileSync(path.join(options.build, file), 'utf8')));
+  const recorded = JSON.parse(fs.readFileSync(layoutPath, 'utf8'));
+
+  const layouts = {};
+  const errors = Object.keys(recorded).reduce((allErrors, contractName) => {
+    layouts[contractName] = getStorageLayout(contractName, artifacts);
+    const contractErrors = checkStorageLayout(recorded[contractName], layouts[contractName]);
+    return allErrors.concat(contractErrors.map((error) => `${contractName}: ${error}`));
+  }, []);
+
+  if (errors.length > 0) {
+    console.error(errors.join('\n'));
+    process.exitCode = 1;
+  } else if (options.update) {
+    fs.writeFileSync(layoutPath, `${JSON.stringify(layouts, null, 2)}\n`);
+    console.log(`Storage layout recorded in ${layoutPath}`);
+  } else {
+    console.log('Storage layout is compatible');
+  }
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+}
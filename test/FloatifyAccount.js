@@ -2,11 +2,17 @@
 // =================================================================================================
 //                                       SETUP TESTING TOOLS
 // =================================================================================================
-const BigNumber = require('bignumber.js'); // easier to work with than web3's big number library
 const chai = require('chai');
+const http = require('http');
 const {
-  BN, constants, expectEvent, expectRevert, time,
+  BN, balance, constants, ether, expectEvent, expectRevert, time,
 } = require('openzeppelin-test-helpers');
+const {
+  DepositKeeper, FloatifyAccountClient, createRelayServer, decodeAccountError, decodeCompoundError,
+  decodeRevertReason, encodeBatch, executeBatch, getAccountStatement, getAccountStatements, getAnnualizedYield,
+  getAuthorizationTypedData, getDecimals, getNetworkConfig, getPermitTypedData, humanToMachine, machineToHuman,
+  relayAuthorization, splitSignature, statementsToCsv, getStorageLayout, checkStorageLayout,
+} = require('../lib');
 
 const { expect } = chai;
 
@@ -15,21 +21,48 @@ const { expect } = chai;
 //                                     SETUP CONTRACTS AND VARIABLES
 // =================================================================================================
 const FloatifyAccount = artifacts.require('FloatifyAccount');
+const FloatifyAccountExtension = artifacts.require('FloatifyAccountExtension');
+const FloatifyAccountProxy = artifacts.require('FloatifyAccountProxy');
+const FloatifyAccountBatcher = artifacts.require('FloatifyAccountBatcher');
+const FloatifyPool = artifacts.require('FloatifyPool');
+const CompoundStrategy = artifacts.require('CompoundStrategy');
+const VaultStrategy = artifacts.require('VaultStrategy');
+const MockFloatifyAccountV2 = artifacts.require('MockFloatifyAccountV2');
+const MockDAI = artifacts.require('MockDAI');
+const MockCDAI = artifacts.require('MockCDAI');
+const MockForceSend = artifacts.require('MockForceSend');
+const MockUSDC = artifacts.require('MockUSDC');
+const MockVault = artifacts.require('MockVault');
+
+// Networks configured with `useMockTokens` in config/networks.json deploy local DAI and cDAI
+// contracts, and the tests run against those instead of a mainnet fork
+let useMockTokens;
 
 // Configure details for interacting with Dai
 const daiABI = require('../externalAbis/DAI.json').abi; // the ABI of DAI contract
 const cdaiABI = require('../externalAbis/cDAI.json').abi; // the ABI of DAI contract
 
-const daiAddress = '0x89d24A6b4CcB1B6fAA2625fE562bDD9a23260359'; // address of DAI contract
-const cdaiAddress = '0xF5DCe57282A584D2746FaF1593d3121Fcac444dC'; // address of cDAI contract
-const wyreAddress = '0x27949Ccaf1ef209e8F2334205BF25bB05DBb8350'; // random address to get DAI from
+// ABIs shipped for the library, see `npm run export-abis`
+const shippedAccountABI = require('../externalAbis/FloatifyAccount.json').abi;
+const shippedBatcherABI = require('../externalAbis/FloatifyAccountBatcher.json').abi;
+const shippedPoolABI = require('../externalAbis/FloatifyPool.json').abi;
+
+const recordedStorageLayout = require('../config/storage-layout.json');
 
-// Instantiate contract instances
-const DaiContract = new web3.eth.Contract(daiABI, daiAddress);
-const CdaiContract = new web3.eth.Contract(cdaiABI, cdaiAddress);
+const mainnetConfig = getNetworkConfig('mainnet'); // addresses of DAI and cDAI contracts
+const mainnetWyreAddress = '0x27949Ccaf1ef209e8F2334205BF25bB05DBb8350'; // random address to get DAI from
+
+// Token contracts and the account we get DAI from. These are assigned in the global beforeEach()
+// hook, because the mock tokens are redeployed for every contract() block
+let daiAddress; // address of DAI contract
+let cdaiAddress; // address of cDAI contract
+let wyreAddress; // account with a large DAI balance
+let DaiContract;
+let CdaiContract;
 
 // Define variables we need. Values are assigned in the global beforeEach() hook
-let FloatifyInstance; // instance of FloatifyAccount contract
+let FloatifyInstance; // instance of FloatifyAccount contract, at the address of its proxy
+let FloatifyClient; // client library wrapping FloatifyInstance
 let floatifyAddress; // address of FloatifyInstance
 let initialDaiDepositHuman; // amount of Dai, as a human-readable number
 let initialDaiDepositMachine; // amount of Dai, as a machine-readable number for Solidity calls
@@ -40,77 +73,100 @@ const maxUint256Value = '1157920892373161954235709850086879078532699846656405640
 //                                    DEFINE HELPER FUNCTIONS
 // =================================================================================================
 /**
- * @notice Convert human-readable values into values required for Solidity calls. Only for Ether
- * and other tokens that use 18 decimal places
- * @param {string} token Token to convert value for
- * @param {number, string, BigNumber} value Number to convert
- * @returns {string} output value to use in Solidity calls
+ * Mine blocks to accrue interest
+ * @param {number} amount number of blocks to mine
  */
-function humanToMachine(token, value) {
-  const x = new BigNumber(value);
-  switch (token.toLowerCase()) {
-    case 'dai': return x.multipliedBy('1e18').toString();
-    case 'cdai': return x.multipliedBy('1e8').toString();
-    default: throw Error('Invalid token specified');
-  }
+async function mineBlocks(amount) {
+  const originalBlockNumber = await web3.eth.getBlockNumber();
+  // eslint-disable-next-line no-await-in-loop
+  for (let i = 0; i < amount; i += 1) await time.advanceBlock();
+  const newBlockNumber = await web3.eth.getBlockNumber();
+  expect(newBlockNumber + amount).to.be.above(originalBlockNumber);
 }
 
 
 /**
- * @notice Convert machine values from Solidity into human-readable values. Only for Ether
- * and other tokens that use 18 decimal places
- * @param {string} token Token to convert value for
- * @param {number, string, BigNumber} value Number to convert
- * @returns {string} output value to use in Solidity calls
+ * Deploy a new account that uses the deployed FloatifyAccount logic contract
+ * @param {string} dai address of the DAI contract
+ * @param {string} cdai address of the cDAI contract
+ * @param {string} chainId chain ID for signed authorizations
+ * @param {object} options transaction options
+ * @returns {object} instance of FloatifyAccount at the new proxy's address
  */
-function machineToHuman(token, value) {
-  const x = new BigNumber(value);
-  switch (token.toLowerCase()) {
-    case 'dai': return x.dividedBy('1e18').toNumber();
-    case 'cdai': return x.dividedBy('1e8').toNumber();
-    default: throw Error('Invalid token specified');
-  }
+async function deployAccount(dai, cdai, chainId, options) {
+  const initializeCall = FloatifyInstance.contract.methods.initialize(dai, cdai, chainId).encodeABI();
+  const proxy = await FloatifyAccountProxy.new(FloatifyAccount.address, initializeCall, options);
+  return FloatifyAccount.at(proxy.address);
 }
 
 
 /**
- * Get DAI or cDAI balance of a given contract
- * @param {token} string 'DAI' or 'cDAI'
- * @param {string} address account address to get balance of
- * @returns {number} human-readable balance
+ * Sign EIP-712 typed data with one of ganache's accounts
+ * @param {string} signer address to sign with
+ * @param {object} typedData typed data from `getAuthorizationTypedData()`
+ * @returns {string} signature
  */
-async function getTokenBalance(token, address) {
-  let balance;
-  switch (token.toLowerCase()) {
-    case 'dai':
-      balance = await DaiContract.methods.balanceOf(address).call();
-      return machineToHuman(token, balance);
-    case 'cdai':
-      balance = await CdaiContract.methods.balanceOf(address).call();
-      return machineToHuman(token, balance);
-    default:
-      throw Error('Invalid token specified');
-  }
+function signTypedData(signer, typedData) {
+  return new Promise((resolve, reject) => {
+    web3.currentProvider.send({
+      jsonrpc: '2.0', id: Date.now(), method: 'eth_signTypedData', params: [signer, typedData],
+    }, (err, res) => (err || res.error ? reject(err || res.error) : resolve(res.result)));
+  });
 }
 
 
 /**
- * Mine blocks to accrue interest
- * @param {number} amount number of blocks to mine
+ * POST a JSON body to a local HTTP server
+ * @param {number} port port the server listens on
+ * @param {string} path request path
+ * @param {object} body request body
+ * @returns {object} response status and parsed body
  */
-async function mineBlocks(amount) {
-  const originalBlockNumber = await web3.eth.getBlockNumber();
-  // eslint-disable-next-line no-await-in-loop
-  for (let i = 0; i < amount; i += 1) await time.advanceBlock();
-  const newBlockNumber = await web3.eth.getBlockNumber();
-  expect(newBlockNumber + amount).to.be.above(originalBlockNumber);
+function postJson(port, path, body) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ port, path, method: 'POST' }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+    });
+    req.on('error', reject);
+    req.end(JSON.stringify(body));
+  });
 }
 
 
+beforeEach('Setup token contracts', async () => {
+  useMockTokens = MockDAI.isDeployed();
+  if (!useMockTokens) {
+    ({ daiAddress, cdaiAddress } = mainnetConfig);
+    wyreAddress = mainnetWyreAddress;
+    DaiContract = new web3.eth.Contract(daiABI, daiAddress);
+    CdaiContract = new web3.eth.Contract(cdaiABI, cdaiAddress);
+    return;
+  }
+
+  daiAddress = (await MockDAI.deployed()).address;
+  cdaiAddress = (await MockCDAI.deployed()).address;
+  const accounts = await web3.eth.getAccounts();
+  wyreAddress = accounts[accounts.length - 1]; // not used as any other role in the tests
+  DaiContract = new web3.eth.Contract(MockDAI.abi, daiAddress);
+  CdaiContract = new web3.eth.Contract(MockCDAI.abi, cdaiAddress);
+
+  // Top up the Wyre account so it always has enough DAI to send
+  const wyreBalance = await DaiContract.methods.balanceOf(wyreAddress).call();
+  if (machineToHuman('DAI', wyreBalance) < 1000) {
+    await DaiContract.methods.allocateTo(wyreAddress, humanToMachine('DAI', 1000)).send({ from: wyreAddress });
+  }
+});
+
+
 beforeEach('Setup deployed contract', async () => {
-  // Get instance of deployed contract
-  FloatifyInstance = await FloatifyAccount.deployed();
-  floatifyAddress = await FloatifyAccount.address;
+  // Get instance of the deployed account, which is a proxy for the FloatifyAccount logic contract
+  floatifyAddress = FloatifyAccountProxy.address;
+  FloatifyInstance = await FloatifyAccount.at(floatifyAddress);
+  FloatifyClient = new FloatifyAccountClient(
+    web3.currentProvider, { daiAddress, cdaiAddress }, floatifyAddress, { abi: FloatifyAccount.abi },
+  );
   // Define the amount of DAI that will be used throughout
   initialDaiDepositHuman = 100; // amount of DAI to initialize contract with
   initialDaiDepositMachine = humanToMachine('DAI', initialDaiDepositHuman);
@@ -129,58 +185,239 @@ contract('FloatifyAccount', (accounts) => {
   console.log(`User personal address: ${userPersonalAddress}`);
   console.log(`User Wyre address: ${userWyreAddress}`);
   console.log(`Random user address: ${randomNonUserAddress}`);
-  console.log(`Wyre address: ${wyreAddress}`);
 
   contract('Access control tests', () => {
     it('should properly set owner on deployment', async () => {
       console.log(`Floatify contract address: ${floatifyAddress}`);
+      console.log(`Using ${useMockTokens ? 'mock' : 'mainnet'} DAI and cDAI contracts`);
       const contractOwner = await FloatifyInstance.owner();
       expect(ownerDeployAddress).to.equal(contractOwner);
     });
 
 
-    it('should let the owner be changed to the user', async () => {
-      await FloatifyInstance.transferOwnership(userPersonalAddress, { from: ownerDeployAddress });
-      expect(userPersonalAddress).to.equal(await FloatifyInstance.owner());
-      // change owner back for any future tests in this test suite
-      await FloatifyInstance.transferOwnership(ownerDeployAddress, { from: userPersonalAddress });
-      expect(ownerDeployAddress).to.equal(await FloatifyInstance.owner());
+    it('should make the deployer the operator', async () => {
+      expect(await FloatifyInstance.operator()).to.equal(ownerDeployAddress);
+      const events = await FloatifyInstance.getPastEvents('OperatorChanged', { fromBlock: 0 });
+      expect(events).to.have.lengthOf(1);
+      expect(events[0].args.newOperator).to.equal(ownerDeployAddress);
     });
 
 
-    it('should only let the owner call `deposit()`', async () => {
+    it('should only let the user or operator call `deposit()`', async () => {
       await expectRevert(
         FloatifyInstance.deposit({ from: randomNonUserAddress }),
-        'Ownable: caller is not the owner',
+        'Caller is not the user or operator',
       );
     });
 
-    it('should only let the owner call `redeemAndWithdrawMax()`', async () => {
+
+    it('should only let the user or operator call `redeemAndWithdrawMax()`', async () => {
       await expectRevert(
         FloatifyInstance.redeemAndWithdrawMax(userWyreAddress, { from: randomNonUserAddress }),
-        'Ownable: caller is not the owner',
+        'Caller is not the user or operator',
       );
     });
 
 
-    it('should only let the owner call `redeemAndWithdrawPartial()`', async () => {
+    it('should only let the user or operator call `redeemAndWithdrawPartial()`', async () => {
       const daiAmountMachine = humanToMachine('dai', 1);
       await expectRevert(
         FloatifyInstance.redeemAndWithdrawPartial(
           userWyreAddress, daiAmountMachine, { from: randomNonUserAddress },
         ),
-        'Ownable: caller is not the owner',
+        'Caller is not the user or operator',
       );
     });
 
 
-    it('should only let the owner call `withdraw()`', async () => {
+    it('should only let the user or operator call `withdraw()`', async () => {
       await expectRevert(
         FloatifyInstance.withdraw(userWyreAddress, { from: randomNonUserAddress }),
+        'Caller is not the user or operator',
+      );
+    });
+
+
+    it('should let the owner be changed to the user while the server stays operator', async () => {
+      await FloatifyInstance.transferOwnership(userPersonalAddress, { from: ownerDeployAddress });
+      expect(await FloatifyInstance.owner()).to.equal(ownerDeployAddress);
+      expect(await FloatifyInstance.pendingOwner()).to.equal(userPersonalAddress);
+
+      await FloatifyInstance.acceptOwnership({ from: userPersonalAddress });
+      expect(await FloatifyInstance.owner()).to.equal(userPersonalAddress);
+      expect(await FloatifyInstance.pendingOwner()).to.equal(constants.ZERO_ADDRESS);
+      expect(await FloatifyInstance.operator()).to.equal(ownerDeployAddress);
+    });
+
+
+    it('should let the operator deposit and withdraw to the user', async () => {
+      await DaiContract.methods.transfer(floatifyAddress, initialDaiDepositMachine).send({ from: wyreAddress });
+      await FloatifyInstance.deposit({ from: ownerDeployAddress });
+      const { logs } = await FloatifyInstance.redeemAndWithdrawMax(userPersonalAddress, { from: ownerDeployAddress });
+      await expectEvent.inLogs(logs, 'Withdraw', { destinationAddress: userPersonalAddress });
+    });
+
+
+    it('should not let the operator withdraw to addresses that are not on the allowlist', async () => {
+      const message = 'Withdrawal address is not on the allowlist';
+      await expectRevert(FloatifyInstance.withdraw(userWyreAddress, { from: ownerDeployAddress }), message);
+      await expectRevert(FloatifyInstance.redeemAndWithdrawMax(userWyreAddress, { from: ownerDeployAddress }), message);
+      await expectRevert(
+        FloatifyInstance.redeemAndWithdrawPartial(userWyreAddress, '1', { from: ownerDeployAddress }),
+        message,
+      );
+    });
+
+
+    it('should only let the user add destinations to the allowlist', async () => {
+      await expectRevert(
+        FloatifyInstance.addDestination(userWyreAddress, { from: ownerDeployAddress }),
+        'Ownable: caller is not the owner',
+      );
+      await expectRevert(
+        FloatifyInstance.addDestination(constants.ZERO_ADDRESS, { from: userPersonalAddress }),
+        'Destination cannot be the zero address',
+      );
+      const { logs } = await FloatifyInstance.addDestination(userWyreAddress, { from: userPersonalAddress });
+      const activationTime = (await time.latest()).add(await FloatifyInstance.destinationDelay());
+      await expectEvent.inLogs(logs, 'DestinationAdded', { destination: userWyreAddress, activationTime });
+      expect(await FloatifyInstance.pendingDestinations(userWyreAddress)).to.be.bignumber.equal(activationTime);
+      await expectRevert(
+        FloatifyInstance.addDestination(userWyreAddress, { from: userPersonalAddress }),
+        'Destination is already pending',
+      );
+    });
+
+
+    it('should not let pending destinations be used or activated before the delay has passed', async () => {
+      await expectRevert(
+        FloatifyInstance.withdraw(userWyreAddress, { from: ownerDeployAddress }),
+        'Withdrawal address is not on the allowlist',
+      );
+      await expectRevert(
+        FloatifyInstance.activateDestination(userWyreAddress, { from: ownerDeployAddress }),
+        'Destination delay has not passed',
+      );
+      await expectRevert(
+        FloatifyInstance.activateDestination(userWyreAddress, { from: randomNonUserAddress }),
+        'Caller is not the user or operator',
+      );
+    });
+
+
+    it('should let the operator withdraw to destinations activated after the delay', async () => {
+      await time.increase(time.duration.days(2));
+      const { logs } = await FloatifyInstance.activateDestination(userWyreAddress, { from: ownerDeployAddress });
+      await expectEvent.inLogs(logs, 'DestinationActivated', { destination: userWyreAddress });
+      expect(await FloatifyInstance.allowedDestinations(userWyreAddress)).to.equal(true);
+      expect(await FloatifyInstance.pendingDestinations(userWyreAddress)).to.be.bignumber.equal('0');
+      await FloatifyInstance.withdraw(userWyreAddress, { from: ownerDeployAddress });
+      await expectRevert(
+        FloatifyInstance.addDestination(userWyreAddress, { from: userPersonalAddress }),
+        'Destination is already on the allowlist',
+      );
+    });
+
+
+    it('should not let the operator withdraw to destinations removed from the allowlist', async () => {
+      await expectRevert(
+        FloatifyInstance.removeDestination(userWyreAddress, { from: ownerDeployAddress }),
+        'Ownable: caller is not the owner',
+      );
+      const { logs } = await FloatifyInstance.removeDestination(userWyreAddress, { from: userPersonalAddress });
+      await expectEvent.inLogs(logs, 'DestinationRemoved', { destination: userWyreAddress });
+      await expectRevert(
+        FloatifyInstance.withdraw(userWyreAddress, { from: ownerDeployAddress }),
+        'Withdrawal address is not on the allowlist',
+      );
+      await expectRevert(
+        FloatifyInstance.removeDestination(userWyreAddress, { from: userPersonalAddress }),
+        'Destination is not on the allowlist',
+      );
+    });
+
+
+    it('should let the user cancel pending destinations', async () => {
+      await FloatifyInstance.addDestination(userWyreAddress, { from: userPersonalAddress });
+      await expectRevert(
+        FloatifyInstance.cancelDestination(userWyreAddress, { from: ownerDeployAddress }),
+        'Ownable: caller is not the owner',
+      );
+      const { logs } = await FloatifyInstance.cancelDestination(userWyreAddress, { from: userPersonalAddress });
+      await expectEvent.inLogs(logs, 'DestinationCancelled', { destination: userWyreAddress });
+      await time.increase(time.duration.days(2));
+      await expectRevert(
+        FloatifyInstance.activateDestination(userWyreAddress, { from: ownerDeployAddress }),
+        'Destination is not pending',
+      );
+      await expectRevert(
+        FloatifyInstance.cancelDestination(userWyreAddress, { from: userPersonalAddress }),
+        'Destination is not pending',
+      );
+    });
+
+
+    it('should only let the user change the destination delay, up to the maximum', async () => {
+      await expectRevert(
+        FloatifyInstance.setDestinationDelay(time.duration.days(1), { from: ownerDeployAddress }),
+        'Ownable: caller is not the owner',
+      );
+      await expectRevert(
+        FloatifyInstance.setDestinationDelay(time.duration.days(31), { from: userPersonalAddress }),
+        'Destination delay cannot exceed the maximum',
+      );
+      const { logs } = await FloatifyInstance.setDestinationDelay(time.duration.days(1), { from: userPersonalAddress });
+      await expectEvent.inLogs(logs, 'DestinationDelayChanged', {
+        previousDelay: time.duration.days(2), newDelay: time.duration.days(1),
+      });
+
+      await FloatifyInstance.addDestination(userWyreAddress, { from: userPersonalAddress });
+      await time.increase(time.duration.days(1));
+      await FloatifyInstance.activateDestination(userWyreAddress, { from: userPersonalAddress });
+      expect(await FloatifyInstance.allowedDestinations(userWyreAddress)).to.equal(true);
+    });
+
+
+    it('should let the user withdraw everything to any address', async () => {
+      await DaiContract.methods.transfer(floatifyAddress, initialDaiDepositMachine).send({ from: wyreAddress });
+      await FloatifyInstance.deposit({ from: userPersonalAddress });
+      await FloatifyInstance.redeemAndWithdrawMax(randomNonUserAddress, { from: userPersonalAddress });
+      expect(await FloatifyClient.getTokenBalance('cDAI', floatifyAddress)).to.equal(0);
+      expect(await FloatifyClient.getTokenBalance('DAI', randomNonUserAddress)).to.be.at.least(initialDaiDepositHuman);
+    });
+
+
+    it('should only let the user replace or revoke the operator', async () => {
+      await expectRevert(
+        FloatifyInstance.setOperator(randomNonUserAddress, { from: ownerDeployAddress }),
         'Ownable: caller is not the owner',
       );
+
+      let { logs } = await FloatifyInstance.setOperator(ownerReceiveAddress, { from: userPersonalAddress });
+      await expectEvent.inLogs(logs, 'OperatorChanged', {
+        previousOperator: ownerDeployAddress, newOperator: ownerReceiveAddress,
+      });
+      await expectRevert(
+        FloatifyInstance.deposit({ from: ownerDeployAddress }),
+        'Caller is not the user or operator',
+      );
+      await FloatifyInstance.deposit({ from: ownerReceiveAddress });
+
+      ({ logs } = await FloatifyInstance.setOperator(constants.ZERO_ADDRESS, { from: userPersonalAddress }));
+      await expectEvent.inLogs(logs, 'OperatorChanged', {
+        previousOperator: ownerReceiveAddress, newOperator: constants.ZERO_ADDRESS,
+      });
+      await expectRevert(
+        FloatifyInstance.deposit({ from: ownerReceiveAddress }),
+        'Caller is not the user or operator',
+      );
+
+      // change owner back for any future tests in this test suite
+      await FloatifyInstance.transferOwnership(ownerDeployAddress, { from: userPersonalAddress });
+      await FloatifyInstance.acceptOwnership({ from: ownerDeployAddress });
     });
 
+
     it('prevents functions from being called if zero address is the input', async () => {
       await expectRevert(
         FloatifyInstance.withdraw(constants.ZERO_ADDRESS, { from: ownerDeployAddress }),
@@ -207,14 +444,100 @@ contract('FloatifyAccount', (accounts) => {
 
     it('should have initial DAI and cDAI token balances of 0', async () => {
       // Ensure both tokens start at zero value
-      const contractDaiBalance = await getTokenBalance('DAI', floatifyAddress);
-      const contractCdaiBalance = await getTokenBalance('cDAI', floatifyAddress);
+      const contractDaiBalance = await FloatifyClient.getTokenBalance('DAI', floatifyAddress);
+      const contractCdaiBalance = await FloatifyClient.getTokenBalance('cDAI', floatifyAddress);
       expect(contractDaiBalance).to.equal(0);
       expect(contractCdaiBalance).to.equal(0);
     });
   }); // end invariants
 
 
+  contract('Deployment validation tests', () => {
+    const chainId = '1'; // these accounts are never used with signed authorizations
+
+    it('should not deploy if either token address is the zero address', async () => {
+      await expectRevert(
+        deployAccount(constants.ZERO_ADDRESS, cdaiAddress, chainId, { from: ownerDeployAddress }),
+        'DAI address cannot be the zero address',
+      );
+      await expectRevert(
+        deployAccount(daiAddress, constants.ZERO_ADDRESS, chainId, { from: ownerDeployAddress }),
+        'cDAI address cannot be the zero address',
+      );
+    });
+
+
+    it('should not deploy if either token address is not a contract', async () => {
+      await expectRevert(
+        deployAccount(userPersonalAddress, cdaiAddress, chainId, { from: ownerDeployAddress }),
+        'DAI address must be a contract',
+      );
+      await expectRevert(
+        deployAccount(daiAddress, userPersonalAddress, chainId, { from: ownerDeployAddress }),
+        'cDAI address must be a contract',
+      );
+    });
+
+
+    it('should not deploy if the cDAI underlying token is not the DAI address', async () => {
+      await expectRevert(
+        deployAccount(cdaiAddress, cdaiAddress, chainId, { from: ownerDeployAddress }),
+        'cDAI underlying token must be DAI',
+      );
+    });
+
+
+    it('should deploy and approve cDAI with valid token addresses', async () => {
+      const instance = await deployAccount(daiAddress, cdaiAddress, chainId, { from: ownerDeployAddress });
+      const cdaiAllowance = await DaiContract.methods.allowance(instance.address, cdaiAddress).call();
+      expect(cdaiAllowance).to.equal(maxUint256Value);
+      expect(await instance.owner()).to.equal(ownerDeployAddress);
+      expect(await instance.operator()).to.equal(ownerDeployAddress);
+      expect(await instance.destinationDelay()).to.be.bignumber.equal(time.duration.days(2));
+    });
+
+
+    it('should only allow an account to be initialized once', async () => {
+      const instance = await deployAccount(daiAddress, cdaiAddress, chainId, { from: ownerDeployAddress });
+      await expectRevert(
+        instance.initialize(daiAddress, cdaiAddress, chainId, { from: randomNonUserAddress }),
+        'Account has already been initialized',
+      );
+    });
+
+
+    it('should not allow the logic contract to be initialized', async () => {
+      const logic = await FloatifyAccount.deployed();
+      await expectRevert(
+        logic.initialize(daiAddress, cdaiAddress, chainId, { from: randomNonUserAddress }),
+        'Account has already been initialized',
+      );
+    });
+
+
+    it('should not deploy a logic contract whose extension is not a contract', async () => {
+      await expectRevert(
+        FloatifyAccount.new(userPersonalAddress, CompoundStrategy.address, { from: ownerDeployAddress }),
+        'Extension must be a contract',
+      );
+      await expectRevert(
+        FloatifyAccount.new(FloatifyAccountExtension.address, userPersonalAddress, { from: ownerDeployAddress }),
+        'Strategy must be a contract',
+      );
+      expect(await FloatifyInstance.extension()).to.equal(FloatifyAccountExtension.address);
+    });
+
+
+    it('should not deploy an account whose implementation is not a contract', async () => {
+      const initializeCall = FloatifyInstance.contract.methods.initialize(daiAddress, cdaiAddress, chainId).encodeABI();
+      await expectRevert(
+        FloatifyAccountProxy.new(userPersonalAddress, initializeCall, { from: ownerDeployAddress }),
+        'Implementation must be a contract',
+      );
+    });
+  }); // end deployment validation tests
+
+
   contract('Basic deposit functionality', () => {
     beforeEach('Send DAI to Floatify contract', async () => {
       // Send DAI to the contract
@@ -223,14 +546,14 @@ contract('FloatifyAccount', (accounts) => {
       });
 
       // At this point, we should have some DAI
-      const contractDaiBalance = await getTokenBalance('DAI', floatifyAddress);
+      const contractDaiBalance = await FloatifyClient.getTokenBalance('DAI', floatifyAddress);
       expect(contractDaiBalance).to.equal(initialDaiDepositHuman);
     });
 
 
     it('should deposit all its DAI in Compound when owner calls `deposit()` function', async () => {
       // Make sure we start with more than 0 DAI
-      const initialDaiBalance = await getTokenBalance('DAI', floatifyAddress);
+      const initialDaiBalance = await FloatifyClient.getTokenBalance('DAI', floatifyAddress);
       expect(initialDaiBalance).to.be.above(0);
 
       // Now we need to call the cDAI mint function. This transfers our DAI to the cDAI contract,
@@ -240,14 +563,103 @@ contract('FloatifyAccount', (accounts) => {
       // At this point, we should have no DAI and some cDAI
       // cDAI exchange rate starts at 0.02 and grows, so we'll just loosely check the quantity to
       // ensure it's greater than the amount of DAI
-      const newContractDaiBalance = await getTokenBalance('DAI', floatifyAddress);
-      const newContractCdaiBalance = await getTokenBalance('cDAI', floatifyAddress);
+      const newContractDaiBalance = await FloatifyClient.getTokenBalance('DAI', floatifyAddress);
+      const newContractCdaiBalance = await FloatifyClient.getTokenBalance('cDAI', floatifyAddress);
       expect(newContractDaiBalance).to.equal(0);
       expect(newContractCdaiBalance).to.be.above(initialDaiDepositHuman);
     });
   }); // end deposit functionality
 
 
+  contract('Deposit from wallet tests', () => {
+    const depositorAddress = userPersonalAddress; // wallet the DAI is pulled from
+
+    beforeEach('Send DAI to the depositor', async () => {
+      await DaiContract.methods.transfer(depositorAddress, initialDaiDepositMachine).send({ from: wyreAddress });
+    });
+
+
+    it('should pull approved DAI from the depositor and deposit it', async () => {
+      const fortyDai = humanToMachine('DAI', 40);
+      await expectRevert(
+        FloatifyInstance.depositFrom(depositorAddress, fortyDai, { from: randomNonUserAddress }),
+        'Caller is not the depositor, user or operator',
+      );
+      await DaiContract.methods.approve(floatifyAddress, fortyDai).send({ from: depositorAddress });
+
+      // DAI already in the account is not deposited or counted as the depositor's
+      await DaiContract.methods.transfer(floatifyAddress, humanToMachine('DAI', 5)).send({ from: wyreAddress });
+      const { events } = await FloatifyClient.depositFrom(depositorAddress, 40, { from: depositorAddress });
+      expect(events).to.have.lengthOf(1);
+      expect(events[0]).to.include({ event: 'Deposit', daiAmount: 40, depositor: depositorAddress });
+      expect(await FloatifyInstance.totalDeposited()).to.be.bignumber.equal(fortyDai);
+      expect(await FloatifyClient.getTokenBalance('DAI', floatifyAddress)).to.equal(5);
+      expect(await FloatifyClient.getTokenBalance('DAI', depositorAddress)).to.equal(initialDaiDepositHuman - 40);
+    });
+
+
+    it('should only pull approved DAI while deposits are not paused', async () => {
+      await DaiContract.methods.approve(floatifyAddress, humanToMachine('DAI', 10)).send({ from: depositorAddress });
+      await expectRevert.unspecified(
+        FloatifyInstance.depositFrom(depositorAddress, humanToMachine('DAI', 11), { from: ownerDeployAddress }),
+      );
+      await FloatifyInstance.depositFrom(depositorAddress, humanToMachine('DAI', 10), { from: ownerDeployAddress });
+      await FloatifyInstance.pause({ from: ownerDeployAddress });
+      await DaiContract.methods.approve(floatifyAddress, humanToMachine('DAI', 10)).send({ from: depositorAddress });
+      await expectRevert(
+        FloatifyInstance.depositFrom(depositorAddress, humanToMachine('DAI', 10), { from: ownerDeployAddress }),
+        'Deposits are paused',
+      );
+      await FloatifyInstance.unpause({ from: ownerDeployAddress });
+    });
+
+
+    it('should approve and deposit in one step with a DAI permit', async function testPermit() {
+      // Single-collateral DAI, used on mainnet forks, does not have `permit`
+      if (!useMockTokens) this.skip();
+      const initialBalance = await FloatifyClient.getTokenBalance('DAI', depositorAddress);
+      const initialTotalDeposited = await FloatifyInstance.totalDeposited();
+      const thirtyDai = humanToMachine('DAI', 30);
+      const networkConfig = { daiAddress, chainId: getNetworkConfig('development').chainId };
+      const expiry = (await time.latest()).addn(3600).toString();
+      const typedData = await getPermitTypedData(
+        web3.currentProvider, networkConfig, floatifyAddress, depositorAddress, { expiry },
+      );
+      expect(typedData.message).to.include({ nonce: '0', spender: floatifyAddress, allowed: true });
+      const permit = { ...typedData.message, ...splitSignature(await signTypedData(depositorAddress, typedData)) };
+      const {
+        nonce, v, r, s,
+      } = permit;
+
+      // The permit must be signed by the depositor
+      await expectRevert(
+        FloatifyInstance.depositFromWithPermit(randomNonUserAddress, thirtyDai, nonce, expiry, v, r, s, {
+          from: ownerDeployAddress,
+        }),
+        'Dai/invalid-permit',
+      );
+
+      const { events } = await FloatifyClient.depositFromWithPermit(depositorAddress, 30, permit, {
+        from: ownerDeployAddress,
+      });
+      expect(events[0]).to.include({ event: 'Deposit', daiAmount: 30, depositor: depositorAddress });
+      expect(await FloatifyClient.getTokenBalance('DAI', depositorAddress)).to.equal(initialBalance - 30);
+
+      // The permit cannot be used again, but its allowance can
+      await expectRevert(
+        FloatifyInstance.depositFromWithPermit(depositorAddress, thirtyDai, nonce, expiry, v, r, s, {
+          from: ownerDeployAddress,
+        }),
+        'Dai/invalid-nonce',
+      );
+      await FloatifyClient.depositFrom(depositorAddress, 20, { from: ownerDeployAddress });
+      expect(await FloatifyInstance.totalDeposited()).to.be.bignumber.equal(
+        initialTotalDeposited.add(new BN(humanToMachine('DAI', 50))),
+      );
+    });
+  }); // end deposit from wallet tests
+
+
   contract('Basic withdrawal functionality', () => {
     it('should redeem all cDAI and send DAI to an account when owner calls `redeemAndWithdrawMax()`', async () => {
       // Need to check two things:
@@ -258,9 +670,9 @@ contract('FloatifyAccount', (accounts) => {
       await DaiContract.methods.transfer(floatifyAddress, initialDaiDepositMachine).send({ from: wyreAddress });
 
       // Check that initial conditions are correct
-      const initialUserDaiBalance = await getTokenBalance('DAI', userWyreAddress);
-      const initialFloatifyDaiBalance = await getTokenBalance('DAI', floatifyAddress);
-      const initialFloatifyCdaiBalance = await getTokenBalance('cDAI', floatifyAddress);
+      const initialUserDaiBalance = await FloatifyClient.getTokenBalance('DAI', userWyreAddress);
+      const initialFloatifyDaiBalance = await FloatifyClient.getTokenBalance('DAI', floatifyAddress);
+      const initialFloatifyCdaiBalance = await FloatifyClient.getTokenBalance('cDAI', floatifyAddress);
 
       expect(initialUserDaiBalance).to.equal(0);
       expect(initialFloatifyDaiBalance).to.equal(initialDaiDepositHuman);
@@ -272,9 +684,9 @@ contract('FloatifyAccount', (accounts) => {
 
       // Redeem all funds
       await FloatifyInstance.redeemAndWithdrawMax(userWyreAddress, { from: ownerDeployAddress });
-      const finalUserDaiBalance = await getTokenBalance('DAI', userWyreAddress);
-      const finalFloatifyDaiBalance = await getTokenBalance('DAI', floatifyAddress);
-      const finalFloatifyCdaiBalance = await getTokenBalance('cDAI', floatifyAddress);
+      const finalUserDaiBalance = await FloatifyClient.getTokenBalance('DAI', userWyreAddress);
+      const finalFloatifyDaiBalance = await FloatifyClient.getTokenBalance('DAI', floatifyAddress);
+      const finalFloatifyCdaiBalance = await FloatifyClient.getTokenBalance('cDAI', floatifyAddress);
 
       expect(finalUserDaiBalance).to.be.above(initialDaiDepositHuman);
       expect(finalUserDaiBalance).to.be.below(initialDaiDepositHuman * 1.1); // loose check of exchange rate
@@ -287,15 +699,15 @@ contract('FloatifyAccount', (accounts) => {
       // Manually clear existing balances and make sure we are starting at 0
       const daiBalance = await DaiContract.methods.balanceOf(userWyreAddress).call();
       await DaiContract.methods.transfer(constants.ZERO_ADDRESS, daiBalance).send({ from: userWyreAddress });
-      expect(await getTokenBalance('DAI', userWyreAddress)).to.equal(0);
-      expect(await getTokenBalance('DAI', floatifyAddress)).to.equal(0);
+      expect(await FloatifyClient.getTokenBalance('DAI', userWyreAddress)).to.equal(0);
+      expect(await FloatifyClient.getTokenBalance('DAI', floatifyAddress)).to.equal(0);
 
       // Now the contract needs some DAI
       await DaiContract.methods.transfer(floatifyAddress, initialDaiDepositMachine).send({ from: wyreAddress });
 
       // Withdraw to user's Wyre address and check that it succeeded
       await FloatifyInstance.withdraw(userWyreAddress, { from: ownerDeployAddress });
-      const finalFloatifyDaiBalance = await getTokenBalance('DAI', floatifyAddress);
+      const finalFloatifyDaiBalance = await FloatifyClient.getTokenBalance('DAI', floatifyAddress);
       const finalUserBalanceMachine = await DaiContract.methods.balanceOf(userWyreAddress).call();
 
       expect(finalUserBalanceMachine).to.equal(initialDaiDepositMachine);
@@ -307,9 +719,9 @@ contract('FloatifyAccount', (accounts) => {
   contract('Additional deposit and withdrawal functionality', async () => {
     it('should allow consecutive deposits then a full withdraw', async () => {
       // Make sure all initial balances are 0
-      expect(await getTokenBalance('DAI', userWyreAddress)).to.equal(0);
-      expect(await getTokenBalance('DAI', floatifyAddress)).to.equal(0);
-      expect(await getTokenBalance('cDAI', floatifyAddress)).to.equal(0);
+      expect(await FloatifyClient.getTokenBalance('DAI', userWyreAddress)).to.equal(0);
+      expect(await FloatifyClient.getTokenBalance('DAI', floatifyAddress)).to.equal(0);
+      expect(await FloatifyClient.getTokenBalance('cDAI', floatifyAddress)).to.equal(0);
 
       // Send DAI, deposit it, wait a few blocks, repeat
       await DaiContract.methods.transfer(floatifyAddress, initialDaiDepositMachine).send({ from: wyreAddress });
@@ -320,16 +732,17 @@ contract('FloatifyAccount', (accounts) => {
       await mineBlocks(10);
 
       // Make sure we now only have cDAI in our contract
-      expect(await getTokenBalance('DAI', userWyreAddress)).to.equal(0);
-      expect(await getTokenBalance('DAI', floatifyAddress)).to.equal(0);
-      expect(await getTokenBalance('cDAI', floatifyAddress)).to.be.above(2 * initialDaiDepositHuman);
+      expect(await FloatifyClient.getTokenBalance('DAI', userWyreAddress)).to.equal(0);
+      expect(await FloatifyClient.getTokenBalance('DAI', floatifyAddress)).to.equal(0);
+      expect(await FloatifyClient.getTokenBalance('cDAI', floatifyAddress)).to.be.above(2 * initialDaiDepositHuman);
 
       // Withdraw to user's Wyre address
       await FloatifyInstance.redeemAndWithdrawMax(userWyreAddress, { from: ownerDeployAddress });
-      expect(await getTokenBalance('DAI', userWyreAddress)).to.be.above(2 * initialDaiDepositHuman);
-      expect(await getTokenBalance('DAI', userWyreAddress)).to.be.below(2 * initialDaiDepositHuman * 1.1);
-      expect(await getTokenBalance('DAI', floatifyAddress)).to.equal(0);
-      expect(await getTokenBalance('cDAI', floatifyAddress)).to.equal(0);
+      expect(await FloatifyClient.getTokenBalance('DAI', userWyreAddress)).to.be.above(2 * initialDaiDepositHuman);
+      expect(await FloatifyClient.getTokenBalance('DAI', userWyreAddress))
+        .to.be.below(2 * initialDaiDepositHuman * 1.1);
+      expect(await FloatifyClient.getTokenBalance('DAI', floatifyAddress)).to.equal(0);
+      expect(await FloatifyClient.getTokenBalance('cDAI', floatifyAddress)).to.equal(0);
     });
 
 
@@ -341,14 +754,14 @@ contract('FloatifyAccount', (accounts) => {
       await CdaiContract.methods.transfer(constants.ZERO_ADDRESS, cdaiBalance).send({ from: userWyreAddress });
 
       // Ensure balances are now 0
-      expect(await getTokenBalance('DAI', userWyreAddress)).to.equal(0);
-      expect(await getTokenBalance('DAI', floatifyAddress)).to.equal(0);
-      expect(await getTokenBalance('cDAI', floatifyAddress)).to.equal(0);
+      expect(await FloatifyClient.getTokenBalance('DAI', userWyreAddress)).to.equal(0);
+      expect(await FloatifyClient.getTokenBalance('DAI', floatifyAddress)).to.equal(0);
+      expect(await FloatifyClient.getTokenBalance('cDAI', floatifyAddress)).to.equal(0);
 
       // Send and deposit DAI
       await DaiContract.methods.transfer(floatifyAddress, initialDaiDepositMachine).send({ from: wyreAddress });
       await FloatifyInstance.deposit({ from: ownerDeployAddress });
-      const initialFloatifyCdaiBalance = await getTokenBalance('cDAI', floatifyAddress);
+      const initialFloatifyCdaiBalance = await FloatifyClient.getTokenBalance('cDAI', floatifyAddress);
 
       // Execute a partial withdraw
       const daiToWithdrawHuman = initialDaiDepositHuman / 2;
@@ -356,8 +769,8 @@ contract('FloatifyAccount', (accounts) => {
       await FloatifyInstance.redeemAndWithdrawPartial(
         userWyreAddress, daiToWithdrawMachine, { from: ownerDeployAddress },
       );
-      const finalUserDaiBalance = await getTokenBalance('DAI', userWyreAddress);
-      const finalFloatifyCdaiBalance = await getTokenBalance('cDAI', floatifyAddress);
+      const finalUserDaiBalance = await FloatifyClient.getTokenBalance('DAI', userWyreAddress);
+      const finalFloatifyCdaiBalance = await FloatifyClient.getTokenBalance('cDAI', floatifyAddress);
       expect(finalUserDaiBalance).to.equal(daiToWithdrawHuman);
       expect(finalFloatifyCdaiBalance).to.be.above(0);
       expect(finalFloatifyCdaiBalance).to.be.below(initialFloatifyCdaiBalance);
@@ -369,7 +782,9 @@ contract('FloatifyAccount', (accounts) => {
     it('should emit Deposit event on successful deposits', async () => {
       await DaiContract.methods.transfer(floatifyAddress, initialDaiDepositMachine).send({ from: wyreAddress });
       const { logs } = await FloatifyInstance.deposit({ from: ownerDeployAddress });
-      await expectEvent.inLogs(logs, 'Deposit', { daiAmount: initialDaiDepositMachine });
+      await expectEvent.inLogs(logs, 'Deposit', {
+        daiAmount: initialDaiDepositMachine, depositor: constants.ZERO_ADDRESS,
+      });
     });
 
 
@@ -427,6 +842,8 @@ contract('FloatifyAccount', (accounts) => {
       await FloatifyInstance.withdraw(wyreAddress, { from: ownerDeployAddress });
       expect(await FloatifyInstance.totalDeposited()).to.be.bignumber.equal('0');
       expect(await FloatifyInstance.totalWithdrawn()).to.be.bignumber.equal('0');
+      // The DAI is counted as stray instead
+      expect(await FloatifyInstance.totalStrayWithdrawn()).to.be.bignumber.equal(initialDaiDepositMachine);
     });
 
 
@@ -456,4 +873,2300 @@ contract('FloatifyAccount', (accounts) => {
       expect(await FloatifyInstance.totalWithdrawn()).to.be.bignumber.above(initialDaiDepositMachine);
     });
   }); // end tests about tracking state
+
+
+  contract('Current value tests', async () => {
+    beforeEach('Only run against mock tokens', async function skipWithoutMockTokens() {
+      // The exchange rate can only be controlled on the mock cDAI contract
+      if (!useMockTokens) this.skip();
+    });
+
+
+    it('should report the DAI value of the cDAI position using the exchange rate', async () => {
+      // Stop interest from accruing so the exchange rate only changes when we set it
+      const MockCdaiInstance = await MockCDAI.deployed();
+      await MockCdaiInstance.setSupplyRatePerBlock('0');
+      await MockCdaiInstance.setExchangeRate(humanToMachine('DAI', '200000000')); // 0.02 * 1e18 * 1e10
+
+      expect(await FloatifyInstance.currentValue()).to.be.bignumber.equal('0');
+      await DaiContract.methods.transfer(floatifyAddress, initialDaiDepositMachine).send({ from: wyreAddress });
+      await FloatifyInstance.deposit({ from: ownerDeployAddress });
+
+      // 100 DAI mints 5000 cDAI at an exchange rate of 0.02, so a rate of 0.022 is worth 110 DAI
+      await MockCdaiInstance.setExchangeRate(humanToMachine('DAI', '220000000')); // 0.022 * 1e18 * 1e10
+      expect(await FloatifyInstance.currentValue()).to.be.bignumber.equal(humanToMachine('DAI', 110));
+      expect(await FloatifyInstance.unrealizedEarnings()).to.be.bignumber.equal(humanToMachine('DAI', 10));
+    });
+
+
+    it('should include withdrawn DAI in unrealized earnings', async () => {
+      await FloatifyInstance.redeemAndWithdrawPartial(
+        userWyreAddress, humanToMachine('DAI', 55), { from: ownerDeployAddress },
+      );
+      expect(await FloatifyInstance.currentValue()).to.be.bignumber.equal(humanToMachine('DAI', 55));
+      expect(await FloatifyInstance.unrealizedEarnings()).to.be.bignumber.equal(humanToMachine('DAI', 10));
+      expect(await FloatifyClient.getUnrealizedEarnings()).to.equal(10);
+    });
+
+
+    it('should report zero unrealized earnings once everything is withdrawn at a loss', async () => {
+      await FloatifyInstance.redeemAndWithdrawMax(userWyreAddress, { from: ownerDeployAddress });
+      await DaiContract.methods.transfer(floatifyAddress, initialDaiDepositMachine).send({ from: wyreAddress });
+      await FloatifyInstance.deposit({ from: ownerDeployAddress });
+
+      // Halve the exchange rate so the account is worth less than was deposited
+      const MockCdaiInstance = await MockCDAI.deployed();
+      await MockCdaiInstance.setExchangeRate(humanToMachine('DAI', '100000000')); // 0.01 * 1e18 * 1e10
+      expect(await FloatifyInstance.unrealizedEarnings()).to.be.bignumber.equal('0');
+    });
+  }); // end current value tests
+
+
+  contract('Yield calculation tests', async () => {
+    const secondsPerYear = 365 * 24 * 60 * 60;
+
+    it('should annualize the return between two snapshots', async () => {
+      const start = {
+        timestamp: 0, currentValue: 100, totalDeposited: 100, totalWithdrawn: 0,
+      };
+      const end = {
+        timestamp: secondsPerYear / 2, currentValue: 102.5, totalDeposited: 100, totalWithdrawn: 0,
+      };
+      expect(getAnnualizedYield(start, end)).to.equal(0.05);
+    });
+
+
+    it('should not count deposits and withdrawals between snapshots as yield', async () => {
+      const start = {
+        timestamp: 0, currentValue: 100, totalDeposited: 100, totalWithdrawn: 0,
+      };
+      // 100 DAI deposited and 50 DAI withdrawn halfway through the year, 7.5 DAI of interest earned
+      const end = {
+        timestamp: secondsPerYear, currentValue: 157.5, totalDeposited: 200, totalWithdrawn: 50,
+      };
+      expect(getAnnualizedYield(start, end)).to.equal(0.06);
+    });
+
+
+    it('should calculate a positive yield from snapshots of a deployed account', async () => {
+      await DaiContract.methods.transfer(floatifyAddress, initialDaiDepositMachine).send({ from: wyreAddress });
+      await FloatifyInstance.deposit({ from: ownerDeployAddress });
+      const start = await FloatifyClient.getSnapshot();
+      await time.increase(60 * 60 * 24);
+      await mineBlocks(10);
+      // Interacting with cDAI accrues interest, and currentValue() uses the stored exchange rate
+      await FloatifyInstance.deposit({ from: ownerDeployAddress });
+      const end = await FloatifyClient.getSnapshot();
+      expect(end.totalDeposited).to.equal(initialDaiDepositHuman);
+      expect(getAnnualizedYield(start, end)).to.be.above(0);
+    });
+
+
+    it('should reject snapshots in the wrong order', async () => {
+      const snapshot = {
+        timestamp: 100, currentValue: 100, totalDeposited: 100, totalWithdrawn: 0,
+      };
+      expect(() => getAnnualizedYield(snapshot, snapshot)).to.throw('End snapshot must be later than start snapshot');
+    });
+  }); // end yield calculation tests
+
+
+  contract('Fee configuration tests', async () => {
+    it('should only let the owner change fee settings', async () => {
+      await expectRevert(
+        FloatifyInstance.setTreasury(ownerReceiveAddress, { from: randomNonUserAddress }),
+        'Ownable: caller is not the owner',
+      );
+      await expectRevert(
+        FloatifyInstance.setFeeRate('1000', { from: randomNonUserAddress }),
+        'Ownable: caller is not the owner',
+      );
+    });
+
+
+    it('should not charge a fee until a treasury is set', async () => {
+      await expectRevert(
+        FloatifyInstance.setFeeRate('1000', { from: ownerDeployAddress }),
+        'Treasury must be set before charging a fee',
+      );
+      await expectRevert(
+        FloatifyInstance.setTreasury(constants.ZERO_ADDRESS, { from: ownerDeployAddress }),
+        'Treasury cannot be the zero address',
+      );
+    });
+
+
+    it('should emit events when fee settings change', async () => {
+      let { logs } = await FloatifyInstance.setTreasury(ownerReceiveAddress, { from: ownerDeployAddress });
+      await expectEvent.inLogs(logs, 'TreasuryChanged', {
+        previousTreasury: constants.ZERO_ADDRESS, newTreasury: ownerReceiveAddress,
+      });
+      ({ logs } = await FloatifyInstance.setFeeRate('1000', { from: ownerDeployAddress }));
+      await expectEvent.inLogs(logs, 'FeeRateChanged', { previousFeeRate: '0', newFeeRate: '1000' });
+      expect(await FloatifyInstance.treasury()).to.equal(ownerReceiveAddress);
+      expect(await FloatifyInstance.feeRate()).to.be.bignumber.equal('1000');
+    });
+
+
+    it('should not let the fee rate exceed the maximum', async () => {
+      const maxFeeRate = await FloatifyInstance.MAX_FEE_RATE();
+      await expectRevert(
+        FloatifyInstance.setFeeRate(maxFeeRate.addn(1), { from: ownerDeployAddress }),
+        'Fee rate cannot exceed the maximum',
+      );
+      await FloatifyInstance.setFeeRate(maxFeeRate, { from: ownerDeployAddress });
+    });
+  }); // end fee configuration tests
+
+
+  contract('Fee charging tests', async () => {
+    const feeRate = '1000'; // 10%
+    let MockCdaiInstance;
+
+    beforeEach('Only run against mock tokens', async function skipWithoutMockTokens() {
+      // The exchange rate can only be controlled on the mock cDAI contract
+      if (!useMockTokens) this.skip();
+      MockCdaiInstance = await MockCDAI.deployed();
+    });
+
+
+    /**
+     * Deposit DAI with interest accrual stopped, at an exchange rate of 0.02
+     * @param {number} amount human-readable amount of DAI to deposit
+     */
+    async function depositAtFixedRate(amount) {
+      await MockCdaiInstance.setSupplyRatePerBlock('0');
+      await MockCdaiInstance.setExchangeRate(humanToMachine('DAI', '200000000')); // 0.02 * 1e18 * 1e10
+      await DaiContract.methods.transfer(floatifyAddress, humanToMachine('DAI', amount)).send({ from: wyreAddress });
+      await FloatifyInstance.deposit({ from: ownerDeployAddress });
+    }
+
+
+    it('should never charge a fee on principal', async () => {
+      await FloatifyInstance.setTreasury(ownerReceiveAddress, { from: ownerDeployAddress });
+      await FloatifyInstance.setFeeRate(feeRate, { from: ownerDeployAddress });
+      await depositAtFixedRate(initialDaiDepositHuman);
+
+      let { logs } = await FloatifyInstance.redeemAndWithdrawPartial(
+        userWyreAddress, humanToMachine('DAI', 50), { from: ownerDeployAddress },
+      );
+      expect(logs.filter((log) => log.event === 'FeeCharged')).to.have.lengthOf(0);
+      ({ logs } = await FloatifyInstance.redeemAndWithdrawMax(userWyreAddress, { from: ownerDeployAddress }));
+      expect(logs.filter((log) => log.event === 'FeeCharged')).to.have.lengthOf(0);
+
+      expect(await FloatifyClient.getTokenBalance('DAI', userWyreAddress)).to.equal(initialDaiDepositHuman);
+      expect(await FloatifyClient.getTokenBalance('DAI', ownerReceiveAddress)).to.equal(0);
+      expect(await FloatifyInstance.totalFeesCharged()).to.be.bignumber.equal('0');
+    });
+
+
+    it('should charge a fee on interest realized by `redeemAndWithdrawMax()`', async () => {
+      await depositAtFixedRate(initialDaiDepositHuman);
+      await MockCdaiInstance.setExchangeRate(humanToMachine('DAI', '220000000')); // account is now worth 110 DAI
+
+      const { logs } = await FloatifyInstance.redeemAndWithdrawMax(userWyreAddress, { from: ownerDeployAddress });
+      await expectEvent.inLogs(logs, 'FeeCharged', {
+        treasury: ownerReceiveAddress, daiAmount: humanToMachine('DAI', 1), interestAmount: humanToMachine('DAI', 10),
+      });
+      await expectEvent.inLogs(logs, 'Withdraw', { daiAmount: humanToMachine('DAI', 109) });
+      expect(await FloatifyClient.getTokenBalance('DAI', ownerReceiveAddress)).to.equal(1);
+      expect(await FloatifyInstance.totalFeesCharged()).to.be.bignumber.equal(humanToMachine('DAI', 1));
+    });
+
+
+    it('should realize interest before principal on `redeemAndWithdrawPartial()`', async () => {
+      await depositAtFixedRate(initialDaiDepositHuman);
+      await MockCdaiInstance.setExchangeRate(humanToMachine('DAI', '220000000')); // 10 DAI of interest
+
+      // The first 4 DAI redeemed are all interest
+      let { logs } = await FloatifyInstance.redeemAndWithdrawPartial(
+        userWyreAddress, humanToMachine('DAI', 4), { from: ownerDeployAddress },
+      );
+      await expectEvent.inLogs(logs, 'FeeCharged', {
+        daiAmount: humanToMachine('DAI', 0.4), interestAmount: humanToMachine('DAI', 4),
+      });
+
+      // Only the remaining 6 DAI of interest is charged on the next redemption. redeemUnderlying()
+      // rounds the cDAI burned down, so slightly more than 6 DAI of interest is left
+      ({ logs } = await FloatifyInstance.redeemAndWithdrawPartial(
+        userWyreAddress, humanToMachine('DAI', 20), { from: ownerDeployAddress },
+      ));
+      const { args } = logs.find((log) => log.event === 'FeeCharged');
+      expect(machineToHuman('DAI', args.interestAmount)).to.be.closeTo(6, 1e-6);
+      expect(machineToHuman('DAI', args.daiAmount)).to.be.closeTo(0.6, 1e-6);
+
+      // Everything left is principal
+      ({ logs } = await FloatifyInstance.redeemAndWithdrawMax(userWyreAddress, { from: ownerDeployAddress }));
+      expect(logs.filter((log) => log.event === 'FeeCharged')).to.have.lengthOf(0);
+      // Includes the fee from the previous test
+      expect(await FloatifyClient.getTokenBalance('DAI', ownerReceiveAddress)).to.be.closeTo(2, 1e-6);
+    });
+  }); // end fee charging tests
+
+
+  contract('Principal and interest accounting tests', async () => {
+    let MockCdaiInstance;
+
+    beforeEach('Only run against mock tokens', async function skipWithoutMockTokens() {
+      // The exchange rate can only be controlled on the mock cDAI contract
+      if (!useMockTokens) this.skip();
+      MockCdaiInstance = await MockCDAI.deployed();
+    });
+
+
+    it('should split each redemption into interest and principal, interest first', async () => {
+      await MockCdaiInstance.setSupplyRatePerBlock('0');
+      await MockCdaiInstance.setExchangeRate(humanToMachine('DAI', '200000000')); // 0.02 * 1e18 * 1e10
+      await DaiContract.methods.transfer(floatifyAddress, initialDaiDepositMachine).send({ from: wyreAddress });
+      await FloatifyInstance.deposit({ from: ownerDeployAddress });
+      await MockCdaiInstance.setExchangeRate(humanToMachine('DAI', '220000000')); // 10 DAI of interest
+      expect(await FloatifyInstance.outstandingPrincipal()).to.be.bignumber.equal(initialDaiDepositMachine);
+
+      // The first 4 DAI redeemed are all interest
+      let { logs } = await FloatifyInstance.redeemAndWithdrawPartial(
+        userWyreAddress, humanToMachine('DAI', 4), { from: ownerDeployAddress },
+      );
+      await expectEvent.inLogs(logs, 'RedeemPartial', {
+        daiAmount: humanToMachine('DAI', 4), principalAmount: '0', interestAmount: humanToMachine('DAI', 4),
+      });
+
+      // The next 20 DAI realize the remaining 6 DAI of interest, and the rest is principal.
+      // redeemUnderlying() rounds the cDAI burned down, so slightly more than 6 DAI of interest is left
+      ({ logs } = await FloatifyInstance.redeemAndWithdrawPartial(
+        userWyreAddress, humanToMachine('DAI', 20), { from: ownerDeployAddress },
+      ));
+      const { args } = logs.find((log) => log.event === 'RedeemPartial');
+      expect(machineToHuman('DAI', args.interestAmount)).to.be.closeTo(6, 1e-6);
+      expect(args.principalAmount.add(args.interestAmount)).to.be.bignumber.equal(humanToMachine('DAI', 20));
+      expect(await FloatifyClient.getRealizedInterest()).to.be.closeTo(10, 1e-6);
+      expect(await FloatifyClient.getOutstandingPrincipal()).to.be.closeTo(86, 1e-6);
+
+      // Everything left is principal
+      ({ logs } = await FloatifyInstance.redeemAndWithdrawMax(userWyreAddress, { from: ownerDeployAddress }));
+      const redeemMax = logs.find((log) => log.event === 'RedeemMax');
+      expect(redeemMax.args.interestAmount).to.be.bignumber.equal('0');
+      expect(redeemMax.args.principalAmount).to.be.bignumber.equal(redeemMax.args.daiAmount);
+      expect(await FloatifyClient.getOutstandingPrincipal()).to.be.closeTo(0, 1e-6);
+    });
+
+
+    it('should count DAI withdrawn with a redemption that was not deposited separately', async () => {
+      await DaiContract.methods.transfer(floatifyAddress, humanToMachine('DAI', 10)).send({ from: wyreAddress });
+      await FloatifyInstance.deposit({ from: ownerDeployAddress });
+      await DaiContract.methods.transfer(floatifyAddress, humanToMachine('DAI', 5)).send({ from: wyreAddress });
+      const initialTotalWithdrawn = await FloatifyInstance.totalWithdrawn();
+      const initialTotalStrayWithdrawn = await FloatifyInstance.totalStrayWithdrawn();
+
+      const { logs } = await FloatifyInstance.redeemAndWithdrawPartial(
+        userWyreAddress, humanToMachine('DAI', 10), { from: ownerDeployAddress },
+      );
+      await expectEvent.inLogs(logs, 'RedeemPartial', {
+        daiAmount: humanToMachine('DAI', 10), principalAmount: humanToMachine('DAI', 10), interestAmount: '0',
+      });
+      await expectEvent.inLogs(logs, 'Withdraw', { daiAmount: humanToMachine('DAI', 15) });
+      expect(await FloatifyInstance.totalWithdrawn())
+        .to.be.bignumber.equal(initialTotalWithdrawn.add(new BN(humanToMachine('DAI', 10))));
+      expect(await FloatifyInstance.totalStrayWithdrawn())
+        .to.be.bignumber.equal(initialTotalStrayWithdrawn.add(new BN(humanToMachine('DAI', 5))));
+      expect(await FloatifyClient.getTotalStrayWithdrawn()).to.equal(5);
+    });
+  }); // end principal and interest accounting tests
+
+
+  contract('Pause tests', async () => {
+    it('should only let the user or operator pause deposits', async () => {
+      await expectRevert(
+        FloatifyInstance.pause({ from: randomNonUserAddress }),
+        'Caller is not the user or operator',
+      );
+      const { logs } = await FloatifyInstance.pause({ from: ownerDeployAddress });
+      await expectEvent.inLogs(logs, 'Paused', { account: ownerDeployAddress });
+      expect(await FloatifyInstance.paused()).to.equal(true);
+      await expectRevert(FloatifyInstance.pause({ from: ownerDeployAddress }), 'Deposits are already paused');
+    });
+
+
+    it('should block `deposit()` while paused', async () => {
+      await DaiContract.methods.transfer(floatifyAddress, initialDaiDepositMachine).send({ from: wyreAddress });
+      await expectRevert(FloatifyInstance.deposit({ from: ownerDeployAddress }), 'Deposits are paused');
+    });
+
+
+    it('should let deposits be unpaused', async () => {
+      await expectRevert(
+        FloatifyInstance.unpause({ from: randomNonUserAddress }),
+        'Caller is not the user or operator',
+      );
+      const { logs } = await FloatifyInstance.unpause({ from: ownerDeployAddress });
+      await expectEvent.inLogs(logs, 'Unpaused', { account: ownerDeployAddress });
+      await expectRevert(FloatifyInstance.unpause({ from: ownerDeployAddress }), 'Deposits are not paused');
+      await FloatifyInstance.deposit({ from: ownerDeployAddress });
+      expect(await FloatifyInstance.totalDeposited()).to.be.bignumber.equal(initialDaiDepositMachine);
+    });
+
+
+    it('should still allow full withdrawal while paused', async () => {
+      await FloatifyInstance.pause({ from: ownerDeployAddress });
+      await FloatifyInstance.redeemAndWithdrawMax(userPersonalAddress, { from: ownerDeployAddress });
+      expect(await FloatifyClient.getTokenBalance('cDAI', floatifyAddress)).to.equal(0);
+      expect(await FloatifyClient.getTokenBalance('DAI', userPersonalAddress)).to.be.at.least(initialDaiDepositHuman);
+    });
+  }); // end pause tests
+
+
+  contract('Standing order tests', async () => {
+    const period = time.duration.days(30);
+    const monthlyDai = humanToMachine('DAI', 20);
+    let createdAt; // start of the first period
+
+    it('should only let the user create valid standing orders', async () => {
+      await DaiContract.methods.transfer(floatifyAddress, initialDaiDepositMachine).send({ from: wyreAddress });
+      await FloatifyInstance.deposit({ from: ownerDeployAddress });
+      await expectRevert(
+        FloatifyInstance.createStandingOrder(userWyreAddress, monthlyDai, period, 0, { from: randomNonUserAddress }),
+        'Ownable: caller is not the owner',
+      );
+      await expectRevert(
+        FloatifyInstance.createStandingOrder(
+          constants.ZERO_ADDRESS, monthlyDai, period, 0, { from: ownerDeployAddress },
+        ),
+        'Beneficiary cannot be the zero address',
+      );
+      await expectRevert(
+        FloatifyInstance.createStandingOrder(userWyreAddress, '0', period, 0, { from: ownerDeployAddress }),
+        'Standing order amount must be positive',
+      );
+      await expectRevert(
+        FloatifyInstance.createStandingOrder(userWyreAddress, monthlyDai, '0', 0, { from: ownerDeployAddress }),
+        'Standing order period must be positive',
+      );
+      await expectRevert(
+        FloatifyInstance.createStandingOrder(userWyreAddress, monthlyDai, period, '1', { from: ownerDeployAddress }),
+        'Standing order end time must be in the future',
+      );
+
+      const { events } = await FloatifyClient.createStandingOrder(userWyreAddress, 20, period.toString(), 0, {
+        from: ownerDeployAddress,
+      });
+      expect(events[0]).to.include({
+        event: 'StandingOrderCreated', beneficiary: userWyreAddress, daiAmount: 20, endTime: '0',
+      });
+      ({ periodStart: createdAt } = await FloatifyInstance.standingOrders(userWyreAddress));
+      expect(createdAt).to.be.bignumber.equal(await time.latest());
+      expect(await FloatifyClient.getStandingOrder(userWyreAddress)).to.deep.equal({
+        daiAmount: 20, period: period.toNumber(), endTime: 0, available: 20,
+      });
+    });
+
+
+    it('should let the beneficiary pull up to the limit of the period', async () => {
+      await expectRevert(
+        FloatifyInstance.executeStandingOrder(monthlyDai, { from: randomNonUserAddress }),
+        'No standing order for beneficiary',
+      );
+      const initialBalance = await DaiContract.methods.balanceOf(userWyreAddress).call();
+      const { logs } = await FloatifyInstance.executeStandingOrder(
+        humanToMachine('DAI', 15), { from: userWyreAddress },
+      );
+      await expectEvent.inLogs(logs, 'StandingOrderExecuted', {
+        beneficiary: userWyreAddress, daiAmount: humanToMachine('DAI', 15),
+      });
+      await expectEvent.inLogs(logs, 'RedeemPartial', { withdrawalAddress: userWyreAddress });
+      const finalBalance = await DaiContract.methods.balanceOf(userWyreAddress).call();
+      expect(machineToHuman('DAI', new BN(finalBalance).sub(new BN(initialBalance)))).to.equal(15);
+      expect(await FloatifyClient.getTotalWithdrawn()).to.equal(15);
+
+      await expectRevert(
+        FloatifyInstance.executeStandingOrder(humanToMachine('DAI', 6), { from: userWyreAddress }),
+        'Amount exceeds the standing order limit',
+      );
+      await FloatifyInstance.executeStandingOrder(humanToMachine('DAI', 5), { from: userWyreAddress });
+      expect((await FloatifyClient.getStandingOrder(userWyreAddress)).available).to.equal(0);
+    });
+
+
+    it('should reset the limit when a new period starts, without carrying over unused DAI', async () => {
+      await time.increase(period);
+      expect((await FloatifyClient.getStandingOrder(userWyreAddress)).available).to.equal(20);
+      await FloatifyInstance.executeStandingOrder(humanToMachine('DAI', 10), { from: userWyreAddress });
+      expect((await FloatifyClient.getStandingOrder(userWyreAddress)).available).to.equal(10);
+
+      // Skip a whole period, the next one still only allows one period's amount
+      await time.increase(period.mul(new BN('2')));
+      expect((await FloatifyClient.getStandingOrder(userWyreAddress)).available).to.equal(20);
+      await expectRevert(
+        FloatifyInstance.executeStandingOrder(humanToMachine('DAI', 21), { from: userWyreAddress }),
+        'Amount exceeds the standing order limit',
+      );
+      const { logs } = await FloatifyInstance.executeStandingOrder(monthlyDai, { from: userWyreAddress });
+      await expectEvent.inLogs(logs, 'StandingOrderExecuted', { periodStart: createdAt.add(period.mul(new BN('3'))) });
+      expect(await FloatifyClient.getTotalWithdrawn()).to.equal(50);
+    });
+
+
+    it('should only send the pulled amount when the account holds undeposited DAI', async () => {
+      await time.increase(period);
+      const undepositedDai = humanToMachine('DAI', 50);
+      await DaiContract.methods.transfer(floatifyAddress, undepositedDai).send({ from: wyreAddress });
+      const initialBalance = await DaiContract.methods.balanceOf(userWyreAddress).call();
+      const { logs } = await FloatifyInstance.executeStandingOrder(humanToMachine('DAI', 1), { from: userWyreAddress });
+      await expectEvent.inLogs(logs, 'Withdraw', {
+        destinationAddress: userWyreAddress, daiAmount: humanToMachine('DAI', 1),
+      });
+      const finalBalance = await DaiContract.methods.balanceOf(userWyreAddress).call();
+      expect(machineToHuman('DAI', new BN(finalBalance).sub(new BN(initialBalance)))).to.equal(1);
+      expect(await DaiContract.methods.balanceOf(floatifyAddress).call()).to.equal(undepositedDai);
+      expect(await FloatifyInstance.totalStrayWithdrawn()).to.be.bignumber.equal('0');
+    });
+
+
+    it('should stop standing orders at their end time', async () => {
+      const endTime = (await time.latest()).add(time.duration.days(10));
+      await FloatifyInstance.createStandingOrder(userWyreAddress, monthlyDai, period, endTime, {
+        from: ownerDeployAddress,
+      });
+      await FloatifyInstance.executeStandingOrder(humanToMachine('DAI', 1), { from: userWyreAddress });
+      await time.increase(time.duration.days(10));
+      expect((await FloatifyClient.getStandingOrder(userWyreAddress)).available).to.equal(0);
+      await expectRevert(
+        FloatifyInstance.executeStandingOrder(humanToMachine('DAI', 1), { from: userWyreAddress }),
+        'Standing order has ended',
+      );
+    });
+
+
+    it('should let the user revoke standing orders', async () => {
+      await FloatifyInstance.createStandingOrder(userWyreAddress, monthlyDai, period, 0, { from: ownerDeployAddress });
+      await expectRevert(
+        FloatifyInstance.revokeStandingOrder(userWyreAddress, { from: randomNonUserAddress }),
+        'Ownable: caller is not the owner',
+      );
+      const { logs } = await FloatifyInstance.revokeStandingOrder(userWyreAddress, { from: ownerDeployAddress });
+      await expectEvent.inLogs(logs, 'StandingOrderRevoked', { beneficiary: userWyreAddress });
+      await expectRevert(
+        FloatifyInstance.executeStandingOrder(humanToMachine('DAI', 1), { from: userWyreAddress }),
+        'No standing order for beneficiary',
+      );
+      await expectRevert(
+        FloatifyInstance.revokeStandingOrder(userWyreAddress, { from: ownerDeployAddress }),
+        'No standing order for beneficiary',
+      );
+    });
+  }); // end standing order tests
+
+
+  contract('Savings goal tests', async () => {
+    let MockCdaiInstance;
+    let unlockTime; // unlock time of the first goal
+
+    beforeEach('Only run against mock tokens', async function skipWithoutMockTokens() {
+      // Locked and available amounts are only exact with the exchange rate fixed on the mock cDAI contract
+      if (!useMockTokens) this.skip();
+      MockCdaiInstance = await MockCDAI.deployed();
+    });
+
+
+    it('should only let the user lock part of the balance', async () => {
+      await MockCdaiInstance.setSupplyRatePerBlock('0');
+      await MockCdaiInstance.setExchangeRate(humanToMachine('DAI', '200000000')); // 0.02 * 1e18 * 1e10
+      await DaiContract.methods.transfer(floatifyAddress, initialDaiDepositMachine).send({ from: wyreAddress });
+      await FloatifyInstance.deposit({ from: ownerDeployAddress });
+      unlockTime = (await time.latest()).add(time.duration.days(30));
+      const fortyDai = humanToMachine('DAI', 40);
+
+      await expectRevert(
+        FloatifyInstance.createSavingsGoal(fortyDai, unlockTime, 0, 0, { from: randomNonUserAddress }),
+        'Ownable: caller is not the owner',
+      );
+      await expectRevert(
+        FloatifyInstance.createSavingsGoal(0, unlockTime, 0, 0, { from: ownerDeployAddress }),
+        'Savings goal amount must be positive',
+      );
+      await expectRevert(
+        FloatifyInstance.createSavingsGoal(fortyDai, 0, 0, 0, { from: ownerDeployAddress }),
+        'Savings goal needs an unlock time or target',
+      );
+      await expectRevert(
+        FloatifyInstance.createSavingsGoal(fortyDai, 1, 0, 0, { from: ownerDeployAddress }),
+        'Unlock time must be in the future',
+      );
+      await expectRevert(
+        FloatifyInstance.createSavingsGoal(fortyDai, unlockTime, 0, 1001, { from: ownerDeployAddress }),
+        'Penalty rate cannot exceed the maximum',
+      );
+      await expectRevert(
+        FloatifyInstance.createSavingsGoal(fortyDai, unlockTime, 0, 500, { from: ownerDeployAddress }),
+        'Treasury must be set to charge a penalty',
+      );
+      await FloatifyInstance.setTreasury(ownerReceiveAddress, { from: ownerDeployAddress });
+      await expectRevert(
+        FloatifyInstance.createSavingsGoal(
+          humanToMachine('DAI', 101), unlockTime, 0, 500, { from: ownerDeployAddress },
+        ),
+        'Amount exceeds the unlocked balance',
+      );
+
+      const { events } = await FloatifyClient.createSavingsGoal(40, { unlockTime: unlockTime.toString() }, 500, {
+        from: ownerDeployAddress,
+      });
+      expect(events[0]).to.include({
+        event: 'SavingsGoalCreated', goalId: '0', daiAmount: 40, targetValue: 0, penaltyRate: '500',
+      });
+      expect(await FloatifyClient.getLockedBalance()).to.deep.equal({ locked: 40, available: 60 });
+    });
+
+
+    it('should only redeem the unlocked balance, including interest on locked DAI', async () => {
+      await expectRevert(
+        FloatifyInstance.redeemAndWithdrawPartial(
+          userWyreAddress, humanToMachine('DAI', 61), { from: ownerDeployAddress },
+        ),
+        'Amount exceeds the unlocked balance',
+      );
+      const { logs } = await FloatifyInstance.redeemAndWithdrawMax(userWyreAddress, { from: ownerDeployAddress });
+      await expectEvent.inLogs(logs, 'RedeemMax', {
+        daiAmount: humanToMachine('DAI', 60), withdrawalAddress: userWyreAddress,
+      });
+      expect(logs.map((log) => log.event)).to.not.include('RedeemPartial');
+      expect(await FloatifyClient.getLockedBalance()).to.deep.equal({ locked: 40, available: 0 });
+
+      // 2000 cDAI are locked, and are worth 50 DAI at an exchange rate of 0.025
+      await MockCdaiInstance.setExchangeRate(humanToMachine('DAI', '250000000')); // 0.025 * 1e18 * 1e10
+      expect(await FloatifyClient.getLockedBalance()).to.deep.equal({ locked: 40, available: 10 });
+      await FloatifyInstance.redeemAndWithdrawMax(userWyreAddress, { from: ownerDeployAddress });
+      expect(await FloatifyClient.getCurrentValue()).to.equal(40);
+    });
+
+
+    it('should release goals once their target is reached', async () => {
+      // 100 DAI mints 4000 cDAI, for 5600 cDAI worth 140 DAI
+      await DaiContract.methods.transfer(floatifyAddress, initialDaiDepositMachine).send({ from: wyreAddress });
+      await FloatifyInstance.deposit({ from: ownerDeployAddress });
+      await FloatifyClient.createSavingsGoal(50, { targetValue: 280 }, 0, { from: ownerDeployAddress });
+      expect(await FloatifyClient.getLockedBalance()).to.deep.equal({ locked: 90, available: 50 });
+      await expectRevert(
+        FloatifyInstance.releaseSavingsGoal(1, { from: ownerDeployAddress }),
+        'Savings goal has not been reached',
+      );
+
+      await MockCdaiInstance.setExchangeRate(humanToMachine('DAI', '500000000')); // 0.05 * 1e18 * 1e10
+      await expectRevert(
+        FloatifyInstance.releaseSavingsGoal(1, { from: randomNonUserAddress }),
+        'Caller is not the user or operator',
+      );
+      const { logs } = await FloatifyInstance.releaseSavingsGoal(1, { from: ownerDeployAddress });
+      await expectEvent.inLogs(logs, 'SavingsGoalReleased', {
+        goalId: '1', daiAmount: humanToMachine('DAI', 50), penalty: '0',
+      });
+      expect(await FloatifyClient.getLockedBalance()).to.deep.equal({ locked: 40, available: 240 });
+      await expectRevert(
+        FloatifyInstance.releaseSavingsGoal(1, { from: ownerDeployAddress }),
+        'Savings goal has already been released',
+      );
+    });
+
+
+    it('should charge a penalty for releasing a goal early', async () => {
+      await expectRevert(
+        FloatifyInstance.releaseSavingsGoalEarly(0, { from: randomNonUserAddress }),
+        'Ownable: caller is not the owner',
+      );
+      await expectRevert(
+        FloatifyInstance.releaseSavingsGoalEarly(2, { from: ownerDeployAddress }),
+        'Savings goal does not exist',
+      );
+      await expectRevert(
+        FloatifyInstance.releaseSavingsGoal(2, { from: ownerDeployAddress }),
+        'Savings goal does not exist',
+      );
+      const initialTreasuryBalance = await DaiContract.methods.balanceOf(ownerReceiveAddress).call();
+      const initialTotalWithdrawn = await FloatifyClient.getTotalWithdrawn();
+      const { logs } = await FloatifyInstance.releaseSavingsGoalEarly(0, { from: ownerDeployAddress });
+
+      // 5% of 40 DAI is 2 DAI, which is 40 cDAI at an exchange rate of 0.05
+      const penalty = humanToMachine('DAI', 2);
+      await expectEvent.inLogs(logs, 'SavingsGoalReleased', {
+        goalId: '0', daiAmount: humanToMachine('DAI', 40), penalty,
+      });
+      await expectEvent.inLogs(logs, 'RedeemPartial', {
+        daiAmount: penalty, cdaiAmount: '4000000000', withdrawalAddress: ownerReceiveAddress,
+      });
+      const finalTreasuryBalance = await DaiContract.methods.balanceOf(ownerReceiveAddress).call();
+      expect(new BN(finalTreasuryBalance).sub(new BN(initialTreasuryBalance))).to.be.bignumber.equal(penalty);
+      expect(await FloatifyClient.getTotalWithdrawn()).to.equal(initialTotalWithdrawn + 2);
+      expect(await FloatifyClient.getLockedBalance()).to.deep.equal({ locked: 0, available: 278 });
+    });
+
+
+    it('should not charge a penalty once the unlock time has passed', async () => {
+      const goalUnlockTime = (await time.latest()).add(time.duration.days(1));
+      await FloatifyInstance.createSavingsGoal(humanToMachine('DAI', 10), goalUnlockTime, 0, 1000, {
+        from: ownerDeployAddress,
+      });
+      await time.increase(time.duration.days(1));
+      const { logs } = await FloatifyInstance.releaseSavingsGoalEarly(2, { from: ownerDeployAddress });
+      await expectEvent.inLogs(logs, 'SavingsGoalReleased', { goalId: '2', penalty: '0' });
+      expect(logs.map((log) => log.event)).to.deep.equal(['SavingsGoalReleased']);
+
+      // The penalty brought the current value back under the target of goal 1
+      const goals = await FloatifyClient.getSavingsGoals();
+      expect(goals.map(({ reached, released }) => ({ reached, released }))).to.deep.equal([
+        { reached: false, released: true },
+        { reached: false, released: true },
+        { reached: true, released: true },
+      ]);
+      expect(goals[0]).to.include({
+        daiAmount: 40, unlockTime: unlockTime.toNumber(), targetValue: 0, penaltyRate: 500,
+      });
+    });
+  }); // end savings goal tests
+
+
+  contract('Split payout tests', async () => {
+    const tenDai = humanToMachine('DAI', 10);
+    let MockCdaiInstance;
+
+    beforeEach('Only run against mock tokens', async function skipWithoutMockTokens() {
+      // Payouts are only exact with the exchange rate fixed on the mock cDAI contract
+      if (!useMockTokens) this.skip();
+      MockCdaiInstance = await MockCDAI.deployed();
+    });
+
+
+    it('should only split between valid recipients', async () => {
+      await MockCdaiInstance.setSupplyRatePerBlock('0');
+      await MockCdaiInstance.setExchangeRate(humanToMachine('DAI', '200000000')); // 0.02 * 1e18 * 1e10
+      await DaiContract.methods.transfer(floatifyAddress, initialDaiDepositMachine).send({ from: wyreAddress });
+      await FloatifyInstance.deposit({ from: ownerDeployAddress });
+      const recipients = [userPersonalAddress, userWyreAddress];
+
+      await expectRevert(
+        FloatifyInstance.redeemAndWithdrawSplit(tenDai, recipients, [0, 0], [5000, 5000], 0, {
+          from: randomNonUserAddress,
+        }),
+        'Caller is not the user or operator',
+      );
+      await expectRevert(
+        FloatifyInstance.redeemAndWithdrawSplit(tenDai, recipients, [0], [5000, 5000], 0, {
+          from: ownerDeployAddress,
+        }),
+        'Invalid split arrays',
+      );
+      await expectRevert(
+        FloatifyInstance.redeemAndWithdrawSplit(tenDai, [], [], [], 0, { from: ownerDeployAddress }),
+        'Invalid split arrays',
+      );
+      await expectRevert(
+        FloatifyInstance.redeemAndWithdrawSplit(tenDai, recipients, [0, 0], [5000, 5000], 2, {
+          from: ownerDeployAddress,
+        }),
+        'Dust recipient is not a recipient',
+      );
+      await expectRevert(
+        FloatifyInstance.redeemAndWithdrawSplit(tenDai, recipients, [0, 0], [5000, 4000], 0, {
+          from: ownerDeployAddress,
+        }),
+        'Split shares must add up to 10000 or zero',
+      );
+      await expectRevert(
+        FloatifyInstance.redeemAndWithdrawSplit(tenDai, recipients, [tenDai, 1], [0, 0], 0, {
+          from: ownerDeployAddress,
+        }),
+        'Split amounts exceed the redeemed DAI',
+      );
+      await expectRevert(
+        FloatifyInstance.redeemAndWithdrawSplit(
+          tenDai, [userPersonalAddress, constants.ZERO_ADDRESS], [0, 0], [5000, 5000], 0, { from: ownerDeployAddress },
+        ),
+        'Cannot withdraw to the zero address',
+      );
+
+      // The operator can only split between the user and allowed destinations
+      await FloatifyInstance.transferOwnership(userPersonalAddress, { from: ownerDeployAddress });
+      await FloatifyInstance.acceptOwnership({ from: userPersonalAddress });
+      await expectRevert(
+        FloatifyInstance.redeemAndWithdrawSplit(tenDai, recipients, [0, 0], [5000, 5000], 0, {
+          from: ownerDeployAddress,
+        }),
+        'Withdrawal address is not on the allowlist',
+      );
+      await FloatifyInstance.addDestination(userWyreAddress, { from: userPersonalAddress });
+      await time.increase(await FloatifyInstance.destinationDelay());
+      await FloatifyInstance.activateDestination(userWyreAddress, { from: ownerDeployAddress });
+      await FloatifyInstance.redeemAndWithdrawSplit(tenDai, recipients, [0, 0], [5000, 5000], 0, {
+        from: ownerDeployAddress,
+      });
+    });
+
+
+    it('should redeem once and split by shares, sending the dust to the chosen recipient', async () => {
+      const daiAmount = new BN(tenDai).addn(1);
+      const initialBalances = await Promise.all([userPersonalAddress, userWyreAddress].map(
+        (address) => DaiContract.methods.balanceOf(address).call(),
+      ));
+      const initialTotalWithdrawn = await FloatifyInstance.totalWithdrawn();
+      const { logs } = await FloatifyInstance.redeemAndWithdrawSplit(
+        daiAmount, [userPersonalAddress, userWyreAddress], [0, 0], [5000, 5000], 1, { from: ownerDeployAddress },
+      );
+
+      expect(logs.map((log) => log.event)).to.deep.equal(['RedeemPartial', 'Withdraw', 'Withdraw']);
+      await expectEvent.inLogs(logs, 'RedeemPartial', { daiAmount, withdrawalAddress: constants.ZERO_ADDRESS });
+      await expectEvent.inLogs(logs, 'Withdraw', { destinationAddress: userPersonalAddress, daiAmount: ether('5') });
+      await expectEvent.inLogs(logs, 'Withdraw', {
+        destinationAddress: userWyreAddress, daiAmount: ether('5').addn(1),
+      });
+      const finalBalances = await Promise.all([userPersonalAddress, userWyreAddress].map(
+        (address) => DaiContract.methods.balanceOf(address).call(),
+      ));
+      expect(new BN(finalBalances[0]).sub(new BN(initialBalances[0]))).to.be.bignumber.equal(ether('5'));
+      expect(new BN(finalBalances[1]).sub(new BN(initialBalances[1]))).to.be.bignumber.equal(ether('5').addn(1));
+      expect(await DaiContract.methods.balanceOf(floatifyAddress).call()).to.equal('0');
+      expect(await FloatifyInstance.totalWithdrawn()).to.be.bignumber.equal(initialTotalWithdrawn.add(daiAmount));
+    });
+
+
+    it('should pay fixed amounts before splitting the rest', async () => {
+      const { events } = await FloatifyClient.redeemAndWithdrawSplit(20, [
+        { destination: userPersonalAddress, share: 2500 },
+        { destination: userWyreAddress, daiAmount: 8, share: 7500 },
+      ], { from: ownerDeployAddress });
+      expect(events.filter(({ event }) => event === 'Withdraw').map(({ destinationAddress, daiAmount }) => ({
+        destinationAddress, daiAmount,
+      }))).to.deep.equal([
+        { destinationAddress: userPersonalAddress, daiAmount: 3 },
+        { destinationAddress: userWyreAddress, daiAmount: 17 },
+      ]);
+    });
+
+
+    it('should redeem everything and send what is left after fixed amounts to the dust recipient', async () => {
+      const currentValue = await FloatifyClient.getCurrentValue();
+      const { events } = await FloatifyClient.redeemAndWithdrawSplit(0, [
+        { destination: userWyreAddress, daiAmount: 25 },
+        { destination: userPersonalAddress, dust: true },
+      ], { from: ownerDeployAddress });
+      expect(events[0]).to.include({ event: 'RedeemMax', withdrawalAddress: constants.ZERO_ADDRESS });
+      expect(events.slice(1)).to.have.lengthOf(2);
+      expect(events[1]).to.include({ event: 'Withdraw', destinationAddress: userWyreAddress, daiAmount: 25 });
+      expect(events[2]).to.include({ event: 'Withdraw', destinationAddress: userPersonalAddress });
+      expect(events[2].daiAmount).to.be.closeTo(currentValue - 25, 1e-9);
+      expect(await FloatifyClient.getTokenBalance('cDAI', floatifyAddress)).to.equal(0);
+      expect(await DaiContract.methods.balanceOf(floatifyAddress).call()).to.equal('0');
+    });
+  }); // end split payout tests
+
+
+  contract('Rescue tests', async () => {
+    let OtherTokenInstance; // token sent to the account by mistake
+
+    beforeEach('Deploy another token', async () => {
+      OtherTokenInstance = await MockDAI.new('1', { from: ownerDeployAddress });
+      await OtherTokenInstance.allocateTo(floatifyAddress, initialDaiDepositMachine);
+    });
+
+
+    it('should only let the user rescue tokens', async () => {
+      await expectRevert(
+        FloatifyInstance.rescueToken(OtherTokenInstance.address, randomNonUserAddress, { from: randomNonUserAddress }),
+        'Ownable: caller is not the owner',
+      );
+    });
+
+
+    it('should not rescue DAI or cDAI', async () => {
+      const message = 'Use the withdrawal functions for market tokens';
+      await expectRevert(FloatifyInstance.rescueToken(daiAddress, userPersonalAddress), message);
+      await expectRevert(FloatifyInstance.rescueToken(cdaiAddress, userPersonalAddress), message);
+      await expectRevert(
+        FloatifyInstance.rescueToken(userWyreAddress, userPersonalAddress),
+        'Token address must be a contract',
+      );
+      await expectRevert(
+        FloatifyInstance.rescueToken(OtherTokenInstance.address, constants.ZERO_ADDRESS),
+        'Cannot rescue to the zero address',
+      );
+    });
+
+
+    it('should send the full balance of other tokens to the destination', async () => {
+      const { logs } = await FloatifyInstance.rescueToken(
+        OtherTokenInstance.address, userPersonalAddress, { from: ownerDeployAddress },
+      );
+      await expectEvent.inLogs(logs, 'TokenRescued', {
+        token: OtherTokenInstance.address, destinationAddress: userPersonalAddress, amount: initialDaiDepositMachine,
+      });
+      expect(await OtherTokenInstance.balanceOf(floatifyAddress)).to.be.bignumber.equal('0');
+      expect(await OtherTokenInstance.balanceOf(userPersonalAddress)).to.be.bignumber.equal(initialDaiDepositMachine);
+    });
+
+
+    it('should only let the user rescue ETH', async () => {
+      const ForceSendInstance = await MockForceSend.new();
+      await ForceSendInstance.forceSend(floatifyAddress, { value: ether('1') });
+      expect(await balance.current(floatifyAddress)).to.be.bignumber.equal(ether('1'));
+      await expectRevert(
+        FloatifyInstance.rescueEther(randomNonUserAddress, { from: randomNonUserAddress }),
+        'Ownable: caller is not the owner',
+      );
+
+      const balanceTracker = await balance.tracker(userPersonalAddress);
+      const { logs } = await FloatifyInstance.rescueEther(userPersonalAddress, { from: ownerDeployAddress });
+      await expectEvent.inLogs(logs, 'EtherRescued', { destinationAddress: userPersonalAddress, amount: ether('1') });
+      expect(await balanceTracker.delta()).to.be.bignumber.equal(ether('1'));
+      expect(await balance.current(floatifyAddress)).to.be.bignumber.equal('0');
+    });
+  }); // end rescue tests
+
+
+  contract('Signed authorization tests', async () => {
+    const relayerAddress = randomNonUserAddress; // anyone can relay a signed authorization
+    let expiry;
+
+    /**
+     * Build and sign an authorization, and return it as a relay request
+     * @param {string} signer address to sign with
+     * @param {string} action action to authorize
+     * @param {object} [params] authorization parameters, `expiry` defaults to an hour from now
+     * @returns {object} relay request
+     */
+    async function signRequest(signer, action, params = {}) {
+      const typedData = await getAuthorizationTypedData(
+        web3.currentProvider, floatifyAddress, action, { expiry, ...params }, { abi: FloatifyAccount.abi },
+      );
+      const signature = await signTypedData(signer, typedData);
+      return {
+        account: floatifyAddress, action, message: typedData.message, signature,
+      };
+    }
+
+
+    /**
+     * Relay a request and return the revert reason
+     * @param {object} request relay request
+     * @returns {string} error message
+     */
+    async function relayError(request) {
+      try {
+        await relayAuthorization(web3.currentProvider, request, { from: relayerAddress, abi: FloatifyAccount.abi });
+      } catch (err) {
+        return err.message;
+      }
+      throw Error('Expected the relayed transaction to fail');
+    }
+
+
+    beforeEach('Set expiry', async () => {
+      expiry = (await time.latest()).addn(3600).toString();
+    });
+
+
+    it('should let anyone submit a deposit signed by the user', async () => {
+      await FloatifyInstance.transferOwnership(userPersonalAddress, { from: ownerDeployAddress });
+      await FloatifyInstance.acceptOwnership({ from: userPersonalAddress });
+      await DaiContract.methods.transfer(floatifyAddress, initialDaiDepositMachine).send({ from: wyreAddress });
+
+      const request = await signRequest(userPersonalAddress, 'deposit');
+      expect(request.message.nonce).to.equal('0');
+      const { events } = await relayAuthorization(
+        web3.currentProvider, request, { from: relayerAddress, abi: FloatifyAccount.abi },
+      );
+      expect(events.map((e) => e.event)).to.deep.equal(['AuthorizationUsed', 'Deposit']);
+      expect(events[0].relayer).to.equal(relayerAddress);
+      expect(await FloatifyInstance.nonce()).to.be.bignumber.equal('1');
+      expect(await FloatifyInstance.totalDeposited()).to.be.bignumber.equal(initialDaiDepositMachine);
+    });
+
+
+    it('should not let a signed authorization be used twice', async () => {
+      const request = await signRequest(userPersonalAddress, 'deposit');
+      await relayAuthorization(web3.currentProvider, request, { from: relayerAddress, abi: FloatifyAccount.abi });
+      expect(await relayError(request)).to.include('Invalid authorization nonce');
+    });
+
+
+    it('should not accept expired signatures', async () => {
+      const expired = (await time.latest()).subn(1).toString();
+      const request = await signRequest(userPersonalAddress, 'deposit', { expiry: expired });
+      expect(await relayError(request)).to.include('Signature has expired');
+    });
+
+
+    it('should not accept signatures from anyone but the owner', async () => {
+      // The operator cannot sign authorizations either
+      const params = { withdrawalAddress: relayerAddress };
+      let request = await signRequest(ownerDeployAddress, 'redeemAndWithdrawMax', params);
+      expect(await relayError(request)).to.include('Signature is not from the owner');
+      request = await signRequest(relayerAddress, 'redeemAndWithdrawMax', params);
+      expect(await relayError(request)).to.include('Signature is not from the owner');
+    });
+
+
+    it('should not accept a signature for different parameters', async () => {
+      const request = await signRequest(
+        userPersonalAddress, 'redeemAndWithdrawPartial', { withdrawalAddress: userWyreAddress, daiAmount: 1 },
+      );
+      request.message.withdrawalAddress = relayerAddress;
+      expect(await relayError(request)).to.include('Signature is not from the owner');
+    });
+
+
+    it('should relay signed redemptions received over HTTP', async () => {
+      const server = createRelayServer(web3.currentProvider, { from: relayerAddress, abi: FloatifyAccount.abi });
+      await new Promise((resolve) => server.listen(0, resolve));
+      const { port } = server.address();
+      try {
+        let request = await signRequest(
+          userPersonalAddress, 'redeemAndWithdrawPartial', { withdrawalAddress: userWyreAddress, daiAmount: 10 },
+        );
+        let response = await postJson(port, '/relay', request);
+        expect(response.status).to.equal(200);
+        expect(response.body.events.map((e) => e.event)).to.deep.equal([
+          'AuthorizationUsed', 'RedeemPartial', 'Withdraw',
+        ]);
+        expect(response.body.events[1].daiAmount).to.equal(10);
+        expect(await FloatifyClient.getTokenBalance('DAI', userWyreAddress)).to.equal(10);
+
+        // Replayed requests are rejected with the revert reason
+        response = await postJson(port, '/relay', request);
+        expect(response.status).to.equal(400);
+        expect(response.body.error).to.include('Invalid authorization nonce');
+
+        request = await signRequest(
+          userPersonalAddress, 'redeemAndWithdrawMax', { withdrawalAddress: userWyreAddress },
+        );
+        response = await postJson(port, '/relay', request);
+        expect(response.status).to.equal(200);
+        expect(await FloatifyClient.getTokenBalance('cDAI', floatifyAddress)).to.equal(0);
+
+        response = await postJson(port, '/relay', { ...request, action: 'transfer' });
+        expect(response.body.error).to.equal("Invalid action 'transfer'");
+      } finally {
+        server.close();
+      }
+    });
+  }); // end signed authorization tests
+
+
+  contract('Multi-market tests', async () => {
+    let UsdcInstance;
+    let CusdcInstance;
+
+    before('Deploy a USDC market', async () => {
+      UsdcInstance = await MockUSDC.new();
+      CusdcInstance = await MockCDAI.new(UsdcInstance.address, '0');
+      await CusdcInstance.setExchangeRate('200000000000000'); // 0.02 * 1e18 * 1e6 / 1e8
+      await UsdcInstance.allocateTo(CusdcInstance.address, humanToMachine('USDC', 1000)); // to pay interest from
+    });
+
+
+    it('should convert amounts using each token\'s decimals', async () => {
+      expect(humanToMachine('USDC', 1.5)).to.equal('1500000');
+      expect(humanToMachine(6, 1.5)).to.equal('1500000');
+      expect(machineToHuman('cUSDC', '150000000')).to.equal(1.5);
+      expect(getDecimals(Number(await UsdcInstance.decimals()))).to.equal(6);
+      expect(() => getDecimals('XYZ')).to.throw('Invalid token specified');
+    });
+
+
+    it('should only let the user add markets', async () => {
+      await expectRevert(
+        FloatifyInstance.addMarket(CusdcInstance.address, { from: randomNonUserAddress }),
+        'Ownable: caller is not the owner',
+      );
+      await expectRevert(
+        FloatifyInstance.addMarket(userPersonalAddress, { from: ownerDeployAddress }),
+        'cToken address must be a contract',
+      );
+      await expectRevert(
+        FloatifyInstance.addMarket(cdaiAddress, { from: ownerDeployAddress }),
+        'DAI market is always available',
+      );
+    });
+
+
+    it('should add a market and approve its cToken', async () => {
+      const { events } = await FloatifyClient.addMarket(CusdcInstance.address, { from: ownerDeployAddress });
+      expect(events[0]).to.include({
+        event: 'MarketAdded', asset: UsdcInstance.address, cToken: CusdcInstance.address,
+      });
+      expect(await FloatifyInstance.assetCount()).to.be.bignumber.equal('1');
+      expect(await FloatifyInstance.assets(0)).to.equal(UsdcInstance.address);
+      expect(await FloatifyInstance.cTokens(UsdcInstance.address)).to.equal(CusdcInstance.address);
+      const allowance = await UsdcInstance.allowance(floatifyAddress, CusdcInstance.address);
+      expect(allowance).to.be.bignumber.equal(maxUint256Value);
+      await expectRevert(
+        FloatifyInstance.addMarket(CusdcInstance.address, { from: ownerDeployAddress }),
+        'Market has already been added',
+      );
+    });
+
+
+    it('should deposit an asset with its own accounting', async () => {
+      await UsdcInstance.allocateTo(floatifyAddress, humanToMachine('USDC', 100));
+      const { events } = await FloatifyClient.depositAsset(UsdcInstance.address, { from: ownerDeployAddress });
+      expect(events[0]).to.include({ event: 'AssetDeposit', asset: UsdcInstance.address, amount: '100000000' });
+      expect(await FloatifyClient.getAssetTotals(UsdcInstance.address)).to.deep.equal({
+        deposited: 100, withdrawn: 0, currentValue: 100,
+      });
+      expect(await FloatifyClient.getTotalDeposited()).to.equal(0);
+      await expectRevert(
+        FloatifyInstance.depositAsset(daiAddress, { from: ownerDeployAddress }),
+        'Market has not been added',
+      );
+    });
+
+
+    it('should redeem and withdraw a human-readable amount of an asset', async () => {
+      const { events } = await FloatifyClient.redeemAndWithdrawPartialAsset(
+        UsdcInstance.address, userWyreAddress, 25, { from: ownerDeployAddress },
+      );
+      expect(events.map((e) => e.event)).to.deep.equal(['AssetRedeem', 'AssetWithdraw']);
+      expect(events[0]).to.include({
+        amount: '25000000', cTokenAmount: '125000000000', withdrawalAddress: userWyreAddress,
+      });
+      expect(await UsdcInstance.balanceOf(userWyreAddress)).to.be.bignumber.equal('25000000');
+      expect((await FloatifyClient.getAssetTotals(UsdcInstance.address)).withdrawn).to.equal(25);
+    });
+
+
+    it('should redeem everything including interest without charging a fee', async () => {
+      await FloatifyInstance.setTreasury(ownerReceiveAddress, { from: ownerDeployAddress });
+      await FloatifyInstance.setFeeRate('1000', { from: ownerDeployAddress });
+      await CusdcInstance.setExchangeRate('220000000000000'); // remaining 75 USDC is worth 82.5
+      expect((await FloatifyClient.getAssetTotals(UsdcInstance.address)).currentValue).to.equal(82.5);
+
+      const { events } = await FloatifyClient.redeemAndWithdrawMaxAsset(
+        UsdcInstance.address, userWyreAddress, { from: ownerDeployAddress },
+      );
+      expect(events.map((e) => e.event)).to.deep.equal(['AssetRedeem', 'AssetWithdraw']);
+      expect(await UsdcInstance.balanceOf(userWyreAddress)).to.be.bignumber.equal('107500000');
+      expect(await FloatifyClient.getAssetTotals(UsdcInstance.address)).to.deep.equal({
+        deposited: 100, withdrawn: 107.5, currentValue: 0,
+      });
+    });
+
+
+    it('should not rescue market tokens', async () => {
+      const message = 'Use the withdrawal functions for market tokens';
+      await expectRevert(FloatifyInstance.rescueToken(UsdcInstance.address, userPersonalAddress), message);
+      await expectRevert(FloatifyInstance.rescueToken(CusdcInstance.address, userPersonalAddress), message);
+    });
+
+
+    it('should apply pause and the allowlist to additional markets', async () => {
+      await UsdcInstance.allocateTo(floatifyAddress, humanToMachine('USDC', 10));
+      await FloatifyInstance.pause({ from: ownerDeployAddress });
+      await expectRevert(
+        FloatifyInstance.depositAsset(UsdcInstance.address, { from: ownerDeployAddress }),
+        'Deposits are paused',
+      );
+      await FloatifyInstance.unpause({ from: ownerDeployAddress });
+
+      await FloatifyInstance.transferOwnership(userPersonalAddress, { from: ownerDeployAddress });
+      await FloatifyInstance.acceptOwnership({ from: userPersonalAddress });
+      await expectRevert(
+        FloatifyInstance.withdrawAsset(UsdcInstance.address, randomNonUserAddress, { from: ownerDeployAddress }),
+        'Withdrawal address is not on the allowlist',
+      );
+      const { events } = await FloatifyClient.withdrawAsset(
+        UsdcInstance.address, userPersonalAddress, { from: ownerDeployAddress },
+      );
+      expect(events[0]).to.include({
+        event: 'AssetWithdraw', destinationAddress: userPersonalAddress, amount: '10000000',
+      });
+    });
+
+
+    it('should not let the operator add markets', async () => {
+      // A market whose cToken the operator controls would let them take the underlying token
+      const OtherUsdcInstance = await MockUSDC.new();
+      const OperatorCtokenInstance = await MockCDAI.new(OtherUsdcInstance.address, '0', { from: ownerDeployAddress });
+      await expectRevert(
+        FloatifyInstance.addMarket(OperatorCtokenInstance.address, { from: ownerDeployAddress }),
+        'Ownable: caller is not the owner',
+      );
+      expect(await OtherUsdcInstance.allowance(floatifyAddress, OperatorCtokenInstance.address))
+        .to.be.bignumber.equal('0');
+      await FloatifyInstance.addMarket(OperatorCtokenInstance.address, { from: userPersonalAddress });
+      expect(await FloatifyInstance.assetCount()).to.be.bignumber.equal('2');
+    });
+  }); // end multi-market tests
+
+
+  contract('Strategy tests', async () => {
+    let MockCdaiInstance;
+    let VaultInstance;
+
+    beforeEach('Only run against mock tokens', async function skipWithoutMockTokens() {
+      // There is no savings rate vault for the DAI used on mainnet forks
+      if (!useMockTokens) this.skip();
+      MockCdaiInstance = await MockCDAI.deployed();
+      VaultInstance = await MockVault.deployed();
+    });
+
+
+    it('should use the Compound strategy with cDAI until the account migrates', async () => {
+      expect(await FloatifyInstance.compoundStrategy()).to.equal(CompoundStrategy.address);
+      const strategy = await FloatifyInstance.strategy();
+      expect(strategy[0]).to.equal(CompoundStrategy.address);
+      expect(strategy[1]).to.equal(cdaiAddress);
+      expect(await FloatifyClient.getStrategy()).to.deep.equal({
+        strategy: CompoundStrategy.address, market: cdaiAddress,
+      });
+    });
+
+
+    it('should not let the deployer of the logic contract change the strategy of accounts', async () => {
+      // An account owned by the user on a logic contract deployed by someone else
+      const logic = await FloatifyAccount.new(
+        FloatifyAccountExtension.address, CompoundStrategy.address, { from: randomNonUserAddress },
+      );
+      const initializeCall = logic.contract.methods.initialize(daiAddress, cdaiAddress, '1').encodeABI();
+      const proxy = await FloatifyAccountProxy.new(logic.address, initializeCall, { from: userPersonalAddress });
+      const instance = await FloatifyAccount.at(proxy.address);
+
+      const otherLogic = await MockFloatifyAccountV2.new(
+        FloatifyAccountExtension.address, VaultStrategy.address, { from: randomNonUserAddress },
+      );
+      await expectRevert(
+        logic.upgradeTo(otherLogic.address, { from: randomNonUserAddress }),
+        'Ownable: caller is not the owner',
+      );
+      expect(await instance.compoundStrategy()).to.equal(CompoundStrategy.address);
+      expect((await instance.strategy())[0]).to.equal(CompoundStrategy.address);
+      expect(await instance.implementation()).to.equal(logic.address);
+    });
+
+
+    it('should only let the user migrate to a DAI market', async () => {
+      await expectRevert(
+        FloatifyInstance.migrateStrategy(VaultStrategy.address, VaultInstance.address, { from: randomNonUserAddress }),
+        'Ownable: caller is not the owner',
+      );
+      await expectRevert(
+        FloatifyInstance.migrateStrategy(userPersonalAddress, VaultInstance.address, { from: ownerDeployAddress }),
+        'Strategy must be a contract',
+      );
+      await expectRevert(
+        FloatifyInstance.migrateStrategy(VaultStrategy.address, userPersonalAddress, { from: ownerDeployAddress }),
+        'Strategy market must be a contract',
+      );
+      const UsdcVaultInstance = await MockVault.new((await MockUSDC.new()).address, '0');
+      await expectRevert(
+        FloatifyInstance.migrateStrategy(
+          VaultStrategy.address, UsdcVaultInstance.address, { from: ownerDeployAddress },
+        ),
+        'Strategy market is not for DAI',
+      );
+      await expectRevert(
+        FloatifyInstance.migrateStrategy(CompoundStrategy.address, cdaiAddress, { from: ownerDeployAddress }),
+        'Strategy is already in use',
+      );
+    });
+
+
+    it('should move the whole position to the vault and keep the accounting', async () => {
+      await MockCdaiInstance.setSupplyRatePerBlock('0');
+      await MockCdaiInstance.setExchangeRate(humanToMachine('DAI', '200000000')); // 0.02 * 1e18 * 1e10
+      await VaultInstance.setRatePerSecond('0');
+      await VaultInstance.setChi(humanToMachine('DAI', 1));
+      await DaiContract.methods.transfer(floatifyAddress, initialDaiDepositMachine).send({ from: wyreAddress });
+      await FloatifyInstance.deposit({ from: ownerDeployAddress });
+      await MockCdaiInstance.setExchangeRate(humanToMachine('DAI', '220000000')); // account is now worth 110 DAI
+      // DAI held by the account is not part of the position
+      await DaiContract.methods.transfer(floatifyAddress, humanToMachine('DAI', 5)).send({ from: wyreAddress });
+      const totalDeposited = await FloatifyInstance.totalDeposited();
+
+      const { logs } = await FloatifyInstance.migrateStrategy(
+        VaultStrategy.address, VaultInstance.address, { from: ownerDeployAddress },
+      );
+      await expectEvent.inLogs(logs, 'StrategyMigrated', {
+        previousStrategy: CompoundStrategy.address,
+        previousMarket: cdaiAddress,
+        newStrategy: VaultStrategy.address,
+        newMarket: VaultInstance.address,
+        daiAmount: humanToMachine('DAI', 110),
+      });
+      expect(await FloatifyClient.getStrategy()).to.deep.equal({
+        strategy: VaultStrategy.address, market: VaultInstance.address,
+      });
+      expect(await FloatifyClient.getTokenBalance('cDAI', floatifyAddress)).to.equal(0);
+      expect(await FloatifyClient.getTokenBalance('DAI', floatifyAddress)).to.equal(5);
+      expect(await VaultInstance.balanceOf(floatifyAddress)).to.be.bignumber.equal(humanToMachine('DAI', 110));
+      expect(await FloatifyInstance.currentValue()).to.be.bignumber.equal(humanToMachine('DAI', 110));
+      expect(await FloatifyInstance.totalDeposited()).to.be.bignumber.equal(totalDeposited);
+      expect(await FloatifyInstance.unrealizedEarnings()).to.be.bignumber.equal(humanToMachine('DAI', 10));
+    });
+
+
+    it('should deposit to and redeem from the vault after migrating', async () => {
+      await DaiContract.methods.transfer(floatifyAddress, humanToMachine('DAI', 45)).send({ from: wyreAddress });
+      let { logs } = await FloatifyInstance.deposit({ from: ownerDeployAddress });
+      await expectEvent.inLogs(logs, 'Deposit', { daiAmount: humanToMachine('DAI', 50) });
+      expect(await FloatifyInstance.currentValue()).to.be.bignumber.equal(humanToMachine('DAI', 160));
+
+      // Each share is now worth 1.1 DAI, so there is 16 DAI of new interest
+      await VaultInstance.setChi(humanToMachine('DAI', 1.1));
+      // The vault rounds the shares burned up, so slightly less than 26 DAI of interest is realized
+      ({ logs } = await FloatifyInstance.redeemAndWithdrawPartial(
+        userWyreAddress, humanToMachine('DAI', 30), { from: ownerDeployAddress },
+      ));
+      let { args } = logs.find((log) => log.event === 'RedeemPartial');
+      expect(args.daiAmount).to.be.bignumber.equal(humanToMachine('DAI', 30));
+      expect(machineToHuman('DAI', args.interestAmount)).to.be.closeTo(26, 1e-6);
+      expect(machineToHuman('DAI', args.principalAmount)).to.be.closeTo(4, 1e-6);
+
+      ({ logs } = await FloatifyInstance.redeemAndWithdrawMax(userWyreAddress, { from: ownerDeployAddress }));
+      ({ args } = logs.find((log) => log.event === 'RedeemMax'));
+      expect(machineToHuman('DAI', args.daiAmount)).to.be.closeTo(146, 1e-6);
+      expect(args.interestAmount).to.be.bignumber.equal('0');
+      expect(await VaultInstance.balanceOf(floatifyAddress)).to.be.bignumber.equal('0');
+      expect(await FloatifyClient.getOutstandingPrincipal()).to.be.closeTo(0, 1e-6);
+    });
+
+
+    it('should parse vault share amounts with the vault\'s decimals in the client', async () => {
+      await DaiContract.methods.transfer(floatifyAddress, humanToMachine('DAI', 11)).send({ from: wyreAddress });
+      await FloatifyInstance.deposit({ from: ownerDeployAddress });
+      // Each share is worth 1.1 DAI, and vault shares have 18 decimals like DAI
+      const { events } = await FloatifyClient.redeemAndWithdrawMax(userWyreAddress, { from: ownerDeployAddress });
+      expect(events.find((e) => e.event === 'RedeemMax').cdaiAmount).to.be.closeTo(10, 1e-6);
+
+      const redemptions = (await FloatifyClient.getEvents())
+        .filter((e) => ['RedeemPartial', 'RedeemMax'].includes(e.event)).slice(-3);
+      expect(redemptions[0].cdaiAmount).to.be.closeTo(30 / 1.1, 1e-6);
+      expect(redemptions[1].cdaiAmount).to.be.closeTo(146 / 1.1, 1e-6);
+      expect(redemptions[2].cdaiAmount).to.be.closeTo(10, 1e-6);
+    });
+
+
+    it('should migrate back to Compound', async () => {
+      await DaiContract.methods.transfer(floatifyAddress, initialDaiDepositMachine).send({ from: wyreAddress });
+      await FloatifyInstance.deposit({ from: ownerDeployAddress });
+      const { logs } = await FloatifyInstance.migrateStrategy(
+        CompoundStrategy.address, cdaiAddress, { from: ownerDeployAddress },
+      );
+      await expectEvent.inLogs(logs, 'StrategyMigrated', {
+        newStrategy: CompoundStrategy.address, newMarket: cdaiAddress,
+      });
+      expect(await VaultInstance.balanceOf(floatifyAddress)).to.be.bignumber.equal('0');
+      expect(await FloatifyClient.getCurrentValue()).to.be.closeTo(initialDaiDepositHuman, 1e-6);
+    });
+
+
+    it('should show the market tokens of each redemption in their own decimals in statements', async () => {
+      const { logs } = await FloatifyInstance.redeemAndWithdrawPartial(
+        userWyreAddress, humanToMachine('DAI', 10), { from: ownerDeployAddress },
+      );
+      const { args } = logs.find((log) => log.event === 'RedeemPartial');
+
+      const { entries } = await getAccountStatement(
+        web3.currentProvider, floatifyAddress, { abi: FloatifyAccount.abi },
+      );
+      const redemptions = entries.filter((e) => ['RedeemPartial', 'RedeemMax'].includes(e.event)).slice(-4);
+      // Vault shares have 18 decimals and were worth 1.1 DAI each, cDAI has 8 decimals
+      expect(Number(redemptions[0].cdaiAmount)).to.be.closeTo(30 / 1.1, 1e-6);
+      expect(Number(redemptions[1].cdaiAmount)).to.be.closeTo(146 / 1.1, 1e-6);
+      expect(Number(redemptions[2].cdaiAmount)).to.be.closeTo(10, 1e-6);
+      expect(redemptions[3].cdaiAmount).to.equal(String(machineToHuman('cDAI', args.cdaiAmount)));
+    });
+  }); // end strategy tests
+
+
+  contract('Ownership and recovery tests', async () => {
+    const guardianAddresses = [accounts[5], accounts[6], accounts[7]];
+
+    it('should only transfer ownership once the new owner accepts', async () => {
+      await expectRevert(
+        FloatifyInstance.transferOwnership(randomNonUserAddress, { from: randomNonUserAddress }),
+        'Ownable: caller is not the owner',
+      );
+      let { logs } = await FloatifyInstance.transferOwnership(randomNonUserAddress, { from: ownerDeployAddress });
+      await expectEvent.inLogs(logs, 'OwnershipTransferStarted', {
+        previousOwner: ownerDeployAddress, newOwner: randomNonUserAddress,
+      });
+
+      // The nomination can be replaced before it is accepted
+      await FloatifyInstance.transferOwnership(userPersonalAddress, { from: ownerDeployAddress });
+      await expectRevert(
+        FloatifyInstance.acceptOwnership({ from: randomNonUserAddress }),
+        'Caller is not the pending owner',
+      );
+      expect(await FloatifyInstance.owner()).to.equal(ownerDeployAddress);
+
+      ({ logs } = await FloatifyInstance.acceptOwnership({ from: userPersonalAddress }));
+      await expectEvent.inLogs(logs, 'OwnershipTransferred', {
+        previousOwner: ownerDeployAddress, newOwner: userPersonalAddress,
+      });
+      expect(await FloatifyInstance.owner()).to.equal(userPersonalAddress);
+
+      // The zero address clears the nomination
+      await FloatifyInstance.transferOwnership(ownerDeployAddress, { from: userPersonalAddress });
+      await FloatifyInstance.transferOwnership(constants.ZERO_ADDRESS, { from: userPersonalAddress });
+      expect(await FloatifyInstance.pendingOwner()).to.equal(constants.ZERO_ADDRESS);
+      await expectRevert(
+        FloatifyInstance.acceptOwnership({ from: ownerDeployAddress }),
+        'Caller is not the pending owner',
+      );
+    });
+
+
+    it('should only let the creator of an account hand it over in one step, once', async () => {
+      const instance = await deployAccount(daiAddress, cdaiAddress, '1', { from: ownerDeployAddress });
+      await instance.transferOwnership(randomNonUserAddress, { from: ownerDeployAddress });
+      const { logs } = await instance.handOverOwnership(userPersonalAddress, { from: ownerDeployAddress });
+      await expectEvent.inLogs(logs, 'OwnershipTransferred', {
+        previousOwner: ownerDeployAddress, newOwner: userPersonalAddress,
+      });
+      expect(await instance.owner()).to.equal(userPersonalAddress);
+      expect(await instance.pendingOwner()).to.equal(constants.ZERO_ADDRESS);
+
+      // Later transfers take two steps, even back to the creator
+      await expectRevert(
+        instance.handOverOwnership(randomNonUserAddress, { from: userPersonalAddress }),
+        'Caller is not the creator of the account',
+      );
+      await instance.transferOwnership(ownerDeployAddress, { from: userPersonalAddress });
+      await instance.acceptOwnership({ from: ownerDeployAddress });
+      await expectRevert(
+        instance.handOverOwnership(randomNonUserAddress, { from: ownerDeployAddress }),
+        'Caller is not the creator of the account',
+      );
+    });
+
+
+    it('should only let the owner renounce ownership of an empty account', async () => {
+      const instance = await deployAccount(daiAddress, cdaiAddress, '1', { from: ownerDeployAddress });
+      await DaiContract.methods.transfer(instance.address, initialDaiDepositMachine).send({ from: wyreAddress });
+      await instance.deposit({ from: ownerDeployAddress });
+      await expectRevert(
+        instance.renounceOwnership({ from: ownerDeployAddress }),
+        'Cannot renounce ownership while holding funds',
+      );
+
+      // DAI held without being deposited counts too
+      await instance.redeemAndWithdrawMax(userWyreAddress, { from: ownerDeployAddress });
+      expect(await instance.currentValue()).to.be.bignumber.equal('0');
+      await DaiContract.methods.transfer(instance.address, '1').send({ from: wyreAddress });
+      await expectRevert(
+        instance.renounceOwnership({ from: ownerDeployAddress }),
+        'Cannot renounce ownership while holding funds',
+      );
+
+      await instance.withdraw(userWyreAddress, { from: ownerDeployAddress });
+      const { logs } = await instance.renounceOwnership({ from: ownerDeployAddress });
+      await expectEvent.inLogs(logs, 'OwnershipTransferred', {
+        previousOwner: ownerDeployAddress, newOwner: constants.ZERO_ADDRESS,
+      });
+      expect(await instance.owner()).to.equal(constants.ZERO_ADDRESS);
+    });
+
+
+    it('should only let the user configure guardians', async () => {
+      await expectRevert(
+        FloatifyInstance.addGuardian(guardianAddresses[0], { from: ownerDeployAddress }),
+        'Ownable: caller is not the owner',
+      );
+      await expectRevert(
+        FloatifyInstance.addGuardian(constants.ZERO_ADDRESS, { from: userPersonalAddress }),
+        'Guardian cannot be the zero address',
+      );
+      await expectRevert(
+        FloatifyInstance.addGuardian(userPersonalAddress, { from: userPersonalAddress }),
+        'Owner cannot be a guardian',
+      );
+
+      await guardianAddresses.reduce(async (previous, guardian) => {
+        await previous;
+        const { events } = await FloatifyClient.addGuardian(guardian, { from: userPersonalAddress });
+        expect(events[0]).to.include({ event: 'GuardianAdded', guardian });
+      }, Promise.resolve());
+      await expectRevert(
+        FloatifyInstance.addGuardian(guardianAddresses[0], { from: userPersonalAddress }),
+        'Address is already a guardian',
+      );
+      expect(await FloatifyInstance.guardianCount()).to.be.bignumber.equal('3');
+
+      await expectRevert(
+        FloatifyInstance.setGuardianThreshold('4', { from: userPersonalAddress }),
+        'Threshold cannot exceed the guardian count',
+      );
+      const { logs } = await FloatifyInstance.setGuardianThreshold('3', { from: userPersonalAddress });
+      await expectEvent.inLogs(logs, 'GuardianThresholdChanged', { previousThreshold: '0', newThreshold: '3' });
+      await expectRevert(
+        FloatifyInstance.removeGuardian(guardianAddresses[2], { from: userPersonalAddress }),
+        'Threshold cannot exceed the guardian count',
+      );
+
+      await FloatifyInstance.setGuardianThreshold('2', { from: userPersonalAddress });
+      await FloatifyInstance.removeGuardian(guardianAddresses[2], { from: userPersonalAddress });
+      expect(await FloatifyInstance.guardians(guardianAddresses[2])).to.equal(false);
+      await expectRevert(
+        FloatifyInstance.removeGuardian(guardianAddresses[2], { from: userPersonalAddress }),
+        'Address is not a guardian',
+      );
+    });
+
+
+    it('should let the user cancel a recovery started by guardians', async () => {
+      await expectRevert(
+        FloatifyInstance.startRecovery(randomNonUserAddress, { from: guardianAddresses[2] }),
+        'Caller is not a guardian',
+      );
+      const { events } = await FloatifyClient.startRecovery(randomNonUserAddress, { from: guardianAddresses[0] });
+      expect(events[0]).to.include({
+        event: 'RecoveryStarted', recoveryId: '1', guardian: guardianAddresses[0], newOwner: randomNonUserAddress,
+      });
+      expect(events[1]).to.include({ event: 'RecoveryApproved', approvals: '1', executableAt: '0' });
+      await expectRevert(
+        FloatifyInstance.startRecovery(guardianAddresses[2], { from: guardianAddresses[1] }),
+        'Recovery is already in progress',
+      );
+      await expectRevert(
+        FloatifyInstance.approveRecovery('1', { from: guardianAddresses[0] }),
+        'Guardian has already approved',
+      );
+      await expectRevert(FloatifyInstance.executeRecovery(), 'Recovery does not have enough approvals');
+
+      let { logs } = await FloatifyInstance.approveRecovery('1', { from: guardianAddresses[1] });
+      const executableAt = (await time.latest()).add(await FloatifyInstance.RECOVERY_DELAY());
+      await expectEvent.inLogs(logs, 'RecoveryApproved', {
+        recoveryId: '1', guardian: guardianAddresses[1], approvals: '2', executableAt,
+      });
+      await expectRevert(FloatifyInstance.executeRecovery(), 'Recovery delay has not passed');
+
+      await expectRevert(
+        FloatifyInstance.cancelRecovery({ from: guardianAddresses[0] }),
+        'Ownable: caller is not the owner',
+      );
+      ({ logs } = await FloatifyInstance.cancelRecovery({ from: userPersonalAddress }));
+      await expectEvent.inLogs(logs, 'RecoveryCancelled', { recoveryId: '1', newOwner: randomNonUserAddress });
+      await time.increase(time.duration.days(3));
+      await expectRevert(FloatifyInstance.executeRecovery(), 'Recovery is not in progress');
+      expect(await FloatifyInstance.owner()).to.equal(userPersonalAddress);
+    });
+
+
+    it('should recover the account to a new owner once the delay has passed', async () => {
+      const newOwnerAddress = userWyreAddress;
+      await FloatifyInstance.setBatchExecutor(FloatifyAccountBatcher.address, { from: userPersonalAddress });
+      await FloatifyInstance.transferOwnership(randomNonUserAddress, { from: userPersonalAddress });
+
+      await FloatifyInstance.startRecovery(newOwnerAddress, { from: guardianAddresses[1] });
+      await expectRevert(
+        FloatifyInstance.approveRecovery('1', { from: guardianAddresses[0] }), // the cancelled recovery
+        'Recovery is not in progress',
+      );
+      await FloatifyClient.approveRecovery('2', { from: guardianAddresses[0] });
+      expect(await FloatifyClient.getRecovery()).to.deep.include({
+        recoveryId: 2, newOwner: newOwnerAddress, approvals: 2, threshold: 2,
+      });
+      await time.increase(time.duration.days(3));
+
+      const { logs } = await FloatifyInstance.executeRecovery({ from: randomNonUserAddress });
+      await expectEvent.inLogs(logs, 'RecoveryExecuted', {
+        recoveryId: '2', previousOwner: userPersonalAddress, newOwner: newOwnerAddress,
+      });
+      await expectEvent.inLogs(logs, 'OwnershipTransferred', {
+        previousOwner: userPersonalAddress, newOwner: newOwnerAddress,
+      });
+      await expectEvent.inLogs(logs, 'BatchExecutorChanged', {
+        previousExecutor: FloatifyAccountBatcher.address, newExecutor: constants.ZERO_ADDRESS,
+      });
+      expect(await FloatifyInstance.owner()).to.equal(newOwnerAddress);
+      expect(await FloatifyInstance.pendingOwner()).to.equal(constants.ZERO_ADDRESS);
+      expect((await FloatifyInstance.recovery()).newOwner).to.equal(constants.ZERO_ADDRESS);
+      await expectRevert(FloatifyInstance.executeRecovery(), 'Recovery is not in progress');
+    });
+
+
+    it('should stop counting the approval of a removed guardian', async () => {
+      const ownerAddress = userWyreAddress; // the owner the account was recovered to
+      await FloatifyInstance.addGuardian(guardianAddresses[2], { from: ownerAddress });
+      await FloatifyInstance.startRecovery(randomNonUserAddress, { from: guardianAddresses[0] });
+      await FloatifyInstance.approveRecovery('3', { from: guardianAddresses[1] });
+      expect((await FloatifyInstance.recovery()).executableAt).to.be.bignumber.above('0');
+
+      await FloatifyInstance.removeGuardian(guardianAddresses[1], { from: ownerAddress });
+      expect(await FloatifyInstance.recoveryApprovals('3', guardianAddresses[1])).to.equal(false);
+      const { approvals, executableAt } = await FloatifyInstance.recovery();
+      expect(approvals).to.be.bignumber.equal('1');
+      expect(executableAt).to.be.bignumber.equal('0');
+      await time.increase(time.duration.days(3));
+      await expectRevert(FloatifyInstance.executeRecovery(), 'Recovery does not have enough approvals');
+
+      // The delay starts again once the recovery has enough approvals
+      await FloatifyInstance.approveRecovery('3', { from: guardianAddresses[2] });
+      await expectRevert(FloatifyInstance.executeRecovery(), 'Recovery delay has not passed');
+      await FloatifyInstance.cancelRecovery({ from: ownerAddress });
+
+      // Removing a guardian whose approval was for a finished recovery changes nothing
+      await FloatifyInstance.addGuardian(guardianAddresses[1], { from: ownerAddress });
+      await FloatifyInstance.removeGuardian(guardianAddresses[2], { from: ownerAddress });
+      expect((await FloatifyInstance.recovery()).approvals).to.be.bignumber.equal('0');
+      expect(await FloatifyInstance.owner()).to.equal(ownerAddress);
+    });
+  }); // end ownership and recovery tests
+
+
+  contract('Withdrawal limit tests', async () => {
+    const window = time.duration.days(1);
+    const thirtyDai = humanToMachine('DAI', 30);
+    let firstWithdrawalTime; // time the first limited withdrawal leaves the window from
+
+    it('should only let the user set a withdrawal limit', async () => {
+      await FloatifyInstance.transferOwnership(userPersonalAddress, { from: ownerDeployAddress });
+      await FloatifyInstance.acceptOwnership({ from: userPersonalAddress });
+      await expectRevert(
+        FloatifyInstance.setWithdrawalLimit(humanToMachine('DAI', 50), window, { from: ownerDeployAddress }),
+        'Ownable: caller is not the owner',
+      );
+      await expectRevert(
+        FloatifyInstance.setWithdrawalLimit(
+          humanToMachine('DAI', 50), time.duration.days(31), { from: userPersonalAddress },
+        ),
+        'Withdrawal window cannot exceed the maximum',
+      );
+      expect(await FloatifyInstance.withdrawalLimitAvailable()).to.be.bignumber.equal(maxUint256Value);
+
+      const { events } = await FloatifyClient.setWithdrawalLimit(50, window.toString(), { from: userPersonalAddress });
+      expect(events[0]).to.include({ event: 'WithdrawalLimitChanged', daiAmount: 50, window: window.toString() });
+      expect(await FloatifyClient.getWithdrawalLimit()).to.deep.equal({
+        daiAmount: 50, window: window.toNumber(), available: 50,
+      });
+    });
+
+
+    it('should stop the operator withdrawing more than the limit within the window', async () => {
+      await DaiContract.methods.transfer(floatifyAddress, initialDaiDepositMachine).send({ from: wyreAddress });
+      await FloatifyInstance.deposit({ from: ownerDeployAddress });
+
+      await FloatifyInstance.redeemAndWithdrawPartial(userPersonalAddress, thirtyDai, { from: ownerDeployAddress });
+      firstWithdrawalTime = await time.latest();
+      expect(await FloatifyInstance.withdrawalLimitAvailable()).to.be.bignumber.equal(humanToMachine('DAI', 20));
+      await expectRevert(
+        FloatifyInstance.redeemAndWithdrawPartial(userPersonalAddress, thirtyDai, { from: ownerDeployAddress }),
+        'Amount exceeds the withdrawal limit',
+      );
+
+      // DAI sent to the account and withdrawn without being deposited counts too
+      await DaiContract.methods.transfer(floatifyAddress, thirtyDai).send({ from: wyreAddress });
+      await expectRevert(
+        FloatifyInstance.withdraw(userPersonalAddress, { from: ownerDeployAddress }),
+        'Amount exceeds the withdrawal limit',
+      );
+
+      // The user is not limited, and their withdrawals do not use the limit
+      await FloatifyInstance.withdraw(userPersonalAddress, { from: userPersonalAddress });
+      await FloatifyInstance.redeemAndWithdrawPartial(
+        userPersonalAddress, humanToMachine('DAI', 10), { from: userPersonalAddress },
+      );
+      expect(await FloatifyInstance.withdrawalLimitAvailable()).to.be.bignumber.equal(humanToMachine('DAI', 20));
+    });
+
+
+    it('should count withdrawals until they leave the rolling window', async () => {
+      await time.increaseTo(firstWithdrawalTime.add(window).sub(new BN('30')));
+      await FloatifyInstance.redeemAndWithdrawPartial(
+        userPersonalAddress, humanToMachine('DAI', 10), { from: ownerDeployAddress },
+      );
+      await expectRevert(
+        FloatifyInstance.redeemAndWithdrawPartial(userPersonalAddress, thirtyDai, { from: ownerDeployAddress }),
+        'Amount exceeds the withdrawal limit',
+      );
+
+      // Once the first withdrawal has left the window, only the last one counts
+      await time.increaseTo(firstWithdrawalTime.add(window));
+      expect(await FloatifyInstance.withdrawalLimitAvailable()).to.be.bignumber.equal(humanToMachine('DAI', 40));
+      await FloatifyInstance.redeemAndWithdrawPartial(userPersonalAddress, thirtyDai, { from: ownerDeployAddress });
+      expect(await FloatifyInstance.withdrawalLimitAvailable()).to.be.bignumber.equal(humanToMachine('DAI', 10));
+    });
+
+
+    it('should only let the operator redeem everything if it is within the limit', async () => {
+      // About 20 DAI is left after the withdrawals above, and the limit is used up
+      const currentValue = await FloatifyInstance.currentValue();
+      expect(currentValue).to.be.bignumber.above(humanToMachine('DAI', 20));
+      await FloatifyInstance.setWithdrawalLimit(humanToMachine('DAI', 40), window, { from: userPersonalAddress });
+      expect(await FloatifyInstance.withdrawalLimitAvailable()).to.be.bignumber.equal('0');
+      await expectRevert(
+        FloatifyInstance.redeemAndWithdrawSplit(
+          '0', [userPersonalAddress], ['0'], ['10000'], '0', { from: ownerDeployAddress },
+        ),
+        'Amount exceeds the withdrawal limit',
+      );
+      await expectRevert(
+        FloatifyInstance.redeemAndWithdrawMax(userPersonalAddress, { from: ownerDeployAddress }),
+        'Amount exceeds the withdrawal limit',
+      );
+      expect(await FloatifyInstance.currentValue()).to.be.bignumber.at.least(currentValue);
+
+      // Once the previous withdrawals have left the window, everything can be redeemed
+      await time.increase(window);
+      const { logs } = await FloatifyInstance.redeemAndWithdrawMax(userPersonalAddress, { from: ownerDeployAddress });
+      const { daiAmount } = logs.find((log) => log.event === 'Withdraw').args;
+      expect(await FloatifyInstance.currentValue()).to.be.bignumber.equal('0');
+      expect(await FloatifyInstance.withdrawalLimitAvailable()).to.be.bignumber.equal(
+        new BN(humanToMachine('DAI', 40)).sub(daiAmount),
+      );
+
+      // Removing the limit lets the operator withdraw any amount again
+      await FloatifyInstance.setWithdrawalLimit('0', '0', { from: userPersonalAddress });
+      expect((await FloatifyClient.getWithdrawalLimit()).available).to.equal(Infinity);
+    });
+  }); // end withdrawal limit tests
+
+
+  contract('Upgrade tests', async () => {
+    let V2Instance; // new implementation, deployed once for the block
+
+    before('Deploy a new implementation', async () => {
+      V2Instance = await MockFloatifyAccountV2.new(
+        FloatifyAccountExtension.address, CompoundStrategy.address, { from: ownerDeployAddress },
+      );
+    });
+
+
+    it('should keep the recorded storage layout', async () => {
+      const layout = getStorageLayout('FloatifyAccount', [FloatifyAccount]);
+      expect(checkStorageLayout(recordedStorageLayout.FloatifyAccount, layout)).to.deep.equal([]);
+
+      // Appending variables is allowed, reordering or removing them is not
+      const v2Layout = getStorageLayout('MockFloatifyAccountV2', [FloatifyAccount, MockFloatifyAccountV2]);
+      expect(v2Layout.length).to.equal(layout.length + 1);
+      expect(checkStorageLayout(layout, v2Layout)).to.deep.equal([]);
+      expect(checkStorageLayout(layout, [layout[1], layout[0], ...layout.slice(2)])).to.have.lengthOf(2);
+      expect(checkStorageLayout(layout, layout.slice(1))).to.have.lengthOf(layout.length);
+    });
+
+
+    it('should give the extension the storage layout and functions of the account', async () => {
+      const layout = getStorageLayout('FloatifyAccount', [FloatifyAccount]);
+      const extensionLayout = getStorageLayout('FloatifyAccountExtension', [FloatifyAccount, FloatifyAccountExtension]);
+      expect(extensionLayout).to.deep.equal(layout);
+
+      // Every extension function must be declared by the account, or accounts could not call it
+      const functions = (abi) => abi.filter(({ type }) => type === 'function')
+        .map(({ name, inputs }) => `${name}(${inputs.map(({ type }) => type).join(',')})`);
+      expect(functions(FloatifyAccount.abi)).to.include.members(functions(FloatifyAccountExtension.abi));
+    });
+
+
+    it('should only let the user upgrade the account', async () => {
+      await FloatifyInstance.transferOwnership(userPersonalAddress, { from: ownerDeployAddress });
+      await FloatifyInstance.acceptOwnership({ from: userPersonalAddress });
+      await expectRevert(
+        FloatifyInstance.upgradeTo(V2Instance.address, { from: ownerDeployAddress }), // the operator
+        'Ownable: caller is not the owner',
+      );
+      await expectRevert(
+        FloatifyInstance.upgradeTo(V2Instance.address, { from: randomNonUserAddress }),
+        'Ownable: caller is not the owner',
+      );
+      await expectRevert(
+        FloatifyInstance.upgradeTo(userWyreAddress, { from: userPersonalAddress }),
+        'Implementation must be a contract',
+      );
+      expect(await FloatifyInstance.implementation()).to.equal(FloatifyAccount.address);
+    });
+
+
+    it('should not let anyone upgrade the logic contract', async () => {
+      const logic = await FloatifyAccount.deployed();
+      expect(await logic.owner()).to.equal(constants.ZERO_ADDRESS);
+      await expectRevert(
+        logic.upgradeTo(V2Instance.address, { from: ownerDeployAddress }), // the deployer
+        'Ownable: caller is not the owner',
+      );
+      await expectRevert(
+        logic.transferOwnership(ownerDeployAddress, { from: ownerDeployAddress }),
+        'Ownable: caller is not the owner',
+      );
+      expect(await logic.implementation()).to.equal(constants.ZERO_ADDRESS);
+      expect(await FloatifyInstance.extension()).to.equal(FloatifyAccountExtension.address);
+    });
+
+
+    it('should keep totals and balances across an upgrade', async () => {
+      await DaiContract.methods.transfer(floatifyAddress, initialDaiDepositMachine).send({ from: wyreAddress });
+      await FloatifyInstance.deposit({ from: ownerDeployAddress });
+      await FloatifyInstance.redeemAndWithdrawPartial(
+        userPersonalAddress, humanToMachine('DAI', 10), { from: ownerDeployAddress },
+      );
+
+      const totalDeposited = await FloatifyInstance.totalDeposited();
+      const totalWithdrawn = await FloatifyInstance.totalWithdrawn();
+      const cdaiBalance = await CdaiContract.methods.balanceOf(floatifyAddress).call();
+      const cdaiAllowance = await DaiContract.methods.allowance(floatifyAddress, cdaiAddress).call();
+
+      const { logs } = await FloatifyInstance.upgradeTo(V2Instance.address, { from: userPersonalAddress });
+      await expectEvent.inLogs(logs, 'Upgraded', { implementation: V2Instance.address });
+
+      const UpgradedInstance = await MockFloatifyAccountV2.at(floatifyAddress);
+      expect(await UpgradedInstance.implementation()).to.equal(V2Instance.address);
+      expect(await UpgradedInstance.version()).to.be.bignumber.equal('2');
+      expect(await UpgradedInstance.totalDeposited()).to.be.bignumber.equal(totalDeposited);
+      expect(await UpgradedInstance.totalWithdrawn()).to.be.bignumber.equal(totalWithdrawn);
+      expect(await CdaiContract.methods.balanceOf(floatifyAddress).call()).to.equal(cdaiBalance);
+      expect(await DaiContract.methods.allowance(floatifyAddress, cdaiAddress).call()).to.equal(cdaiAllowance);
+      expect(await UpgradedInstance.owner()).to.equal(userPersonalAddress);
+      expect(await UpgradedInstance.operator()).to.equal(ownerDeployAddress);
+
+      // New storage is appended after the existing variables
+      await UpgradedInstance.setUpgradeNote('42', { from: userPersonalAddress });
+      expect(await UpgradedInstance.upgradeNote()).to.be.bignumber.equal('42');
+      expect(await UpgradedInstance.totalDeposited()).to.be.bignumber.equal(totalDeposited);
+    });
+
+
+    it('should keep working after an upgrade', async () => {
+      const totalWithdrawn = await FloatifyInstance.totalWithdrawn();
+      const { logs } = await FloatifyInstance.redeemAndWithdrawMax(userPersonalAddress, { from: ownerDeployAddress });
+      await expectEvent.inLogs(logs, 'RedeemMax', { withdrawalAddress: userPersonalAddress });
+      expect(await FloatifyClient.getTokenBalance('cDAI', floatifyAddress)).to.equal(0);
+      expect(await FloatifyInstance.totalWithdrawn()).to.be.bignumber.above(totalWithdrawn);
+    });
+  }); // end upgrade tests
+
+
+  contract('Client library tests', async () => {
+    it('should deposit and return parsed events with human-readable amounts', async () => {
+      await DaiContract.methods.transfer(floatifyAddress, initialDaiDepositMachine).send({ from: wyreAddress });
+      const { events } = await FloatifyClient.deposit({ from: ownerDeployAddress });
+      expect(events).to.have.lengthOf(1);
+      expect(events[0].event).to.equal('Deposit');
+      expect(events[0].daiAmount).to.equal(initialDaiDepositHuman);
+      expect(await FloatifyClient.getTotalDeposited()).to.equal(initialDaiDepositHuman);
+      expect(await FloatifyClient.getTokenBalance('DAI')).to.equal(0);
+      expect(await FloatifyClient.getTokenBalance('cDAI')).to.be.above(0);
+    });
+
+
+    it('should redeem and withdraw a human-readable amount of DAI', async () => {
+      const { events } = await FloatifyClient.redeemAndWithdrawPartial(
+        userWyreAddress, initialDaiDepositHuman / 4, { from: ownerDeployAddress },
+      );
+      expect(events.map((e) => e.event)).to.deep.equal(['RedeemPartial', 'Withdraw']);
+      expect(events[0].daiAmount).to.equal(initialDaiDepositHuman / 4);
+      expect(events[0].cdaiAmount).to.be.above(0);
+      expect(events[0].principalAmount).to.be.within(initialDaiDepositHuman / 4 - 1, initialDaiDepositHuman / 4);
+      expect(events[0].interestAmount).to.be.within(0, 1);
+      expect(events[0].principalAmount + events[0].interestAmount).to.be.closeTo(initialDaiDepositHuman / 4, 1e-9);
+      expect(events[0].withdrawalAddress).to.equal(userWyreAddress);
+      expect(events[1].destinationAddress).to.equal(userWyreAddress);
+      expect(await FloatifyClient.getTotalWithdrawn()).to.equal(initialDaiDepositHuman / 4);
+      expect(await FloatifyClient.getTokenBalance('DAI', userWyreAddress)).to.equal(initialDaiDepositHuman / 4);
+    });
+
+
+    it('should redeem and withdraw everything', async () => {
+      const { events } = await FloatifyClient.redeemAndWithdrawMax(userWyreAddress, { from: ownerDeployAddress });
+      expect(events.map((e) => e.event)).to.deep.equal(['RedeemMax', 'Withdraw']);
+      expect(events[0].principalAmount).to.be.within(initialDaiDepositHuman * 0.75 - 1, initialDaiDepositHuman);
+      expect(events[0].principalAmount + events[0].interestAmount).to.be.closeTo(events[0].daiAmount, 1e-9);
+      expect(await FloatifyClient.getTokenBalance('cDAI')).to.equal(0);
+      expect(await FloatifyClient.getTotalWithdrawn()).to.be.above(initialDaiDepositHuman);
+    });
+
+
+    it('should return all past events of the account', async () => {
+      const events = await FloatifyClient.getEvents();
+      // Deployment events are emitted before any deposits
+      const eventNames = events.map((e) => e.event)
+        .filter((name) => !['Upgraded', 'OwnershipTransferred', 'OperatorChanged'].includes(name));
+      expect(eventNames).to.deep.equal(['Deposit', 'RedeemPartial', 'Withdraw', 'RedeemMax', 'Withdraw']);
+    });
+
+
+    it('should ship the ABIs of the compiled contracts', async () => {
+      // Run `npm run export-abis` after changing a contract's interface. Truffle adds fields to the
+      // compiled ABI, so only the items and their types are compared
+      const types = (params = []) => params.map(({ type, indexed }) => (indexed ? `${type} indexed` : type)).join(',');
+      const signatures = (abi) => abi.map(({
+        type, name, inputs, outputs,
+      }) => `${type} ${name}(${types(inputs)}) ${types(outputs)}`);
+      expect(signatures(shippedAccountABI)).to.deep.equal(signatures(FloatifyAccount.abi));
+      expect(signatures(shippedBatcherABI)).to.deep.equal(signatures(FloatifyAccountBatcher.abi));
+      expect(signatures(shippedPoolABI)).to.deep.equal(signatures(FloatifyPool.abi));
+    });
+
+
+    it('should require a sender for transactions', async () => {
+      let error;
+      try {
+        await FloatifyClient.deposit();
+      } catch (err) {
+        error = err;
+      }
+      expect(error.message).to.equal('No sender specified, set `from` in the client or transaction options');
+    });
+  }); // end client library tests
+
+
+  contract('Compound failure tests', async () => {
+    beforeEach('Only run against mock tokens', async function skipWithoutMockTokens() {
+      // The failure codes can only be controlled on the mock cDAI contract
+      if (!useMockTokens) this.skip();
+    });
+
+
+    it('should revert `deposit()` when cDAI `mint()` returns an error code', async () => {
+      const MockCdaiInstance = await MockCDAI.deployed();
+      await DaiContract.methods.transfer(floatifyAddress, initialDaiDepositMachine).send({ from: wyreAddress });
+      await MockCdaiInstance.setFailureCodes('3', '0', '0'); // COMPTROLLER_REJECTION
+      await expectRevert(
+        FloatifyInstance.deposit({ from: ownerDeployAddress }),
+        'Call to mint function failed (Compound error 3)',
+      );
+      await MockCdaiInstance.setFailureCodes('0', '0', '0');
+      await FloatifyInstance.deposit({ from: ownerDeployAddress });
+      expect(await FloatifyClient.getTokenBalance('DAI', floatifyAddress)).to.equal(0);
+    });
+
+
+    it('should revert `redeemAndWithdrawMax()` when cDAI `redeem()` returns an error code', async () => {
+      const MockCdaiInstance = await MockCDAI.deployed();
+      await MockCdaiInstance.setFailureCodes('0', '14', '0'); // TOKEN_INSUFFICIENT_CASH
+      await expectRevert(
+        FloatifyInstance.redeemAndWithdrawMax(userWyreAddress, { from: ownerDeployAddress }),
+        'Redemption of all cDAI for DAI failed (Compound error 14)',
+      );
+      await MockCdaiInstance.setFailureCodes('0', '0', '0');
+    });
+
+
+    it('should revert `redeemAndWithdrawPartial()` when cDAI `redeemUnderlying()` returns an error code', async () => {
+      const MockCdaiInstance = await MockCDAI.deployed();
+      await MockCdaiInstance.setFailureCodes('0', '0', '14'); // TOKEN_INSUFFICIENT_CASH
+      await expectRevert(
+        FloatifyInstance.redeemAndWithdrawPartial(
+          userWyreAddress, humanToMachine('DAI', 1), { from: ownerDeployAddress },
+        ),
+        'Redemption of some cDAI for DAI failed (Compound error 14)',
+      );
+      await MockCdaiInstance.setFailureCodes('0', '0', '0');
+    });
+
+
+    it('should revert with the Compound error code for other markets', async () => {
+      const UsdcInstance = await MockUSDC.new();
+      const CusdcInstance = await MockCDAI.new(UsdcInstance.address, '0');
+      await CusdcInstance.setExchangeRate('200000000000000'); // 0.02 * 1e18 * 1e6 / 1e8
+      await FloatifyInstance.addMarket(CusdcInstance.address, { from: ownerDeployAddress });
+      await UsdcInstance.allocateTo(floatifyAddress, humanToMachine('USDC', 100));
+
+      await CusdcInstance.setFailureCodes('12', '0', '0'); // TOKEN_INSUFFICIENT_ALLOWANCE
+      await expectRevert(
+        FloatifyInstance.depositAsset(UsdcInstance.address, { from: ownerDeployAddress }),
+        'Call to mint function failed (Compound error 12)',
+      );
+      await CusdcInstance.setFailureCodes('0', '13', '9'); // TOKEN_INSUFFICIENT_BALANCE, MATH_ERROR
+      await FloatifyInstance.depositAsset(UsdcInstance.address, { from: ownerDeployAddress });
+      await expectRevert(
+        FloatifyInstance.redeemAndWithdrawMaxAsset(UsdcInstance.address, userWyreAddress, { from: ownerDeployAddress }),
+        'Redemption of all cTokens failed (Compound error 13)',
+      );
+      await expectRevert(
+        FloatifyInstance.redeemAndWithdrawPartialAsset(
+          UsdcInstance.address, userWyreAddress, humanToMachine('USDC', 1), { from: ownerDeployAddress },
+        ),
+        'Redemption of some cTokens failed (Compound error 9)',
+      );
+    });
+
+
+    it('should decode Compound error codes and revert reasons', async () => {
+      const MockCdaiInstance = await MockCDAI.deployed();
+      await MockCdaiInstance.setFailureCodes('0', '14', '0'); // TOKEN_INSUFFICIENT_CASH
+      let error;
+      try {
+        await FloatifyInstance.redeemAndWithdrawMax(userWyreAddress, { from: ownerDeployAddress });
+      } catch (err) {
+        error = err;
+      }
+      await MockCdaiInstance.setFailureCodes('0', '0', '0');
+      expect(decodeAccountError(error)).to.deep.equal({
+        reason: 'Redemption of all cDAI for DAI failed (Compound error 14)',
+        description: 'Compound did not redeem the account\'s cDAI: The Compound market does not have enough liquidity',
+        compoundError: {
+          code: 14, name: 'TOKEN_INSUFFICIENT_CASH', description: 'The Compound market does not have enough liquidity',
+        },
+      });
+
+      // Revert data, as reported for failed batch items
+      const revertData = web3.eth.abi.encodeFunctionSignature('Error(string)')
+        + web3.eth.abi.encodeParameter('string', 'Deposits are paused').slice(2);
+      expect(decodeAccountError(revertData)).to.deep.equal({
+        reason: 'Deposits are paused', description: 'Deposits are paused on this account',
+      });
+      expect(decodeAccountError('Some other reason')).to.deep.equal({
+        reason: 'Some other reason', description: 'Some other reason',
+      });
+      expect(decodeCompoundError('3')).to.include({ code: 3, name: 'COMPTROLLER_REJECTION' });
+      expect(decodeCompoundError(99)).to.include({ code: 99, name: 'UNKNOWN' });
+    });
+  }); // end Compound failure tests
+
+
+  contract('Account statement tests', async () => {
+    let MockCdaiInstance;
+    let redeemMaxBlock; // block of the `redeemAndWithdrawMax()` call
+
+    beforeEach('Only run against mock tokens', async function skipWithoutMockTokens() {
+      // Amounts are only exact with the exchange rate fixed on the mock cDAI contract
+      if (!useMockTokens) this.skip();
+      MockCdaiInstance = await MockCDAI.deployed();
+    });
+
+
+    it('should build a statement with running totals, interest and fees', async () => {
+      await FloatifyInstance.setTreasury(ownerReceiveAddress, { from: ownerDeployAddress });
+      await FloatifyInstance.setFeeRate('1000', { from: ownerDeployAddress });
+      await MockCdaiInstance.setSupplyRatePerBlock('0');
+      await MockCdaiInstance.setExchangeRate(humanToMachine('DAI', '200000000')); // 0.02 * 1e18 * 1e10
+      await DaiContract.methods.transfer(floatifyAddress, initialDaiDepositMachine).send({ from: wyreAddress });
+      await FloatifyInstance.deposit({ from: ownerDeployAddress });
+      await FloatifyInstance.redeemAndWithdrawPartial(
+        userWyreAddress, humanToMachine('DAI', 40), { from: ownerDeployAddress },
+      );
+      await MockCdaiInstance.setExchangeRate(humanToMachine('DAI', '220000000')); // remaining 60 DAI is worth 66
+      ({ receipt: { blockNumber: redeemMaxBlock } } = await FloatifyInstance.redeemAndWithdrawMax(
+        userWyreAddress, { from: ownerDeployAddress },
+      ));
+
+      const statement = await getAccountStatement(web3.currentProvider, floatifyAddress, { abi: FloatifyAccount.abi });
+      const { entries } = statement;
+      expect(entries.map((e) => e.event)).to.deep.equal([
+        'Deposit', 'RedeemPartial', 'Withdraw', 'RedeemMax', 'Withdraw',
+      ]);
+      expect(entries[0]).to.include({ daiAmount: '100', principal: '100', totalDeposited: '100' });
+      expect(entries[1]).to.include({
+        daiAmount: '40', interestEarned: '0', fee: '0', principal: '60', totalWithdrawn: '40',
+      });
+      expect(entries[2]).to.include({ daiAmount: '40', address: userWyreAddress, fee: '' });
+      expect(entries[3]).to.include({
+        daiAmount: '66', interestEarned: '6', fee: '0.6', principal: '0', totalWithdrawn: '106',
+      });
+      expect(entries[4]).to.include({ daiAmount: '65.4' });
+      expect(statement.reconciliation).to.include({ status: 'ok', storedWithdrawn: '106', eventWithdrawn: '106' });
+    });
+
+
+    it('should only include events from the requested blocks', async () => {
+      const statement = await getAccountStatement(
+        web3.currentProvider, floatifyAddress, { abi: FloatifyAccount.abi, fromBlock: redeemMaxBlock },
+      );
+      expect(statement.entries.map((e) => e.event)).to.deep.equal(['RedeemMax', 'Withdraw']);
+      expect(statement.reconciliation).to.include({ status: 'ok', storedDeposited: '0', storedWithdrawn: '66' });
+    });
+
+
+    it('should export statements of several accounts as CSV', async () => {
+      const statements = await getAccountStatements(
+        web3.currentProvider, [floatifyAddress, floatifyAddress], { abi: FloatifyAccount.abi },
+      );
+      const lines = statementsToCsv(statements).split('\n');
+      expect(lines).to.have.lengthOf(11);
+      expect(lines[0]).to.equal('account,blockNumber,timestamp,transactionHash,event,daiAmount,cdaiAmount,'
+        + 'address,fee,interestEarned,principal,totalDeposited,totalWithdrawn');
+      expect(lines[4].split(',').slice(4, 6)).to.deep.equal(['RedeemMax', '66']);
+    });
+
+
+    it('should reconcile when a redemption withdraws DAI it did not redeem', async () => {
+      await DaiContract.methods.transfer(floatifyAddress, humanToMachine('DAI', 10)).send({ from: wyreAddress });
+      await FloatifyInstance.deposit({ from: ownerDeployAddress });
+      // DAI sent to the account is withdrawn with the next redemption, but is counted as stray DAI
+      await DaiContract.methods.transfer(floatifyAddress, humanToMachine('DAI', 5)).send({ from: wyreAddress });
+      await FloatifyInstance.redeemAndWithdrawPartial(
+        userWyreAddress, humanToMachine('DAI', 10), { from: ownerDeployAddress },
+      );
+
+      const { entries, reconciliation } = await getAccountStatement(
+        web3.currentProvider, floatifyAddress, { abi: FloatifyAccount.abi },
+      );
+      expect(entries[entries.length - 1]).to.include({ event: 'Withdraw', daiAmount: '15' });
+      expect(reconciliation).to.deep.include({
+        status: 'ok', mismatches: [], storedWithdrawn: '116', eventWithdrawn: '116',
+      });
+    });
+  }); // end account statement tests
+
+
+  contract('Batch tests', async () => {
+    let BatcherInstance;
+    let SecondInstance; // owned by the user, so withdrawals by the operator are limited to the allowlist
+
+    const batch = (items, options) => executeBatch(web3.currentProvider, BatcherInstance.address, items, {
+      from: ownerDeployAddress, abi: FloatifyAccountBatcher.abi, ...options,
+    });
+
+    beforeEach('Setup batcher and a second account', async () => {
+      BatcherInstance = await FloatifyAccountBatcher.deployed();
+      if (!SecondInstance) {
+        SecondInstance = await deployAccount(daiAddress, cdaiAddress, '1', { from: ownerDeployAddress });
+        await SecondInstance.setBatchExecutor(BatcherInstance.address, { from: ownerDeployAddress });
+        await SecondInstance.transferOwnership(userPersonalAddress, { from: ownerDeployAddress });
+        await SecondInstance.acceptOwnership({ from: userPersonalAddress });
+      }
+    });
+
+
+    it('should fail items of accounts that did not set the batch executor', async () => {
+      await DaiContract.methods.transfer(floatifyAddress, initialDaiDepositMachine).send({ from: wyreAddress });
+      const { results } = await batch([{ account: floatifyAddress, action: 'deposit' }]);
+      expect(results).to.deep.equal([{
+        index: 0,
+        account: floatifyAddress,
+        action: 'deposit',
+        success: false,
+        error: 'Caller is not the user or operator',
+      }]);
+      expect(await FloatifyInstance.totalDeposited()).to.be.bignumber.equal('0');
+    });
+
+
+    it('should only let the user set the batch executor', async () => {
+      await expectRevert(
+        FloatifyInstance.setBatchExecutor(BatcherInstance.address, { from: randomNonUserAddress }),
+        'Ownable: caller is not the owner',
+      );
+      await expectRevert(
+        FloatifyInstance.setBatchExecutor(userWyreAddress, { from: ownerDeployAddress }),
+        'Batch executor must be a contract',
+      );
+      const { logs } = await FloatifyInstance.setBatchExecutor(BatcherInstance.address, { from: ownerDeployAddress });
+      await expectEvent.inLogs(logs, 'BatchExecutorChanged', {
+        previousExecutor: constants.ZERO_ADDRESS, newExecutor: BatcherInstance.address,
+      });
+    });
+
+
+    it('should deposit to several accounts in one transaction', async () => {
+      await DaiContract.methods.transfer(SecondInstance.address, initialDaiDepositMachine).send({ from: wyreAddress });
+      const { receipt, results } = await batch([
+        { account: floatifyAddress, action: 'deposit' },
+        { account: SecondInstance.address, action: 'deposit' },
+      ]);
+      expect(receipt.status).to.equal(true);
+      expect(results.map((result) => result.success)).to.deep.equal([true, true]);
+      expect(await FloatifyInstance.totalDeposited()).to.be.bignumber.equal(initialDaiDepositMachine);
+      expect(await SecondInstance.totalDeposited()).to.be.bignumber.equal(initialDaiDepositMachine);
+    });
+
+
+    it('should report failed items without reverting the batch', async () => {
+      const { results } = await batch([
+        // The operator cannot withdraw to addresses the user did not allow
+        {
+          account: SecondInstance.address,
+          action: 'redeemAndWithdrawPartial',
+          destination: randomNonUserAddress,
+          daiAmount: 10,
+        },
+        {
+          account: floatifyAddress, action: 'redeemAndWithdrawPartial', destination: userWyreAddress, daiAmount: 10,
+        },
+        { account: SecondInstance.address, action: 'redeemAndWithdrawMax', destination: userPersonalAddress },
+      ]);
+      expect(results.map((result) => result.success)).to.deep.equal([false, true, true]);
+      expect(results[0].error).to.equal('Withdrawal address is not on the allowlist');
+      expect(await FloatifyInstance.totalWithdrawn()).to.be.bignumber.equal(humanToMachine('DAI', 10));
+      expect(await FloatifyClient.getTokenBalance('cDAI', SecondInstance.address)).to.equal(0);
+      expect(await FloatifyClient.getTokenBalance('DAI', randomNonUserAddress)).to.equal(0);
+    });
+
+
+    it('should revert the whole batch in atomic mode', async () => {
+      const totalWithdrawn = await FloatifyInstance.totalWithdrawn();
+      let error;
+      try {
+        await batch([
+          {
+            account: floatifyAddress, action: 'redeemAndWithdrawPartial', destination: userWyreAddress, daiAmount: 10,
+          },
+          { account: SecondInstance.address, action: 'redeemAndWithdrawMax', destination: randomNonUserAddress },
+        ], { atomic: true });
+      } catch (err) {
+        error = err.message;
+      }
+      // The first item succeeded on its own, but is reverted with the batch
+      expect(error).to.include('Withdrawal address is not on the allowlist');
+      expect(await FloatifyInstance.totalWithdrawn()).to.be.bignumber.equal(totalWithdrawn);
+    });
+
+
+    it('should check access against the address that called the batcher', async () => {
+      const { results } = await batch([
+        { account: floatifyAddress, action: 'redeemAndWithdrawMax', destination: randomNonUserAddress },
+      ], { from: randomNonUserAddress });
+      expect(results[0]).to.include({ success: false, error: 'Caller is not the user or operator' });
+
+      // The user can withdraw to any address
+      await DaiContract.methods.transfer(SecondInstance.address, initialDaiDepositMachine).send({ from: wyreAddress });
+      await SecondInstance.deposit({ from: ownerDeployAddress });
+      const userBatch = await batch([
+        { account: SecondInstance.address, action: 'redeemAndWithdrawMax', destination: randomNonUserAddress },
+      ], { from: userPersonalAddress });
+      expect(userBatch.results[0].success).to.equal(true);
+      expect(await FloatifyClient.getTokenBalance('DAI', randomNonUserAddress)).to.be.at.least(initialDaiDepositHuman);
+    });
+
+
+    it('should validate batch items', async () => {
+      expect(() => encodeBatch([{ account: floatifyAddress, action: 'withdraw' }]))
+        .to.throw("Invalid action 'withdraw'");
+      await expectRevert(
+        BatcherInstance.executeBatch([floatifyAddress], [0, 0], [userWyreAddress], ['0'], false),
+        'Batch arrays must have the same length',
+      );
+
+      const { logs } = await BatcherInstance.executeBatch(
+        [userWyreAddress, floatifyAddress], [0, 5], [userWyreAddress, userWyreAddress], ['0', '0'], false,
+        { from: ownerDeployAddress },
+      );
+      expect(logs.map((log) => decodeRevertReason(log.args.returnData)))
+        .to.deep.equal(['Account is not a contract', 'Invalid batch action']);
+      expect(decodeRevertReason(null)).to.equal('');
+    });
+  }); // end batch tests
+
+
+  contract('Keeper tests', async () => {
+    let SecondInstance; // second account watched by the keeper
+    let keeper; // keeper shared by the tests that poll manually
+    let logEntries; // actions logged by the keeper in the current test
+
+    const getActions = () => logEntries.map((entry) => entry.action);
+    const keeperOptions = (options) => ({
+      from: ownerDeployAddress,
+      threshold: 1,
+      abi: FloatifyAccount.abi,
+      log: (entry) => logEntries.push(entry),
+      ...options,
+    });
+
+    beforeEach('Deploy a second account', async () => {
+      logEntries = [];
+      if (!SecondInstance) {
+        SecondInstance = await deployAccount(daiAddress, cdaiAddress, '1', { from: ownerDeployAddress });
+      }
+    });
+
+
+    it('should require a keeper address', async () => {
+      expect(() => new DepositKeeper(web3.currentProvider, { daiAddress }, [floatifyAddress], {}))
+        .to.throw('No keeper address specified, set `from` in the options');
+    });
+
+
+    it('should deposit accounts whose DAI balance reaches the threshold', async () => {
+      const fromBlock = (await web3.eth.getBlockNumber()) + 1;
+      keeper = new DepositKeeper(
+        web3.currentProvider, { daiAddress }, [floatifyAddress, SecondInstance.address], keeperOptions({ fromBlock }),
+      );
+      await DaiContract.methods.transfer(floatifyAddress, initialDaiDepositMachine).send({ from: wyreAddress });
+      await DaiContract.methods.transfer(SecondInstance.address, humanToMachine('DAI', 0.5)).send({
+        from: wyreAddress,
+      });
+
+      const results = await keeper.poll();
+      expect(results).to.have.lengthOf(1);
+      expect(results[0]).to.include({ account: floatifyAddress, daiAmount: initialDaiDepositHuman });
+      expect(getActions()).to.deep.equal(['transfer', 'transfer', 'skip', 'deposit', 'confirmed']);
+      expect(await FloatifyInstance.totalDeposited()).to.be.bignumber.equal(initialDaiDepositMachine);
+      expect(await FloatifyClient.getTokenBalance('DAI', SecondInstance.address)).to.equal(0.5);
+
+      // Transfers are only handled once
+      expect(await keeper.poll()).to.deep.equal([]);
+    });
+
+
+    it('should deposit several accounts in one batch with consecutive nonces', async () => {
+      await DaiContract.methods.transfer(floatifyAddress, humanToMachine('DAI', 10)).send({ from: wyreAddress });
+      await DaiContract.methods.transfer(SecondInstance.address, humanToMachine('DAI', 1)).send({ from: wyreAddress });
+
+      const results = await keeper.poll();
+      expect(results.map((result) => result.daiAmount)).to.deep.equal([10, 1.5]);
+      const nonces = logEntries.filter((entry) => entry.action === 'deposit').map((entry) => entry.nonce);
+      expect(nonces[1]).to.equal(nonces[0] + 1);
+      expect(await SecondInstance.totalDeposited()).to.be.bignumber.equal(humanToMachine('DAI', 1.5));
+    });
+
+
+    it('should retry with the node\'s nonce when the keeper address sent another transaction', async () => {
+      await web3.eth.sendTransaction({ from: ownerDeployAddress, to: userWyreAddress, value: '1' });
+      await DaiContract.methods.transfer(floatifyAddress, humanToMachine('DAI', 5)).send({ from: wyreAddress });
+
+      const results = await keeper.poll();
+      expect(results).to.have.lengthOf(1);
+      expect(results[0]).to.include({ account: floatifyAddress, daiAmount: 5 });
+      expect(getActions()).to.deep.equal(['transfer', 'retry', 'deposit', 'confirmed']);
+    });
+
+
+    it('should log and skip deposits that would revert', async () => {
+      await SecondInstance.pause({ from: ownerDeployAddress });
+      await DaiContract.methods.transfer(SecondInstance.address, humanToMachine('DAI', 2)).send({ from: wyreAddress });
+
+      expect(await keeper.poll()).to.deep.equal([]);
+      expect(getActions()).to.deep.equal(['transfer', 'error']);
+      expect(logEntries[1].error).to.include('Deposits are paused');
+      await SecondInstance.unpause({ from: ownerDeployAddress });
+    });
+
+
+    it('should deposit again on the next poll when a deposit fails', async () => {
+      const fromBlock = (await web3.eth.getBlockNumber()) + 1;
+      const retryKeeper = new DepositKeeper(
+        web3.currentProvider, { daiAddress }, [floatifyAddress], keeperOptions({ fromBlock, maxRetries: 0 }),
+      );
+      await DaiContract.methods.transfer(floatifyAddress, humanToMachine('DAI', 1)).send({ from: wyreAddress });
+      await retryKeeper.poll();
+
+      // The keeper's nonce is now stale, and it does not retry the deposit right away
+      await web3.eth.sendTransaction({ from: ownerDeployAddress, to: userWyreAddress, value: '1' });
+      await DaiContract.methods.transfer(floatifyAddress, humanToMachine('DAI', 3)).send({ from: wyreAddress });
+      logEntries = [];
+      let results = await retryKeeper.poll();
+      expect(results).to.have.lengthOf(1);
+      expect(results[0]).to.have.property('error');
+      expect(getActions()).to.deep.equal(['transfer', 'error']);
+
+      // The transfer is in a block that was already polled, but the account is checked again
+      logEntries = [];
+      results = await retryKeeper.poll();
+      expect(results).to.have.lengthOf(1);
+      expect(results[0]).to.include({ account: floatifyAddress, daiAmount: 3 });
+      expect(getActions()).to.deep.equal(['deposit', 'confirmed']);
+      expect(await retryKeeper.poll()).to.deep.equal([]);
+    });
+
+
+    it('should deposit DAI that arrived before it started, then keep polling', async () => {
+      const pollingKeeper = new DepositKeeper(
+        web3.currentProvider, { daiAddress }, [floatifyAddress, SecondInstance.address],
+        keeperOptions({ pollInterval: 100 }),
+      );
+      try {
+        // The second account still holds the DAI sent while it was paused
+        await pollingKeeper.start();
+        expect(await FloatifyClient.getTokenBalance('DAI', SecondInstance.address)).to.equal(0);
+
+        await DaiContract.methods.transfer(floatifyAddress, humanToMachine('DAI', 4)).send({ from: wyreAddress });
+        const confirmedCount = () => getActions().filter((action) => action === 'confirmed').length;
+        // Check every 100 ms, for up to 5 seconds
+        const waitForConfirmations = async (attempts) => {
+          if (confirmedCount() >= 2 || attempts === 0) return;
+          await new Promise((resolve) => setTimeout(resolve, 100));
+          await waitForConfirmations(attempts - 1);
+        };
+        await waitForConfirmations(50);
+        expect(confirmedCount()).to.equal(2);
+      } finally {
+        pollingKeeper.stop();
+      }
+      expect(await FloatifyClient.getTokenBalance('DAI', floatifyAddress)).to.equal(0);
+    });
+  }); // end keeper tests
 });
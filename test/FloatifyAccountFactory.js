@@ -0,0 +1,235 @@
+// =================================================================================================
+//                                       SETUP TESTING TOOLS
+// =================================================================================================
+const chai = require('chai');
+const { constants, expectEvent, expectRevert } = require('openzeppelin-test-helpers');
+const { userIdToBytes32, getAccountInitCodeHash, predictAccountAddress } = require('../lib/factory');
+
+const { expect } = chai;
+
+
+// =================================================================================================
+//                                     SETUP CONTRACTS AND VARIABLES
+// =================================================================================================
+const FloatifyAccount = artifacts.require('FloatifyAccount');
+const FloatifyAccountExtension = artifacts.require('FloatifyAccountExtension');
+const FloatifyAccountFactory = artifacts.require('FloatifyAccountFactory');
+const FloatifyAccountProxy = artifacts.require('FloatifyAccountProxy');
+const CompoundStrategy = artifacts.require('CompoundStrategy');
+const MockFloatifyAccountV2 = artifacts.require('MockFloatifyAccountV2');
+const MockDAI = artifacts.require('MockDAI');
+
+// Define variables we need. Values are assigned in the global beforeEach() hook
+let FactoryInstance; // instance of FloatifyAccountFactory contract
+let factoryAddress; // address of FactoryInstance
+const userId = 'firebase-user-id-1234'; // example user ID from our server
+
+
+beforeEach('Setup deployed contract', async () => {
+  FactoryInstance = await FloatifyAccountFactory.deployed();
+  factoryAddress = FactoryInstance.address;
+});
+
+
+contract('FloatifyAccountFactory', (accounts) => {
+  const ownerDeployAddress = accounts[0]; // account used by server to deploy contracts
+  const userPersonalAddress = accounts[2]; // a user's personal Ethereum account
+  const randomNonUserAddress = accounts[4]; // address of a random user or attacker
+
+  contract('Address prediction tests', () => {
+    it('should compute the same init code hash as the JS helper', async () => {
+      const daiAddress = await FactoryInstance.daiAddress();
+      const cdaiAddress = await FactoryInstance.cdaiAddress();
+      const chainId = await FactoryInstance.chainId();
+      const implementation = await FactoryInstance.accountImplementation();
+      expect(implementation).to.equal(FloatifyAccount.address);
+      const expectedHash = getAccountInitCodeHash(
+        FloatifyAccountProxy.bytecode, implementation, daiAddress, cdaiAddress, chainId,
+      );
+      expect(await FactoryInstance.accountInitCodeHash()).to.equal(expectedHash);
+    });
+
+
+    it('should compute the same account address as the JS helper', async () => {
+      const initCodeHash = await FactoryInstance.accountInitCodeHash();
+      const predictedAddress = predictAccountAddress(factoryAddress, userId, initCodeHash);
+      const computedAddress = await FactoryInstance.computeAccountAddress(userIdToBytes32(userId));
+      expect(computedAddress).to.equal(predictedAddress);
+    });
+
+
+    it('should predict different addresses for different users', async () => {
+      const initCodeHash = await FactoryInstance.accountInitCodeHash();
+      const firstAddress = predictAccountAddress(factoryAddress, userId, initCodeHash);
+      const secondAddress = predictAccountAddress(factoryAddress, `${userId}-2`, initCodeHash);
+      expect(firstAddress).to.not.equal(secondAddress);
+    });
+  }); // end address prediction tests
+
+
+  contract('Account creation tests', () => {
+    it('should only let the owner create accounts', async () => {
+      await expectRevert(
+        FactoryInstance.createAccount(userIdToBytes32(userId), userPersonalAddress, { from: randomNonUserAddress }),
+        'Ownable: caller is not the owner',
+      );
+    });
+
+
+    it('should not create an account owned by the zero address', async () => {
+      await expectRevert(
+        FactoryInstance.createAccount(userIdToBytes32(userId), constants.ZERO_ADDRESS, { from: ownerDeployAddress }),
+        'Account owner cannot be the zero address',
+      );
+    });
+
+
+    it('should deploy the account at the predicted address and hand it to its owner', async () => {
+      const initCodeHash = await FactoryInstance.accountInitCodeHash();
+      const predictedAddress = predictAccountAddress(factoryAddress, userId, initCodeHash);
+      const userBytes32 = userIdToBytes32(userId);
+
+      const { logs } = await FactoryInstance.createAccount(
+        userBytes32, ownerDeployAddress, { from: ownerDeployAddress },
+      );
+      await expectEvent.inLogs(logs, 'AccountCreated', { user: userBytes32, account: predictedAddress });
+
+      // The factory does not keep ownership, and does not need the owner to accept it
+      const AccountInstance = await FloatifyAccount.at(predictedAddress);
+      expect(await AccountInstance.owner()).to.equal(ownerDeployAddress);
+      expect(await AccountInstance.pendingOwner()).to.equal(constants.ZERO_ADDRESS);
+      await expectRevert(
+        AccountInstance.handOverOwnership(randomNonUserAddress, { from: ownerDeployAddress }),
+        'Caller is not the creator of the account',
+      );
+      expect(await AccountInstance.implementation()).to.equal(FloatifyAccount.address);
+      expect(await FactoryInstance.accounts(userBytes32)).to.equal(predictedAddress);
+    });
+
+
+    it('should not create a second account for the same user', async () => {
+      await expectRevert(
+        FactoryInstance.createAccount(userIdToBytes32(userId), ownerDeployAddress, { from: ownerDeployAddress }),
+        'Account already exists for this user',
+      );
+    });
+
+
+    it('should return the zero address from the registry for users without an account', async () => {
+      const registeredAddress = await FactoryInstance.accounts(userIdToBytes32(`${userId}-2`));
+      expect(registeredAddress).to.equal(constants.ZERO_ADDRESS);
+    });
+  }); // end account creation tests
+
+
+  contract('Fee settings tests', () => {
+    const ownerReceiveAddress = accounts[1]; // account where our profits are sent
+
+    it('should only let the owner change fee settings', async () => {
+      await expectRevert(
+        FactoryInstance.setFeeSettings(ownerReceiveAddress, '1000', { from: randomNonUserAddress }),
+        'Ownable: caller is not the owner',
+      );
+      await expectRevert(
+        FactoryInstance.setFeeSettings(constants.ZERO_ADDRESS, '1000', { from: ownerDeployAddress }),
+        'Treasury must be set to charge a fee',
+      );
+    });
+
+
+    it('should apply fee settings to new accounts', async () => {
+      const { logs } = await FactoryInstance.setFeeSettings(ownerReceiveAddress, '1000', { from: ownerDeployAddress });
+      await expectEvent.inLogs(logs, 'FeeSettingsChanged', { treasury: ownerReceiveAddress, feeRate: '1000' });
+
+      await FactoryInstance.createAccount(userIdToBytes32(userId), userPersonalAddress, { from: ownerDeployAddress });
+      const AccountInstance = await FloatifyAccount.at(await FactoryInstance.accounts(userIdToBytes32(userId)));
+      expect(await AccountInstance.treasury()).to.equal(ownerReceiveAddress);
+      expect(await AccountInstance.feeRate()).to.be.bignumber.equal('1000');
+      expect(await AccountInstance.owner()).to.equal(userPersonalAddress);
+      expect(await AccountInstance.operator()).to.equal(ownerDeployAddress);
+    });
+  }); // end fee settings tests
+
+
+  contract('Batch executor tests', () => {
+    it('should only offer a contract as the batch executor', async () => {
+      await expectRevert(
+        FactoryInstance.setBatchExecutor(FloatifyAccount.address, { from: randomNonUserAddress }),
+        'Ownable: caller is not the owner',
+      );
+      await expectRevert(
+        FactoryInstance.setBatchExecutor(randomNonUserAddress, { from: ownerDeployAddress }),
+        'Batch executor must be a contract',
+      );
+    });
+
+
+    it('should leave the batch executor of new accounts to their user', async () => {
+      const batchExecutor = await FactoryInstance.batchExecutor();
+      expect(batchExecutor).to.not.equal(constants.ZERO_ADDRESS);
+      await FactoryInstance.createAccount(userIdToBytes32(userId), userPersonalAddress, { from: ownerDeployAddress });
+      const AccountInstance = await FloatifyAccount.at(await FactoryInstance.accounts(userIdToBytes32(userId)));
+      expect(await AccountInstance.batchExecutor()).to.equal(constants.ZERO_ADDRESS);
+
+      await AccountInstance.setBatchExecutor(batchExecutor, { from: userPersonalAddress });
+      expect(await AccountInstance.batchExecutor()).to.equal(batchExecutor);
+    });
+  }); // end batch executor tests
+
+
+  contract('Implementation release tests', () => {
+    it('should only let the owner release an implementation', async () => {
+      await expectRevert(
+        FactoryInstance.setLatestImplementation(userPersonalAddress, { from: randomNonUserAddress }),
+        'Ownable: caller is not the owner',
+      );
+      await expectRevert(
+        FactoryInstance.setLatestImplementation(constants.ZERO_ADDRESS, { from: ownerDeployAddress }),
+        'Implementation cannot be the zero address',
+      );
+    });
+
+
+    it('should upgrade new accounts without changing their address', async () => {
+      const initCodeHash = await FactoryInstance.accountInitCodeHash();
+      const V2Instance = await MockFloatifyAccountV2.new(
+        FloatifyAccountExtension.address, CompoundStrategy.address, { from: ownerDeployAddress },
+      );
+      const { logs } = await FactoryInstance.setLatestImplementation(V2Instance.address, { from: ownerDeployAddress });
+      await expectEvent.inLogs(logs, 'ImplementationReleased', { implementation: V2Instance.address });
+      expect(await FactoryInstance.accountInitCodeHash()).to.equal(initCodeHash);
+
+      await FactoryInstance.createAccount(userIdToBytes32(userId), userPersonalAddress, { from: ownerDeployAddress });
+      const accountAddress = await FactoryInstance.accounts(userIdToBytes32(userId));
+      expect(accountAddress).to.equal(predictAccountAddress(factoryAddress, userId, initCodeHash));
+      const AccountInstance = await MockFloatifyAccountV2.at(accountAddress);
+      expect(await AccountInstance.implementation()).to.equal(V2Instance.address);
+      expect(await AccountInstance.version()).to.be.bignumber.equal('2');
+      expect(await AccountInstance.owner()).to.equal(userPersonalAddress);
+    });
+  }); // end implementation release tests
+
+
+  contract('Deposit before creation tests', () => {
+    beforeEach('Only run against mock tokens', async function skipWithoutMockTokens() {
+      // We can only mint DAI to send when using mock tokens
+      if (!MockDAI.isDeployed()) this.skip();
+    });
+
+
+    it('should let DAI sent to the predicted address be deposited once the account exists', async () => {
+      const DaiInstance = await MockDAI.deployed();
+      const initCodeHash = await FactoryInstance.accountInitCodeHash();
+      const predictedAddress = predictAccountAddress(factoryAddress, userId, initCodeHash);
+
+      // Wyre sends DAI to the user's address before their account is deployed
+      await DaiInstance.allocateTo(predictedAddress, '100000000000000000000');
+      await FactoryInstance.createAccount(userIdToBytes32(userId), ownerDeployAddress, { from: ownerDeployAddress });
+
+      const AccountInstance = await FloatifyAccount.at(predictedAddress);
+      await AccountInstance.deposit({ from: ownerDeployAddress });
+      expect(await DaiInstance.balanceOf(predictedAddress)).to.be.bignumber.equal('0');
+      expect(await AccountInstance.totalDeposited()).to.be.bignumber.equal('100000000000000000000');
+    });
+  }); // end deposit before creation tests
+});
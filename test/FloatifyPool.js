@@ -0,0 +1,220 @@
+// =================================================================================================
+//                                       SETUP TESTING TOOLS
+// =================================================================================================
+const chai = require('chai');
+const {
+  BN, constants, expectEvent, expectRevert,
+} = require('openzeppelin-test-helpers');
+const { FloatifyPoolClient, humanToMachine } = require('../lib');
+
+const { expect } = chai;
+
+
+// =================================================================================================
+//                                     SETUP CONTRACTS AND VARIABLES
+// =================================================================================================
+const FloatifyPool = artifacts.require('FloatifyPool');
+const MockDAI = artifacts.require('MockDAI');
+const MockCDAI = artifacts.require('MockCDAI');
+
+// Define variables we need. Values are assigned in the beforeEach() hooks
+let DaiInstance; // instance of MockDAI
+let CdaiInstance; // instance of MockCDAI
+let PoolInstance; // instance of FloatifyPool, deployed once per contract() block
+let PoolClient; // client library wrapping PoolInstance
+
+// cDAI exchange rates, scaled by 1e18. Interest is simulated by raising the rate 10% at a time
+const initialExchangeRate = '200000000000000000000000000';
+const secondExchangeRate = '220000000000000000000000000';
+const thirdExchangeRate = '242000000000000000000000000';
+
+
+contract('FloatifyPool', (accounts) => {
+  const ownerDeployAddress = accounts[0]; // account used by server to deploy contracts, and the pool's owner
+  const firstMemberAddress = accounts[2]; // personal Ethereum account of a member who joins first
+  const secondMemberAddress = accounts[5]; // personal Ethereum account of a member who joins later
+  const randomNonUserAddress = accounts[4]; // address of a random user or attacker
+
+  beforeEach('Setup token contracts and pool', async function skipWithoutMockTokens() {
+    // The tests set cDAI's exchange rate, which is only possible with mock tokens
+    if (!MockDAI.isDeployed()) this.skip();
+    DaiInstance = await MockDAI.deployed();
+    CdaiInstance = await MockCDAI.deployed();
+    if (!PoolInstance) {
+      PoolInstance = await FloatifyPool.new(DaiInstance.address, CdaiInstance.address, { from: ownerDeployAddress });
+    }
+    PoolClient = new FloatifyPoolClient(
+      web3.currentProvider, { daiAddress: DaiInstance.address }, PoolInstance.address, { abi: FloatifyPool.abi },
+    );
+  });
+
+  contract('Deployment and membership tests', () => {
+    before('Use a new pool', () => { PoolInstance = undefined; });
+
+    it('should not deploy with invalid token addresses', async () => {
+      await expectRevert(
+        FloatifyPool.new(constants.ZERO_ADDRESS, CdaiInstance.address),
+        'DAI address cannot be the zero address',
+      );
+      await expectRevert(
+        FloatifyPool.new(CdaiInstance.address, CdaiInstance.address),
+        'cDAI underlying token must be DAI',
+      );
+    });
+
+
+    it('should only let the owner manage members', async () => {
+      expect(await PoolInstance.members(ownerDeployAddress)).to.equal(true);
+      await expectRevert(
+        PoolInstance.addMember(firstMemberAddress, { from: randomNonUserAddress }),
+        'Ownable: caller is not the owner',
+      );
+      await expectRevert(
+        PoolInstance.addMember(constants.ZERO_ADDRESS, { from: ownerDeployAddress }),
+        'Member cannot be the zero address',
+      );
+
+      let { logs } = await PoolInstance.addMember(firstMemberAddress, { from: ownerDeployAddress });
+      await expectEvent.inLogs(logs, 'MemberAdded', { member: firstMemberAddress });
+      await expectRevert(
+        PoolInstance.addMember(firstMemberAddress, { from: ownerDeployAddress }),
+        'Address is already a member',
+      );
+
+      ({ logs } = await PoolInstance.removeMember(firstMemberAddress, { from: ownerDeployAddress }));
+      await expectEvent.inLogs(logs, 'MemberRemoved', { member: firstMemberAddress });
+      await expectRevert(
+        PoolInstance.removeMember(firstMemberAddress, { from: ownerDeployAddress }),
+        'Address is not a member',
+      );
+    });
+
+
+    it('should only let members deposit', async () => {
+      await DaiInstance.allocateTo(randomNonUserAddress, humanToMachine('DAI', 10));
+      await DaiInstance.approve(PoolInstance.address, humanToMachine('DAI', 10), { from: randomNonUserAddress });
+      await expectRevert(
+        PoolInstance.deposit(humanToMachine('DAI', 10), { from: randomNonUserAddress }),
+        'Caller is not a member',
+      );
+    });
+  }); // end deployment and membership tests
+
+
+  contract('Fairness tests', () => {
+    before('Use a new pool', () => { PoolInstance = undefined; });
+
+    it('should mint one share per DAI for the first deposit', async () => {
+      await CdaiInstance.setSupplyRatePerBlock('0');
+      await CdaiInstance.setExchangeRate(initialExchangeRate);
+      await PoolInstance.addMember(firstMemberAddress, { from: ownerDeployAddress });
+      await PoolInstance.addMember(secondMemberAddress, { from: ownerDeployAddress });
+      await DaiInstance.allocateTo(firstMemberAddress, humanToMachine('DAI', 100));
+      await DaiInstance.allocateTo(secondMemberAddress, humanToMachine('DAI', 110));
+
+      const { events } = await PoolClient.deposit(100, { from: firstMemberAddress });
+      expect(events.find(({ event }) => event === 'Deposit')).to.include({
+        member: firstMemberAddress, daiAmount: 100, shares: humanToMachine('DAI', 100),
+      });
+      expect(await PoolClient.getHolder(firstMemberAddress)).to.deep.equal({
+        member: true, shares: 100, value: 100, deposited: 100, withdrawn: 0, earned: 0,
+      });
+    });
+
+
+    it('should give a member who joins at a higher exchange rate fewer shares per DAI', async () => {
+      // The first member has earned 10% when the second one joins
+      await CdaiInstance.setExchangeRate(secondExchangeRate);
+      expect((await PoolClient.getHolder(firstMemberAddress)).earned).to.equal(10);
+
+      await PoolClient.deposit(110, { from: secondMemberAddress });
+      expect(await PoolClient.getHolder(secondMemberAddress)).to.deep.equal({
+        member: true, shares: 100, value: 110, deposited: 110, withdrawn: 0, earned: 0,
+      });
+      expect(await PoolClient.getPool()).to.deep.equal({ totalShares: 200, value: 220 });
+
+      // Both earn 10% of their value from here on
+      await CdaiInstance.setExchangeRate(thirdExchangeRate);
+      expect(await PoolClient.getHolder(firstMemberAddress)).to.deep.include({ value: 121, earned: 21 });
+      expect(await PoolClient.getHolder(secondMemberAddress)).to.deep.include({ value: 121, earned: 11 });
+    });
+
+
+    it('should redeem shares for their proportional DAI', async () => {
+      await expectRevert(
+        PoolInstance.redeem(humanToMachine('DAI', 101), firstMemberAddress, { from: firstMemberAddress }),
+        'Amount exceeds the share balance',
+      );
+      await expectRevert(
+        PoolInstance.redeem(humanToMachine('DAI', 100), constants.ZERO_ADDRESS, { from: firstMemberAddress }),
+        'Cannot withdraw to the zero address',
+      );
+
+      const { events } = await PoolClient.redeem(100, firstMemberAddress, { from: firstMemberAddress });
+      // DAI's Transfer event is decoded too, since the pool has an event with the same signature
+      expect(events.find(({ event }) => event === 'Redeem')).to.include({
+        holder: firstMemberAddress, withdrawalAddress: firstMemberAddress, daiAmount: 121,
+      });
+      await PoolClient.redeem(100, secondMemberAddress, { from: secondMemberAddress });
+
+      expect(await DaiInstance.balanceOf(firstMemberAddress)).to.be.bignumber.equal(humanToMachine('DAI', 121));
+      expect(await DaiInstance.balanceOf(secondMemberAddress)).to.be.bignumber.equal(humanToMachine('DAI', 121));
+      expect(await PoolClient.getHolder(firstMemberAddress)).to.deep.equal({
+        member: true, shares: 0, value: 0, deposited: 100, withdrawn: 121, earned: 21,
+      });
+      expect(await PoolClient.getHolder(secondMemberAddress)).to.deep.equal({
+        member: true, shares: 0, value: 0, deposited: 110, withdrawn: 121, earned: 11,
+      });
+      expect(await PoolClient.getPool()).to.deep.equal({ totalShares: 0, value: 0 });
+    });
+  }); // end fairness tests
+
+
+  contract('Share transfer tests', () => {
+    before('Use a new pool', () => { PoolInstance = undefined; });
+
+    it('should move the cost basis with transferred shares', async () => {
+      await CdaiInstance.setSupplyRatePerBlock('0');
+      await CdaiInstance.setExchangeRate(initialExchangeRate);
+      await PoolInstance.addMember(firstMemberAddress, { from: ownerDeployAddress });
+      await DaiInstance.allocateTo(firstMemberAddress, humanToMachine('DAI', 100));
+      await PoolClient.deposit(100, { from: firstMemberAddress });
+      await CdaiInstance.setExchangeRate(secondExchangeRate);
+
+      const { logs } = await PoolInstance.transfer(
+        randomNonUserAddress, humanToMachine('DAI', 40), { from: firstMemberAddress },
+      );
+      await expectEvent.inLogs(logs, 'Transfer', {
+        from: firstMemberAddress, to: randomNonUserAddress, value: humanToMachine('DAI', 40),
+      });
+      expect(await PoolInstance.costBasis(firstMemberAddress)).to.be.bignumber.equal(humanToMachine('DAI', 60));
+      expect(await PoolInstance.costBasis(randomNonUserAddress)).to.be.bignumber.equal(humanToMachine('DAI', 40));
+      expect(await PoolClient.getHolder(randomNonUserAddress)).to.deep.equal({
+        member: false, shares: 40, value: 44, deposited: 0, withdrawn: 0, earned: 4,
+      });
+      await expectRevert(
+        PoolInstance.transfer(randomNonUserAddress, humanToMachine('DAI', 61), { from: firstMemberAddress }),
+        'ERC20: transfer amount exceeds balance',
+      );
+    });
+
+
+    it('should let holders who are not members redeem shares', async () => {
+      await PoolInstance.approve(ownerDeployAddress, humanToMachine('DAI', 10), { from: randomNonUserAddress });
+      await PoolInstance.transferFrom(
+        randomNonUserAddress, ownerDeployAddress, humanToMachine('DAI', 10), { from: ownerDeployAddress },
+      );
+      expect(await PoolInstance.allowance(randomNonUserAddress, ownerDeployAddress)).to.be.bignumber.equal('0');
+
+      const balanceBefore = await DaiInstance.balanceOf(randomNonUserAddress);
+      await PoolClient.redeem(30, randomNonUserAddress, { from: randomNonUserAddress });
+      expect(await DaiInstance.balanceOf(randomNonUserAddress)).to.be.bignumber.equal(
+        balanceBefore.add(new BN(humanToMachine('DAI', 33))),
+      );
+      expect(await PoolClient.getHolder(randomNonUserAddress)).to.deep.equal({
+        member: false, shares: 0, value: 0, deposited: 0, withdrawn: 33, earned: 3,
+      });
+      expect(await PoolClient.getHolder(firstMemberAddress)).to.deep.include({ shares: 60, value: 66, earned: 6 });
+    });
+  }); // end share transfer tests
+});
@@ -50,6 +50,14 @@ module.exports = {
       network_id: '*', // Any network (default: none)
     },
 
+    // A local node that forks mainnet, so the real DAI and cDAI contracts are used instead of mocks.
+    // Start it with the ganache-cli command in the README
+    mainnetFork: {
+      host: '127.0.0.1',
+      port: 8545,
+      network_id: '*',
+    },
+
     // For code coverage reports, source: https://github.com/sc-forks/solidity-coverage
     coverage: {
       host: 'localhost',
@@ -100,7 +108,7 @@ module.exports = {
       // docker: true,        // Use "0.5.1" you've installed locally with docker (default: false)
       settings: { // See the solidity docs for advice about optimization and evmVersion
         optimizer: {
-          enabled: false,
+          enabled: true,
           runs: 200,
         },
         // evmVersion: 'byzantium',